@@ -0,0 +1,116 @@
+/**
+ * Benchmark Script
+ * 
+ * This script measures cognitive mesh traversal on large synthetic meshes.
+ * It builds meshes of increasing size in memory (nothing is persisted) and
+ * times findConnections at several depths against a full scan of the
+ * pathway map, which is what each traversal hop cost before the adjacency
+ * indexes were introduced.
+ *
+ * Usage: node scripts/benchmark.js [pathwayCount] [averageDegree]
+ */
+
+const { performance } = require('perf_hooks');
+const { CognitiveMesh } = require('../src/core/cognitiveMesh');
+
+const DEFAULT_SIZES = [1000, 10000, 100000];
+const SAMPLE_COUNT = 200;
+
+/**
+ * Deterministic pseudo-random generator so runs are comparable
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+/**
+ * Build an in-memory mesh with the given number of pathways
+ */
+async function buildMesh(pathwayCount, averageDegree) {
+  const mesh = new CognitiveMesh();
+  const agentCount = Math.max(2, Math.round(pathwayCount / averageDegree));
+  const random = createRandom(42);
+
+  for (let i = 0; i < agentCount; i++) {
+    await mesh.registerAgent({ id: `agent-${i}`, capabilities: [], trustScore: 0.5 }, false);
+  }
+
+  let created = 0;
+  while (created < pathwayCount) {
+    const source = `agent-${Math.floor(random() * agentCount)}`;
+    const target = `agent-${Math.floor(random() * agentCount)}`;
+
+    if (source === target || mesh.getPathway(source, target)) continue;
+
+    await mesh.establishPathway(source, target, { strength: 0.1 + random() * 0.9 }, false);
+    created++;
+  }
+
+  return { mesh, agentCount };
+}
+
+/**
+ * Average time of fn over the sampled agents, in milliseconds
+ */
+function time(agentIds, fn) {
+  const start = performance.now();
+  agentIds.forEach(fn);
+  return (performance.now() - start) / agentIds.length;
+}
+
+/**
+ * Out-neighbors found by scanning every pathway, as each hop did before indexing
+ */
+function scanOutgoing(mesh, agentId) {
+  return Array.from(mesh.pathways.entries())
+    .filter(([key]) => key.startsWith(`${agentId}-`));
+}
+
+async function benchmark(sizes, averageDegree) {
+  const rows = [];
+
+  for (const size of sizes) {
+    const buildStart = performance.now();
+    const { mesh, agentCount } = await buildMesh(size, averageDegree);
+    const buildMs = performance.now() - buildStart;
+
+    const random = createRandom(7);
+    const samples = Array.from({ length: SAMPLE_COUNT }, () => `agent-${Math.floor(random() * agentCount)}`);
+
+    rows.push({
+      pathways: size,
+      agents: agentCount,
+      'build (ms)': buildMs.toFixed(0),
+      'depth 1 (ms)': time(samples, id => mesh.findConnections(id, { maxDepth: 1 })).toFixed(4),
+      'depth 2 (ms)': time(samples, id => mesh.findConnections(id, { maxDepth: 2 })).toFixed(4),
+      'depth 3 (ms)': time(samples, id => mesh.findConnections(id, { maxDepth: 3 })).toFixed(4),
+      'full scan hop (ms)': time(samples.slice(0, 20), id => scanOutgoing(mesh, id)).toFixed(4)
+    });
+  }
+
+  return rows;
+}
+
+// Execute the benchmark if this script is run directly
+if (require.main === module) {
+  const sizes = process.argv[2] ? [parseInt(process.argv[2], 10)] : DEFAULT_SIZES;
+  const averageDegree = parseInt(process.argv[3], 10) || 5;
+
+  console.log(`Benchmarking findConnections (average degree ${averageDegree}, ${SAMPLE_COUNT} samples per size)`);
+
+  benchmark(sizes, averageDegree)
+    .then(rows => {
+      console.table(rows);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Benchmark failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { benchmark, buildMesh };
@@ -17,7 +17,6 @@ const agents = [
     description: "Specialized in financial data analysis and market predictions",
     capabilities: ["financial-analysis", "market-prediction", "risk-assessment"],
     specializations: ["defi", "trading"],
-    trustScore: 0.85,
     chain: "ethereum",
     metadata: {
       aiModel: "GPT-4",
@@ -30,7 +29,6 @@ const agents = [
     description: "Creates engaging content across various formats and topics",
     capabilities: ["content-creation", "audience-analysis", "trend-detection"],
     specializations: ["social-media", "blogs", "video"],
-    trustScore: 0.78,
     chain: "bnb",
     metadata: {
       aiModel: "Claude-2",
@@ -43,7 +41,6 @@ const agents = [
     description: "Expert in data analysis, visualization and machine learning",
     capabilities: ["data-analysis", "machine-learning", "data-visualization"],
     specializations: ["predictive-modeling", "clustering", "anomaly-detection"],
-    trustScore: 0.92,
     chain: "ethereum",
     metadata: {
       aiModel: "GPT-4",
@@ -56,7 +53,6 @@ const agents = [
     description: "Provides legal analysis and risk assessment for blockchain projects",
     capabilities: ["legal-analysis", "contract-review", "risk-assessment"],
     specializations: ["smart-contracts", "regulatory-compliance", "dao-governance"],
-    trustScore: 0.81,
     chain: "solana",
     metadata: {
       aiModel: "Claude-2",
@@ -69,7 +65,6 @@ const agents = [
     description: "Specializes in creative direction for brands and projects",
     capabilities: ["brand-strategy", "visual-design", "narrative-development"],
     specializations: ["web3-branding", "community-building", "storytelling"],
-    trustScore: 0.76,
     chain: "bnb",
     metadata: {
       aiModel: "DALL-E 3",
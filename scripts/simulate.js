@@ -0,0 +1,183 @@
+/**
+ * Mesh Simulation Script
+ *
+ * Generates a synthetic mesh and runs it tick by tick in memory (nothing is
+ * persisted), printing metrics over time for tuning learning, decay and
+ * trust parameters.
+ * Usage:
+ *   node scripts/simulate.js [--option value ...]
+ * Network options:
+ *   --agents <n>                  Number of agents (default 100)
+ *   --topology <name>             scale-free, small-world or random
+ *   --degree <n>                  Average degree (default 4)
+ *   --rewiring <p>                Small-world rewiring probability (default 0.1)
+ *   --capabilities <n>            Capability catalogue size (default 20)
+ *   --capabilities-per-agent <n>  Capabilities per agent (default 3)
+ *   --distribution <name>         Capability distribution: zipf or uniform
+ *   --zipf <s>                    Zipf exponent (default 1)
+ * Simulation options:
+ *   --ticks <n>                   Number of ticks (default 100)
+ *   --tick-ms <ms>                Simulated time per tick (default 1 hour)
+ *   --tasks <n>                   Tasks per tick (default 10)
+ *   --team-size <n>               Agents per task (default 3)
+ *   --churn <p>                   Probability that an agent leaves each tick
+ *   --failure-rate <p>            Probability that an agent fails a task
+ *   --centrality-every <n>        Ticks between centrality runs, 0 to disable
+ *   --rule <name>                 Learning rule: hebbian, oja or reward
+ *   --learning-rate <r>           Learning rate
+ *   --curve <name>                Decay curve: exponential or linear
+ *   --half-life-hours <h>         Pathway decay half-life
+ *   --seed <n>                    Seed for the network and the run
+ * Output options:
+ *   --format <name>               table, csv or json (default table)
+ *   --out <file>                  Write to a file instead of stdout
+ */
+
+require('dotenv').config();
+
+// Mesh events of the simulated mesh would drown the metrics
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const fs = require('fs');
+const { MeshSimulation } = require('../src/core/simulation');
+
+const FORMATS = ['table', 'csv', 'json'];
+const HOUR_MS = 60 * 60 * 1000;
+
+// Columns shown by the table format; csv and json carry every metric
+const TABLE_COLUMNS = [
+  'tick', 'agents', 'activePathways', 'meanStrength', 'completed', 'accuracy',
+  'consensusRate', 'teamSkill', 'meanTrust', 'trustSkillCorrelation', 'strengthSkillCorrelation'
+];
+
+// option -> [section, setting, parse]
+const OPTIONS = {
+  agents: ['network', 'agents', parseInt],
+  topology: ['network', 'topology', String],
+  degree: ['network', 'averageDegree', parseFloat],
+  rewiring: ['network', 'rewiring', parseFloat],
+  capabilities: ['network', 'capabilities', parseInt],
+  'capabilities-per-agent': ['network', 'capabilitiesPerAgent', parseInt],
+  distribution: ['network', 'capabilityDistribution', String],
+  zipf: ['network', 'zipfExponent', parseFloat],
+  ticks: ['simulation', 'ticks', parseInt],
+  'tick-ms': ['simulation', 'tickMs', parseInt],
+  tasks: ['simulation', 'tasksPerTick', parseInt],
+  'team-size': ['simulation', 'teamSize', parseInt],
+  churn: ['simulation', 'churnRate', parseFloat],
+  'failure-rate': ['simulation', 'failureRate', parseFloat],
+  'centrality-every': ['simulation', 'centralityEvery', parseInt],
+  rule: ['learning', 'rule', String],
+  'learning-rate': ['learning', 'learningRate', parseFloat],
+  curve: ['decay', 'curve', String],
+  'half-life-hours': ['decay', 'halfLives', value => ({ default: parseFloat(value) * HOUR_MS })],
+  seed: ['seed', null, parseInt],
+  format: ['output', 'format', String],
+  out: ['output', 'out', String]
+};
+
+/**
+ * Parse command line arguments into simulation options
+ */
+function parseArgs(argv) {
+  const sections = { network: {}, simulation: {}, learning: {}, decay: {}, output: { format: 'table' } };
+
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    if (!OPTIONS[name] || argv[i + 1] === undefined) {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+
+    const [section, setting, parse] = OPTIONS[name];
+    const value = parse(argv[i + 1]);
+
+    if (typeof value === 'number' && Number.isNaN(value)) {
+      throw new Error(`Invalid value for --${name}: ${argv[i + 1]}`);
+    }
+
+    if (section === 'seed') {
+      sections.network.seed = value;
+      sections.simulation.seed = value;
+    } else {
+      sections[section][setting] = value;
+    }
+  }
+
+  if (!FORMATS.includes(sections.output.format)) {
+    throw new Error(`Unknown format: ${sections.output.format}`);
+  }
+
+  return {
+    simulation: {
+      ...sections.simulation,
+      network: sections.network,
+      learning: sections.learning,
+      decay: sections.decay
+    },
+    output: sections.output
+  };
+}
+
+/**
+ * Format a metrics row as a CSV line
+ */
+function csvLine(values) {
+  return values.map(value => (value === null || value === undefined ? '' : String(value))).join(',');
+}
+
+async function simulate(argv) {
+  const { simulation: options, output } = parseArgs(argv);
+  const simulation = new MeshSimulation(options);
+  const lines = [];
+  const write = output.out
+    ? line => lines.push(line)
+    : line => process.stdout.write(`${line}\n`);
+
+  const network = await simulation.build();
+  console.error(`Simulating a ${network.topology} mesh of ${network.agents} agents and ${network.pathways} pathways ` +
+    `(mean degree ${network.meanDegree}, max ${network.maxDegree})`);
+
+  // CSV rows are written as the ticks complete
+  if (output.format === 'csv') {
+    const [initial] = simulation.metrics;
+    write(Object.keys(initial).join(','));
+    write(csvLine(Object.values(initial)));
+  }
+
+  const result = await simulation.run({
+    onTick: row => {
+      if (output.format === 'csv') write(csvLine(Object.values(row)));
+    }
+  });
+
+  if (output.format === 'json') {
+    write(JSON.stringify(result, null, 2));
+  } else if (output.format === 'table') {
+    const rows = result.metrics.map(row => TABLE_COLUMNS.reduce((picked, column) => ({ ...picked, [column]: row[column] }), {}));
+    if (output.out) {
+      write(TABLE_COLUMNS.join('\t'));
+      rows.forEach(row => write(Object.values(row).join('\t')));
+    } else {
+      console.table(rows);
+    }
+  }
+
+  if (output.out) {
+    fs.writeFileSync(output.out, `${lines.join('\n')}\n`);
+    console.error(`Metrics written to ${output.out}`);
+  }
+
+  return result;
+}
+
+// Execute the simulation if this script is run directly
+if (require.main === module) {
+  simulate(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Simulation failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { simulate, parseArgs };
@@ -0,0 +1,122 @@
+/**
+ * Mesh Snapshot Script
+ * 
+ * Exports, restores and verifies snapshots of a running AETHERMIND server
+ * through the admin API.
+ * Usage:
+ *   node scripts/snapshot.js export <file>
+ *   node scripts/snapshot.js import <file> [--mode replace|merge]
+ *   node scripts/snapshot.js verify <file>
+ * Options:
+ *   --url <url>   Server URL (default: AETHERMIND_URL or http://localhost:$PORT)
+ * The admin key is read from ADMIN_API_KEY.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const axios = require('axios');
+const { readSnapshotFile, RESTORE_MODES } = require('../src/core/snapshot');
+
+const USAGE = 'Usage: node scripts/snapshot.js <export|import|verify> <file> [--mode replace|merge] [--url <url>]';
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const [command, file, ...rest] = argv;
+  const options = {
+    mode: 'replace',
+    url: process.env.AETHERMIND_URL || `http://localhost:${process.env.PORT || 3000}`
+  };
+
+  for (let i = 0; i < rest.length; i += 2) {
+    const name = rest[i].replace(/^--/, '');
+    if (!(name in options) || rest[i + 1] === undefined) {
+      throw new Error(`Unknown option: ${rest[i]}`);
+    }
+    options[name] = rest[i + 1];
+  }
+
+  if (!command || !file) {
+    throw new Error(USAGE);
+  }
+
+  if (!RESTORE_MODES.includes(options.mode)) {
+    throw new Error(`Unknown restore mode: ${options.mode}`);
+  }
+
+  return { command, file, options };
+}
+
+/**
+ * Admin API client
+ */
+function createClient(url) {
+  if (!process.env.ADMIN_API_KEY) {
+    throw new Error('ADMIN_API_KEY is not set');
+  }
+
+  return axios.create({
+    baseURL: `${url.replace(/\/$/, '')}/api/admin`,
+    headers: {
+      'X-Admin-Key': process.env.ADMIN_API_KEY,
+      ...(process.env.API_KEY ? { 'X-API-Key': process.env.API_KEY } : {})
+    },
+    maxBodyLength: Infinity,
+    maxContentLength: Infinity
+  });
+}
+
+/**
+ * Run the requested command
+ */
+async function run(argv) {
+  const { command, file, options } = parseArgs(argv);
+
+  switch (command) {
+    case 'export': {
+      const { data: snapshot } = await createClient(options.url).get('/snapshot');
+      fs.writeFileSync(file, JSON.stringify(snapshot, null, 2));
+      console.log(`Exported ${snapshot.stats.agents} agents and ${snapshot.stats.pathways} pathways to ${file}`);
+      console.log(`Checksum: ${snapshot.checksum}`);
+      return snapshot;
+    }
+
+    case 'import': {
+      // Verify locally first so a corrupt file never reaches the server
+      const snapshot = await readSnapshotFile(file);
+      const { data } = await createClient(options.url).post('/snapshot/restore', snapshot, {
+        params: { mode: options.mode }
+      });
+      const { agents, pathways } = data.data;
+      console.log(`Restored ${file} in ${options.mode} mode`);
+      console.log(`Agents: ${agents.added} added, ${agents.replaced} replaced, ${agents.removed} removed`);
+      console.log(`Pathways: ${pathways.added} added, ${pathways.replaced} replaced, ${pathways.removed} removed`);
+      return data.data;
+    }
+
+    case 'verify': {
+      const snapshot = await readSnapshotFile(file);
+      console.log(`${file} is a valid version ${snapshot.version} snapshot created at ${snapshot.createdAt}`);
+      console.log(`Agents: ${snapshot.data.agents.length}, pathways: ${snapshot.data.pathways.length}`);
+      console.log(`Checksum: ${snapshot.checksum}`);
+      return snapshot;
+    }
+
+    default:
+      throw new Error(`Unknown command: ${command}\n${USAGE}`);
+  }
+}
+
+// Execute the command if this script is run directly
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch(error => {
+      const apiError = error.response && error.response.data && error.response.data.error;
+      console.error('Snapshot command failed:', apiError ? apiError.message : error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
@@ -0,0 +1,119 @@
+/**
+ * Event WebSocket
+ * 
+ * Streams cognitive mesh events over WebSocket at /api/events/ws. Clients
+ * filter with the same query parameters as the SSE endpoint (types, agentId,
+ * chain, lastEventId) and can change their filter later by sending:
+ * 
+ *   { "action": "subscribe", "types": "pathwayUpdated", "agentId": "agent-1" }
+ * 
+ * Server messages are JSON objects with a `type` of `event`, `gap`,
+ * `subscribed`, `heartbeat` or `error`.
+ */
+
+const { WebSocketServer } = require('ws');
+const { meshEvents, MeshEventStream } = require('../core/eventStream');
+const { isValidApiKey } = require('../utils/middleware');
+const logger = require('../utils/logger');
+
+const EVENT_SOCKET_PATH = '/api/events/ws';
+const HEARTBEAT_MS = parseInt(process.env.EVENT_HEARTBEAT_MS) || 15000;
+
+/**
+ * Handle an accepted WebSocket connection
+ * @private
+ */
+function handleConnection(socket, url) {
+  const params = Object.fromEntries(url.searchParams);
+  const lastEventId = params.lastEventId !== undefined ? parseInt(params.lastEventId) : null;
+  let filter = MeshEventStream.parseFilter(params);
+
+  const send = message => {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  send({ type: 'subscribed', filter });
+
+  const subscription = meshEvents.subscribe(
+    filter,
+    event => send({ type: 'event', event }),
+    Number.isNaN(lastEventId) ? null : lastEventId,
+    gap => send({ type: 'gap', ...gap })
+  );
+
+  socket.on('message', raw => {
+    let message;
+
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      return send({ type: 'error', message: 'Messages must be JSON' });
+    }
+
+    if (message.action !== 'subscribe') {
+      return send({ type: 'error', message: `Unknown action: ${message.action}` });
+    }
+
+    filter = MeshEventStream.parseFilter(message);
+    subscription.setFilter(filter);
+    send({ type: 'subscribed', filter });
+  });
+
+  // Heartbeats keep intermediaries from closing idle connections; pings
+  // detect clients that went away without closing
+  let alive = true;
+  socket.on('pong', () => {
+    alive = true;
+  });
+
+  const heartbeat = setInterval(() => {
+    if (!alive) {
+      return socket.terminate();
+    }
+
+    alive = false;
+    socket.ping();
+    send({ type: 'heartbeat', timestamp: new Date().toISOString(), lastEventId: meshEvents.lastId });
+  }, HEARTBEAT_MS);
+
+  socket.on('close', () => {
+    clearInterval(heartbeat);
+    subscription.unsubscribe();
+  });
+}
+
+/**
+ * Serve the event WebSocket on an HTTP server
+ * @param {http.Server} server - Server returned by app.listen
+ * @returns {WebSocketServer}
+ */
+function attachEventSocket(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname !== EVENT_SOCKET_PATH) {
+      socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+      return socket.destroy();
+    }
+
+    if (!isValidApiKey(req.headers['x-api-key'] || url.searchParams.get('apiKey'))) {
+      logger.warn('Invalid API key attempt', { ip: socket.remoteAddress, path: url.pathname });
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      return socket.destroy();
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => handleConnection(ws, url));
+  });
+
+  logger.info(`Event WebSocket available at ${EVENT_SOCKET_PATH}`);
+  return wss;
+}
+
+module.exports = {
+  attachEventSocket,
+  EVENT_SOCKET_PATH
+};
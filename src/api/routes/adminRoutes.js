@@ -0,0 +1,313 @@
+/**
+ * Admin API Routes
+ * 
+ * Endpoints for operating the AETHERMIND cognitive mesh as a whole.
+ * Every route requires the X-Admin-Key header.
+ */
+
+const express = require('express');
+const { cognitiveMesh } = require('../../core/cognitiveMesh');
+const { issueAgentKey } = require('../../core/credentials');
+const { validate, schemas } = require('../../utils/validation');
+const { adminAuth } = require('../../utils/middleware');
+const { NotFoundError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+const router = express.Router();
+
+router.use(adminAuth);
+
+/**
+ * @swagger
+ * /admin/snapshot:
+ *   get:
+ *     summary: Export a mesh snapshot
+ *     description: Download a versioned, checksummed image of all agents, pathways and mesh configuration
+ *     parameters:
+ *       - in: header
+ *         name: X-Admin-Key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Mesh snapshot
+ *       401:
+ *         description: Missing or invalid admin key
+ *       500:
+ *         description: Server error
+ */
+router.get('/snapshot', async (req, res, next) => {
+  try {
+    const snapshot = cognitiveMesh.snapshot();
+    
+    logger.info('Mesh snapshot exported', { checksum: snapshot.checksum, ...snapshot.stats });
+    
+    // Serialized as is: a snapshot keeps agent credentials so that restoring
+    // it keeps the agents' keys working
+    res
+      .set('Content-Disposition', `attachment; filename="mesh-snapshot-${snapshot.createdAt.replace(/[:.]/g, '-')}.json"`)
+      .type('json')
+      .send(JSON.stringify(snapshot));
+  } catch (error) {
+    logger.error('Error exporting mesh snapshot:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/snapshot/restore:
+ *   post:
+ *     summary: Restore a mesh snapshot
+ *     description: >
+ *       Load a snapshot into the mesh. In replace mode the mesh ends up holding
+ *       exactly the snapshot; in merge mode snapshot agents and pathways are
+ *       added and win over existing ones.
+ *     parameters:
+ *       - in: header
+ *         name: X-Admin-Key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [replace, merge]
+ *           default: replace
+ *         description: Restore mode
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Snapshot as exported by GET /admin/snapshot
+ *     responses:
+ *       200:
+ *         description: Summary of the restore
+ *       400:
+ *         description: Invalid snapshot or checksum mismatch
+ *       401:
+ *         description: Missing or invalid admin key
+ *       500:
+ *         description: Server error
+ */
+router.post('/snapshot/restore', validate(schemas.admin.restoreSnapshot), async (req, res, next) => {
+  try {
+    const summary = await cognitiveMesh.restore(req.body, { mode: req.query.mode });
+    
+    logger.info('Mesh snapshot restored', summary);
+    
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    logger.error('Error restoring mesh snapshot:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/agents/{id}/trust:
+ *   put:
+ *     summary: Override an agent's trust score
+ *     description: >
+ *       Pin an agent's trust score to a fixed value, or pass null to return it
+ *       to the score computed by the trust engine
+ *     parameters:
+ *       - in: header
+ *         name: X-Admin-Key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Agent ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - trustScore
+ *             properties:
+ *               trustScore:
+ *                 type: number
+ *                 nullable: true
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated agent
+ *       401:
+ *         description: Missing or invalid admin key
+ *       404:
+ *         description: Agent not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/agents/:id/trust', validate(schemas.admin.overrideTrust), async (req, res, next) => {
+  try {
+    const { trustScore, reason } = req.body;
+    
+    const agent = await cognitiveMesh.trust.override(req.params.id, trustScore, reason);
+    
+    logger.info('Agent trust override changed', { agentId: agent.id, trustScore, reason });
+    
+    res.json({
+      success: true,
+      data: agent
+    });
+  } catch (error) {
+    logger.error('Error overriding agent trust:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/agents/{id}/key:
+ *   post:
+ *     summary: Issue an agent key
+ *     description: >
+ *       Give an agent a new key, replacing the one it had. The key is shown
+ *       only in this response; the agent sends it in the X-Agent-Key header.
+ *     parameters:
+ *       - in: header
+ *         name: X-Admin-Key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Agent ID
+ *     responses:
+ *       201:
+ *         description: The new key and when it was issued
+ *       401:
+ *         description: Missing or invalid admin key
+ *       404:
+ *         description: Agent not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/agents/:id/key', validate(schemas.agent.getOne), async (req, res, next) => {
+  try {
+    if (!cognitiveMesh.agents.has(req.params.id)) {
+      throw new NotFoundError('Agent', req.params.id);
+    }
+    
+    const { key, credentials } = issueAgentKey();
+    await cognitiveMesh.updateAgent(req.params.id, { credentials });
+    
+    logger.info('Agent key issued', { agentId: req.params.id });
+    
+    res.status(201).json({
+      success: true,
+      data: {
+        agentId: req.params.id,
+        agentKey: key,
+        issuedAt: credentials.issuedAt
+      }
+    });
+  } catch (error) {
+    logger.error('Error issuing agent key:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/trust:
+ *   get:
+ *     summary: Get the trust configuration
+ *     description: Factor weights and parameters of the trust engine
+ *     parameters:
+ *       - in: header
+ *         name: X-Admin-Key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Trust configuration
+ *       401:
+ *         description: Missing or invalid admin key
+ */
+router.get('/trust', (req, res) => {
+  res.json({
+    success: true,
+    data: cognitiveMesh.trust.config
+  });
+});
+
+/**
+ * @swagger
+ * /admin/trust:
+ *   put:
+ *     summary: Configure the trust engine
+ *     description: Change factor weights or parameters and recompute every agent's trust
+ *     parameters:
+ *       - in: header
+ *         name: X-Admin-Key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               weights:
+ *                 type: object
+ *               verificationThreshold:
+ *                 type: integer
+ *               performancePrior:
+ *                 type: number
+ *               endorsementScale:
+ *                 type: number
+ *               maturityDays:
+ *                 type: number
+ *               activityHalfLifeDays:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: The resulting configuration
+ *       400:
+ *         description: Invalid configuration
+ *       401:
+ *         description: Missing or invalid admin key
+ *       500:
+ *         description: Server error
+ */
+router.put('/trust', validate(schemas.admin.configureTrust), async (req, res, next) => {
+  try {
+    const config = cognitiveMesh.trust.configure(req.body);
+    const summary = await cognitiveMesh.trust.refreshAll();
+    
+    logger.info('Trust engine reconfigured', { weights: config.weights, ...summary });
+    
+    res.json({
+      success: true,
+      data: config
+    });
+  } catch (error) {
+    logger.error('Error configuring trust engine:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -7,7 +7,9 @@
 const express = require('express');
 const { Agent } = require('../../models/agent');
 const { cognitiveMesh } = require('../../core/cognitiveMesh');
+const { issueAgentKey } = require('../../core/credentials');
 const { validate, schemas } = require('../../utils/validation');
+const { agentAuth, subprocessExecutorAuth } = require('../../utils/middleware');
 const { NotFoundError, ConflictError } = require('../../utils/errors');
 const logger = require('../../utils/logger');
 
@@ -24,7 +26,21 @@ const router = express.Router();
  *         name: capabilities
  *         schema:
  *           type: string
- *         description: Comma-separated list of required capabilities
+ *         description: >
+ *           Comma-separated list of required capabilities. Agents are ordered
+ *           by how closely their capabilities match.
+ *       - in: query
+ *         name: match
+ *         schema:
+ *           type: string
+ *           enum: [exact, descendants]
+ *           default: descendants
+ *         description: Also match narrower capabilities and synonyms from the capability taxonomy
+ *       - in: query
+ *         name: maxDistance
+ *         schema:
+ *           type: integer
+ *         description: Maximum number of taxonomy steps between a required and a matched capability
  *       - in: query
  *         name: minTrustScore
  *         schema:
@@ -58,8 +74,12 @@ router.get('/', validate(schemas.agent.getAll), async (req, res, next) => {
     const filter = {};
     
     // Apply query parameters as filters
+    const matchOptions = { match: req.query.match, maxDistance: req.query.maxDistance };
+    
     if (req.query.capabilities) {
       filter.capabilities = req.query.capabilities.split(',');
+      filter.capabilityMatcher = (capability, capabilities) =>
+        !!cognitiveMesh.taxonomy.bestMatch(capability, capabilities, matchOptions);
     }
     
     if (req.query.minTrustScore) {
@@ -79,7 +99,17 @@ router.get('/', validate(schemas.agent.getAll), async (req, res, next) => {
     }
     
     logger.debug('Fetching agents with filter', { filter });
-    const agents = await Agent.findAll(filter);
+    let agents = await Agent.findAll(filter);
+    
+    // Closest capability matches first
+    if (filter.capabilities) {
+      agents = agents
+        .map(agent => ({
+          ...agent,
+          capabilityMatch: cognitiveMesh.taxonomy.matchAll(filter.capabilities, agent.capabilities, matchOptions)
+        }))
+        .sort((a, b) => b.capabilityMatch.score - a.capabilityMatch.score);
+    }
     
     res.json({
       success: true,
@@ -92,12 +122,78 @@ router.get('/', validate(schemas.agent.getAll), async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /agents/search:
+ *   get:
+ *     summary: Search agents with free text
+ *     description: >
+ *       Rank agents by the TF-IDF similarity of the query to their name,
+ *       description, capabilities and specializations. Capabilities weigh
+ *       the most and descriptions the least.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: What the agent should be able to do, in plain words
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Maximum number of results
+ *       - in: query
+ *         name: minScore
+ *         schema:
+ *           type: number
+ *           default: 0
+ *         description: Leave out results with a similarity at or below this
+ *       - in: query
+ *         name: chain
+ *         schema:
+ *           type: string
+ *           enum: [ethereum, bnb, solana]
+ *         description: Blockchain network
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive, learning]
+ *         description: Agent status
+ *     responses:
+ *       200:
+ *         description: Matching agents with their similarity score and matched terms, best first
+ *       400:
+ *         description: Missing query, or no searchable words in it
+ *       500:
+ *         description: Server error
+ */
+router.get('/search', validate(schemas.agent.search), async (req, res, next) => {
+  try {
+    const { q, ...options } = req.query;
+    const result = cognitiveMesh.searchIndex.search(q, options);
+    
+    res.json({
+      success: true,
+      count: result.results.length,
+      total: result.total,
+      terms: result.terms,
+      data: result.results
+    });
+  } catch (error) {
+    logger.error('Error searching agents:', error);
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /agents/{id}:
  *   get:
  *     summary: Get a single agent
- *     description: Retrieve an agent by ID
+ *     description: Retrieve an agent by ID, including its network centrality once computed
  *     parameters:
  *       - in: path
  *         name: id
@@ -136,7 +232,10 @@ router.get('/:id', validate(schemas.agent.getOne), async (req, res, next) => {
  * /agents:
  *   post:
  *     summary: Create a new agent
- *     description: Create a new AI agent in the network
+ *     description: >
+ *       Create a new AI agent in the network. The response carries the agent's
+ *       own key in `agentKey`; it is shown only this once, and the agent sends
+ *       it in the X-Agent-Key header to act as itself.
  *     requestBody:
  *       required: true
  *       content:
@@ -158,34 +257,42 @@ router.get('/:id', validate(schemas.agent.getOne), async (req, res, next) => {
  *                 type: array
  *                 items:
  *                   type: string
- *               trustScore:
- *                 type: number
  *               chain:
  *                 type: string
+ *               executor:
+ *                 type: object
+ *                 description: >
+ *                   How the agent is invoked (function, http or subprocess).
+ *                   Subprocess executors require the admin key.
  *               metadata:
  *                 type: object
  *     responses:
  *       201:
- *         description: Created agent
+ *         description: Created agent and its key
  *       400:
  *         description: Invalid request
+ *       401:
+ *         description: Subprocess executor without the admin key
  *       500:
  *         description: Server error
  */
-router.post('/', validate(schemas.agent.create), async (req, res, next) => {
+router.post('/', validate(schemas.agent.create), subprocessExecutorAuth, async (req, res, next) => {
   try {
     const agentData = req.body;
     
     logger.debug('Creating agent', { agentData });
     
+    const { key, credentials } = issueAgentKey();
+    
     // Create the agent in the cognitive mesh
-    const agent = await cognitiveMesh.registerAgent(agentData);
+    const agent = await cognitiveMesh.registerAgent({ ...agentData, credentials });
     
     logger.info('Agent created', { agentId: agent.id, name: agent.name });
     
     res.status(201).json({
       success: true,
-      data: agent
+      data: agent,
+      agentKey: key
     });
   } catch (error) {
     logger.error('Error creating agent:', error);
@@ -206,6 +313,15 @@ router.post('/', validate(schemas.agent.create), async (req, res, next) => {
  *         schema:
  *           type: string
  *         description: Agent ID
+ *       - in: query
+ *         name: bump
+ *         schema:
+ *           type: string
+ *           enum: [major, minor, patch]
+ *         description: >
+ *           Version part to increase when the definition changes; by default
+ *           removed capabilities and a new executor or chain make a major
+ *           version, added capabilities a minor one and anything else a patch
  *     requestBody:
  *       required: true
  *       content:
@@ -225,21 +341,24 @@ router.post('/', validate(schemas.agent.create), async (req, res, next) => {
  *                 type: array
  *                 items:
  *                   type: string
- *               trustScore:
- *                 type: number
  *               status:
  *                 type: string
+ *               executor:
+ *                 type: object
+ *                 description: Subprocess executors require the admin key
  *               metadata:
  *                 type: object
  *     responses:
  *       200:
  *         description: Updated agent
+ *       401:
+ *         description: Subprocess executor without the admin key
  *       404:
  *         description: Agent not found
  *       500:
  *         description: Server error
  */
-router.put('/:id', validate(schemas.agent.update), async (req, res, next) => {
+router.put('/:id', validate(schemas.agent.update), subprocessExecutorAuth, async (req, res, next) => {
   try {
     const agent = await Agent.findById(req.params.id);
     
@@ -249,9 +368,11 @@ router.put('/:id', validate(schemas.agent.update), async (req, res, next) => {
     
     logger.debug('Updating agent', { agentId: req.params.id, updates: req.body });
     
-    const updatedAgent = await Agent.update(req.params.id, req.body);
+    const updatedAgent = await cognitiveMesh.updateAgent(req.params.id, req.body, true, {
+      bump: req.query.bump
+    });
     
-    logger.info('Agent updated', { agentId: updatedAgent.id });
+    logger.info('Agent updated', { agentId: updatedAgent.id, version: updatedAgent.version });
     
     res.json({
       success: true,
@@ -268,7 +389,7 @@ router.put('/:id', validate(schemas.agent.update), async (req, res, next) => {
  * /agents/{id}:
  *   delete:
  *     summary: Delete an agent
- *     description: Remove an agent from the network
+ *     description: Remove an agent and every neural pathway connected to it from the network
  *     parameters:
  *       - in: path
  *         name: id
@@ -278,7 +399,7 @@ router.put('/:id', validate(schemas.agent.update), async (req, res, next) => {
  *         description: Agent ID
  *     responses:
  *       200:
- *         description: Agent deleted
+ *         description: Agent deleted, with the IDs of the removed pathways
  *       404:
  *         description: Agent not found
  *       500:
@@ -294,17 +415,15 @@ router.delete('/:id', validate(schemas.agent.getOne), async (req, res, next) =>
     
     logger.debug('Deleting agent', { agentId: req.params.id });
     
-    const success = await Agent.delete(req.params.id);
+    const { pathways } = await cognitiveMesh.removeAgent(req.params.id);
     
-    if (!success) {
-      throw new Error('Failed to delete agent');
-    }
-    
-    logger.info('Agent deleted', { agentId: req.params.id });
+    logger.info('Agent deleted', { agentId: req.params.id, removedPathways: pathways.length });
     
     res.json({
       success: true,
-      data: {}
+      data: {
+        removedPathways: pathways.map(pathway => pathway.id)
+      }
     });
   } catch (error) {
     logger.error('Error deleting agent:', error);
@@ -366,7 +485,9 @@ router.post('/:id/capabilities', validate(schemas.agent.addCapability), async (r
       capability 
     });
     
-    const updatedAgent = await Agent.addCapability(req.params.id, capability);
+    const updatedAgent = await cognitiveMesh.updateAgent(req.params.id, {
+      capabilities: [...agent.capabilities, capability]
+    });
     
     logger.info('Agent capability added', { 
       agentId: updatedAgent.id, 
@@ -423,7 +544,9 @@ router.delete('/:id/capabilities/:capability', async (req, res, next) => {
       capability: req.params.capability 
     });
     
-    const updatedAgent = await Agent.removeCapability(req.params.id, req.params.capability);
+    const updatedAgent = await cognitiveMesh.updateAgent(req.params.id, {
+      capabilities: agent.capabilities.filter(cap => cap !== req.params.capability)
+    });
     
     logger.info('Agent capability removed', { 
       agentId: updatedAgent.id, 
@@ -440,6 +563,542 @@ router.delete('/:id/capabilities/:capability', async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /agents/{id}/trust:
+ *   get:
+ *     summary: Explain an agent's trust score
+ *     description: >
+ *       The trust score computed from verified capabilities, task performance,
+ *       network position, peer endorsements and tenure, with the score, weight
+ *       and contribution of each factor
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Agent ID
+ *     responses:
+ *       200:
+ *         description: Trust score and factor breakdown
+ *       404:
+ *         description: Agent not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/trust', validate(schemas.agent.getOne), async (req, res, next) => {
+  try {
+    const agent = cognitiveMesh.agents.get(req.params.id);
+    
+    if (!agent) {
+      throw new NotFoundError('Agent', req.params.id);
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        agentId: agent.id,
+        trustScore: agent.trustScore,
+        override: agent.trustOverride || null,
+        ...agent.trust
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching agent trust:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /agents/{id}/heartbeat:
+ *   post:
+ *     summary: Report that an agent is alive
+ *     description: >
+ *       Sent by an agent or its executor, with the agent's key in X-Agent-Key,
+ *       or by an admin. The first heartbeat starts liveness monitoring; an
+ *       agent that then misses too many heartbeats is marked inactive until
+ *       its next one.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Agent ID
+ *     responses:
+ *       200:
+ *         description: Liveness status, including when the next heartbeat is due by
+ *       401:
+ *         description: Missing or invalid key of the agent
+ *       404:
+ *         description: Agent not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/heartbeat', validate(schemas.agent.getOne), agentAuth(cognitiveMesh, req => req.params.id), async (req, res, next) => {
+  try {
+    const liveness = await cognitiveMesh.liveness.heartbeat(req.params.id);
+    
+    res.json({
+      success: true,
+      data: liveness
+    });
+  } catch (error) {
+    logger.error('Error recording heartbeat:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /agents/{id}/liveness:
+ *   get:
+ *     summary: Get an agent's liveness
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Agent ID
+ *     responses:
+ *       200:
+ *         description: Whether the agent is monitored, alive or unresponsive, and its last heartbeat
+ *       404:
+ *         description: Agent not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/liveness', validate(schemas.agent.getOne), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: cognitiveMesh.liveness.status(req.params.id)
+    });
+  } catch (error) {
+    logger.error('Error fetching agent liveness:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /agents/{id}/history:
+ *   get:
+ *     summary: Get an agent's reputation history
+ *     description: >
+ *       Trust score changes, task outcomes and pathway events recorded for the
+ *       agent, with daily and weekly aggregates, the rolling task success rate
+ *       and the trend of the trust score over the range
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Agent ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range, not in the future (default 30 days before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range (default and at most now)
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *         description: Comma-separated entry types to list (trust, task, pathway)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *         description: Maximum number of entries to list, most recent kept
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of tasks the rolling success rate covers
+ *     responses:
+ *       200:
+ *         description: Agent history
+ *       400:
+ *         description: Invalid range, a range of more than HISTORY_MAX_WINDOWS days, or unknown entry types
+ *       404:
+ *         description: Agent not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/history', validate(schemas.agent.history), async (req, res, next) => {
+  try {
+    if (!cognitiveMesh.agents.has(req.params.id)) {
+      throw new NotFoundError('Agent', req.params.id);
+    }
+    
+    const history = cognitiveMesh.history.query(req.params.id, {
+      ...req.query,
+      types: req.query.types ? req.query.types.split(',').map(type => type.trim()) : undefined
+    });
+    
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    logger.error('Error fetching agent history:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /agents/{id}/versions:
+ *   get:
+ *     summary: List an agent's versions
+ *     description: Every recorded version of the agent's definition, oldest first
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Agent ID
+ *     responses:
+ *       200:
+ *         description: Agent versions
+ *       404:
+ *         description: Agent not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/versions', validate(schemas.agent.getOne), async (req, res, next) => {
+  try {
+    const agent = cognitiveMesh.agents.get(req.params.id);
+    
+    if (!agent) {
+      throw new NotFoundError('Agent', req.params.id);
+    }
+    
+    const versions = cognitiveMesh.versions.list(agent.id);
+    
+    res.json({
+      success: true,
+      count: versions.length,
+      currentVersion: agent.version,
+      data: versions
+    });
+  } catch (error) {
+    logger.error('Error fetching agent versions:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /agents/{id}/versions/{version}:
+ *   get:
+ *     summary: Get an agent version
+ *     description: The agent's definition as it was at a version, and what changed from the one before
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Agent ID
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Semantic version, such as 1.2.0
+ *     responses:
+ *       200:
+ *         description: Agent version
+ *       404:
+ *         description: Agent or version not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/versions/:version', validate(schemas.agent.version), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: cognitiveMesh.versions.get(req.params.id, req.params.version)
+    });
+  } catch (error) {
+    logger.error('Error fetching agent version:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /agents/{id}/diff:
+ *   get:
+ *     summary: Compare two agent versions
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Agent ID
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Version to compare from
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Version to compare to (default the current version)
+ *     responses:
+ *       200:
+ *         description: Changed fields with their old and new values, and the version bump they imply
+ *       404:
+ *         description: Agent or version not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/diff', validate(schemas.agent.diff), async (req, res, next) => {
+  try {
+    const agent = cognitiveMesh.agents.get(req.params.id);
+    
+    if (!agent) {
+      throw new NotFoundError('Agent', req.params.id);
+    }
+    
+    res.json({
+      success: true,
+      data: cognitiveMesh.versions.diff(agent.id, req.query.from, req.query.to || agent.version)
+    });
+  } catch (error) {
+    logger.error('Error comparing agent versions:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /agents/{id}/rollback:
+ *   post:
+ *     summary: Roll an agent back to an earlier version
+ *     description: >
+ *       Apply the definition of an earlier version again. The result is a new
+ *       version that records which one it restored; no version is removed.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Agent ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - version
+ *             properties:
+ *               version:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Agent at its new version
+ *       404:
+ *         description: Agent or version not found
+ *       409:
+ *         description: Agent already matches the version
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/rollback', validate(schemas.agent.rollback), async (req, res, next) => {
+  try {
+    const agent = await cognitiveMesh.rollbackAgent(req.params.id, req.body.version);
+    
+    logger.info('Agent rolled back', { agentId: agent.id, restored: req.body.version, version: agent.version });
+    
+    res.json({
+      success: true,
+      data: agent
+    });
+  } catch (error) {
+    logger.error('Error rolling back agent:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /agents/{id}/lineage:
+ *   get:
+ *     summary: Get an agent's lineage
+ *     description: >
+ *       The agent a cross-chain replica was cloned from and the version it
+ *       was cloned at, and the replicas cloned from this agent. A replica is
+ *       outdated once its source has moved past the cloned version.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Agent ID
+ *     responses:
+ *       200:
+ *         description: Agent lineage
+ *       404:
+ *         description: Agent not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/lineage', validate(schemas.agent.getOne), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: cognitiveMesh.versions.lineage(req.params.id)
+    });
+  } catch (error) {
+    logger.error('Error fetching agent lineage:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /agents/{id}/endorsements:
+ *   post:
+ *     summary: Endorse an agent
+ *     description: >
+ *       Record a peer's endorsement of an agent. The endorser must share a
+ *       neural pathway with the agent, and its own trust weighs the endorsement.
+ *       Only the endorser itself, with its key, or an admin can endorse.
+ *     parameters:
+ *       - in: header
+ *         name: X-Agent-Key
+ *         schema:
+ *           type: string
+ *         description: Key of the endorsing agent; not needed with X-Admin-Key
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the endorsed agent
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - endorserAgentId
+ *             properties:
+ *               endorserAgentId:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Endorsed agent
+ *       400:
+ *         description: Self-endorsement or agents not connected
+ *       401:
+ *         description: Missing or invalid key of the endorsing agent
+ *       404:
+ *         description: Agent not found
+ *       409:
+ *         description: Endorsement already exists
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/endorsements', validate(schemas.agent.endorse), agentAuth(cognitiveMesh, req => req.body.endorserAgentId), async (req, res, next) => {
+  try {
+    const { endorserAgentId, note } = req.body;
+    
+    const agent = await cognitiveMesh.trust.endorse(req.params.id, endorserAgentId, note);
+    
+    logger.info('Agent endorsed', { agentId: agent.id, endorserAgentId });
+    
+    res.status(201).json({
+      success: true,
+      data: agent
+    });
+  } catch (error) {
+    logger.error('Error endorsing agent:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /agents/{id}/endorsements/{endorserAgentId}:
+ *   delete:
+ *     summary: Withdraw an endorsement
+ *     description: >
+ *       Remove a peer's endorsement of an agent. Only the endorser itself, with
+ *       its key, or an admin can withdraw it.
+ *     parameters:
+ *       - in: header
+ *         name: X-Agent-Key
+ *         schema:
+ *           type: string
+ *         description: Key of the endorsing agent; not needed with X-Admin-Key
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the endorsed agent
+ *       - in: path
+ *         name: endorserAgentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the endorsing agent
+ *     responses:
+ *       200:
+ *         description: Updated agent
+ *       401:
+ *         description: Missing or invalid key of the endorsing agent
+ *       404:
+ *         description: Agent or endorsement not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id/endorsements/:endorserAgentId', validate(schemas.agent.withdrawEndorsement), agentAuth(cognitiveMesh, req => req.params.endorserAgentId), async (req, res, next) => {
+  try {
+    const agent = await cognitiveMesh.trust.withdrawEndorsement(req.params.id, req.params.endorserAgentId);
+    
+    logger.info('Agent endorsement withdrawn', { 
+      agentId: agent.id, 
+      endorserAgentId: req.params.endorserAgentId 
+    });
+    
+    res.json({
+      success: true,
+      data: agent
+    });
+  } catch (error) {
+    logger.error('Error withdrawing endorsement:', error);
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /agents/{id}/connections:
@@ -467,15 +1126,41 @@ router.delete('/:id/capabilities/:capability', async (req, res, next) => {
  *           minimum: 0
  *           maximum: 1
  *         description: Minimum pathway strength
+ *       - in: query
+ *         name: direction
+ *         schema:
+ *           type: string
+ *           enum: [in, out, both]
+ *           default: out
+ *         description: Follow outgoing pathways, incoming pathways or both
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [bfs, dfs]
+ *           default: dfs
+ *         description: Breadth-first or depth-first traversal
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 1000
+ *         description: Maximum number of connections to return
+ *       - in: query
+ *         name: maxPerNode
+ *         schema:
+ *           type: integer
+ *         description: Maximum pathways followed from each agent, strongest first
  *     responses:
  *       200:
- *         description: Connected agents
+ *         description: Connected agents, grouped by depth
  *       404:
  *         description: Agent not found
  *       500:
  *         description: Server error
  */
-router.get('/:id/connections', validate(schemas.agent.getOne), async (req, res, next) => {
+router.get('/:id/connections', validate(schemas.agent.getConnections), async (req, res, next) => {
   try {
     const agent = await Agent.findById(req.params.id);
     
@@ -483,21 +1168,27 @@ router.get('/:id/connections', validate(schemas.agent.getOne), async (req, res,
       throw new NotFoundError('Agent', req.params.id);
     }
     
-    const options = {
-      maxDepth: parseInt(req.query.maxDepth || '1', 10),
-      minStrength: parseFloat(req.query.minStrength || '0')
-    };
+    const options = req.query;
     
     logger.debug('Finding connections for agent', { 
       agentId: req.params.id, 
       options 
     });
     
-    const connections = cognitiveMesh.findConnections(req.params.id, options);
+    const { connections, truncated } = cognitiveMesh.exploreConnections(req.params.id, options);
+    
+    // Group agent IDs by their distance from the requested agent
+    const byDepth = connections.reduce((groups, connection) => {
+      groups[connection.depth] = groups[connection.depth] || [];
+      groups[connection.depth].push(connection.agent ? connection.agent.id : null);
+      return groups;
+    }, {});
     
     res.json({
       success: true,
       count: connections.length,
+      truncated,
+      byDepth,
       data: connections
     });
   } catch (error) {
@@ -506,4 +1197,96 @@ router.get('/:id/connections', validate(schemas.agent.getOne), async (req, res,
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+/**
+ * @swagger
+ * /agents/{id}/paths/{targetId}:
+ *   get:
+ *     summary: Find paths between agents
+ *     description: Find the best routes from one agent to another through the cognitive mesh
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Source agent ID
+ *       - in: path
+ *         name: targetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Target agent ID
+ *       - in: query
+ *         name: algorithm
+ *         schema:
+ *           type: string
+ *           enum: [shortest, strongest]
+ *           default: shortest
+ *         description: Fewest hops or highest product of pathway strengths
+ *       - in: query
+ *         name: k
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *           minimum: 1
+ *           maximum: 20
+ *         description: Number of alternative paths to return
+ *       - in: query
+ *         name: minStrength
+ *         schema:
+ *           type: number
+ *           default: 0
+ *           minimum: 0
+ *           maximum: 1
+ *         description: Minimum strength of every pathway on the route
+ *       - in: query
+ *         name: chain
+ *         schema:
+ *           type: string
+ *           enum: [ethereum, bnb, solana]
+ *         description: Only route through intermediary agents on this chain
+ *       - in: query
+ *         name: maxHops
+ *         schema:
+ *           type: integer
+ *         description: Maximum number of pathways on a route
+ *     responses:
+ *       200:
+ *         description: Paths, best first
+ *       400:
+ *         description: Invalid request
+ *       404:
+ *         description: Agent not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/paths/:targetId', validate(schemas.agent.findPaths), async (req, res, next) => {
+  try {
+    const { id, targetId } = req.params;
+    
+    for (const agentId of [id, targetId]) {
+      if (!cognitiveMesh.agents.has(agentId)) {
+        throw new NotFoundError('Agent', agentId);
+      }
+    }
+    
+    logger.debug('Finding paths between agents', { 
+      sourceAgentId: id, 
+      targetAgentId: targetId, 
+      options: req.query 
+    });
+    
+    const paths = cognitiveMesh.findPaths(id, targetId, req.query);
+    
+    res.json({
+      success: true,
+      count: paths.length,
+      data: paths
+    });
+  } catch (error) {
+    logger.error('Error finding paths:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,296 @@
+/**
+ * Capability API Routes
+ *
+ * Endpoints for managing the capability taxonomy used to match agents.
+ */
+
+const express = require('express');
+const { cognitiveMesh } = require('../../core/cognitiveMesh');
+const { validate, schemas } = require('../../utils/validation');
+const logger = require('../../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /capabilities:
+ *   get:
+ *     summary: List the capability taxonomy
+ *     description: Every capability with its parents, children, aliases and synonyms
+ *     responses:
+ *       200:
+ *         description: Capabilities sorted by name
+ *       500:
+ *         description: Server error
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const capabilities = cognitiveMesh.taxonomy.list();
+
+    res.json({
+      success: true,
+      count: capabilities.length,
+      data: capabilities
+    });
+  } catch (error) {
+    logger.error('Error fetching capabilities:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /capabilities:
+ *   post:
+ *     summary: Add a capability to the taxonomy
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               parents:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Broader capabilities, which must already exist
+ *               aliases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Other names of the same capability
+ *               synonyms:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Existing capabilities that can stand in for this one, and the reverse
+ *     responses:
+ *       201:
+ *         description: Capability added
+ *       400:
+ *         description: Invalid input, unknown parent or synonym
+ *       409:
+ *         description: Name or alias already taken
+ *       500:
+ *         description: Server error
+ */
+router.post('/', validate(schemas.capability.create), async (req, res, next) => {
+  try {
+    const capability = cognitiveMesh.taxonomy.add(req.body);
+
+    logger.info('Capability added', { name: capability.name, parents: capability.parents });
+
+    res.status(201).json({
+      success: true,
+      data: capability
+    });
+  } catch (error) {
+    logger.error('Error adding capability:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /capabilities/{name}:
+ *   get:
+ *     summary: Get a capability
+ *     description: A capability, or the capability an alias names, with all its ancestors and descendants
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Capability name or alias
+ *     responses:
+ *       200:
+ *         description: Capability details
+ *       404:
+ *         description: Capability not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:name', validate(schemas.capability.getOne), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: cognitiveMesh.taxonomy.get(req.params.name)
+    });
+  } catch (error) {
+    logger.error('Error fetching capability:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /capabilities/{name}:
+ *   put:
+ *     summary: Update a capability
+ *     description: Change the description or relations of a capability; given lists replace the current ones
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Capability name or alias
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               parents:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               aliases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               synonyms:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Capability updated
+ *       400:
+ *         description: Invalid input, unknown relation or a cycle of parents
+ *       404:
+ *         description: Capability not found
+ *       409:
+ *         description: Alias already taken
+ *       500:
+ *         description: Server error
+ */
+router.put('/:name', validate(schemas.capability.update), async (req, res, next) => {
+  try {
+    const capability = cognitiveMesh.taxonomy.update(req.params.name, req.body);
+
+    logger.info('Capability updated', { name: capability.name, updates: Object.keys(req.body) });
+
+    res.json({
+      success: true,
+      data: capability
+    });
+  } catch (error) {
+    logger.error('Error updating capability:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /capabilities/{name}:
+ *   delete:
+ *     summary: Remove a capability from the taxonomy
+ *     description: Its children move up to its parents. Agents keep the capability name.
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Capability name or alias
+ *     responses:
+ *       200:
+ *         description: Capability removed
+ *       404:
+ *         description: Capability not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:name', validate(schemas.capability.getOne), async (req, res, next) => {
+  try {
+    const capability = cognitiveMesh.taxonomy.remove(req.params.name);
+
+    logger.info('Capability removed', { name: capability.name });
+
+    res.json({
+      success: true,
+      data: capability
+    });
+  } catch (error) {
+    logger.error('Error removing capability:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /capabilities/{name}/agents:
+ *   get:
+ *     summary: Find agents with a capability
+ *     description: >
+ *       Agents holding the capability, one of its aliases, a narrower
+ *       capability or a synonym, closest matches first. Each match scores
+ *       1 / (1 + distance), where distance counts the taxonomy steps.
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Capability name or alias
+ *       - in: query
+ *         name: match
+ *         schema:
+ *           type: string
+ *           enum: [exact, descendants]
+ *           default: descendants
+ *         description: Whether narrower capabilities and synonyms match
+ *       - in: query
+ *         name: maxDistance
+ *         schema:
+ *           type: integer
+ *         description: Maximum number of taxonomy steps
+ *       - in: query
+ *         name: includeUnresponsive
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also list agents that stopped sending heartbeats
+ *     responses:
+ *       200:
+ *         description: Matching agents with the capability they matched by and its score
+ *       500:
+ *         description: Server error
+ */
+router.get('/:name/agents', validate(schemas.capability.agents), async (req, res, next) => {
+  try {
+    const { match, maxDistance, includeUnresponsive } = req.query;
+    const agents = cognitiveMesh.queryAgents({
+      capabilities: [req.params.name],
+      capabilityMatch: match,
+      maxDistance,
+      includeUnresponsive
+    });
+
+    res.json({
+      success: true,
+      count: agents.length,
+      data: agents.map(agent => ({
+        agent,
+        ...cognitiveMesh.taxonomy.bestMatch(req.params.name, agent.capabilities, { match, maxDistance })
+      }))
+    });
+  } catch (error) {
+    logger.error('Error finding agents by capability:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -8,6 +8,8 @@ const express = require('express');
 const { getChainAdapter } = require('../../core/chainAdapter');
 const { Agent } = require('../../models/agent');
 const { NeuralPathway } = require('../../models/neuralPathway');
+const { cognitiveMesh } = require('../../core/cognitiveMesh');
+const { issueAgentKey } = require('../../core/credentials');
 
 const router = express.Router();
 
@@ -163,28 +165,39 @@ router.post('/deploy', async (req, res) => {
     // In a real implementation, this would deploy the agent to the target chain
     // For the MVP, we'll just create a new agent with the same details but different chain
     
+    // Leave out the ID so the system generates a new one. The replica is a
+    // new agent: it earns its own trust, endorsements and track record, and
+    // gets a key of its own rather than the source's.
+    const {
+      id, createdAt, updatedAt,
+      credentials, trust, trustScore, trustOverride, endorsements, performance, liveness, centrality,
+      ...agentDetails
+    } = agent;
+    const issued = issueAgentKey();
+    
     const crossChainAgent = {
-      ...agent,
-      id: undefined, // Let the system generate a new ID
+      ...agentDetails,
+      credentials: issued.credentials,
       chain: targetChain,
       sourceChain: agent.chain,
       sourceAgentId: agent.id,
+      // The replica starts at the source's version and remembers it
+      sourceVersion: agent.version,
       metadata: {
         ...agent.metadata,
         crossChainDeployment: {
           timestamp: new Date(),
           sourceChain: agent.chain,
-          sourceAgentId: agent.id
+          sourceAgentId: agent.id,
+          sourceVersion: agent.version
         }
       }
     };
     
-    const newAgent = await Agent.create(crossChainAgent);
+    const newAgent = await cognitiveMesh.registerAgent(crossChainAgent);
     
     // Create a cross-chain neural pathway between the original and new agent
-    await NeuralPathway.create({
-      sourceAgentId: agent.id,
-      targetAgentId: newAgent.id,
+    await cognitiveMesh.establishPathway(agent.id, newAgent.id, {
       bidirectional: true,
       strength: 1.0,
       metadata: {
@@ -197,9 +210,18 @@ router.post('/deploy', async (req, res) => {
     res.status(201).json({
       success: true,
       sourceAgent: agent,
-      deployedAgent: newAgent
+      deployedAgent: newAgent,
+      deployedAgentKey: issued.key
     });
   } catch (error) {
+    // Conflicts with the mesh, such as an agent ID that is taken
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     console.error('Error deploying agent to different chain:', error);
     res.status(500).json({
       success: false,
@@ -261,16 +283,14 @@ router.post('/bridge', async (req, res) => {
     // Check if a pathway already exists
     const existingPathway = await NeuralPathway.findByAgents(sourceAgentId, targetAgentId);
     if (existingPathway) {
-      return res.status(400).json({
+      return res.status(409).json({
         success: false,
         error: 'A neural pathway already exists between these agents'
       });
     }
     
     // Create a cross-chain neural pathway
-    const crossChainPathway = await NeuralPathway.create({
-      sourceAgentId,
-      targetAgentId,
+    const crossChainPathway = await cognitiveMesh.establishPathway(sourceAgentId, targetAgentId, {
       bidirectional: pathwayData.bidirectional || true,
       strength: pathwayData.strength || 1.0,
       metadata: {
@@ -287,6 +307,14 @@ router.post('/bridge', async (req, res) => {
       data: crossChainPathway
     });
   } catch (error) {
+    // Conflicts with the mesh, such as an agent ID that is taken
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     console.error('Error creating cross-chain neural pathway:', error);
     res.status(500).json({
       success: false,
@@ -0,0 +1,154 @@
+/**
+ * Event API Routes
+ * 
+ * Endpoints for observing live events of the AETHERMIND cognitive mesh.
+ * Events are also available over WebSocket at /api/events/ws.
+ */
+
+const express = require('express');
+const { meshEvents, MeshEventStream } = require('../../core/eventStream');
+const { validate, schemas } = require('../../utils/validation');
+const logger = require('../../utils/logger');
+
+const router = express.Router();
+
+const HEARTBEAT_MS = parseInt(process.env.EVENT_HEARTBEAT_MS) || 15000;
+
+/**
+ * @swagger
+ * /events:
+ *   get:
+ *     summary: Stream mesh events
+ *     description: >
+ *       Server-Sent Events stream of cognitive mesh events. Reconnecting
+ *       clients resume after the event given by the Last-Event-ID header or
+ *       the lastEventId parameter. A comment line is sent as a heartbeat.
+ *     parameters:
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *         description: Comma-separated event types
+ *       - in: query
+ *         name: agentId
+ *         schema:
+ *           type: string
+ *         description: Comma-separated agent IDs
+ *       - in: query
+ *         name: chain
+ *         schema:
+ *           type: string
+ *         description: Comma-separated chains
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: integer
+ *         description: Resume after this event ID
+ *     responses:
+ *       200:
+ *         description: An event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid request
+ */
+router.get('/', validate(schemas.events.stream), (req, res) => {
+  const filter = MeshEventStream.parseFilter(req.query);
+  const header = parseInt(req.header('Last-Event-ID'));
+  const lastEventId = Number.isNaN(header) ? req.query.lastEventId : header;
+
+  // The stream stays open, so the request timeout doesn't apply
+  clearTimeout(req.timeout);
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps the compression middleware from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  const subscription = meshEvents.subscribe(filter, send, lastEventId, gap => {
+    res.write(`event: gap\ndata: ${JSON.stringify(gap)}\n\n`);
+  });
+
+  const heartbeat = setInterval(() => {
+    res.write(`: heartbeat ${new Date().toISOString()}\n\n`);
+  }, HEARTBEAT_MS);
+
+  logger.debug('Event stream opened', { filter, lastEventId });
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    subscription.unsubscribe();
+    logger.debug('Event stream closed');
+  });
+});
+
+/**
+ * @swagger
+ * /events/recent:
+ *   get:
+ *     summary: Get recent mesh events
+ *     description: Buffered mesh events matching the filters, oldest first
+ *     parameters:
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *         description: Comma-separated event types
+ *       - in: query
+ *         name: agentId
+ *         schema:
+ *           type: string
+ *         description: Comma-separated agent IDs
+ *       - in: query
+ *         name: chain
+ *         schema:
+ *           type: string
+ *         description: Comma-separated chains
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: integer
+ *         description: Only events after this event ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *         description: Maximum number of events (the most recent are kept)
+ *     responses:
+ *       200:
+ *         description: A list of events
+ *       400:
+ *         description: Invalid request
+ */
+router.get('/recent', validate(schemas.events.recent), (req, res, next) => {
+  try {
+    const events = meshEvents.recent(MeshEventStream.parseFilter(req.query), {
+      after: req.query.after,
+      limit: req.query.limit
+    });
+    
+    res.json({
+      success: true,
+      count: events.length,
+      lastEventId: meshEvents.lastId,
+      data: events
+    });
+  } catch (error) {
+    logger.error('Error fetching recent events:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
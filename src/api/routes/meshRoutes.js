@@ -0,0 +1,170 @@
+/**
+ * Mesh API Routes
+ * 
+ * Endpoints for analyzing the structure of the AETHERMIND cognitive mesh.
+ */
+
+const express = require('express');
+const { cognitiveMesh } = require('../../core/cognitiveMesh');
+const { validate, schemas } = require('../../utils/validation');
+const logger = require('../../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /mesh/communities:
+ *   get:
+ *     summary: Detect agent communities
+ *     description: >
+ *       Cluster agents by the strength of the pathways between them. Returns
+ *       each community with its members and dominant capabilities, and the
+ *       bridge agents that connect communities.
+ *     parameters:
+ *       - in: query
+ *         name: algorithm
+ *         schema:
+ *           type: string
+ *           enum: [louvain, label-propagation]
+ *           default: louvain
+ *         description: Community detection algorithm
+ *       - in: query
+ *         name: resolution
+ *         schema:
+ *           type: number
+ *           default: 1
+ *         description: Louvain resolution; higher values yield smaller communities
+ *       - in: query
+ *         name: minStrength
+ *         schema:
+ *           type: number
+ *           default: 0
+ *           minimum: 0
+ *           maximum: 1
+ *         description: Ignore pathways weaker than this
+ *       - in: query
+ *         name: chain
+ *         schema:
+ *           type: string
+ *           enum: [ethereum, bnb, solana]
+ *         description: Only cluster agents on this chain
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also use inactive pathways
+ *       - in: query
+ *         name: topCapabilities
+ *         schema:
+ *           type: integer
+ *           default: 3
+ *         description: Number of dominant capabilities listed per community
+ *     responses:
+ *       200:
+ *         description: Communities, largest first, and bridge agents
+ *       400:
+ *         description: Invalid parameters
+ *       500:
+ *         description: Server error
+ */
+router.get('/communities', validate(schemas.mesh.communities), async (req, res, next) => {
+  try {
+    logger.debug('Detecting agent communities', { options: req.query });
+    
+    const result = cognitiveMesh.detectCommunities(req.query);
+    
+    res.json({
+      success: true,
+      count: result.communities.length,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error detecting communities:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /mesh/centrality:
+ *   get:
+ *     summary: Rank agents by centrality
+ *     description: >
+ *       Agents ordered by a measure of their network position. Measures are
+ *       recomputed in the background after the mesh changes and are also
+ *       returned as `centrality` on each agent.
+ *     parameters:
+ *       - in: query
+ *         name: metric
+ *         schema:
+ *           type: string
+ *           enum: [pageRank, betweenness, closeness, degree, weightedDegree]
+ *           default: pageRank
+ *         description: Centrality measure to rank by
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Maximum number of agents
+ *       - in: query
+ *         name: chain
+ *         schema:
+ *           type: string
+ *           enum: [ethereum, bnb, solana]
+ *         description: Only rank agents on this chain
+ *     responses:
+ *       200:
+ *         description: Ranked agents, most central first
+ *       400:
+ *         description: Invalid parameters
+ *       500:
+ *         description: Server error
+ */
+router.get('/centrality', validate(schemas.mesh.centrality), async (req, res, next) => {
+  try {
+    const { metric, limit, chain } = req.query;
+    
+    const ranking = cognitiveMesh.centrality.ranking(metric, { limit, chain });
+    
+    res.json({
+      success: true,
+      metric,
+      computedAt: cognitiveMesh.centrality.computedAt,
+      count: ranking.length,
+      data: ranking
+    });
+  } catch (error) {
+    logger.error('Error ranking agents by centrality:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /mesh/replication:
+ *   get:
+ *     summary: Get the replication state of this node
+ *     description: >
+ *       Whether the node replicates its mesh through the shared log, whether
+ *       it is the leader, and the log positions it has applied and written
+ *     responses:
+ *       200:
+ *         description: Replication state
+ *       500:
+ *         description: Server error
+ */
+router.get('/replication', async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: cognitiveMesh.replication.status()
+    });
+  } catch (error) {
+    logger.error('Error fetching replication state:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -8,6 +8,7 @@ const express = require('express');
 const { NeuralPathway } = require('../../models/neuralPathway');
 const { Agent } = require('../../models/agent');
 const { cognitiveMesh } = require('../../core/cognitiveMesh');
+const { validate, schemas } = require('../../utils/validation');
 
 const router = express.Router();
 
@@ -91,7 +92,7 @@ router.get('/:id', async (req, res) => {
  * @desc    Create a new neural pathway
  * @access  Public
  */
-router.post('/', async (req, res) => {
+router.post('/', validate(schemas.pathway.create), async (req, res) => {
   try {
     const { sourceAgentId, targetAgentId, ...pathwayData } = req.body;
     
@@ -123,7 +124,7 @@ router.post('/', async (req, res) => {
     // Check if a pathway already exists between these agents
     const existingPathway = await NeuralPathway.findByAgents(sourceAgentId, targetAgentId);
     if (existingPathway) {
-      return res.status(400).json({
+      return res.status(409).json({
         success: false,
         error: 'A neural pathway already exists between these agents'
       });
@@ -141,6 +142,14 @@ router.post('/', async (req, res) => {
       data: pathway
     });
   } catch (error) {
+    // Invalid or unsatisfied version pins, and conflicts with the mesh
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     console.error('Error creating neural pathway:', error);
     res.status(500).json({
       success: false,
@@ -154,7 +163,7 @@ router.post('/', async (req, res) => {
  * @desc    Update a neural pathway
  * @access  Public
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', validate(schemas.pathway.update), async (req, res) => {
   try {
     const pathway = await NeuralPathway.findById(req.params.id);
     
@@ -182,13 +191,25 @@ router.put('/:id', async (req, res) => {
       });
     }
     
-    const updatedPathway = await NeuralPathway.update(req.params.id, updateData);
+    const updatedPathway = await cognitiveMesh.updatePathway(
+      pathway.sourceAgentId,
+      pathway.targetAgentId,
+      updateData
+    );
     
     res.json({
       success: true,
       data: updatedPathway
     });
   } catch (error) {
+    // Invalid or unsatisfied version pins, and conflicts with the mesh
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     console.error('Error updating neural pathway:', error);
     res.status(500).json({
       success: false,
@@ -213,20 +234,21 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    const success = await NeuralPathway.delete(req.params.id);
-    
-    if (!success) {
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to delete neural pathway'
-      });
-    }
+    await cognitiveMesh.removePathway(pathway.sourceAgentId, pathway.targetAgentId);
     
     res.json({
       success: true,
       data: {}
     });
   } catch (error) {
+    // The pathway went away in the meantime
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     console.error('Error deleting neural pathway:', error);
     res.status(500).json({
       success: false,
@@ -265,7 +287,15 @@ router.post('/:id/token', async (req, res) => {
       });
     }
     
-    const tokenizedPathway = await NeuralPathway.generateToken(req.params.id);
+    const { tokenId, metadata } = await NeuralPathway.generateToken(req.params.id);
+    
+    // The token was stored by the model; bring the mesh copy up to date
+    const tokenizedPathway = await cognitiveMesh.updatePathway(
+      pathway.sourceAgentId,
+      pathway.targetAgentId,
+      { tokenId, metadata },
+      false
+    );
     
     res.json({
       success: true,
@@ -296,13 +326,25 @@ router.post('/:id/usage', async (req, res) => {
       });
     }
     
-    const updatedPathway = await NeuralPathway.recordUsage(req.params.id);
+    const updatedPathway = await cognitiveMesh.updatePathway(
+      pathway.sourceAgentId,
+      pathway.targetAgentId,
+      { lastUsed: new Date(), usageCount: (pathway.usageCount || 0) + 1 }
+    );
     
     res.json({
       success: true,
       data: updatedPathway
     });
   } catch (error) {
+    // The pathway went away in the meantime
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     console.error('Error recording neural pathway usage:', error);
     res.status(500).json({
       success: false,
@@ -336,13 +378,26 @@ router.put('/:id/strength', async (req, res) => {
       });
     }
     
-    const updatedPathway = await NeuralPathway.updateStrength(req.params.id, parseFloat(strength));
+    // Clamp to 0-1 range
+    const updatedPathway = await cognitiveMesh.updatePathway(
+      pathway.sourceAgentId,
+      pathway.targetAgentId,
+      { strength: Math.max(0, Math.min(1, parseFloat(strength))) }
+    );
     
     res.json({
       success: true,
       data: updatedPathway
     });
   } catch (error) {
+    // The pathway went away in the meantime
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     console.error('Error updating neural pathway strength:', error);
     res.status(500).json({
       success: false,
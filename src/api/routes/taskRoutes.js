@@ -0,0 +1,319 @@
+/**
+ * Task API Routes
+ * 
+ * Endpoints for running collective cognition tasks as asynchronous jobs
+ * in the AETHERMIND cognitive network.
+ */
+
+const express = require('express');
+const taskService = require('../../services/taskService');
+const { validate, schemas } = require('../../utils/validation');
+const { ConflictError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Job fields returned by the status endpoints (results are fetched separately)
+ */
+function toStatus(job) {
+  const { result, ...status } = job;
+  return {
+    ...status,
+    hasResults: result !== null
+  };
+}
+
+/**
+ * @swagger
+ * /tasks:
+ *   post:
+ *     summary: Submit a collective cognition task
+ *     description: Queue a task for asynchronous execution across several agents and get back a job ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - task
+ *             properties:
+ *               agentIds:
+ *                 type: array
+ *                 description: Agents to run the task on (omit to route by task.requirements)
+ *                 items:
+ *                   type: string
+ *               task:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   input:
+ *                     description: Input handed to every agent
+ *                   consensus:
+ *                     description: Consensus strategy name or configuration
+ *                   aggregation:
+ *                     description: Aggregation strategy name or configuration
+ *                   requirements:
+ *                     type: object
+ *                     description: Capabilities, trust and chain requirements used to select agents
+ *                   execution:
+ *                     type: object
+ *                     description: Per-agent timeout, retries, backoff and quorum
+ *               maxAttempts:
+ *                 type: integer
+ *                 description: Attempts before the job is dead-lettered
+ *     responses:
+ *       202:
+ *         description: Task accepted
+ *       400:
+ *         description: Invalid request
+ *       404:
+ *         description: Agent not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/', validate(schemas.task.submit), async (req, res, next) => {
+  try {
+    const { task, agentIds, maxAttempts } = req.body;
+    
+    logger.debug('Submitting task', { task, agentIds });
+    
+    const job = await taskService.submitTask(task, agentIds, { maxAttempts });
+    
+    res.status(202).json({
+      success: true,
+      data: toStatus(job)
+    });
+  } catch (error) {
+    logger.error('Error submitting task:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /tasks:
+ *   get:
+ *     summary: List task jobs
+ *     description: Retrieve submitted task jobs with optional filtering
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, cancelled, dead-lettered]
+ *         description: Job status
+ *       - in: query
+ *         name: agentId
+ *         schema:
+ *           type: string
+ *         description: Only jobs involving this agent
+ *     responses:
+ *       200:
+ *         description: A list of task jobs
+ *       500:
+ *         description: Server error
+ */
+router.get('/', validate(schemas.task.getAll), async (req, res, next) => {
+  try {
+    const jobs = await taskService.listJobs(req.query);
+    
+    res.json({
+      success: true,
+      count: jobs.length,
+      data: jobs.map(toStatus)
+    });
+  } catch (error) {
+    logger.error('Error fetching task jobs:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/dead-letters:
+ *   get:
+ *     summary: List dead-lettered task jobs
+ *     description: Jobs that ran out of attempts or failed with an error that retrying cannot fix
+ *     responses:
+ *       200:
+ *         description: A list of dead-lettered jobs
+ *       500:
+ *         description: Server error
+ */
+router.get('/dead-letters', async (req, res, next) => {
+  try {
+    const jobs = await taskService.listDeadLetters();
+    
+    res.json({
+      success: true,
+      count: jobs.length,
+      data: jobs.map(toStatus)
+    });
+  } catch (error) {
+    logger.error('Error fetching dead-lettered tasks:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}:
+ *   get:
+ *     summary: Get task job status
+ *     description: Poll the status of a submitted task
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job status
+ *       404:
+ *         description: Job not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', validate(schemas.task.getOne), async (req, res, next) => {
+  try {
+    const job = await taskService.getJob(req.params.id);
+    
+    res.json({
+      success: true,
+      data: toStatus(job)
+    });
+  } catch (error) {
+    logger.error('Error fetching task job:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/results:
+ *   get:
+ *     summary: Get task results
+ *     description: Fetch the individual agent results and the aggregated result of a completed task
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Individual and aggregated results
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job has not completed
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/results', validate(schemas.task.getOne), async (req, res, next) => {
+  try {
+    const job = await taskService.getJob(req.params.id);
+    
+    if (job.status !== 'completed') {
+      throw new ConflictError(`Task job ${job.id} has not completed`, {
+        jobId: job.id,
+        status: job.status
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        jobId: job.id,
+        taskId: job.task.id,
+        participatingAgents: job.participatingAgents,
+        ...job.result
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching task results:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/cancel:
+ *   post:
+ *     summary: Cancel a task
+ *     description: Cancel a queued or running task job
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Cancelled job
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job has already finished
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/cancel', validate(schemas.task.getOne), async (req, res, next) => {
+  try {
+    const job = await taskService.cancelJob(req.params.id);
+    
+    res.json({
+      success: true,
+      data: toStatus(job)
+    });
+  } catch (error) {
+    logger.error('Error cancelling task:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/retry:
+ *   post:
+ *     summary: Retry a dead-lettered task
+ *     description: Requeue a dead-lettered job with a fresh set of attempts
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Requeued job
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is not dead-lettered
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/retry', validate(schemas.task.getOne), async (req, res, next) => {
+  try {
+    const job = await taskService.retryJob(req.params.id);
+    
+    res.json({
+      success: true,
+      data: toStatus(job)
+    });
+  } catch (error) {
+    logger.error('Error retrying task:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,329 @@
+/**
+ * Result Aggregation - Fusion strategies for collective cognition
+ *
+ * This module turns the individual agent results of a collective task into
+ * a single answer. Strategies are registered by name and a task selects one
+ * through its `aggregation` field:
+ *
+ *   aggregation: 'median'
+ *   aggregation: { strategy: 'borda', weightBy: 'trust' }
+ */
+
+const { ValidationError } = require('../utils/errors');
+const { canonicalize } = require('./consensus');
+
+const DEFAULT_STRATEGY = 'highest-confidence';
+const DEFAULT_TRUST_SCORE = 0.5;
+
+/**
+ * Confidence reported by a result, treating a missing value as full confidence
+ * @private
+ */
+function confidenceOf(result) {
+  return typeof result.confidence === 'number' ? result.confidence : 1.0;
+}
+
+/**
+ * Trust score of the agent that produced a result
+ * @private
+ */
+function trustOf(result, context) {
+  const agent = context.agents.get(result.agentId);
+  return agent && typeof agent.trustScore === 'number' ? agent.trustScore : DEFAULT_TRUST_SCORE;
+}
+
+/**
+ * Group results by answer and sum a per-result weight for each group
+ * @private
+ */
+function weightedGroups(results, weightOf) {
+  const groups = new Map();
+
+  results.forEach(result => {
+    const key = canonicalize(result.result);
+    if (!groups.has(key)) {
+      groups.set(key, { result: result.result, weight: 0, agents: [] });
+    }
+    const group = groups.get(key);
+    group.weight += weightOf(result);
+    group.agents.push(result.agentId);
+  });
+
+  return Array.from(groups.values()).sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Numeric values of the results, ignoring answers that aren't numbers
+ * @private
+ */
+function numericResults(results) {
+  return results
+    .map(result => ({ result, value: Number(result.result) }))
+    .filter(entry => entry.result.result !== null && entry.result.result !== '' && Number.isFinite(entry.value));
+}
+
+function averageConfidence(results) {
+  if (results.length === 0) return 0;
+  return results.reduce((sum, r) => sum + confidenceOf(r), 0) / results.length;
+}
+
+// Built-in aggregation strategies
+// Each strategy receives the completed results and a context of
+// { agents, options }, and returns { primaryResult, confidence, ...details }.
+
+/**
+ * Highest confidence: the single answer reported with the most confidence
+ */
+function highestConfidence(results) {
+  const best = [...results].sort((a, b) => confidenceOf(b) - confidenceOf(a))[0];
+
+  return {
+    primaryResult: best.result,
+    confidence: confidenceOf(best),
+    selectedAgent: best.agentId
+  };
+}
+
+/**
+ * Trust-weighted voting: identical answers pool the trust score of their
+ * agents (multiplied by confidence unless `useConfidence` is false)
+ */
+function trustWeighted(results, context) {
+  const useConfidence = context.options.useConfidence !== false;
+  const groups = weightedGroups(results, r => trustOf(r, context) * (useConfidence ? confidenceOf(r) : 1));
+  const total = groups.reduce((sum, group) => sum + group.weight, 0);
+
+  return {
+    primaryResult: groups[0].result,
+    confidence: total > 0 ? groups[0].weight / total : 0,
+    votes: groups.map(group => ({ result: group.result, weight: group.weight, agents: group.agents }))
+  };
+}
+
+/**
+ * Median of numeric answers
+ */
+function median(results) {
+  const numeric = numericResults(results);
+
+  if (numeric.length === 0) {
+    throw new ValidationError('Median aggregation requires numeric results');
+  }
+
+  const values = numeric.map(entry => entry.value).sort((a, b) => a - b);
+  const middle = Math.floor(values.length / 2);
+  const value = values.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+
+  const deviations = values.map(v => Math.abs(v - value)).sort((a, b) => a - b);
+  const mad = deviations.length % 2
+    ? deviations[middle]
+    : (deviations[middle - 1] + deviations[middle]) / 2;
+
+  return {
+    primaryResult: value,
+    confidence: averageConfidence(numeric.map(entry => entry.result)),
+    medianAbsoluteDeviation: mad,
+    valueCount: values.length
+  };
+}
+
+/**
+ * Mean of numeric answers, confidence-weighted unless `weighted` is false
+ */
+function mean(results, context) {
+  const numeric = numericResults(results);
+
+  if (numeric.length === 0) {
+    throw new ValidationError('Mean aggregation requires numeric results');
+  }
+
+  const weighted = context.options.weighted !== false;
+  const weights = numeric.map(entry => (weighted ? confidenceOf(entry.result) : 1));
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  // With no confidence anywhere, every answer counts the same
+  const value = totalWeight > 0
+    ? numeric.reduce((sum, entry, i) => sum + entry.value * weights[i], 0) / totalWeight
+    : numeric.reduce((sum, entry) => sum + entry.value, 0) / numeric.length;
+  const variance = numeric.reduce((sum, entry) => sum + Math.pow(entry.value - value, 2), 0) / numeric.length;
+
+  return {
+    primaryResult: value,
+    confidence: averageConfidence(numeric.map(entry => entry.result)),
+    standardDeviation: Math.sqrt(variance),
+    valueCount: numeric.length
+  };
+}
+
+/**
+ * Borda count over ordered answers: an item ranked i-th of m candidates earns
+ * m - 1 - i points from that agent. Ballots can be weighted by `weightBy`
+ * ('none', 'confidence' or 'trust').
+ */
+function borda(results, context) {
+  const ballots = results.filter(r => Array.isArray(r.result));
+
+  if (ballots.length === 0) {
+    throw new ValidationError('Borda aggregation requires ordered (array) results');
+  }
+
+  const candidates = new Map();
+  ballots.forEach(ballot => {
+    ballot.result.forEach(item => {
+      candidates.set(canonicalize(item), { item, score: 0 });
+    });
+  });
+
+  const weightBy = context.options.weightBy || 'none';
+  const candidateCount = candidates.size;
+  let totalWeight = 0;
+
+  ballots.forEach(ballot => {
+    let weight = 1;
+    if (weightBy === 'confidence') weight = confidenceOf(ballot);
+    if (weightBy === 'trust') weight = trustOf(ballot, context);
+    totalWeight += weight;
+
+    ballot.result.forEach((item, rank) => {
+      candidates.get(canonicalize(item)).score += weight * (candidateCount - 1 - rank);
+    });
+  });
+
+  const ranking = Array.from(candidates.values()).sort((a, b) => b.score - a.score);
+  const maxScore = totalWeight * (candidateCount - 1);
+
+  return {
+    primaryResult: ranking.map(entry => entry.item),
+    confidence: maxScore > 0 ? ranking[0].score / maxScore : 1,
+    scores: ranking
+  };
+}
+
+/**
+ * Confidence-calibrated fusion: each agent's confidence is converted to
+ * log-odds and scaled by its calibration factor (from `calibration[agentId]`
+ * or `agent.metadata.calibration`, default 1). Identical answers pool their
+ * evidence, and the fused confidence is the answer's share against an
+ * implicit "none of these" alternative.
+ */
+function calibrated(results, context) {
+  const calibration = context.options.calibration || {};
+  const logOdds = result => {
+    const agent = context.agents.get(result.agentId);
+    const factor = calibration[result.agentId] !== undefined
+      ? calibration[result.agentId]
+      : (agent && agent.metadata && agent.metadata.calibration) || 1;
+    const p = Math.max(0.01, Math.min(0.99, confidenceOf(result)));
+    return factor * Math.log(p / (1 - p));
+  };
+
+  const groups = weightedGroups(results, logOdds);
+  const normalizer = 1 + groups.reduce((sum, group) => sum + Math.exp(group.weight), 0);
+
+  return {
+    primaryResult: groups[0].result,
+    confidence: Math.exp(groups[0].weight) / normalizer,
+    evidence: groups.map(group => ({ result: group.result, logOdds: group.weight, agents: group.agents }))
+  };
+}
+
+const strategies = new Map([
+  ['highest-confidence', highestConfidence],
+  ['trust-weighted', trustWeighted],
+  ['median', median],
+  ['mean', mean],
+  ['borda', borda],
+  ['calibrated', calibrated]
+]);
+
+/**
+ * Register a custom aggregation strategy
+ * @param {string} name - Strategy name
+ * @param {Function} strategy - (results, { agents, options }) => { primaryResult, confidence }
+ */
+function registerAggregationStrategy(name, strategy) {
+  if (typeof strategy !== 'function') {
+    throw new Error(`Aggregation strategy ${name} must be a function`);
+  }
+  strategies.set(name, strategy);
+}
+
+/**
+ * List registered aggregation strategy names
+ * @returns {Array<string>}
+ */
+function listAggregationStrategies() {
+  return Array.from(strategies.keys());
+}
+
+/**
+ * Normalize a task's `aggregation` field into { strategy, ...options }
+ * @private
+ */
+function resolveOptions(config) {
+  if (!config) return { strategy: DEFAULT_STRATEGY };
+  if (typeof config === 'string') return { strategy: config };
+  return { strategy: DEFAULT_STRATEGY, ...config };
+}
+
+/**
+ * Throw if a task's aggregation configuration names an unknown strategy
+ * @param {Object|string} config - Task aggregation configuration
+ */
+function assertAggregationConfig(config) {
+  const { strategy } = resolveOptions(config);
+
+  if (!strategies.has(strategy)) {
+    throw new ValidationError(`Unknown aggregation strategy: ${strategy}`, {
+      strategy,
+      available: listAggregationStrategies()
+    });
+  }
+}
+
+/**
+ * Aggregate agent results with the strategy chosen by the task
+ *
+ * The answers are only known once the agents have run, so when they don't
+ * suit the strategy (text for `mean`, say) the task isn't failed: the
+ * default strategy is used instead and the result reports `requestedStrategy`
+ * and `fallbackReason`.
+ * @param {Array} results - Individual agent results
+ * @param {Object|string} config - Task aggregation configuration
+ * @param {Map} agents - Agents of the mesh, keyed by ID
+ * @returns {Object} - { strategy, primaryResult, confidence, ...details }
+ */
+function aggregateResults(results, config, agents) {
+  assertAggregationConfig(config);
+
+  const { strategy: name, ...options } = resolveOptions(config);
+  const completed = results.filter(r => r.status === 'completed');
+
+  if (completed.length === 0) {
+    return { strategy: name, primaryResult: null, confidence: 0 };
+  }
+
+  try {
+    const aggregated = strategies.get(name)(completed, { agents, options });
+
+    return {
+      strategy: name,
+      ...aggregated
+    };
+  } catch (error) {
+    if (!(error instanceof ValidationError) || name === DEFAULT_STRATEGY) throw error;
+
+    return {
+      strategy: DEFAULT_STRATEGY,
+      ...strategies.get(DEFAULT_STRATEGY)(completed, { agents, options: {} }),
+      requestedStrategy: name,
+      fallbackReason: error.message
+    };
+  }
+}
+
+module.exports = {
+  registerAggregationStrategy,
+  listAggregationStrategies,
+  assertAggregationConfig,
+  aggregateResults
+};
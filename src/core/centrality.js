@@ -0,0 +1,445 @@
+/**
+ * Centrality - How central each agent is to the mesh
+ *
+ * Four measures of an agent's network position are computed over the
+ * pathway graph (pathways followed in their direction, bidirectional ones
+ * both ways):
+ *
+ *   pageRank:    weighted PageRank; rank flows along pathways in proportion
+ *                to their strength
+ *   betweenness: share of the shortest routes between other agents that pass
+ *                through the agent (Brandes)
+ *   closeness:   harmonic closeness; mean of 1 / distance to every other agent
+ *   degree:      share of the other agents the agent is connected to
+ *
+ * `weightedDegree` adds up the strength of the agent's pathways.
+ *
+ * Route distances use 1 / strength, so strong pathways are short. A
+ * scheduler recomputes the measures while the mesh has changed and stores
+ * them on each agent as `centrality`. The measures are derived data: they
+ * are stored without an `agentUpdated` per agent, and a run announces itself
+ * with a single `centralityComputed` event instead.
+ */
+
+const logger = require('../utils/logger');
+const { Agent } = require('../models/agent');
+const { MinHeap } = require('./pathfinding');
+const { ValidationError } = require('../utils/errors');
+
+const CENTRALITY_METRICS = ['pageRank', 'betweenness', 'closeness', 'degree', 'weightedDegree'];
+
+// Mesh events that change the graph the measures are computed on
+const STRUCTURAL_EVENTS = [
+  'agentRegistered',
+  'agentRemoved',
+  'pathwayEstablished',
+  'pathwayRegistered',
+  'pathwayRemoved',
+  'meshCleared',
+  'meshRestored'
+];
+const STRUCTURAL_FIELDS = ['strength', 'status', 'bidirectional'];
+
+const DEFAULT_CONFIG = {
+  intervalMs: parseInt(process.env.CENTRALITY_INTERVAL_MS) || 60 * 1000,
+  damping: 0.85,
+  tolerance: 1e-8,
+  maxIterations: 100,
+  includeInactive: false,
+  minChange: 0.0001
+};
+
+const EPSILON = 1e-12;
+
+/**
+ * Yield to the event loop so a long computation doesn't stall requests
+ * @private
+ */
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Build the directed, strength-weighted agent graph
+ * @private
+ */
+function buildGraph(agents, pathways, options) {
+  const nodes = agents.map(agent => agent.id).sort();
+  const outgoing = new Map(nodes.map(id => [id, new Map()]));
+  const weightedDegree = new Map(nodes.map(id => [id, 0]));
+
+  const addArc = (from, to, strength) => {
+    const arcs = outgoing.get(from);
+    // Keep the strongest pathway when two lead to the same neighbor
+    arcs.set(to, Math.max(arcs.get(to) || 0, strength));
+  };
+
+  pathways.forEach(pathway => {
+    const { sourceAgentId, targetAgentId, strength } = pathway;
+
+    if (!options.includeInactive && pathway.status === 'inactive') return;
+    if (!(strength > 0) || sourceAgentId === targetAgentId) return;
+    if (!outgoing.has(sourceAgentId) || !outgoing.has(targetAgentId)) return;
+
+    addArc(sourceAgentId, targetAgentId, strength);
+    if (pathway.bidirectional) {
+      addArc(targetAgentId, sourceAgentId, strength);
+    }
+
+    weightedDegree.set(sourceAgentId, weightedDegree.get(sourceAgentId) + strength);
+    weightedDegree.set(targetAgentId, weightedDegree.get(targetAgentId) + strength);
+  });
+
+  return { nodes, outgoing, weightedDegree };
+}
+
+/**
+ * Weighted PageRank by power iteration
+ * @private
+ */
+function pageRank(graph, options) {
+  const { nodes, outgoing } = graph;
+  const n = nodes.length;
+  let ranks = new Map(nodes.map(id => [id, 1 / n]));
+
+  const outStrength = new Map(nodes.map(id => [
+    id,
+    Array.from(outgoing.get(id).values()).reduce((sum, strength) => sum + strength, 0)
+  ]));
+
+  for (let iteration = 0; iteration < options.maxIterations; iteration++) {
+    // Agents without outgoing pathways spread their rank evenly
+    let dangling = 0;
+    nodes.forEach(id => {
+      if (outStrength.get(id) === 0) dangling += ranks.get(id);
+    });
+
+    const base = (1 - options.damping) / n + options.damping * dangling / n;
+    const next = new Map(nodes.map(id => [id, base]));
+
+    nodes.forEach(id => {
+      const total = outStrength.get(id);
+      if (total === 0) return;
+
+      const share = options.damping * ranks.get(id) / total;
+      outgoing.get(id).forEach((strength, neighbor) => {
+        next.set(neighbor, next.get(neighbor) + share * strength);
+      });
+    });
+
+    let change = 0;
+    nodes.forEach(id => {
+      change += Math.abs(next.get(id) - ranks.get(id));
+    });
+
+    ranks = next;
+    if (change < options.tolerance) break;
+  }
+
+  return ranks;
+}
+
+/**
+ * Shortest-route search from one agent, recording what Brandes'
+ * accumulation needs
+ * @private
+ * @returns {Object} - { order, distances, sigma, predecessors }
+ */
+function shortestPathsFrom(graph, source) {
+  const distances = new Map([[source, 0]]);
+  const sigma = new Map([[source, 1]]);
+  const predecessors = new Map([[source, []]]);
+  const settled = new Set();
+  const order = [];
+  const heap = new MinHeap();
+
+  heap.push({ cost: 0, agentId: source });
+
+  while (heap.size > 0) {
+    const { cost, agentId } = heap.pop();
+
+    if (settled.has(agentId) || cost > distances.get(agentId) + EPSILON) continue;
+    settled.add(agentId);
+    order.push(agentId);
+
+    graph.outgoing.get(agentId).forEach((strength, neighbor) => {
+      if (settled.has(neighbor)) return;
+
+      const distance = cost + 1 / strength;
+      const known = distances.get(neighbor);
+
+      if (known === undefined || distance < known - EPSILON) {
+        distances.set(neighbor, distance);
+        sigma.set(neighbor, sigma.get(agentId));
+        predecessors.set(neighbor, [agentId]);
+        heap.push({ cost: distance, agentId: neighbor });
+      } else if (Math.abs(distance - known) <= EPSILON) {
+        sigma.set(neighbor, sigma.get(neighbor) + sigma.get(agentId));
+        predecessors.get(neighbor).push(agentId);
+      }
+    });
+  }
+
+  return { order, distances, sigma, predecessors };
+}
+
+/**
+ * Compute centrality measures for every agent
+ * @param {Array} agents - Agents
+ * @param {Array} pathways - Pathways between them
+ * @param {Object} options - { damping, tolerance, maxIterations, includeInactive }
+ * @returns {Promise<Map>} - agentId -> { pageRank, betweenness, closeness, degree, weightedDegree }
+ */
+async function computeCentrality(agents, pathways, options = {}) {
+  const settings = { ...DEFAULT_CONFIG, ...options };
+  const graph = buildGraph(agents, pathways, settings);
+  const { nodes, outgoing, weightedDegree } = graph;
+  const n = nodes.length;
+  const results = new Map();
+
+  if (n === 0) return results;
+
+  const ranks = pageRank(graph, settings);
+  const betweenness = new Map(nodes.map(id => [id, 0]));
+  const closeness = new Map(nodes.map(id => [id, 0]));
+
+  for (let i = 0; i < n; i++) {
+    const source = nodes[i];
+    const { order, distances, sigma, predecessors } = shortestPathsFrom(graph, source);
+
+    let harmonic = 0;
+    distances.forEach((distance, agentId) => {
+      if (agentId !== source) harmonic += 1 / distance;
+    });
+    closeness.set(source, n > 1 ? harmonic / (n - 1) : 0);
+
+    // Brandes dependency accumulation, farthest agents first
+    const delta = new Map();
+    for (let j = order.length - 1; j >= 0; j--) {
+      const agentId = order[j];
+      const dependency = delta.get(agentId) || 0;
+
+      predecessors.get(agentId).forEach(predecessor => {
+        const share = sigma.get(predecessor) / sigma.get(agentId) * (1 + dependency);
+        delta.set(predecessor, (delta.get(predecessor) || 0) + share);
+      });
+
+      if (agentId !== source) {
+        betweenness.set(agentId, betweenness.get(agentId) + dependency);
+      }
+    }
+
+    if (i % 50 === 49) {
+      await yieldToEventLoop();
+    }
+  }
+
+  // Agents connected by a pathway in either direction
+  const neighbors = new Map(nodes.map(id => [id, new Set()]));
+
+  nodes.forEach(id => {
+    outgoing.get(id).forEach((strength, neighbor) => {
+      neighbors.get(id).add(neighbor);
+      neighbors.get(neighbor).add(id);
+    });
+  });
+
+  const pairs = (n - 1) * (n - 2);
+
+  nodes.forEach(id => {
+    results.set(id, {
+      pageRank: ranks.get(id),
+      betweenness: pairs > 0 ? betweenness.get(id) / pairs : 0,
+      closeness: closeness.get(id),
+      degree: n > 1 ? neighbors.get(id).size / (n - 1) : 0,
+      weightedDegree: weightedDegree.get(id)
+    });
+  });
+
+  return results;
+}
+
+class CentralityScheduler {
+  /**
+   * @param {CognitiveMesh} mesh - Mesh whose agents are measured
+   * @param {Object} config - Centrality configuration
+   */
+  constructor(mesh, config = {}) {
+    this.mesh = mesh;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.timer = null;
+    this.running = false;
+    this.dirty = true;
+    this.computedAt = null;
+
+    STRUCTURAL_EVENTS.forEach(type => {
+      mesh.on(type, () => {
+        this.dirty = true;
+      });
+    });
+
+    mesh.on('pathwayUpdated', (pathway, updates) => {
+      if (STRUCTURAL_FIELDS.some(field => updates && field in updates)) {
+        this.dirty = true;
+      }
+    });
+  }
+
+  /**
+   * Start the periodic recomputation, beginning with an immediate one
+   */
+  start() {
+    if (this.timer) return;
+
+    const run = () => {
+      this.tick().catch(error => logger.error('Centrality computation failed:', error));
+    };
+
+    this.timer = setInterval(run, this.config.intervalMs);
+
+    // Don't keep the process alive just for centrality
+    if (this.timer.unref) this.timer.unref();
+
+    logger.info('Centrality scheduler started', { intervalMs: this.config.intervalMs });
+    run();
+  }
+
+  /**
+   * Stop the periodic recomputation
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Recompute if the mesh changed since the last computation
+   * @returns {Object|null} - Summary, or null when nothing changed
+   */
+  async tick() {
+    if (!this.dirty) return null;
+    return this.recompute();
+  }
+
+  /**
+   * Compute every agent's centrality and store it on the agents whose
+   * measures changed
+   * @returns {Object} - { agents, updated, computedAt, durationMs }
+   */
+  async recompute() {
+    if (this.running) {
+      return { agents: 0, updated: 0, computedAt: this.computedAt, durationMs: 0 };
+    }
+
+    this.running = true;
+    // Changes made while computing mark the mesh dirty again
+    this.dirty = false;
+    const started = Date.now();
+
+    try {
+      const measures = await computeCentrality(
+        Array.from(this.mesh.agents.values()),
+        Array.from(new Set(this.mesh.pathways.values())),
+        this.config
+      );
+      const computedAt = new Date();
+      const changed = new Map();
+
+      measures.forEach((centrality, agentId) => {
+        const agent = this.mesh.agents.get(agentId);
+
+        // Removed while computing
+        if (!agent) return;
+
+        const previous = agent.centrality || {};
+        const moved = CENTRALITY_METRICS.some(metric =>
+          previous[metric] === undefined || Math.abs(previous[metric] - centrality[metric]) >= this.config.minChange
+        );
+
+        if (moved) changed.set(agentId, { ...centrality, computedAt });
+      });
+
+      const updated = await this.store(changed);
+      this.computedAt = computedAt;
+
+      const summary = {
+        agents: measures.size,
+        updated,
+        computedAt,
+        durationMs: Date.now() - started
+      };
+
+      this.mesh.emit('centralityComputed', summary);
+      return summary;
+    } catch (error) {
+      this.dirty = true;
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Store centrality on agents, in the mesh and in storage, without emitting
+   * an update for each agent
+   * @param {Map|Array} measures - agentId -> centrality, or its entries
+   * @returns {number} - Number of agents stored on
+   */
+  async store(measures) {
+    let stored = 0;
+
+    for (const [agentId, centrality] of measures) {
+      if (!this.mesh.agents.has(agentId)) continue;
+
+      await Agent.update(agentId, { centrality });
+
+      // Read again: the agent may have changed or gone while storing
+      const agent = this.mesh.agents.get(agentId);
+      if (!agent) continue;
+
+      this.mesh.agents.set(agentId, { ...agent, centrality });
+      stored++;
+    }
+
+    return stored;
+  }
+
+  /**
+   * Agents ranked by a centrality measure, most central first
+   * @param {string} metric - One of CENTRALITY_METRICS
+   * @param {Object} options - { limit, chain }
+   * @returns {Array} - [{ rank, agentId, name, chain, value, centrality }]
+   */
+  ranking(metric = 'pageRank', options = {}) {
+    if (!CENTRALITY_METRICS.includes(metric)) {
+      throw new ValidationError(`Unknown centrality metric: ${metric}`, {
+        metric,
+        available: CENTRALITY_METRICS
+      });
+    }
+
+    const ranked = Array.from(this.mesh.agents.values())
+      .filter(agent => agent.centrality)
+      .filter(agent => !options.chain || agent.chain === options.chain)
+      .sort((a, b) => b.centrality[metric] - a.centrality[metric] || (a.id < b.id ? -1 : 1));
+
+    return ranked
+      .slice(0, options.limit || ranked.length)
+      .map((agent, index) => ({
+        rank: index + 1,
+        agentId: agent.id,
+        name: agent.name,
+        chain: agent.chain,
+        value: agent.centrality[metric],
+        centrality: agent.centrality
+      }));
+  }
+}
+
+module.exports = {
+  CentralityScheduler,
+  computeCentrality,
+  CENTRALITY_METRICS
+};
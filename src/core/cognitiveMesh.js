@@ -9,15 +9,58 @@ const { EventEmitter } = require('events');
 const { Agent } = require('../models/agent');
 const { NeuralPathway } = require('../models/neuralPathway');
 const { getChainAdapter } = require('./chainAdapter');
+const { ExecutorRegistry } = require('./executors');
+const { evaluateConsensus, assertConsensusConfig } = require('./consensus');
+const { aggregateResults, assertAggregationConfig } = require('./aggregation');
+const { PathwayLearningEngine } = require('./learning');
+const { PathwayDecayScheduler } = require('./decay');
+const { CentralityScheduler } = require('./centrality');
+const { TrustEngine } = require('./trust');
+const { AgentHistory } = require('./history');
+const { LivenessMonitor } = require('./liveness');
+const { CapabilityTaxonomy } = require('./taxonomy');
+const { AgentSearchIndex } = require('./search');
+const { AgentVersionStore } = require('./versioning');
+const { MeshReplicator } = require('./replication');
+const { findKBestPaths } = require('./pathfinding');
+const { detectCommunities } = require('./community');
+const { TaskRouter } = require('./taskRouter');
+const { WorkflowEngine } = require('./workflow');
+const { resolveExecutionPolicy, runWithRetry } = require('./execution');
+const { createSnapshot, restoreSnapshot } = require('./snapshot');
+const { CognitiveMeshError, NotFoundError, ConflictError } = require('../utils/errors');
 
 class CognitiveMesh extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} options - Mesh options ({ learning, decay, centrality, trust, history,
+   *   liveness, replication, clock })
+   */
+  constructor(options = {}) {
     super();
     this.agents = new Map();
     this.pathways = new Map();
+    // Adjacency indexes: agentId -> Map(neighborId -> pathway)
+    this.outgoing = new Map();
+    this.incoming = new Map();
     this.initialized = false;
+    // Time source in epoch milliseconds for learning, decay and trust;
+    // simulations run the mesh on their own clock
+    this.clock = options.clock || Date.now;
     this.supportedChains = ['ethereum', 'bnb', 'solana'];
     this.chainAdapters = {};
+    this.executors = new ExecutorRegistry();
+    this.learning = new PathwayLearningEngine(options.learning);
+    this.decay = new PathwayDecayScheduler(this, options.decay);
+    this.centrality = new CentralityScheduler(this, options.centrality);
+    this.trust = new TrustEngine(this, options.trust);
+    this.history = new AgentHistory(this, options.history);
+    this.liveness = new LivenessMonitor(this, options.liveness);
+    this.taxonomy = new CapabilityTaxonomy(capabilities => this.emit('taxonomyChanged', capabilities));
+    this.searchIndex = new AgentSearchIndex(this);
+    this.versions = new AgentVersionStore(this);
+    this.router = new TaskRouter(this);
+    this.workflows = new WorkflowEngine(this);
+    this.replication = new MeshReplicator(this, options.replication);
   }
 
   /**
@@ -43,9 +86,9 @@ class CognitiveMesh extends EventEmitter {
     // Load registered agents from storage
     try {
       const agents = await Agent.findAll();
-      agents.forEach(agent => {
-        this.registerAgent(agent, false);
-      });
+      for (const agent of agents) {
+        await this.registerAgent(agent, false);
+      }
       console.log(`Loaded ${agents.length} agents`);
     } catch (error) {
       console.error('Failed to load agents:', error);
@@ -74,15 +117,124 @@ class CognitiveMesh extends EventEmitter {
    */
   async registerAgent(agentData, persist = true) {
     if (this.agents.has(agentData.id)) {
-      throw new Error(`Agent with ID ${agentData.id} already exists`);
+      throw new ConflictError(`Agent with ID ${agentData.id} already exists`, { agentId: agentData.id });
+    }
+
+    // Other nodes create agents too, so IDs come from the shared log
+    if (!agentData.id && this.replication.active) {
+      agentData = { ...agentData, id: await this.replication.nextId('agent', Agent.idCounter) };
+    }
+
+    const version = this.versions.initialVersion(agentData);
+    let agent;
+
+    if (persist) {
+      agent = await Agent.create({ ...agentData, version });
+    } else {
+      // Stored agents are shared with the model, so version them in place
+      agentData.version = version;
+      agent = agentData;
     }
 
-    const agent = persist ? await Agent.create(agentData) : agentData;
     this.agents.set(agent.id, agent);
+    this.versions.record(agent);
     this.emit('agentRegistered', agent);
+
+    // Trust is derived, never taken from the registration data
+    return this.trust.refresh(agent.id);
+  }
+
+  /**
+   * Update an agent in the cognitive mesh
+   * @param {string} agentId - Agent ID
+   * @param {Object} updates - Fields to update
+   * @param {boolean} persist - Whether to persist the update to storage
+   * @param {Object} options - Versioning options ({ bump, rollbackOf })
+   */
+  async updateAgent(agentId, updates, persist = true, options = {}) {
+    const current = this.agents.get(agentId);
+
+    if (!current) {
+      throw new NotFoundError('Agent', agentId);
+    }
+
+    // Changes to the agent's definition make a new immutable version
+    const release = this.versions.next(current, updates, options);
+    if (release) {
+      updates = { ...updates, version: release.version };
+    }
+
+    const persisted = persist ? await Agent.update(agentId, updates) : null;
+    const agent = persisted || { ...current, ...updates, updatedAt: new Date() };
+
+    this.agents.set(agentId, agent);
+
+    this.emit('agentUpdated', agent, updates);
+
+    if (release) {
+      const version = this.versions.record(agent, release);
+      this.emit('agentVersioned', { agent, version });
+      await this.versions.enforcePins(agent);
+    }
+
+    if (this.trust.dependsOn(updates)) {
+      return this.trust.refresh(agentId);
+    }
+
     return agent;
   }
 
+  /**
+   * Bring an agent back to the definition of an earlier version, recorded as
+   * a new version
+   * @param {string} agentId - Agent ID
+   * @param {string} version - Version to restore
+   * @returns {Object} - The agent
+   */
+  async rollbackAgent(agentId, version) {
+    const agent = this.agents.get(agentId);
+
+    if (!agent) {
+      throw new NotFoundError('Agent', agentId);
+    }
+
+    const updates = this.versions.rollbackUpdates(agent, version);
+    return this.updateAgent(agentId, updates, true, { rollbackOf: version });
+  }
+
+  /**
+   * Remove an agent and every pathway connected to it from the cognitive mesh
+   * @param {string} agentId - Agent ID
+   * @param {boolean} persist - Whether to delete them from storage too
+   * @returns {Object} - The removed { agent, pathways }
+   */
+  async removeAgent(agentId, persist = true) {
+    const agent = this.agents.get(agentId);
+
+    if (!agent) {
+      throw new NotFoundError('Agent', agentId);
+    }
+
+    const connected = new Set([
+      ...this.getOutgoingPathways(agentId).values(),
+      ...this.getIncomingPathways(agentId).values()
+    ]);
+    const pathways = [];
+
+    for (const pathway of connected) {
+      pathways.push(await this.removePathway(pathway.sourceAgentId, pathway.targetAgentId, persist));
+    }
+
+    if (persist) {
+      await Agent.delete(agentId);
+    }
+
+    this.agents.delete(agentId);
+
+    this.emit('agentRemoved', agent);
+    return { agent, pathways };
+  }
+
   /**
    * Establish a neural pathway between two agents
    * @param {string} sourceAgentId - Source agent ID
@@ -92,19 +244,22 @@ class CognitiveMesh extends EventEmitter {
    */
   async establishPathway(sourceAgentId, targetAgentId, pathwayData, persist = true) {
     if (!this.agents.has(sourceAgentId)) {
-      throw new Error(`Source agent ${sourceAgentId} not found`);
+      throw new NotFoundError('Agent', sourceAgentId, `Source agent ${sourceAgentId} not found`);
     }
 
     if (!this.agents.has(targetAgentId)) {
-      throw new Error(`Target agent ${targetAgentId} not found`);
+      throw new NotFoundError('Agent', targetAgentId, `Target agent ${targetAgentId} not found`);
     }
 
-    const pathwayKey = `${sourceAgentId}-${targetAgentId}`;
-    
-    if (this.pathways.has(pathwayKey)) {
-      throw new Error(`Pathway already exists between agents ${sourceAgentId} and ${targetAgentId}`);
+    if (this.getPathway(sourceAgentId, targetAgentId)) {
+      throw new ConflictError(`Pathway already exists between agents ${sourceAgentId} and ${targetAgentId}`, {
+        sourceAgentId,
+        targetAgentId
+      });
     }
 
+    this.versions.assertPins({ sourceAgentId, targetAgentId, ...pathwayData });
+
     const pathwayObject = {
       sourceAgentId,
       targetAgentId,
@@ -115,15 +270,13 @@ class CognitiveMesh extends EventEmitter {
       ...pathwayData
     };
 
-    const pathway = persist ? await NeuralPathway.create(pathwayObject) : pathwayObject;
-    this.pathways.set(pathwayKey, pathway);
-
-    // If the pathway is bidirectional, also register the reverse pathway
-    if (pathway.bidirectional) {
-      const reverseKey = `${targetAgentId}-${sourceAgentId}`;
-      this.pathways.set(reverseKey, pathway);
+    if (!pathwayObject.id && persist && this.replication.active) {
+      pathwayObject.id = await this.replication.nextId('pathway', NeuralPathway.idCounter);
     }
 
+    const pathway = persist ? await NeuralPathway.create(pathwayObject) : pathwayObject;
+    this._indexPathway(pathway);
+
     this.emit('pathwayEstablished', pathway);
     return pathway;
   }
@@ -134,15 +287,7 @@ class CognitiveMesh extends EventEmitter {
    * @param {boolean} persist - Whether to persist the pathway to storage
    */
   async registerPathway(pathwayData, persist = false) {
-    const { sourceAgentId, targetAgentId } = pathwayData;
-    const pathwayKey = `${sourceAgentId}-${targetAgentId}`;
-    
-    this.pathways.set(pathwayKey, pathwayData);
-    
-    if (pathwayData.bidirectional) {
-      const reverseKey = `${targetAgentId}-${sourceAgentId}`;
-      this.pathways.set(reverseKey, pathwayData);
-    }
+    this._indexPathway(pathwayData);
 
     if (persist) {
       await NeuralPathway.create(pathwayData);
@@ -152,17 +297,236 @@ class CognitiveMesh extends EventEmitter {
     return pathwayData;
   }
 
+  /**
+   * Update a neural pathway in the cognitive mesh
+   * @param {string} sourceAgentId - Source agent ID
+   * @param {string} targetAgentId - Target agent ID
+   * @param {Object} updates - Fields to update
+   * @param {boolean} persist - Whether to persist the update to storage
+   */
+  async updatePathway(sourceAgentId, targetAgentId, updates, persist = true) {
+    const current = this.getPathway(sourceAgentId, targetAgentId);
+
+    if (!current) {
+      throw new NotFoundError('Pathway', `${sourceAgentId}->${targetAgentId}`,
+        `No pathway exists between agents ${sourceAgentId} and ${targetAgentId}`);
+    }
+
+    const repinned = 'sourceVersion' in updates || 'targetVersion' in updates;
+    if (repinned) {
+      this.versions.assertPins({ ...current, ...updates });
+    }
+
+    const persisted = persist && current.id ? await NeuralPathway.update(current.id, updates) : null;
+    const pathway = persisted || { ...current, ...updates };
+
+    this._unindexPathway(current);
+    this._indexPathway(pathway);
+
+    this.emit('pathwayUpdated', pathway, updates);
+
+    // A pathway deactivated by a broken pin comes back once its new pins hold
+    if (repinned) {
+      return (await this.versions.enforcePin(pathway)) || pathway;
+    }
+
+    return pathway;
+  }
+
+  /**
+   * Remove a neural pathway from the cognitive mesh
+   * @param {string} sourceAgentId - Source agent ID
+   * @param {string} targetAgentId - Target agent ID
+   * @param {boolean} persist - Whether to delete the pathway from storage
+   */
+  async removePathway(sourceAgentId, targetAgentId, persist = true) {
+    const pathway = this.getPathway(sourceAgentId, targetAgentId);
+
+    if (!pathway) {
+      throw new NotFoundError('Pathway', `${sourceAgentId}->${targetAgentId}`,
+        `No pathway exists between agents ${sourceAgentId} and ${targetAgentId}`);
+    }
+
+    if (persist && pathway.id) {
+      await NeuralPathway.delete(pathway.id);
+    }
+
+    this._unindexPathway(pathway);
+
+    this.emit('pathwayRemoved', pathway);
+    return pathway;
+  }
+
+  /**
+   * Remove every agent and pathway from the cognitive mesh
+   * @param {boolean} persist - Whether to delete them from storage too
+   * @returns {Object} - Number of removed { agents, pathways }
+   */
+  async clear(persist = true) {
+    const agents = Array.from(this.agents.values());
+    const pathways = Array.from(new Set(this.pathways.values()));
+
+    if (persist) {
+      for (const pathway of pathways) {
+        if (pathway.id) await NeuralPathway.delete(pathway.id);
+      }
+      for (const agent of agents) {
+        await Agent.delete(agent.id);
+      }
+    }
+
+    this.agents.clear();
+    this.pathways.clear();
+    this.outgoing.clear();
+    this.incoming.clear();
+
+    const removed = { agents: agents.length, pathways: pathways.length };
+    this.emit('meshCleared', removed);
+    return removed;
+  }
+
+  /**
+   * Capture a checksummed point-in-time image of the mesh (see ./snapshot)
+   * @returns {Object} - Snapshot
+   */
+  snapshot() {
+    return createSnapshot(this);
+  }
+
+  /**
+   * Restore a snapshot into the mesh
+   * @param {Object} snapshot - Snapshot created by `snapshot()`
+   * @param {Object} options - { mode: 'replace' | 'merge' }
+   * @returns {Object} - Summary of the changes
+   */
+  async restore(snapshot, options = {}) {
+    return restoreSnapshot(this, snapshot, options);
+  }
+
+  /**
+   * Get the pathway an agent can follow to reach another agent
+   * Bidirectional pathways are returned for both directions.
+   * @param {string} fromAgentId - Agent the pathway leaves from
+   * @param {string} toAgentId - Agent the pathway leads to
+   * @returns {Object|null}
+   */
+  getPathway(fromAgentId, toAgentId) {
+    const neighbors = this.outgoing.get(fromAgentId);
+    return (neighbors && neighbors.get(toAgentId)) || null;
+  }
+
+  /**
+   * Pathways leaving an agent, keyed by the neighbor they lead to
+   * @param {string} agentId - Agent ID
+   * @returns {Map}
+   */
+  getOutgoingPathways(agentId) {
+    return this.outgoing.get(agentId) || new Map();
+  }
+
+  /**
+   * Pathways arriving at an agent, keyed by the neighbor they come from
+   * @param {string} agentId - Agent ID
+   * @returns {Map}
+   */
+  getIncomingPathways(agentId) {
+    return this.incoming.get(agentId) || new Map();
+  }
+
+  /**
+   * Add a pathway to the pathway map and adjacency indexes
+   * @private
+   */
+  _indexPathway(pathway) {
+    const { sourceAgentId, targetAgentId } = pathway;
+
+    this._setEdge(sourceAgentId, targetAgentId, pathway);
+
+    // If the pathway is bidirectional, also register the reverse pathway
+    if (pathway.bidirectional) {
+      this._setEdge(targetAgentId, sourceAgentId, pathway);
+    }
+  }
+
+  /**
+   * Remove a pathway from the pathway map and adjacency indexes
+   * @private
+   */
+  _unindexPathway(pathway) {
+    const { sourceAgentId, targetAgentId } = pathway;
+
+    if (this.getPathway(sourceAgentId, targetAgentId) === pathway) {
+      this._deleteEdge(sourceAgentId, targetAgentId);
+    }
+
+    if (this.getPathway(targetAgentId, sourceAgentId) === pathway) {
+      this._deleteEdge(targetAgentId, sourceAgentId);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _setEdge(fromId, toId, pathway) {
+    this.pathways.set(`${fromId}-${toId}`, pathway);
+
+    if (!this.outgoing.has(fromId)) this.outgoing.set(fromId, new Map());
+    if (!this.incoming.has(toId)) this.incoming.set(toId, new Map());
+
+    this.outgoing.get(fromId).set(toId, pathway);
+    this.incoming.get(toId).set(fromId, pathway);
+  }
+
+  /**
+   * @private
+   */
+  _deleteEdge(fromId, toId) {
+    this.pathways.delete(`${fromId}-${toId}`);
+
+    const outgoing = this.outgoing.get(fromId);
+    if (outgoing) {
+      outgoing.delete(toId);
+      if (outgoing.size === 0) this.outgoing.delete(fromId);
+    }
+
+    const incoming = this.incoming.get(toId);
+    if (incoming) {
+      incoming.delete(fromId);
+      if (incoming.size === 0) this.incoming.delete(toId);
+    }
+  }
+
+  /**
+   * Update the pathway learning configuration
+   * @param {Object} config - { enabled, rule, learningRate, minStrength, maxStrength }
+   */
+  configureLearning(config) {
+    return this.learning.configure(config);
+  }
+
   /**
    * Query the cognitive mesh for agents matching specific criteria
-   * @param {Object} criteria - Query criteria
+   * @param {Object} criteria - Query criteria ({ capabilities, capabilityMatch,
+   *   maxDistance, minTrustScore, chain, includeUnresponsive })
+   * @returns {Array} - Matching agents, closest capability matches first
    */
   queryAgents(criteria = {}) {
+    const scores = new Map();
+    const matchOptions = { match: criteria.capabilityMatch, maxDistance: criteria.maxDistance };
+
     const results = Array.from(this.agents.values()).filter(agent => {
-      // Apply filtering based on criteria
-      if (criteria.capabilities && !criteria.capabilities.every(cap => agent.capabilities.includes(cap))) {
+      // Agents that stopped sending heartbeats can't take work
+      if (!criteria.includeUnresponsive && !this.liveness.isResponsive(agent)) {
         return false;
       }
       
+      // Apply filtering based on criteria
+      if (criteria.capabilities) {
+        const match = this.taxonomy.matchAll(criteria.capabilities, agent.capabilities, matchOptions);
+        if (!match) return false;
+        scores.set(agent.id, match.score);
+      }
+      
       if (criteria.minTrustScore && agent.trustScore < criteria.minTrustScore) {
         return false;
       }
@@ -174,133 +538,428 @@ class CognitiveMesh extends EventEmitter {
       return true;
     });
     
+    if (criteria.capabilities) {
+      results.sort((a, b) => scores.get(b.id) - scores.get(a.id));
+    }
+    
     return results;
   }
 
   /**
    * Find all connected agents to a specific agent
    * @param {string} agentId - Agent ID to find connections for
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options (see exploreConnections)
+   * @returns {Array} - Connections
    */
   findConnections(agentId, options = {}) {
+    return this.exploreConnections(agentId, options).connections;
+  }
+
+  /**
+   * Traverse the neighborhood of an agent
+   * @param {string} agentId - Agent ID to start from
+   * @param {Object} options - Query options
+   * @param {number} options.maxDepth - Maximum number of hops (default 1)
+   * @param {number} options.minStrength - Minimum pathway strength (default 0)
+   * @param {string} options.direction - Follow 'out' (default), 'in' or 'both' pathways
+   * @param {string} options.mode - 'dfs' (default) or 'bfs' traversal order
+   * @param {number} options.limit - Maximum number of connections to return
+   * @param {number} options.maxPerNode - Maximum pathways followed from each agent, strongest first
+   * @param {boolean} options.includeInactive - Also follow inactive pathways
+   * @returns {Object} - { connections, truncated }
+   */
+  exploreConnections(agentId, options = {}) {
     const maxDepth = options.maxDepth || 1;
     const minStrength = options.minStrength || 0;
+    const includeInactive = options.includeInactive || false;
+    const direction = options.direction || 'out';
+    const limit = options.limit || Infinity;
+    const maxPerNode = options.maxPerNode || Infinity;
     
     const connections = new Map();
     const visited = new Set([agentId]);
-    
-    const traverse = (currentId, depth = 0) => {
-      if (depth >= maxDepth) return;
-      
-      // Find all outgoing pathways from this agent
-      Array.from(this.pathways.entries())
-        .filter(([key, pathway]) => {
-          return key.startsWith(`${currentId}-`) && pathway.strength >= minStrength;
-        })
-        .forEach(([key, pathway]) => {
-          const targetId = pathway.targetAgentId;
-          
-          if (!visited.has(targetId)) {
-            visited.add(targetId);
-            connections.set(targetId, {
-              agent: this.agents.get(targetId),
-              pathway,
-              depth: depth + 1
-            });
-            
-            // Continue traversal
-            traverse(targetId, depth + 1);
-          }
+    let truncated = false;
+
+    // Unvisited neighbors that can be reached from an agent, strongest first when capped
+    const neighborsOf = (currentId) => {
+      const neighbors = new Map();
+      const add = (pathways, hopDirection) => {
+        pathways.forEach((pathway, neighborId) => {
+          if (neighbors.has(neighborId) || visited.has(neighborId)) return;
+          if (pathway.strength < minStrength || (!includeInactive && pathway.status === 'inactive')) return;
+          neighbors.set(neighborId, { neighborId, pathway, direction: hopDirection });
         });
+      };
+
+      if (direction !== 'in') add(this.getOutgoingPathways(currentId), 'out');
+      if (direction !== 'out') add(this.getIncomingPathways(currentId), 'in');
+
+      const list = Array.from(neighbors.values());
+      if (list.length > maxPerNode) {
+        truncated = true;
+        return list.sort((a, b) => b.pathway.strength - a.pathway.strength).slice(0, maxPerNode);
+      }
+      return list;
     };
-    
-    traverse(agentId);
-    return Array.from(connections.values());
+
+    // Record a newly reached agent; returns false once the limit is hit
+    const visit = (hop, from, depth, trail) => {
+      if (connections.size >= limit) {
+        truncated = true;
+        return false;
+      }
+
+      visited.add(hop.neighborId);
+      connections.set(hop.neighborId, {
+        agent: this.agents.get(hop.neighborId),
+        pathway: hop.pathway,
+        direction: hop.direction,
+        via: from,
+        depth,
+        pathways: trail
+      });
+      return true;
+    };
+
+    if (options.mode === 'bfs') {
+      const queue = [{ id: agentId, depth: 0, trail: [] }];
+
+      while (queue.length > 0 && !(truncated && connections.size >= limit)) {
+        const current = queue.shift();
+        if (current.depth >= maxDepth) continue;
+
+        for (const hop of neighborsOf(current.id)) {
+          if (visited.has(hop.neighborId)) continue;
+
+          const trail = current.trail.concat(hop.pathway);
+          if (!visit(hop, current.id, current.depth + 1, trail)) break;
+          queue.push({ id: hop.neighborId, depth: current.depth + 1, trail });
+        }
+      }
+    } else {
+      const traverse = (currentId, depth = 0, trail = []) => {
+        if (depth >= maxDepth) return true;
+
+        for (const hop of neighborsOf(currentId)) {
+          if (visited.has(hop.neighborId)) continue;
+
+          const hopTrail = trail.concat(hop.pathway);
+          if (!visit(hop, currentId, depth + 1, hopTrail)) return false;
+
+          // Continue traversal
+          if (!traverse(hop.neighborId, depth + 1, hopTrail)) return false;
+        }
+        return true;
+      };
+
+      traverse(agentId);
+    }
+
+    return {
+      connections: Array.from(connections.values()),
+      truncated
+    };
+  }
+
+  /**
+   * Find routes from one agent to another through the mesh
+   * @param {string} sourceAgentId - Starting agent ID
+   * @param {string} targetAgentId - Destination agent ID
+   * @param {Object} options - { algorithm: 'shortest'|'strongest', k, minStrength, chain, maxHops }
+   * @returns {Array} - Routes, best first
+   */
+  findPaths(sourceAgentId, targetAgentId, options = {}) {
+    if (!this.agents.has(sourceAgentId)) {
+      throw new NotFoundError('Agent', sourceAgentId, `Source agent ${sourceAgentId} not found`);
+    }
+
+    if (!this.agents.has(targetAgentId)) {
+      throw new NotFoundError('Agent', targetAgentId, `Target agent ${targetAgentId} not found`);
+    }
+
+    const graph = {
+      neighbors: agentId => this.getOutgoingPathways(agentId),
+      getAgent: agentId => this.agents.get(agentId)
+    };
+
+    const chains = options.chain
+      ? [].concat(options.chain)
+      : null;
+
+    return findKBestPaths(graph, sourceAgentId, targetAgentId, options.k || 1, {
+      metric: options.algorithm || 'shortest',
+      minStrength: options.minStrength || 0,
+      maxHops: options.maxHops,
+      chains
+    });
+  }
+
+  /**
+   * Group agents into communities of closely connected agents (see ./community)
+   * @param {Object} options - { algorithm, resolution, minStrength, chain, includeInactive, topCapabilities }
+   * @returns {Object} - { algorithm, modularity, communities, bridges }
+   */
+  detectCommunities(options = {}) {
+    const chains = options.chain
+      ? [].concat(options.chain)
+      : null;
+
+    return detectCommunities(
+      Array.from(this.agents.values()),
+      Array.from(new Set(this.pathways.values())),
+      { ...options, chains }
+    );
+  }
+
+  /**
+   * Select the agents for a task from its requirements
+   * @param {Object} task - Task definition with a `requirements` field
+   * @returns {Object} - { agentIds, selection, unmetCapabilities, candidateCount }
+   */
+  routeTask(task) {
+    return this.router.route(task);
   }
 
   /**
    * Execute a collective cognition task across multiple agents
-   * @param {Array} agentIds - Array of agent IDs to include in collective processing
+   * @param {Array|null} agentIds - Agent IDs to include, or null to route by `task.requirements`
    * @param {Object} task - Task definition
+   * @param {Object} options - Execution options ({ signal })
    */
-  async executeCollectiveCognition(agentIds, task) {
-    // Validate agents exist
-    const validAgents = agentIds.filter(id => this.agents.has(id));
+  async executeCollectiveCognition(agentIds, task, options = {}) {
+    // Let the router pick the agents when the caller doesn't
+    let routing = null;
+    if ((!agentIds || agentIds.length === 0) && task.requirements) {
+      routing = this.routeTask(task);
+      agentIds = routing.agentIds;
+    }
+
+    // Validate agents exist and are still responding
+    const validAgents = agentIds.filter(id =>
+      this.agents.has(id) && this.liveness.isResponsive(this.agents.get(id))
+    );
     
     if (validAgents.length < 2) {
       throw new Error('Collective cognition requires at least 2 valid agents');
     }
+
+    assertConsensusConfig(task.consensus);
+    assertAggregationConfig(task.aggregation);
+    const policy = resolveExecutionPolicy(task.execution, validAgents.length);
     
-    // Collective processing implementation will be expanded in future versions
+    // Every agent runs under its own timeout and retries; failures are
+    // reported as failed results instead of rejecting the whole task
     const results = await Promise.all(
       validAgents.map(agentId => {
         const agent = this.agents.get(agentId);
-        // Execute the task on each agent
-        return this._processAgentTask(agent, task);
+        return this._runAgentTask(agent, task, policy, options);
       })
     );
+
+    if (options.signal && options.signal.aborted) {
+      throw new CognitiveMeshError('Collective cognition task aborted', 'TASK_ABORTED', { taskId: task.id });
+    }
+
+    const completed = results.filter(result => result.status === 'completed');
+    const quorum = {
+      required: policy.quorum,
+      completed: completed.length,
+      failed: results.length - completed.length,
+      total: results.length
+    };
+
+    if (completed.length < policy.quorum) {
+      await this.trust.recordTaskOutcome(task, results);
+
+      throw new CognitiveMeshError(
+        `Quorum not reached: ${completed.length} of ${results.length} agents completed, ${policy.quorum} required`,
+        'QUORUM_NOT_REACHED',
+        {
+          taskId: task.id,
+          ...quorum,
+          failures: results
+            .filter(result => result.status === 'failed')
+            .map(({ agentId, error, attempts }) => ({ agentId, error, attempts }))
+        }
+      );
+    }
     
-    // Aggregate results (simplified version)
-    const aggregatedResult = this._aggregateResults(results, task);
+    // Aggregate the completed results with the strategy chosen by the task
+    const aggregatedResult = this._aggregateResults(completed, task);
+    await this.trust.recordTaskOutcome(task, results, aggregatedResult.consensus);
+
+    // Adapt the pathways between participants to the outcome
+    const learning = task.learning === false
+      ? null
+      : await this._applyLearning(validAgents, results, aggregatedResult, task);
     
     return {
       task,
       participatingAgents: validAgents,
       individualResults: results,
-      aggregatedResult
+      aggregatedResult,
+      quorum,
+      routing,
+      learning
+    };
+  }
+
+  /**
+   * Execute a multi-stage workflow whose stages pass their outputs along
+   * neural pathways (see ./workflow)
+   * @param {Object} definition - Workflow definition ({ id, input, stages })
+   * @param {Object} options - Execution options ({ signal })
+   * @returns {Object} - Workflow report
+   */
+  async executeWorkflow(definition, options = {}) {
+    return this.workflows.run(definition, options);
+  }
+
+  /**
+   * Internal method to strengthen or weaken the pathways between the agents
+   * of a collective task according to the configured learning rule
+   * @private
+   */
+  async _applyLearning(agentIds, results, aggregatedResult, task) {
+    const pathways = new Set();
+
+    agentIds.forEach(sourceId => {
+      agentIds.forEach(targetId => {
+        const pathway = this.getPathway(sourceId, targetId);
+        if (sourceId !== targetId && pathway) {
+          pathways.add(pathway);
+        }
+      });
+    });
+
+    const updates = this.learning.computeUpdates(Array.from(pathways), {
+      results,
+      consensus: aggregatedResult.consensus,
+      reward: task.reward
+    });
+
+    const applied = [];
+
+    for (const update of updates) {
+      try {
+        const { pathway } = update;
+        await this.updatePathway(pathway.sourceAgentId, pathway.targetAgentId, {
+          strength: update.strength,
+          lastUsed: new Date(this.clock()),
+          usageCount: (pathway.usageCount || 0) + 1
+        });
+
+        applied.push({
+          pathwayId: pathway.id,
+          sourceAgentId: pathway.sourceAgentId,
+          targetAgentId: pathway.targetAgentId,
+          previousStrength: update.previousStrength,
+          strength: update.strength,
+          delta: update.delta
+        });
+      } catch (error) {
+        console.error('Failed to apply pathway learning update:', error);
+      }
+    }
+
+    const learning = {
+      rule: this.learning.config.rule,
+      updates: applied
     };
+
+    this.emit('pathwayLearning', { taskId: task.id, ...learning });
+    return learning;
+  }
+
+  /**
+   * Internal method to run a task on an individual agent under an execution
+   * policy (see ./execution). Never rejects: a failure after the last retry
+   * is returned as a failed result.
+   * @private
+   */
+  async _runAgentTask(agent, task, policy, options = {}) {
+    const startedAt = Date.now();
+
+    try {
+      const { value, attempts } = await runWithRetry(
+        signal => this._processAgentTask(agent, task, { ...options, signal }),
+        policy,
+        options.signal
+      );
+
+      return { ...value, attempts, durationMs: Date.now() - startedAt };
+    } catch (error) {
+      return {
+        agentId: agent.id,
+        status: 'failed',
+        error: {
+          code: error.code || 'AGENT_TASK_FAILED',
+          message: error.message
+        },
+        attempts: error.attempts || 1,
+        executor: agent.executor ? agent.executor.type : null,
+        durationMs: Date.now() - startedAt,
+        timestamp: new Date()
+      };
+    }
   }
 
   /**
    * Internal method to process a task on an individual agent
+   * Dispatches the task through the executor declared by the agent.
    * @private
    */
-  async _processAgentTask(agent, task) {
-    // This is a placeholder for actual agent task processing
-    // In a real implementation, this would invoke the agent's capabilities
-    
+  async _processAgentTask(agent, task, options = {}) {
+    const startedAt = Date.now();
+    const { output, confidence } = await this.executors.execute(agent, task, {
+      signal: options.signal
+    });
+
     return {
       agentId: agent.id,
       status: 'completed',
-      result: `Agent ${agent.id} processed task ${task.id} successfully`,
-      confidence: Math.random() * 0.5 + 0.5, // Placeholder confidence score
+      result: output,
+      confidence,
+      executor: agent.executor.type,
+      durationMs: Date.now() - startedAt,
       timestamp: new Date()
     };
   }
 
   /**
    * Internal method to aggregate results from multiple agents
+   * The fusion rule is chosen by the task's `aggregation` field (see
+   * ./aggregation) and defaults to the highest-confidence answer.
    * @private
    */
   _aggregateResults(results, task) {
-    // Simple aggregation strategy - can be extended with more sophisticated approaches
-    const confidenceWeightedResults = results.map(r => ({
-      result: r.result,
-      weight: r.confidence || 1.0
-    }));
-    
-    // For now, just return the highest confidence result
-    const sortedResults = [...confidenceWeightedResults].sort((a, b) => b.weight - a.weight);
+    const { strategy, primaryResult, confidence, ...details } = aggregateResults(
+      results,
+      task.aggregation,
+      this.agents
+    );
+    const consensus = this._checkConsensus(results, task);
     
     return {
-      primaryResult: sortedResults[0].result,
-      confidence: sortedResults[0].weight,
-      consensusReached: this._checkConsensus(results),
-      resultCount: results.length
+      strategy,
+      primaryResult,
+      confidence,
+      consensusReached: consensus.reached,
+      consensus,
+      resultCount: results.length,
+      ...details
     };
   }
 
   /**
    * Check if there is consensus among results
+   * The strategy and threshold are chosen by the task's `consensus` field
+   * (see ./consensus); by default the strategy is inferred from the answers
+   * and 70% of the agents must agree.
    * @private
    */
-  _checkConsensus(results) {
-    // Simplified consensus check
-    // In a real implementation, this would use more sophisticated algorithms
-    
-    // Consider consensus reached if more than 70% of results are similar
-    // This is a very simplified placeholder implementation
-    return true;
+  _checkConsensus(results, task = {}) {
+    return evaluateConsensus(results, task.consensus);
   }
 }
 
@@ -311,10 +970,58 @@ const cognitiveMesh = new CognitiveMesh();
  * Initialize the cognitive mesh system
  */
 async function initializeCognitiveMesh() {
-  return cognitiveMesh.initialize();
+  const initialized = await cognitiveMesh.initialize();
+
+  if (!cognitiveMesh.replication.config.enabled) {
+    startScheduledJobs();
+    return initialized;
+  }
+
+  // Only the leader node runs the scheduled jobs, so their changes aren't
+  // made once per node
+  cognitiveMesh.on('leadershipChanged', ({ leader }) => {
+    if (leader) {
+      startScheduledJobs();
+    } else {
+      stopScheduledJobs();
+    }
+  });
+
+  await cognitiveMesh.replication.start();
+  return initialized;
+}
+
+/**
+ * Start the scheduled jobs that maintain the mesh
+ */
+function startScheduledJobs() {
+  if (process.env.PATHWAY_DECAY_ENABLED !== 'false') {
+    cognitiveMesh.decay.start();
+  }
+
+  if (process.env.CENTRALITY_ENABLED !== 'false') {
+    cognitiveMesh.centrality.start();
+  }
+
+  cognitiveMesh.trust.start();
+
+  if (process.env.LIVENESS_ENABLED !== 'false') {
+    cognitiveMesh.liveness.start();
+  }
+}
+
+/**
+ * Stop the scheduled jobs that maintain the mesh
+ */
+function stopScheduledJobs() {
+  cognitiveMesh.decay.stop();
+  cognitiveMesh.centrality.stop();
+  cognitiveMesh.trust.stop();
+  cognitiveMesh.liveness.stop();
 }
 
 module.exports = {
+  CognitiveMesh,
   cognitiveMesh,
   initializeCognitiveMesh
 }; 
\ No newline at end of file
@@ -0,0 +1,378 @@
+/**
+ * Community Detection - Clusters of closely connected agents
+ *
+ * Agents that work together build strong pathways to each other, so groups
+ * of specialists show up as densely connected regions of the mesh. This
+ * module finds those regions by treating pathways as undirected edges
+ * weighted by their strength:
+ *
+ *   louvain:           greedy modularity optimization, repeated on the graph
+ *                      of communities until no move improves modularity
+ *   label-propagation: every agent adopts the label with the strongest ties
+ *                      among its neighbors until the labels settle; a tie
+ *                      goes to the label whose agents are most tightly knit
+ *                      into the agent's neighborhood
+ *
+ * Both algorithms visit agents in ID order, so the same mesh always yields
+ * the same communities.
+ */
+
+const { ValidationError } = require('../utils/errors');
+
+const COMMUNITY_ALGORITHMS = ['louvain', 'label-propagation'];
+
+/**
+ * Add weight to an undirected edge of an adjacency map
+ * @private
+ */
+function addEdge(adjacency, a, b, weight) {
+  adjacency.get(a).set(b, (adjacency.get(a).get(b) || 0) + weight);
+  if (a !== b) {
+    adjacency.get(b).set(a, (adjacency.get(b).get(a) || 0) + weight);
+  }
+}
+
+/**
+ * Weighted degree of a node; self-loops count twice
+ * @private
+ */
+function degreeOf(adjacency, node) {
+  let degree = 0;
+  adjacency.get(node).forEach((weight, neighbor) => {
+    degree += neighbor === node ? 2 * weight : weight;
+  });
+  return degree;
+}
+
+/**
+ * Build the undirected, strength-weighted agent graph
+ * @private
+ */
+function buildGraph(agents, pathways, options) {
+  const nodes = agents
+    .filter(agent => !options.chains || options.chains.includes(agent.chain))
+    .map(agent => agent.id)
+    .sort();
+  const adjacency = new Map(nodes.map(id => [id, new Map()]));
+
+  pathways.forEach(pathway => {
+    const { sourceAgentId, targetAgentId, strength } = pathway;
+
+    if (!options.includeInactive && pathway.status === 'inactive') return;
+    if (!(strength > 0) || strength < (options.minStrength || 0)) return;
+    if (sourceAgentId === targetAgentId) return;
+    if (!adjacency.has(sourceAgentId) || !adjacency.has(targetAgentId)) return;
+
+    addEdge(adjacency, sourceAgentId, targetAgentId, strength);
+  });
+
+  return { nodes, adjacency };
+}
+
+/**
+ * Modularity of a partition
+ * @private
+ */
+function modularity(adjacency, membership, resolution) {
+  const internal = new Map();
+  const totals = new Map();
+  let twiceTotal = 0;
+
+  adjacency.forEach((neighbors, node) => {
+    const community = membership.get(node);
+    const degree = degreeOf(adjacency, node);
+
+    totals.set(community, (totals.get(community) || 0) + degree);
+    twiceTotal += degree;
+
+    neighbors.forEach((weight, neighbor) => {
+      if (membership.get(neighbor) === community) {
+        internal.set(community, (internal.get(community) || 0) + (neighbor === node ? 2 * weight : weight));
+      }
+    });
+  });
+
+  if (twiceTotal === 0) return 0;
+
+  let q = 0;
+  totals.forEach((total, community) => {
+    q += (internal.get(community) || 0) / twiceTotal - resolution * Math.pow(total / twiceTotal, 2);
+  });
+
+  return q;
+}
+
+/**
+ * Move nodes between communities while modularity improves
+ * @private
+ * @returns {Object} - { communityOf, moved }
+ */
+function localMoving(nodes, adjacency, resolution, maxIterations) {
+  const communityOf = new Map(nodes.map(node => [node, node]));
+  const degrees = new Map(nodes.map(node => [node, degreeOf(adjacency, node)]));
+  const totals = new Map(degrees);
+  const twiceTotal = Array.from(degrees.values()).reduce((sum, degree) => sum + degree, 0);
+  let moved = false;
+
+  if (twiceTotal === 0) return { communityOf, moved };
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let changed = false;
+
+    for (const node of nodes) {
+      const current = communityOf.get(node);
+      const degree = degrees.get(node);
+
+      // Weight from the node to each neighboring community
+      const links = new Map();
+      adjacency.get(node).forEach((weight, neighbor) => {
+        if (neighbor === node) return;
+        const community = communityOf.get(neighbor);
+        links.set(community, (links.get(community) || 0) + weight);
+      });
+
+      totals.set(current, totals.get(current) - degree);
+
+      const gain = community =>
+        (links.get(community) || 0) - resolution * totals.get(community) * degree / twiceTotal;
+
+      let best = current;
+      let bestGain = gain(current);
+
+      Array.from(links.keys()).sort().forEach(community => {
+        const candidate = gain(community);
+        if (candidate > bestGain + 1e-12) {
+          best = community;
+          bestGain = candidate;
+        }
+      });
+
+      totals.set(best, totals.get(best) + degree);
+
+      if (best !== current) {
+        communityOf.set(node, best);
+        changed = true;
+        moved = true;
+      }
+    }
+
+    if (!changed) break;
+  }
+
+  return { communityOf, moved };
+}
+
+/**
+ * Louvain modularity optimization
+ * @private
+ * @returns {Map} - agentId -> community label
+ */
+function louvain(graph, options) {
+  const membership = new Map(graph.nodes.map(node => [node, node]));
+  let { nodes, adjacency } = graph;
+
+  for (let level = 0; level < options.maxIterations; level++) {
+    const { communityOf, moved } = localMoving(nodes, adjacency, options.resolution, options.maxIterations);
+
+    if (!moved) break;
+
+    membership.forEach((community, agentId) => {
+      membership.set(agentId, communityOf.get(community));
+    });
+
+    // Collapse every community into a single node and repeat
+    const aggregated = new Map();
+    communityOf.forEach(community => aggregated.set(community, new Map()));
+
+    adjacency.forEach((neighbors, node) => {
+      neighbors.forEach((weight, neighbor) => {
+        // Each undirected edge is seen from both ends; add it once
+        if (node > neighbor) return;
+        addEdge(aggregated, communityOf.get(node), communityOf.get(neighbor), weight);
+      });
+    });
+
+    nodes = Array.from(aggregated.keys()).sort();
+    adjacency = aggregated;
+  }
+
+  return membership;
+}
+
+/**
+ * Weighted label propagation
+ * @private
+ * @returns {Map} - agentId -> community label
+ */
+function labelPropagation(graph, options) {
+  const { nodes, adjacency } = graph;
+  const labels = new Map(nodes.map(node => [node, node]));
+
+  for (let iteration = 0; iteration < options.maxIterations; iteration++) {
+    let changed = false;
+
+    for (const node of nodes) {
+      const neighborhood = adjacency.get(node);
+      const weights = new Map();
+      // Strength between the neighbors holding a label and the node's other
+      // neighbors; a bridge to another cluster shares none of them
+      const knit = new Map();
+
+      neighborhood.forEach((weight, neighbor) => {
+        const label = labels.get(neighbor);
+        weights.set(label, (weights.get(label) || 0) + weight);
+
+        adjacency.get(neighbor).forEach((tie, other) => {
+          if (other !== node && neighborhood.has(other)) {
+            knit.set(label, (knit.get(label) || 0) + tie);
+          }
+        });
+      });
+
+      if (weights.size === 0) continue;
+
+      const strongest = Math.max(...weights.values());
+      const candidates = Array.from(weights.keys())
+        .filter(label => weights.get(label) >= strongest - 1e-12)
+        .sort((a, b) => (knit.get(b) || 0) - (knit.get(a) || 0) || (a < b ? -1 : 1));
+      const current = labels.get(node);
+
+      // Keep the current label on a tie so the labels can settle
+      const next = candidates.includes(current) ? current : candidates[0];
+
+      if (next !== current) {
+        labels.set(node, next);
+        changed = true;
+      }
+    }
+
+    if (!changed) break;
+  }
+
+  return labels;
+}
+
+const DETECTORS = {
+  louvain,
+  'label-propagation': labelPropagation
+};
+
+/**
+ * Detect communities of agents
+ * @param {Array} agents - Agents to cluster
+ * @param {Array} pathways - Pathways between them
+ * @param {Object} options - { algorithm, resolution, minStrength, chains,
+ *   includeInactive, maxIterations, topCapabilities }
+ * @returns {Object} - { algorithm, modularity, communities, bridges }
+ */
+function detectCommunities(agents, pathways, options = {}) {
+  const algorithm = options.algorithm || 'louvain';
+
+  if (!DETECTORS[algorithm]) {
+    throw new ValidationError(`Unknown community detection algorithm: ${algorithm}`, {
+      algorithm,
+      available: COMMUNITY_ALGORITHMS
+    });
+  }
+
+  const settings = {
+    resolution: options.resolution === undefined ? 1 : options.resolution,
+    maxIterations: options.maxIterations || 100,
+    topCapabilities: options.topCapabilities || 3,
+    minStrength: options.minStrength || 0,
+    chains: options.chains || null,
+    includeInactive: !!options.includeInactive
+  };
+
+  const graph = buildGraph(agents, pathways, settings);
+  const labels = DETECTORS[algorithm](graph, settings);
+  const agentsById = new Map(agents.map(agent => [agent.id, agent]));
+
+  // Group agents by label, largest communities first
+  const groups = new Map();
+  graph.nodes.forEach(agentId => {
+    const label = labels.get(agentId);
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(agentId);
+  });
+
+  const ordered = Array.from(groups.values())
+    .sort((a, b) => b.length - a.length || (a[0] < b[0] ? -1 : 1));
+
+  const communityOf = new Map();
+  const communities = ordered.map((members, index) => {
+    const id = `community-${index + 1}`;
+    members.forEach(agentId => communityOf.set(agentId, id));
+
+    const counts = new Map();
+    members.forEach(agentId => {
+      ((agentsById.get(agentId) || {}).capabilities || []).forEach(capability => {
+        counts.set(capability, (counts.get(capability) || 0) + 1);
+      });
+    });
+
+    const dominantCapabilities = Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+      .slice(0, settings.topCapabilities)
+      .map(([capability, count]) => ({ capability, count, share: count / members.length }));
+
+    return {
+      id,
+      size: members.length,
+      members,
+      dominantCapabilities,
+      internalStrength: 0,
+      externalStrength: 0
+    };
+  });
+
+  const byId = new Map(communities.map(community => [community.id, community]));
+  const bridges = [];
+
+  graph.nodes.forEach(agentId => {
+    const own = communityOf.get(agentId);
+    const connects = new Map();
+    let degree = 0;
+
+    graph.adjacency.get(agentId).forEach((weight, neighbor) => {
+      const other = communityOf.get(neighbor);
+      degree += weight;
+
+      if (other === own) {
+        // Internal edges are seen from both ends
+        byId.get(own).internalStrength += weight / 2;
+      } else {
+        connects.set(other, (connects.get(other) || 0) + weight);
+      }
+    });
+
+    if (connects.size === 0) return;
+
+    const externalStrength = Array.from(connects.values()).reduce((sum, weight) => sum + weight, 0);
+    byId.get(own).externalStrength += externalStrength;
+
+    bridges.push({
+      agentId,
+      community: own,
+      connects: Array.from(connects.entries())
+        .sort((a, b) => b[1] - a[1])
+        .map(([community, strength]) => ({ community, strength })),
+      externalStrength,
+      bridgeScore: externalStrength / degree
+    });
+  });
+
+  bridges.sort((a, b) => b.externalStrength - a.externalStrength || (a.agentId < b.agentId ? -1 : 1));
+
+  return {
+    algorithm,
+    modularity: modularity(graph.adjacency, communityOf, settings.resolution),
+    communities,
+    bridges
+  };
+}
+
+module.exports = {
+  detectCommunities,
+  COMMUNITY_ALGORITHMS
+};
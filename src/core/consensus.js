@@ -0,0 +1,330 @@
+/**
+ * Consensus Detection - Agreement analysis for collective cognition
+ *
+ * This module decides whether the agents taking part in a collective task
+ * agree on an answer. Each strategy groups the agent results, picks the
+ * largest agreeing group and reports which agents agree and which dissent.
+ * A task selects a strategy through its `consensus` field:
+ *
+ *   consensus: 'exact'
+ *   consensus: { strategy: 'numeric', threshold: 0.6, tolerance: 0.05 }
+ */
+
+const { ValidationError } = require('../utils/errors');
+
+const DEFAULT_THRESHOLD = 0.7;
+
+/**
+ * Serialize a value to a stable string so structurally equal values compare equal
+ * @param {*} value - Any JSON-compatible value
+ * @returns {string}
+ */
+function canonicalize(value) {
+  if (value === undefined) {
+    return 'undefined';
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+
+  const keys = Object.keys(value).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+}
+
+/**
+ * Normalize free text for comparison: case, accents, punctuation and spacing
+ * @param {*} value - Value to normalize
+ * @returns {string}
+ */
+function normalizeText(value) {
+  const text = typeof value === 'string' ? value : canonicalize(value);
+
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Token-set Jaccard similarity between two normalized texts
+ * Texts without any word (empty or punctuation only) match nothing, not
+ * even each other.
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} - Similarity in the 0-1 range
+ */
+function textSimilarity(a, b) {
+  const tokensA = new Set(a.split(' ').filter(Boolean));
+  const tokensB = new Set(b.split(' ').filter(Boolean));
+
+  if (tokensA.size === 0 || tokensB.size === 0) return 0;
+  if (a === b) return 1;
+
+  let intersection = 0;
+  tokensA.forEach(token => {
+    if (tokensB.has(token)) intersection++;
+  });
+
+  return intersection / (tokensA.size + tokensB.size - intersection);
+}
+
+/**
+ * Read a dotted path (e.g. "prediction.direction") from an object
+ * @private
+ */
+function getField(value, path) {
+  return path.split('.').reduce(
+    (current, key) => (current !== null && current !== undefined ? current[key] : undefined),
+    value
+  );
+}
+
+/**
+ * Largest group of results sharing the same key
+ * @private
+ */
+function largestGroup(results, keyOf) {
+  const groups = new Map();
+
+  results.forEach(result => {
+    const key = keyOf(result);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(result);
+  });
+
+  let best = [];
+  groups.forEach(group => {
+    if (group.length > best.length) {
+      best = group;
+    }
+  });
+
+  return best;
+}
+
+// Built-in consensus strategies
+// Each strategy receives the completed results and the task's consensus
+// options, and returns the agreeing results plus the value they agree on.
+
+/**
+ * Exact-match majority: agents agree when their answers are identical
+ */
+function exactStrategy(results) {
+  const group = largestGroup(results, r => canonicalize(r.result));
+
+  return {
+    agreeing: group,
+    value: group.length ? group[0].result : undefined
+  };
+}
+
+/**
+ * Normalized-text similarity: agents agree with the most central answer when
+ * their normalized answers are at least `similarity` alike (default 0.8)
+ */
+function textStrategy(results, options) {
+  const minSimilarity = options.similarity !== undefined ? options.similarity : 0.8;
+  const texts = results.map(r => normalizeText(r.result));
+
+  let best = { agreeing: [], value: undefined };
+
+  results.forEach((candidate, i) => {
+    const agreeing = results.filter((r, j) => textSimilarity(texts[i], texts[j]) >= minSimilarity);
+
+    if (agreeing.length > best.agreeing.length) {
+      best = { agreeing, value: candidate.result };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Numeric tolerance band: agents agree when their numbers fall within
+ * `tolerance` (absolute) or `relativeTolerance` (fraction) of a central value
+ */
+function numericStrategy(results, options) {
+  const absolute = options.tolerance || 0;
+  const relative = options.relativeTolerance || 0;
+
+  const numeric = results
+    .map(r => ({ result: r, value: Number(r.result) }))
+    .filter(entry => entry.result.result !== null && entry.result.result !== '' && Number.isFinite(entry.value));
+
+  let best = { agreeing: [], value: undefined };
+
+  numeric.forEach(center => {
+    const band = Math.max(absolute, relative * Math.abs(center.value));
+    const inBand = numeric.filter(entry => Math.abs(entry.value - center.value) <= band);
+
+    if (inBand.length > best.agreeing.length) {
+      const mean = inBand.reduce((sum, entry) => sum + entry.value, 0) / inBand.length;
+      best = { agreeing: inBand.map(entry => entry.result), value: mean };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Structured-field agreement: for each field the majority value wins, and an
+ * agent agrees when it matches the majority on at least `fieldThreshold`
+ * (default 1.0, i.e. all) of the compared fields. Fields default to the union
+ * of keys across results and can be restricted with `fields`.
+ */
+function structuredStrategy(results, options) {
+  const fieldThreshold = options.fieldThreshold !== undefined ? options.fieldThreshold : 1.0;
+  const objects = results.filter(r => r.result !== null && typeof r.result === 'object');
+
+  const fields = options.fields || Array.from(new Set(
+    objects.reduce((keys, r) => keys.concat(Object.keys(r.result)), [])
+  ));
+
+  if (objects.length === 0 || fields.length === 0) {
+    return { agreeing: [], value: undefined, fields: {} };
+  }
+
+  const value = {};
+  const fieldReport = {};
+
+  fields.forEach(field => {
+    const group = largestGroup(objects, r => canonicalize(getField(r.result, field)));
+    value[field] = getField(group[0].result, field);
+    fieldReport[field] = {
+      value: value[field],
+      agreement: group.length / results.length
+    };
+  });
+
+  const agreeing = objects.filter(r => {
+    const matched = fields.filter(field =>
+      canonicalize(getField(r.result, field)) === canonicalize(value[field])
+    ).length;
+    return matched / fields.length >= fieldThreshold;
+  });
+
+  return { agreeing, value, fields: fieldReport };
+}
+
+const strategies = new Map([
+  ['exact', exactStrategy],
+  ['text', textStrategy],
+  ['numeric', numericStrategy],
+  ['structured', structuredStrategy]
+]);
+
+/**
+ * Register a custom consensus strategy
+ * @param {string} name - Strategy name
+ * @param {Function} strategy - (results, options) => { agreeing, value }
+ */
+function registerConsensusStrategy(name, strategy) {
+  if (typeof strategy !== 'function') {
+    throw new Error(`Consensus strategy ${name} must be a function`);
+  }
+  strategies.set(name, strategy);
+}
+
+/**
+ * List registered consensus strategy names
+ * @returns {Array<string>}
+ */
+function listConsensusStrategies() {
+  return Array.from(strategies.keys());
+}
+
+/**
+ * Pick a strategy from the shape of the answers when the task doesn't choose one
+ * @private
+ */
+function inferStrategy(results) {
+  const sample = results.length ? results[0].result : undefined;
+
+  if (typeof sample === 'number') return 'numeric';
+  if (typeof sample === 'string') return 'text';
+  if (sample !== null && typeof sample === 'object' && !Array.isArray(sample)) return 'structured';
+  return 'exact';
+}
+
+/**
+ * Normalize a task's `consensus` field into { strategy, threshold, ...options }
+ * @private
+ */
+function resolveOptions(config) {
+  if (!config) return {};
+  if (typeof config === 'string') return { strategy: config };
+  return config;
+}
+
+/**
+ * Throw if a task's consensus configuration names an unknown strategy
+ * @param {Object|string} config - Task consensus configuration
+ */
+function assertConsensusConfig(config) {
+  const { strategy } = resolveOptions(config);
+
+  if (strategy && strategy !== 'auto' && !strategies.has(strategy)) {
+    throw new ValidationError(`Unknown consensus strategy: ${strategy}`, {
+      strategy,
+      available: listConsensusStrategies()
+    });
+  }
+}
+
+/**
+ * Evaluate consensus among agent results
+ * @param {Array} results - Individual agent results
+ * @param {Object|string} config - Task consensus configuration
+ * @returns {Object} - Consensus report
+ */
+function evaluateConsensus(results, config) {
+  const options = resolveOptions(config);
+  const completed = results.filter(r => r.status === 'completed');
+  const strategyName = !options.strategy || options.strategy === 'auto'
+    ? inferStrategy(completed)
+    : options.strategy;
+  assertConsensusConfig({ strategy: strategyName });
+  const strategy = strategies.get(strategyName);
+
+  const threshold = options.threshold !== undefined ? options.threshold : DEFAULT_THRESHOLD;
+  const { agreeing, value, ...details } = strategy(completed, options);
+  const agreeingIds = agreeing.map(r => r.agentId);
+  const agreement = completed.length ? agreeingIds.length / completed.length : 0;
+
+  return {
+    strategy: strategyName,
+    threshold,
+    reached: completed.length > 0 && agreement >= threshold,
+    agreement,
+    value,
+    agreeingAgents: agreeingIds,
+    dissentingAgents: completed
+      .map(r => r.agentId)
+      .filter(id => !agreeingIds.includes(id)),
+    ...details
+  };
+}
+
+module.exports = {
+  canonicalize,
+  normalizeText,
+  textSimilarity,
+  registerConsensusStrategy,
+  listConsensusStrategies,
+  assertConsensusConfig,
+  evaluateConsensus
+};
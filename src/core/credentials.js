@@ -0,0 +1,97 @@
+/**
+ * Agent Credentials
+ *
+ * Every agent can hold a key of its own, which it presents in the X-Agent-Key
+ * header to act as itself, for instance to endorse a peer. The key is handed
+ * out once, when it is issued; the mesh keeps only its SHA-256 hash in the
+ * agent's `credentials`, which never leaves the server.
+ *
+ * The secrets an agent's executor is configured with, HTTP headers and
+ * subprocess environment variables, are write-only in the same way: clients
+ * see their names, never their values.
+ */
+
+const crypto = require('crypto');
+
+const REDACTED = '[redacted]';
+const EXECUTOR_SECRETS = ['headers', 'env'];
+
+/**
+ * Hash of an agent key
+ * @private
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Generate a new agent key
+ * @returns {Object} - { key, credentials }: the key to hand to the agent and
+ *   the credentials to store on it
+ */
+function issueAgentKey() {
+  const key = crypto.randomBytes(32).toString('base64url');
+
+  return {
+    key,
+    credentials: {
+      keyHash: hashKey(key),
+      issuedAt: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Check a key against an agent's credentials
+ * @param {Object} agent - Agent
+ * @param {string} key - Key presented by the client
+ * @returns {boolean} - Whether the key is the agent's current one
+ */
+function verifyAgentKey(agent, key) {
+  if (!agent || !agent.credentials || !agent.credentials.keyHash || !key) {
+    return false;
+  }
+
+  const expected = Buffer.from(agent.credentials.keyHash, 'hex');
+  const presented = Buffer.from(hashKey(key), 'hex');
+
+  return expected.length === presented.length && crypto.timingSafeEqual(expected, presented);
+}
+
+/**
+ * Copy of an executor descriptor with the values of its secrets masked
+ * @param {Object} executor - Executor descriptor
+ * @returns {Object} - The masked descriptor
+ */
+function redactExecutor(executor) {
+  if (!executor || typeof executor !== 'object') return executor;
+
+  const redacted = { ...executor };
+  EXECUTOR_SECRETS.forEach(field => {
+    if (redacted[field] && typeof redacted[field] === 'object') {
+      redacted[field] = Object.fromEntries(Object.keys(redacted[field]).map(name => [name, REDACTED]));
+    }
+  });
+
+  return redacted;
+}
+
+/**
+ * JSON replacer that leaves agent credentials and executor secrets out of
+ * anything sent to clients
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} - The value to serialize
+ */
+function redactSecrets(key, value) {
+  if (key === 'credentials') return undefined;
+  if (key === 'executor') return redactExecutor(value);
+  return value;
+}
+
+module.exports = {
+  issueAgentKey,
+  verifyAgentKey,
+  redactExecutor,
+  redactSecrets
+};
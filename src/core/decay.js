@@ -0,0 +1,234 @@
+/**
+ * Pathway Decay - Time-based weakening of unused neural pathways
+ *
+ * This module runs a background scheduler that reduces the strength of
+ * pathways according to the time elapsed since they were last used. Each
+ * pathway type (`metadata.type`) can have its own half-life:
+ *
+ *   exponential: s' = s * 0.5 ^ (elapsed / halfLife)
+ *   linear:      s' = s - 0.5 * (elapsed / halfLife)
+ *
+ * Pathways that fall below the configured floor are marked `inactive`.
+ */
+
+const logger = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CURVES = ['exponential', 'linear'];
+
+/**
+ * Read a number from the environment, keeping an explicit 0
+ * @private
+ */
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+const DEFAULT_CONFIG = {
+  intervalMs: parseInt(process.env.PATHWAY_DECAY_INTERVAL_MS) || 5 * 60 * 1000,
+  curve: process.env.PATHWAY_DECAY_CURVE || 'exponential',
+  halfLives: {
+    default: 7 * DAY_MS,
+    'cross-chain': 30 * DAY_MS
+  },
+  gracePeriodMs: 0,
+  floor: envNumber('PATHWAY_DECAY_FLOOR', 0.1),
+  thresholds: [0.5, 0.25],
+  minChange: 0.0001
+};
+
+/**
+ * Convert a date-like value to epoch milliseconds
+ * @private
+ */
+function toTime(value) {
+  if (!value) return 0;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? 0 : time;
+}
+
+class PathwayDecayScheduler {
+  /**
+   * @param {CognitiveMesh} mesh - Mesh whose pathways decay
+   * @param {Object} config - Decay configuration
+   */
+  constructor(mesh, config = {}) {
+    this.mesh = mesh;
+    this.config = { ...DEFAULT_CONFIG, halfLives: { ...DEFAULT_CONFIG.halfLives } };
+    this.timer = null;
+    this.running = false;
+    this.configure(config);
+  }
+
+  /**
+   * Update the decay configuration
+   * @param {Object} config - { intervalMs, curve, halfLives, gracePeriodMs, floor, thresholds }
+   * @returns {Object} - The resulting configuration
+   */
+  configure(config = {}) {
+    const next = {
+      ...this.config,
+      ...config,
+      halfLives: { ...this.config.halfLives, ...(config.halfLives || {}) }
+    };
+
+    if (!CURVES.includes(next.curve)) {
+      throw new ValidationError(`Unknown decay curve: ${next.curve}`, {
+        curve: next.curve,
+        available: CURVES
+      });
+    }
+
+    // Strength is divided by the half-life
+    Object.entries(next.halfLives).forEach(([type, halfLife]) => {
+      if (!(typeof halfLife === 'number' && halfLife > 0 && Number.isFinite(halfLife))) {
+        throw new ValidationError(`Half-life for ${type} pathways must be a positive number of milliseconds`, {
+          type,
+          halfLife
+        });
+      }
+    });
+
+    this.config = next;
+
+    // Restart the timer so a new interval takes effect
+    if (this.timer) {
+      this.stop();
+      this.start();
+    }
+
+    return this.config;
+  }
+
+  /**
+   * Start the periodic decay
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => logger.error('Pathway decay tick failed:', error));
+    }, this.config.intervalMs);
+
+    // Don't keep the process alive just for decay
+    if (this.timer.unref) this.timer.unref();
+
+    logger.info('Pathway decay scheduler started', {
+      intervalMs: this.config.intervalMs,
+      curve: this.config.curve
+    });
+  }
+
+  /**
+   * Stop the periodic decay
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Half-life for a pathway, by its `metadata.type`
+   * @param {Object} pathway - Neural pathway
+   * @returns {number} - Half-life in milliseconds
+   */
+  halfLifeFor(pathway) {
+    const type = pathway.metadata && pathway.metadata.type;
+    return this.config.halfLives[type] || this.config.halfLives.default;
+  }
+
+  /**
+   * Strength of a pathway after `elapsed` milliseconds of decay
+   * @param {number} strength - Current strength
+   * @param {number} elapsed - Elapsed time in milliseconds
+   * @param {number} halfLife - Half-life in milliseconds
+   * @returns {number}
+   */
+  decayedStrength(strength, elapsed, halfLife) {
+    const next = this.config.curve === 'linear'
+      ? strength - 0.5 * (elapsed / halfLife)
+      : strength * Math.pow(0.5, elapsed / halfLife);
+
+    return Math.max(0, next);
+  }
+
+  /**
+   * Apply decay to every active pathway in the mesh
+   * @param {number} now - Current time in epoch milliseconds
+   * @returns {Object} - { decayed, deactivated }
+   */
+  async tick(now = this.mesh.clock()) {
+    if (this.running) {
+      return { decayed: 0, deactivated: 0 };
+    }
+
+    this.running = true;
+    const summary = { decayed: 0, deactivated: 0 };
+
+    try {
+      const pathways = new Set(this.mesh.pathways.values());
+
+      for (const pathway of pathways) {
+        if (pathway.status === 'inactive') continue;
+
+        const lastActivity = Math.max(
+          toTime(pathway.lastUsed) + this.config.gracePeriodMs,
+          toTime(pathway.lastDecayAt),
+          toTime(pathway.established || pathway.createdAt)
+        );
+        const elapsed = now - lastActivity;
+
+        if (elapsed <= 0) continue;
+
+        const previousStrength = pathway.strength;
+        const strength = this.decayedStrength(previousStrength, elapsed, this.halfLifeFor(pathway));
+
+        // Skip negligible changes; the elapsed time keeps accumulating
+        if (previousStrength - strength < this.config.minChange) continue;
+
+        const updates = { strength, lastDecayAt: new Date(now) };
+        const deactivate = strength < this.config.floor;
+
+        if (deactivate) {
+          updates.status = 'inactive';
+        }
+
+        const updated = await this.mesh.updatePathway(pathway.sourceAgentId, pathway.targetAgentId, updates);
+        summary.decayed++;
+
+        this.config.thresholds
+          .filter(threshold => previousStrength >= threshold && strength < threshold)
+          .forEach(threshold => {
+            this.mesh.emit('pathwayThresholdCrossed', {
+              pathway: updated,
+              threshold,
+              previousStrength,
+              strength
+            });
+          });
+
+        if (deactivate) {
+          summary.deactivated++;
+          this.mesh.emit('pathwayDeactivated', updated);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    if (summary.decayed > 0) {
+      logger.logMeshEvent('pathwayDecay', summary);
+    }
+
+    return summary;
+  }
+}
+
+module.exports = {
+  PathwayDecayScheduler,
+  DECAY_CURVES: CURVES
+};
@@ -0,0 +1,238 @@
+/**
+ * Mesh Event Stream - Numbered, replayable feed of cognitive mesh events
+ *
+ * This module listens to the events emitted by the cognitive mesh, numbers
+ * them and keeps the most recent ones in a ring buffer. Subscribers (the SSE
+ * and WebSocket endpoints) receive live events matching their filter and can
+ * resume after a disconnect by passing the last event ID they saw.
+ *
+ * Every event is described as:
+ *
+ *   { id, type, timestamp, agentIds, chains, data }
+ *
+ * where `agentIds` and `chains` are the agents and chains the event concerns,
+ * which is what subscribers filter on.
+ */
+
+const logger = require('../utils/logger');
+const { redactSecrets } = require('./credentials');
+const { cognitiveMesh } = require('./cognitiveMesh');
+
+const STREAMED_EVENTS = [
+  'initialized',
+  'agentRegistered',
+  'agentUpdated',
+  'agentRemoved',
+  'agentUnresponsive',
+  'agentRecovered',
+  'agentVersioned',
+  'pathwayEstablished',
+  'pathwayRegistered',
+  'pathwayUpdated',
+  'pathwayRemoved',
+  'pathwayLearning',
+  'pathwayThresholdCrossed',
+  'pathwayDeactivated',
+  'workflowStageSettled',
+  'workflowCompleted',
+  'centralityComputed',
+  'taskOutcomeRecorded',
+  'meshCleared',
+  'meshRestored'
+];
+
+// Events emitted with more than one argument, shaped into a single payload
+const PAYLOADS = {
+  agentUpdated: (agent, updates) => ({ agent, updates }),
+  pathwayUpdated: (pathway, updates) => ({ pathway, updates })
+};
+
+/**
+ * Agents an event payload concerns
+ * @private
+ */
+function agentsOf(type, data) {
+  if (!data) return [];
+
+  const ids = new Set();
+  const addPathway = pathway => {
+    if (pathway && pathway.sourceAgentId) ids.add(pathway.sourceAgentId);
+    if (pathway && pathway.targetAgentId) ids.add(pathway.targetAgentId);
+  };
+
+  if (type.startsWith('agent') && data.id) ids.add(data.id);
+  if (data.agent && data.agent.id) ids.add(data.agent.id);
+  addPathway(data);
+  addPathway(data.pathway);
+  if (Array.isArray(data.updates)) data.updates.forEach(addPathway);
+  (data.agentIds || []).forEach(id => ids.add(id));
+  (data.participatingAgents || []).forEach(id => ids.add(id));
+
+  return Array.from(ids);
+}
+
+class MeshEventStream {
+  /**
+   * @param {CognitiveMesh} mesh - Mesh whose events are streamed
+   * @param {Object} options - { bufferSize }
+   */
+  constructor(mesh, options = {}) {
+    this.mesh = mesh;
+    this.bufferSize = options.bufferSize || parseInt(process.env.EVENT_BUFFER_SIZE) || 1000;
+    this.buffer = [];
+    this.lastId = 0;
+    this.subscribers = new Set();
+
+    STREAMED_EVENTS.forEach(type => {
+      mesh.on(type, (...args) => {
+        const data = PAYLOADS[type] ? PAYLOADS[type](...args) : (args[0] === undefined ? null : args[0]);
+
+        try {
+          this.publish(type, data);
+        } catch (error) {
+          logger.error(`Failed to publish mesh event ${type}:`, error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Number, buffer and deliver an event
+   * @param {string} type - Event type
+   * @param {*} data - Event payload
+   * @returns {Object} - The stream event
+   */
+  publish(type, data) {
+    const agentIds = agentsOf(type, data);
+    const chains = new Set();
+
+    agentIds.forEach(agentId => {
+      const agent = this.mesh.agents.get(agentId);
+      if (agent && agent.chain) chains.add(agent.chain);
+    });
+
+    if (data && data.chain) chains.add(data.chain);
+
+    const event = {
+      id: ++this.lastId,
+      type,
+      timestamp: new Date().toISOString(),
+      agentIds,
+      chains: Array.from(chains),
+      // Snapshot the payload; mesh objects keep changing after the event
+      data: JSON.parse(JSON.stringify(data, redactSecrets))
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    this.subscribers.forEach(subscriber => {
+      if (!MeshEventStream.matches(event, subscriber.filter)) return;
+
+      // A broken subscriber must not break the mesh operation that emitted
+      try {
+        subscriber.listener(event);
+      } catch (error) {
+        logger.error('Mesh event subscriber failed:', error);
+      }
+    });
+
+    return event;
+  }
+
+  /**
+   * Subscribe to events, optionally replaying the buffered events after
+   * `lastEventId` first
+   * @param {Object} filter - { types, agentIds, chains }
+   * @param {Function} listener - (event) => void
+   * @param {number} lastEventId - ID of the last event the subscriber saw
+   * @param {Function} onGap - ({ lastEventId, oldestEventId }) => void, called
+   *   before the replay when events after `lastEventId` have already left the
+   *   buffer, so the subscriber learns of the gap ahead of the events after it
+   * @returns {Object} - { unsubscribe, setFilter, missed } where `missed` is
+   *   true when there was such a gap
+   */
+  subscribe(filter, listener, lastEventId = null, onGap = null) {
+    const subscriber = { filter: filter || {}, listener };
+    let missed = false;
+
+    if (lastEventId !== null && lastEventId !== undefined) {
+      const oldest = this.buffer.length ? this.buffer[0].id : this.lastId + 1;
+      missed = lastEventId < oldest - 1;
+
+      if (missed && onGap) {
+        onGap({ lastEventId, oldestEventId: this.buffer.length ? oldest : null });
+      }
+
+      this.buffer
+        .filter(event => event.id > lastEventId && MeshEventStream.matches(event, subscriber.filter))
+        .forEach(event => listener(event));
+    }
+
+    this.subscribers.add(subscriber);
+
+    return {
+      missed,
+      setFilter: next => {
+        subscriber.filter = next || {};
+      },
+      unsubscribe: () => {
+        this.subscribers.delete(subscriber);
+      }
+    };
+  }
+
+  /**
+   * Buffered events matching a filter, oldest first
+   * @param {Object} filter - { types, agentIds, chains }
+   * @param {Object} options - { after, limit }
+   * @returns {Array}
+   */
+  recent(filter = {}, options = {}) {
+    const events = this.buffer.filter(event =>
+      event.id > (options.after || 0) && MeshEventStream.matches(event, filter)
+    );
+
+    return options.limit ? events.slice(-options.limit) : events;
+  }
+
+  /**
+   * Build a filter from request parameters holding comma-separated lists
+   * @param {Object} params - { types, agentId, chain }
+   * @returns {Object} - { types, agentIds, chains }
+   */
+  static parseFilter(params = {}) {
+    const list = value => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : undefined);
+
+    return {
+      types: list(params.types),
+      agentIds: list(params.agentId),
+      chains: list(params.chain)
+    };
+  }
+
+  /**
+   * Whether an event passes a subscriber filter. Each given criterion must
+   * match at least one of its values.
+   * @param {Object} event - Stream event
+   * @param {Object} filter - { types, agentIds, chains }
+   * @returns {boolean}
+   */
+  static matches(event, filter = {}) {
+    const overlaps = (values, wanted) => !wanted || wanted.length === 0 || values.some(value => wanted.includes(value));
+
+    return overlaps([event.type], filter.types) &&
+      overlaps(event.agentIds, filter.agentIds) &&
+      overlaps(event.chains, filter.chains);
+  }
+}
+
+const meshEvents = new MeshEventStream(cognitiveMesh);
+
+module.exports = {
+  MeshEventStream,
+  meshEvents,
+  STREAMED_EVENTS
+};
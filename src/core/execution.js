@@ -0,0 +1,175 @@
+/**
+ * Execution Policy - Timeouts, retries and quorum for agent tasks
+ *
+ * A collective task no longer depends on every agent answering. Each agent
+ * runs under its own timeout and is retried with exponential backoff, and
+ * the task succeeds once a quorum of agents has completed. A task tunes this
+ * with its `execution` field:
+ *
+ *   execution: {
+ *     timeoutMs: 30000,    // per attempt
+ *     retries: 2,          // attempts after the first
+ *     backoffMs: 500,      // doubled after every failed attempt
+ *     maxBackoffMs: 10000,
+ *     quorum: 'majority'   // number of agents, 'majority' or 'all'
+ *   }
+ */
+
+const { CognitiveMeshError, ValidationError } = require('../utils/errors');
+
+// Configuration errors that another attempt cannot fix. A missed quorum is
+// final too: every agent has already had its retries, and the task's outcome
+// has been recorded against their trust.
+const NON_RETRYABLE_CODES = [
+  'EXECUTOR_NOT_CONFIGURED',
+  'EXECUTOR_NOT_FOUND',
+  'EXECUTOR_MISCONFIGURED',
+  'EXECUTOR_DISABLED',
+  'QUORUM_NOT_REACHED'
+];
+
+/**
+ * Resolve a task's execution policy against the defaults
+ * @param {Object} execution - The task's `execution` field
+ * @param {number} agentCount - Number of agents the task runs on
+ * @returns {Object} - { timeoutMs, retries, backoffMs, maxBackoffMs, quorum }
+ */
+function resolveExecutionPolicy(execution = {}, agentCount) {
+  const policy = {
+    timeoutMs: parseInt(process.env.AGENT_TASK_TIMEOUT_MS) || 30000,
+    retries: process.env.AGENT_TASK_RETRIES !== undefined ? parseInt(process.env.AGENT_TASK_RETRIES) : 2,
+    backoffMs: parseInt(process.env.AGENT_TASK_BACKOFF_MS) || 500,
+    maxBackoffMs: 10000,
+    ...execution
+  };
+
+  let quorum = policy.quorum === undefined ? 'majority' : policy.quorum;
+
+  if (quorum === 'majority') {
+    quorum = Math.floor(agentCount / 2) + 1;
+  } else if (quorum === 'all') {
+    quorum = agentCount;
+  }
+
+  if (!Number.isInteger(quorum) || quorum < 1 || quorum > agentCount) {
+    throw new ValidationError(`Quorum must be 'majority', 'all' or a number between 1 and ${agentCount}`, {
+      quorum: policy.quorum,
+      agentCount
+    });
+  }
+
+  return { ...policy, quorum };
+}
+
+/**
+ * Whether a failed attempt may be retried
+ * @param {Error} error - The failure
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  return !NON_RETRYABLE_CODES.includes(error.code);
+}
+
+/**
+ * Error raised when a signal aborts, using the signal's reason if it is one
+ * @private
+ */
+function abortError(signal) {
+  return signal.reason instanceof Error
+    ? signal.reason
+    : new CognitiveMeshError('Task execution aborted', 'TASK_ABORTED');
+}
+
+/**
+ * Settle with the promise or reject as soon as the signal aborts, so that
+ * handlers which ignore the signal cannot stall the caller
+ * @private
+ */
+function raceSignal(promise, signal) {
+  if (signal.aborted) {
+    return Promise.reject(abortError(signal));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortError(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Wait for a delay unless the signal aborts first
+ * @private
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortError(signal));
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(signal));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run an attempt function under a per-attempt timeout, retrying with
+ * exponential backoff
+ * @param {Function} attempt - async (signal, attemptNumber) => result
+ * @param {Object} policy - Resolved execution policy
+ * @param {AbortSignal} signal - Signal that cancels the whole run
+ * @returns {Promise<Object>} - { value, attempts } or rejects with the last
+ *   error, which carries an `attempts` property
+ */
+async function runWithRetry(attempt, policy, signal) {
+  let attempts = 0;
+
+  for (;;) {
+    attempts++;
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(abortError(signal));
+    const timer = setTimeout(() => {
+      controller.abort(new CognitiveMeshError(
+        `Agent task timed out after ${policy.timeoutMs}ms`,
+        'AGENT_TIMEOUT',
+        { timeoutMs: policy.timeoutMs }
+      ));
+    }, policy.timeoutMs);
+
+    if (signal) {
+      if (signal.aborted) onAbort();
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    try {
+      const value = await raceSignal(Promise.resolve().then(() => attempt(controller.signal, attempts)), controller.signal);
+      return { value, attempts };
+    } catch (error) {
+      const cancelled = signal && signal.aborted;
+
+      if (cancelled || attempts > policy.retries || !isRetryable(error)) {
+        error.attempts = attempts;
+        throw error;
+      }
+
+      await sleep(Math.min(policy.maxBackoffMs, policy.backoffMs * Math.pow(2, attempts - 1)), signal);
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+}
+
+module.exports = {
+  resolveExecutionPolicy,
+  runWithRetry,
+  isRetryable
+};
@@ -0,0 +1,395 @@
+/**
+ * Agent Executors - Task dispatch layer
+ *
+ * This module provides the executors that actually run an agent when the
+ * cognitive mesh hands it a task. Every agent declares an `executor`
+ * descriptor naming the executor type and its configuration, for example:
+ *
+ *   { type: 'function', handler: 'summarize' }
+ *   { type: 'http', url: 'https://agents.example.com/analyst', timeout: 10000 }
+ *   { type: 'subprocess', command: 'python3', args: ['agent.py'] }
+ *
+ * HTTP executors only call hosts listed in HTTP_EXECUTOR_ALLOWED_HOSTS, so an
+ * agent's URL cannot point the server at its own network. Subprocess
+ * executors likewise only run the commands listed in
+ * SUBPROCESS_EXECUTOR_ALLOWED_COMMANDS, and their processes see none of the
+ * server's environment.
+ */
+
+const axios = require('axios');
+const { spawn } = require('child_process');
+const { CognitiveMeshError } = require('../utils/errors');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// Executor types the mesh ships with
+const EXECUTOR_TYPES = ['function', 'http', 'subprocess'];
+
+// The only search path subprocesses get; the server's own PATH, like the rest
+// of its environment, is not passed on
+const SUBPROCESS_PATH = '/usr/local/bin:/usr/bin:/bin';
+
+/**
+ * Hosts HTTP executors may call, from HTTP_EXECUTOR_ALLOWED_HOSTS: a comma
+ * separated list of host names, optionally with a port, where `*.` matches
+ * any subdomain
+ * @private
+ */
+function allowedHosts() {
+  return (process.env.HTTP_EXECUTOR_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Why an HTTP executor may not call a URL
+ * @param {string} url - Endpoint URL
+ * @returns {string|null} - The reason, or null if the URL is allowed
+ */
+function checkExecutorUrl(url) {
+  let parsed;
+
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return `Invalid URL: ${url}`;
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return `HTTP executors only call http and https URLs, not ${parsed.protocol}`;
+  }
+
+  const allowed = allowedHosts();
+
+  if (allowed.length === 0) {
+    return 'HTTP executors are disabled: HTTP_EXECUTOR_ALLOWED_HOSTS is not set';
+  }
+
+  const hostname = parsed.hostname.toLowerCase();
+  const matches = allowed.some(entry => {
+    const [, pattern, port] = /^(.*?)(?::(\d+))?$/.exec(entry);
+    if (port && port !== (parsed.port || (parsed.protocol === 'https:' ? '443' : '80'))) return false;
+    return pattern.startsWith('*.') ? hostname.endsWith(pattern.slice(1)) : hostname === pattern;
+  });
+
+  return matches ? null : `Host ${parsed.host} is not in HTTP_EXECUTOR_ALLOWED_HOSTS`;
+}
+
+/**
+ * Commands subprocess executors may run, from
+ * SUBPROCESS_EXECUTOR_ALLOWED_COMMANDS: a comma separated list of command
+ * names or absolute paths
+ * @private
+ */
+function allowedCommands() {
+  return (process.env.SUBPROCESS_EXECUTOR_ALLOWED_COMMANDS || '')
+    .split(',')
+    .map(command => command.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Why a subprocess executor may not run a command
+ * @param {string} command - Command name or path
+ * @returns {string|null} - The reason, or null if the command is allowed
+ */
+function checkExecutorCommand(command) {
+  const allowed = allowedCommands();
+
+  if (allowed.length === 0) {
+    return 'Subprocess executors are disabled: SUBPROCESS_EXECUTOR_ALLOWED_COMMANDS is not set';
+  }
+
+  return allowed.includes(command)
+    ? null
+    : `Command ${command} is not in SUBPROCESS_EXECUTOR_ALLOWED_COMMANDS`;
+}
+
+// Base Executor class
+class AgentExecutor {
+  constructor(type) {
+    this.type = type;
+  }
+
+  /**
+   * Execute a task on an agent
+   * @param {Object} agent - Agent being invoked
+   * @param {Object} task - Task definition
+   * @param {Object} context - Execution context ({ signal })
+   * @returns {*} - Raw executor output
+   */
+  async execute(agent, task, context) {
+    throw new Error('Method not implemented in base class');
+  }
+}
+
+// In-process JavaScript function executor
+class FunctionExecutor extends AgentExecutor {
+  constructor() {
+    super('function');
+    this.handlers = new Map();
+  }
+
+  /**
+   * Register a named handler that agents can reference from their descriptor
+   * @param {string} name - Handler name
+   * @param {Function} handler - async (task, { agent, signal }) => output
+   */
+  registerHandler(name, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler ${name} must be a function`);
+    }
+    this.handlers.set(name, handler);
+  }
+
+  unregisterHandler(name) {
+    return this.handlers.delete(name);
+  }
+
+  async execute(agent, task, context) {
+    const config = agent.executor;
+    const handler = typeof config.handler === 'function'
+      ? config.handler
+      : this.handlers.get(config.handler);
+
+    if (!handler) {
+      throw new CognitiveMeshError(
+        `No function handler registered as '${config.handler}'`,
+        'EXECUTOR_NOT_FOUND',
+        { agentId: agent.id, handler: config.handler }
+      );
+    }
+
+    return handler(task, { agent, signal: context.signal });
+  }
+}
+
+// HTTP endpoint executor
+class HttpExecutor extends AgentExecutor {
+  constructor() {
+    super('http');
+  }
+
+  async execute(agent, task, context) {
+    const config = agent.executor;
+
+    if (!config.url) {
+      throw new CognitiveMeshError(
+        `HTTP executor for agent ${agent.id} has no url`,
+        'EXECUTOR_MISCONFIGURED',
+        { agentId: agent.id }
+      );
+    }
+
+    // Checked on every call: the allowlist may have changed since the agent
+    // was registered
+    const refused = checkExecutorUrl(config.url);
+    if (refused) {
+      throw new CognitiveMeshError(refused, 'EXECUTOR_DISABLED', { agentId: agent.id, url: config.url });
+    }
+
+    const response = await axios.request({
+      url: config.url,
+      method: config.method || 'POST',
+      headers: config.headers || {},
+      timeout: config.timeout || DEFAULT_TIMEOUT_MS,
+      // A redirect could lead anywhere, past the allowlist
+      maxRedirects: 0,
+      signal: context.signal,
+      data: {
+        agent: {
+          id: agent.id,
+          name: agent.name,
+          capabilities: agent.capabilities
+        },
+        task
+      }
+    });
+
+    return response.data;
+  }
+}
+
+// Local subprocess executor
+// The task is written to the process stdin as JSON and the process is
+// expected to print its JSON result on stdout before exiting with code 0.
+class SubprocessExecutor extends AgentExecutor {
+  constructor() {
+    super('subprocess');
+  }
+
+  async execute(agent, task, context) {
+    const config = agent.executor;
+
+    if (process.env.ENABLE_SUBPROCESS_EXECUTORS !== 'true') {
+      throw new CognitiveMeshError(
+        'Subprocess executors are currently disabled',
+        'EXECUTOR_DISABLED',
+        { agentId: agent.id }
+      );
+    }
+
+    if (!config.command) {
+      throw new CognitiveMeshError(
+        `Subprocess executor for agent ${agent.id} has no command`,
+        'EXECUTOR_MISCONFIGURED',
+        { agentId: agent.id }
+      );
+    }
+
+    // Checked on every call: the allowlist may have changed since the agent
+    // was registered
+    const refused = checkExecutorCommand(config.command);
+    if (refused) {
+      throw new CognitiveMeshError(refused, 'EXECUTOR_DISABLED', { agentId: agent.id, command: config.command });
+    }
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(config.command, config.args || [], {
+        cwd: config.cwd,
+        // Only the agent's own variables; PATH comes last so it cannot be
+        // pointed at another binary of the same name
+        env: { ...(config.env || {}), PATH: SUBPROCESS_PATH },
+        timeout: config.timeout || DEFAULT_TIMEOUT_MS,
+        signal: context.signal
+      });
+
+      let stdout = '';
+      let stderr = '';
+
+      child.stdout.on('data', chunk => { stdout += chunk; });
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', reject);
+
+      child.on('close', (code, signal) => {
+        if (code !== 0) {
+          return reject(new CognitiveMeshError(
+            `Subprocess for agent ${agent.id} exited with ${signal || `code ${code}`}`,
+            'EXECUTOR_FAILED',
+            { agentId: agent.id, code, signal, stderr: stderr.trim() }
+          ));
+        }
+
+        try {
+          resolve(JSON.parse(stdout));
+        } catch (error) {
+          // Plain-text output is passed through as the result
+          resolve(stdout.trim());
+        }
+      });
+
+      child.stdin.on('error', () => {
+        // The process may exit without reading its input; the close handler reports it
+      });
+      child.stdin.end(JSON.stringify({
+        agent: {
+          id: agent.id,
+          name: agent.name,
+          capabilities: agent.capabilities
+        },
+        task
+      }));
+    });
+  }
+}
+
+/**
+ * Registry of executor types available to the cognitive mesh
+ */
+class ExecutorRegistry {
+  constructor() {
+    this.executors = new Map();
+    this.register(new FunctionExecutor());
+    this.register(new HttpExecutor());
+    this.register(new SubprocessExecutor());
+  }
+
+  /**
+   * Register an executor type
+   * @param {AgentExecutor} executor - Executor instance
+   */
+  register(executor) {
+    this.executors.set(executor.type, executor);
+  }
+
+  /**
+   * Get an executor by type
+   * @param {string} type - Executor type
+   * @returns {AgentExecutor|null}
+   */
+  get(type) {
+    return this.executors.get(type) || null;
+  }
+
+  /**
+   * Register a named in-process handler for function executors
+   * @param {string} name - Handler name
+   * @param {Function} handler - async (task, { agent, signal }) => output
+   */
+  registerHandler(name, handler) {
+    this.get('function').registerHandler(name, handler);
+  }
+
+  /**
+   * Execute a task on an agent through its declared executor
+   * @param {Object} agent - Agent to invoke
+   * @param {Object} task - Task definition
+   * @param {Object} context - Execution context ({ signal })
+   * @returns {Object} - Normalized { output, confidence }
+   */
+  async execute(agent, task, context = {}) {
+    if (!agent.executor || !agent.executor.type) {
+      throw new CognitiveMeshError(
+        `Agent ${agent.id} has no executor configured`,
+        'EXECUTOR_NOT_CONFIGURED',
+        { agentId: agent.id }
+      );
+    }
+
+    const executor = this.get(agent.executor.type);
+
+    if (!executor) {
+      throw new CognitiveMeshError(
+        `Unknown executor type: ${agent.executor.type}`,
+        'EXECUTOR_NOT_FOUND',
+        { agentId: agent.id, type: agent.executor.type }
+      );
+    }
+
+    const raw = await executor.execute(agent, task, context);
+    return normalizeOutput(raw, agent.executor);
+  }
+}
+
+/**
+ * Normalize raw executor output into { output, confidence }
+ *
+ * Executors may either return a plain value or an object of the form
+ * { output, confidence }. When no confidence is reported the descriptor's
+ * defaultConfidence is used.
+ * @private
+ */
+function normalizeOutput(raw, config) {
+  const defaultConfidence = config.defaultConfidence !== undefined ? config.defaultConfidence : 1.0;
+  const isEnvelope = raw !== null && typeof raw === 'object' && !Array.isArray(raw) && 'output' in raw;
+
+  const output = isEnvelope ? raw.output : raw;
+  let confidence = isEnvelope && typeof raw.confidence === 'number' ? raw.confidence : defaultConfidence;
+
+  // Clamp to 0-1 range
+  confidence = Math.max(0, Math.min(1, confidence));
+
+  return { output, confidence };
+}
+
+module.exports = {
+  EXECUTOR_TYPES,
+  checkExecutorUrl,
+  checkExecutorCommand,
+  AgentExecutor,
+  FunctionExecutor,
+  HttpExecutor,
+  SubprocessExecutor,
+  ExecutorRegistry
+};
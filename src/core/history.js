@@ -0,0 +1,415 @@
+/**
+ * Agent History - Time series of what shaped each agent's standing
+ *
+ * The mesh only keeps an agent's current state, so this module listens to
+ * mesh events and records, per agent, a chronological series of entries:
+ *
+ *   trust:   the trust score moved, with the factor scores and any admin
+ *            override behind the new value
+ *   task:    the agent succeeded, dissented or failed on a task
+ *   pathway: a pathway to or from the agent was established, removed,
+ *            strengthened, weakened, deactivated or reactivated
+ *
+ * Small trust and strength movements are folded into the next recorded
+ * one, so the periodic trust refresh and pathway decay don't flood the
+ * series. Entries older than `retentionDays` are dropped, as are the oldest
+ * ones once an agent has `maxEntries`. Queries end at the present at the
+ * latest, and are turned down when they would aggregate more than
+ * `maxWindows` days.
+ */
+
+const { ValidationError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const HISTORY_TYPES = ['trust', 'task', 'pathway'];
+const PATHWAY_EVENTS = ['established', 'removed', 'strengthened', 'weakened', 'deactivated', 'reactivated'];
+
+const DEFAULT_CONFIG = {
+  retentionDays: parseInt(process.env.HISTORY_RETENTION_DAYS) || 90,
+  maxEntries: parseInt(process.env.HISTORY_MAX_ENTRIES) || 5000,
+  maxWindows: parseInt(process.env.HISTORY_MAX_WINDOWS) || 366,
+  trustMinChange: 0.001,
+  strengthMinChange: 0.05,
+  successWindow: 20,
+  trendThreshold: 0.01
+};
+
+/**
+ * Start of the UTC day containing a time
+ * @private
+ */
+function startOfDay(time) {
+  return time - (time % DAY_MS);
+}
+
+/**
+ * Start of the UTC week (Monday) containing a time
+ * @private
+ */
+function startOfWeek(time) {
+  const day = startOfDay(time);
+  // 1970-01-01 was a Thursday
+  const weekday = (Math.floor(day / DAY_MS) + 3) % 7;
+  return day - weekday * DAY_MS;
+}
+
+/**
+ * Key identifying a pathway between two updates
+ * @private
+ */
+function pathwayKey(pathway) {
+  return pathway.id || `${pathway.sourceAgentId}->${pathway.targetAgentId}`;
+}
+
+/**
+ * Round to four decimals
+ * @private
+ */
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+class AgentHistory {
+  /**
+   * @param {CognitiveMesh} mesh - Mesh whose events are recorded
+   * @param {Object} config - History configuration
+   */
+  constructor(mesh, config = {}) {
+    this.mesh = mesh;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    // agentId -> chronological entries
+    this.series = new Map();
+    // Last recorded values, to tell real changes from noise
+    this.trustScores = new Map();
+    this.pathways = new Map();
+
+    mesh.on('agentUpdated', (agent, updates) => {
+      if (updates && 'trustScore' in updates) this.recordTrust(agent);
+    });
+
+    mesh.on('taskOutcomeRecorded', ({ taskId, outcomes, recordedAt }) => {
+      outcomes.forEach(({ agentId, outcome, capabilities, error }) => {
+        this.append(agentId, { type: 'task', timestamp: recordedAt, taskId, outcome, capabilities, error });
+      });
+    });
+
+    mesh.on('pathwayEstablished', pathway => this.recordPathway(pathway, 'established'));
+    mesh.on('pathwayRegistered', pathway => this.trackPathway(pathway));
+    mesh.on('pathwayUpdated', pathway => this.recordPathwayUpdate(pathway));
+    mesh.on('pathwayRemoved', pathway => {
+      this.recordPathway(pathway, 'removed');
+      this.pathways.delete(pathwayKey(pathway));
+    });
+
+    mesh.on('agentRemoved', agent => {
+      this.series.delete(agent.id);
+      this.trustScores.delete(agent.id);
+    });
+
+    mesh.on('meshCleared', () => this.clear());
+  }
+
+  /**
+   * Forget every recorded entry
+   */
+  clear() {
+    this.series.clear();
+    this.trustScores.clear();
+    this.pathways.clear();
+  }
+
+  /**
+   * Add an entry to an agent's series and apply retention
+   * @private
+   */
+  append(agentId, entry) {
+    if (!this.series.has(agentId)) this.series.set(agentId, []);
+
+    const entries = this.series.get(agentId);
+    entries.push({ ...entry, timestamp: new Date(entry.timestamp || this.mesh.clock()) });
+
+    const cutoff = this.mesh.clock() - this.config.retentionDays * DAY_MS;
+    let expired = 0;
+    while (expired < entries.length && entries[expired].timestamp.getTime() < cutoff) expired++;
+    expired = Math.max(expired, entries.length - this.config.maxEntries);
+
+    if (expired > 0) entries.splice(0, expired);
+  }
+
+  /**
+   * Record a trust score change
+   * @private
+   */
+  recordTrust(agent) {
+    const previous = this.trustScores.has(agent.id) ? this.trustScores.get(agent.id) : null;
+    const score = agent.trustScore;
+
+    if (previous !== null && Math.abs(score - previous) < this.config.trustMinChange) return;
+
+    const factors = {};
+    Object.entries((agent.trust && agent.trust.factors) || {}).forEach(([factor, details]) => {
+      factors[factor] = details.score;
+    });
+
+    this.trustScores.set(agent.id, score);
+    this.append(agent.id, {
+      type: 'trust',
+      score,
+      previous,
+      change: previous === null ? null : round(score - previous),
+      computedScore: agent.trust ? agent.trust.score : null,
+      override: agent.trustOverride
+        ? { score: agent.trustOverride.score, reason: agent.trustOverride.reason }
+        : null,
+      factors
+    });
+  }
+
+  /**
+   * Remember a pathway's strength and status without recording an entry
+   * @private
+   */
+  trackPathway(pathway) {
+    this.pathways.set(pathwayKey(pathway), { strength: pathway.strength, status: pathway.status });
+  }
+
+  /**
+   * Record a pathway event for both of its agents
+   * @private
+   */
+  recordPathway(pathway, event) {
+    this.trackPathway(pathway);
+
+    const endpoints = [
+      [pathway.sourceAgentId, pathway.targetAgentId, 'outgoing'],
+      [pathway.targetAgentId, pathway.sourceAgentId, 'incoming']
+    ];
+
+    endpoints.forEach(([agentId, peerAgentId, direction]) => {
+      if (agentId === peerAgentId && direction === 'incoming') return;
+
+      this.append(agentId, {
+        type: 'pathway',
+        event,
+        pathwayId: pathway.id || null,
+        peerAgentId,
+        direction: pathway.bidirectional ? 'both' : direction,
+        strength: pathway.strength,
+        status: pathway.status
+      });
+    });
+  }
+
+  /**
+   * Record a pathway update when its status or strength really moved
+   * @private
+   */
+  recordPathwayUpdate(pathway) {
+    const last = this.pathways.get(pathwayKey(pathway));
+
+    if (!last) {
+      this.recordPathway(pathway, 'established');
+      return;
+    }
+
+    if (pathway.status !== last.status) {
+      this.recordPathway(pathway, pathway.status === 'inactive' ? 'deactivated' : 'reactivated');
+    } else if (Math.abs(pathway.strength - last.strength) >= this.config.strengthMinChange) {
+      this.recordPathway(pathway, pathway.strength > last.strength ? 'strengthened' : 'weakened');
+    }
+  }
+
+  /**
+   * An agent's history over a time range, with aggregates
+   * @param {string} agentId - Agent ID
+   * @param {Object} options - { from, to, types, limit, window }
+   * @returns {Object} - { agentId, from, to, entries, total, aggregates,
+   *   successRate, trustTrend }
+   */
+  query(agentId, options = {}) {
+    const now = this.mesh.clock();
+    const requestedTo = options.to ? new Date(options.to).getTime() : now;
+    const requestedFrom = options.from ? new Date(options.from).getTime() : Math.min(requestedTo, now) - 30 * DAY_MS;
+
+    if (requestedFrom > now) {
+      throw new ValidationError('History range cannot start in the future', { from: options.from });
+    }
+
+    if (Number.isNaN(requestedTo) || Number.isNaN(requestedFrom) || requestedFrom > requestedTo) {
+      throw new ValidationError('History range must have a valid `from` no later than `to`', {
+        from: options.from,
+        to: options.to
+      });
+    }
+
+    // Nothing is recorded ahead of the present
+    const to = Math.min(requestedTo, now);
+
+    const types = options.types || HISTORY_TYPES;
+    const unknown = types.filter(type => !HISTORY_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown history types: ${unknown.join(', ')}`, {
+        types: unknown,
+        available: HISTORY_TYPES
+      });
+    }
+
+    // Nothing older than the retention period is kept
+    const from = Math.max(requestedFrom, Math.min(to, now - this.config.retentionDays * DAY_MS));
+
+    const windows = Math.floor((to - startOfDay(from)) / DAY_MS) + 1;
+    if (windows > this.config.maxWindows) {
+      throw new ValidationError(`History range spans ${windows} days, more than the ${this.config.maxWindows} allowed`, {
+        windows,
+        maxWindows: this.config.maxWindows
+      });
+    }
+    const all = this.series.get(agentId) || [];
+    const inRange = entry => entry.timestamp.getTime() >= from && entry.timestamp.getTime() <= to;
+    const entries = all.filter(entry => inRange(entry) && types.includes(entry.type));
+    const limit = options.limit || 100;
+
+    return {
+      agentId,
+      from: new Date(from),
+      to: new Date(to),
+      total: entries.length,
+      entries: entries.slice(-limit),
+      aggregates: {
+        daily: this.aggregate(all, from, to, startOfDay, DAY_MS),
+        weekly: this.aggregate(all, from, to, startOfWeek, WEEK_MS)
+      },
+      successRate: this.successRate(all, from, to, options.window || this.config.successWindow),
+      trustTrend: this.trustTrend(all, from, to)
+    };
+  }
+
+  /**
+   * Trust score in effect at a time
+   * @private
+   */
+  trustAt(entries, time) {
+    let score = null;
+    for (const entry of entries) {
+      if (entry.timestamp.getTime() > time) break;
+      if (entry.type === 'trust') score = entry.score;
+    }
+    return score;
+  }
+
+  /**
+   * Aggregate entries into consecutive windows
+   * @private
+   */
+  aggregate(entries, from, to, windowStart, windowMs) {
+    const windows = [];
+
+    for (let start = windowStart(from); start <= to; start += windowMs) {
+      const end = start + windowMs;
+      const inWindow = entries.filter(entry =>
+        entry.timestamp.getTime() >= start && entry.timestamp.getTime() < end
+      );
+
+      const tasks = { total: 0, succeeded: 0, dissented: 0, failed: 0, successRate: null };
+      const pathways = Object.fromEntries(PATHWAY_EVENTS.map(event => [event, 0]));
+      const open = this.trustAt(entries, start - 1);
+      const scores = open === null ? [] : [open];
+
+      inWindow.forEach(entry => {
+        if (entry.type === 'task') {
+          tasks.total++;
+          tasks[entry.outcome]++;
+        } else if (entry.type === 'pathway') {
+          pathways[entry.event]++;
+        } else if (entry.type === 'trust') {
+          scores.push(entry.score);
+        }
+      });
+
+      if (tasks.total > 0) tasks.successRate = round(tasks.succeeded / tasks.total);
+
+      const close = scores.length > 0 ? scores[scores.length - 1] : null;
+
+      windows.push({
+        start: new Date(start),
+        end: new Date(end),
+        tasks,
+        trust: {
+          open,
+          close,
+          min: scores.length > 0 ? Math.min(...scores) : null,
+          max: scores.length > 0 ? Math.max(...scores) : null,
+          change: open !== null && close !== null ? round(close - open) : null
+        },
+        pathways
+      });
+    }
+
+    return windows;
+  }
+
+  /**
+   * Success rate over the last `window` tasks, after each task in range
+   * @private
+   */
+  successRate(entries, from, to, window) {
+    const tasks = entries.filter(entry => entry.type === 'task');
+    const rateAt = index => {
+      const recent = tasks.slice(Math.max(0, index - window + 1), index + 1);
+      return round(recent.filter(task => task.outcome === 'succeeded').length / recent.length);
+    };
+
+    const series = [];
+    tasks.forEach((task, index) => {
+      const time = task.timestamp.getTime();
+      if (time < from || time > to) return;
+      series.push({ timestamp: task.timestamp, taskId: task.taskId, outcome: task.outcome, rate: rateAt(index) });
+    });
+
+    return {
+      window,
+      current: tasks.length > 0 ? rateAt(tasks.length - 1) : null,
+      series
+    };
+  }
+
+  /**
+   * Net movement of the trust score over the range
+   * @private
+   */
+  trustTrend(entries, from, to) {
+    const scores = [];
+    const open = this.trustAt(entries, from - 1);
+    if (open !== null) scores.push(open);
+
+    entries
+      .filter(entry => entry.type === 'trust' && entry.timestamp.getTime() >= from && entry.timestamp.getTime() <= to)
+      .forEach(entry => scores.push(entry.score));
+
+    if (scores.length === 0) {
+      return { start: null, end: null, change: null, perDay: null, direction: null, samples: 0 };
+    }
+
+    const start = scores[0];
+    const end = scores[scores.length - 1];
+    const change = end - start;
+    const days = Math.max(to - from, 1) / DAY_MS;
+
+    return {
+      start,
+      end,
+      change: round(change),
+      perDay: round(change / days),
+      direction: change > this.config.trendThreshold
+        ? 'rising'
+        : change < -this.config.trendThreshold ? 'falling' : 'stable',
+      samples: scores.length
+    };
+  }
+}
+
+module.exports = {
+  AgentHistory,
+  HISTORY_TYPES
+};
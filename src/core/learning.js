@@ -0,0 +1,172 @@
+/**
+ * Pathway Learning - Plasticity rules for neural pathways
+ *
+ * This module adjusts the strength of the pathways between agents that took
+ * part in a collective task. Each participant gets a signed activity:
+ * +confidence when it is in the consensus group, -confidence when it
+ * dissents and -1 when it failed. For a pathway from agent i (pre) to agent
+ * j (post) with strength w, the supported rules are:
+ *
+ *   hebbian: dw = rate * x_i * x_j
+ *   oja:     dw = rate * x_j * (x_i - x_j * w)
+ *   reward:  dw = rate * (r - baseline) * x_i * x_j
+ *
+ * where r is the task outcome in the 0-1 range (the task's `reward` when the
+ * caller reports one, otherwise the consensus agreement) and baseline is a
+ * running average of past outcomes (starting at 0.5).
+ *
+ * These rules only apply when both agents were in the consensus group. Any
+ * other pair (a dissenter, a failure, or both) is weakened by
+ * rate * |m| * |x_i * x_j|, where m is 1 or, for the reward rule,
+ * r - baseline. Otherwise two failed agents would multiply to a positive
+ * activity and strengthen the pathway between them.
+ */
+
+const { ValidationError } = require('../utils/errors');
+
+const RULES = ['hebbian', 'oja', 'reward'];
+
+const DEFAULT_CONFIG = {
+  enabled: process.env.PATHWAY_LEARNING_ENABLED !== 'false',
+  rule: process.env.PATHWAY_LEARNING_RULE || 'hebbian',
+  learningRate: process.env.PATHWAY_LEARNING_RATE !== undefined
+    ? parseFloat(process.env.PATHWAY_LEARNING_RATE)
+    : 0.05,
+  minStrength: 0,
+  maxStrength: 1,
+  baselineRate: 0.1
+};
+
+class PathwayLearningEngine {
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_CONFIG };
+    this.baseline = 0.5;
+    this.configure(config);
+  }
+
+  /**
+   * Update the learning configuration
+   * @param {Object} config - { enabled, rule, learningRate, minStrength, maxStrength, baselineRate }
+   * @returns {Object} - The resulting configuration
+   */
+  configure(config = {}) {
+    const next = { ...this.config, ...config };
+
+    if (!RULES.includes(next.rule)) {
+      throw new ValidationError(`Unknown learning rule: ${next.rule}`, {
+        rule: next.rule,
+        available: RULES
+      });
+    }
+
+    if (typeof next.learningRate !== 'number' || !(next.learningRate >= 0)) {
+      throw new ValidationError('learningRate must be a number of at least 0', {
+        learningRate: next.learningRate
+      });
+    }
+
+    if (next.minStrength > next.maxStrength) {
+      throw new ValidationError('minStrength cannot exceed maxStrength', {
+        minStrength: next.minStrength,
+        maxStrength: next.maxStrength
+      });
+    }
+
+    this.config = next;
+    return this.config;
+  }
+
+  /**
+   * Signed activity of every participant in a collective task
+   * @param {Array} results - Individual agent results
+   * @param {Object} consensus - Consensus report
+   * @returns {Map} - agentId -> activity in the -1..1 range
+   */
+  activities(results, consensus) {
+    const agreeing = new Set(consensus ? consensus.agreeingAgents : []);
+    const activity = new Map();
+
+    results.forEach(result => {
+      if (result.status !== 'completed') {
+        activity.set(result.agentId, -1);
+        return;
+      }
+
+      const confidence = typeof result.confidence === 'number' ? result.confidence : 1.0;
+      activity.set(result.agentId, agreeing.has(result.agentId) ? confidence : -confidence);
+    });
+
+    return activity;
+  }
+
+  /**
+   * Compute new strengths for the pathways among the participants
+   * @param {Array} pathways - Pathways between participating agents
+   * @param {Object} outcome - { results, consensus, reward }
+   * @returns {Array} - [{ pathway, previousStrength, strength, delta }]
+   */
+  computeUpdates(pathways, outcome) {
+    if (!this.config.enabled) {
+      return [];
+    }
+
+    const { rule, learningRate, minStrength, maxStrength } = this.config;
+    const agreeing = new Set(outcome.consensus ? outcome.consensus.agreeingAgents : []);
+    const activity = this.activities(outcome.results, outcome.consensus);
+    const reward = this._reward(outcome);
+    const modulation = rule === 'reward' ? reward - this.baseline : 1;
+
+    const updates = pathways
+      .filter(pathway => activity.has(pathway.sourceAgentId) && activity.has(pathway.targetAgentId))
+      .map(pathway => {
+        const pre = activity.get(pathway.sourceAgentId);
+        const post = activity.get(pathway.targetAgentId);
+        const weight = pathway.strength;
+
+        let delta;
+        if (!agreeing.has(pathway.sourceAgentId) || !agreeing.has(pathway.targetAgentId)) {
+          delta = -learningRate * Math.abs(modulation * pre * post);
+        } else if (rule === 'oja') {
+          delta = learningRate * post * (pre - post * weight);
+        } else {
+          delta = learningRate * modulation * pre * post;
+        }
+
+        const strength = Math.max(minStrength, Math.min(maxStrength, weight + delta));
+
+        return {
+          pathway,
+          previousStrength: weight,
+          strength,
+          delta: strength - weight
+        };
+      });
+
+    this._updateBaseline(reward);
+    return updates;
+  }
+
+  /**
+   * Task outcome in the 0-1 range
+   * @private
+   */
+  _reward(outcome) {
+    if (typeof outcome.reward === 'number') {
+      return Math.max(0, Math.min(1, outcome.reward));
+    }
+    return outcome.consensus ? outcome.consensus.agreement : 0;
+  }
+
+  /**
+   * Exponential moving average of task outcomes
+   * @private
+   */
+  _updateBaseline(reward) {
+    this.baseline += this.config.baselineRate * (reward - this.baseline);
+  }
+}
+
+module.exports = {
+  PathwayLearningEngine,
+  LEARNING_RULES: RULES
+};
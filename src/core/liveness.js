@@ -0,0 +1,198 @@
+/**
+ * Liveness Monitor - Heartbeat-driven agent status
+ *
+ * Agents, or the executors running them, report that they are alive with
+ * heartbeats. An agent is monitored from its first heartbeat on; once it
+ * misses `missedBeats` consecutive beats it is marked unresponsive, its
+ * status becomes `inactive` and the mesh stops sending it work. The next
+ * heartbeat restores the status it had before.
+ *
+ * Completed task executions count as heartbeats for monitored agents. The
+ * liveness state is stored on the agent as:
+ *
+ *   liveness: { state: 'alive' | 'unresponsive', since, lastHeartbeatAt,
+ *               previousStatus }
+ */
+
+const logger = require('../utils/logger');
+const { NotFoundError } = require('../utils/errors');
+
+const DEFAULT_CONFIG = {
+  heartbeatIntervalMs: parseInt(process.env.HEARTBEAT_INTERVAL_MS) || 30 * 1000,
+  missedBeats: parseInt(process.env.LIVENESS_MISSED_BEATS) || 3,
+  checkIntervalMs: parseInt(process.env.LIVENESS_CHECK_INTERVAL_MS) || 10 * 1000
+};
+
+class LivenessMonitor {
+  /**
+   * @param {CognitiveMesh} mesh - Mesh whose agents are monitored
+   * @param {Object} config - Liveness configuration
+   */
+  constructor(mesh, config = {}) {
+    this.mesh = mesh;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.timer = null;
+    // agentId -> time of the last heartbeat, in epoch milliseconds
+    this.beats = new Map();
+
+    // Agents alive before a restart get a full timeout to check in again
+    mesh.on('agentRegistered', agent => {
+      if (agent.liveness && agent.liveness.state === 'alive') this.beats.set(agent.id, this.mesh.clock());
+    });
+
+    mesh.on('agentRemoved', agent => this.beats.delete(agent.id));
+    mesh.on('meshCleared', () => this.beats.clear());
+
+    mesh.on('taskOutcomeRecorded', ({ outcomes }) => {
+      outcomes
+        .filter(({ agentId, outcome }) => outcome !== 'failed' && this.beats.has(agentId))
+        .forEach(({ agentId }) => {
+          this.heartbeat(agentId).catch(error => logger.error('Heartbeat failed:', error));
+        });
+    });
+  }
+
+  /**
+   * Time without heartbeats after which an agent is unresponsive
+   * @returns {number} - Milliseconds
+   */
+  get timeoutMs() {
+    return this.config.heartbeatIntervalMs * this.config.missedBeats;
+  }
+
+  /**
+   * Start checking for missed heartbeats
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.check().catch(error => logger.error('Liveness check failed:', error));
+    }, this.config.checkIntervalMs);
+
+    // Don't keep the process alive just for liveness checks
+    if (this.timer.unref) this.timer.unref();
+
+    logger.info('Liveness monitor started', {
+      heartbeatIntervalMs: this.config.heartbeatIntervalMs,
+      missedBeats: this.config.missedBeats
+    });
+  }
+
+  /**
+   * Stop checking for missed heartbeats
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Whether an agent can be given work
+   * @param {Object} agent - Agent
+   * @returns {boolean}
+   */
+  isResponsive(agent) {
+    return !agent.liveness || agent.liveness.state !== 'unresponsive';
+  }
+
+  /**
+   * Record a heartbeat, starting to monitor the agent or reviving it
+   * @param {string} agentId - Agent ID
+   * @returns {Object} - Liveness status
+   */
+  async heartbeat(agentId) {
+    const agent = this.mesh.agents.get(agentId);
+
+    if (!agent) {
+      throw new NotFoundError('Agent', agentId);
+    }
+
+    const now = new Date(this.mesh.clock());
+    this.beats.set(agentId, now.getTime());
+    this.mesh.emit('agentHeartbeat', { agentId, at: now });
+
+    if (!agent.liveness) {
+      await this.mesh.updateAgent(agentId, {
+        liveness: { state: 'alive', since: now, lastHeartbeatAt: now, previousStatus: null }
+      });
+    } else if (agent.liveness.state === 'unresponsive') {
+      const recovered = await this.mesh.updateAgent(agentId, {
+        status: agent.liveness.previousStatus || 'active',
+        liveness: { state: 'alive', since: now, lastHeartbeatAt: now, previousStatus: null }
+      });
+
+      logger.info('Agent recovered', { agentId });
+      this.mesh.emit('agentRecovered', recovered);
+    }
+
+    return this.status(agentId);
+  }
+
+  /**
+   * Mark agents that missed too many heartbeats as unresponsive
+   * @returns {Object} - { checked, unresponsive }
+   */
+  async check() {
+    const now = this.mesh.clock();
+    const unresponsive = [];
+
+    for (const [agentId, lastBeat] of Array.from(this.beats.entries())) {
+      const agent = this.mesh.agents.get(agentId);
+
+      if (!agent || !agent.liveness || agent.liveness.state !== 'alive') continue;
+      if (now - lastBeat <= this.timeoutMs) continue;
+
+      const updated = await this.mesh.updateAgent(agentId, {
+        status: 'inactive',
+        liveness: {
+          state: 'unresponsive',
+          since: new Date(now),
+          lastHeartbeatAt: new Date(lastBeat),
+          previousStatus: agent.status
+        }
+      });
+
+      unresponsive.push(agentId);
+      logger.warn('Agent unresponsive', { agentId, lastHeartbeatAt: new Date(lastBeat) });
+      this.mesh.emit('agentUnresponsive', updated);
+    }
+
+    return { checked: this.beats.size, unresponsive };
+  }
+
+  /**
+   * Liveness of an agent
+   * @param {string} agentId - Agent ID
+   * @returns {Object} - { agentId, monitored, state, status, since,
+   *   lastHeartbeatAt, expiresAt, heartbeatIntervalMs }
+   */
+  status(agentId) {
+    const agent = this.mesh.agents.get(agentId);
+
+    if (!agent) {
+      throw new NotFoundError('Agent', agentId);
+    }
+
+    const lastBeat = this.beats.get(agentId);
+
+    return {
+      agentId,
+      monitored: !!agent.liveness,
+      state: agent.liveness ? agent.liveness.state : null,
+      status: agent.status,
+      since: agent.liveness ? agent.liveness.since : null,
+      lastHeartbeatAt: lastBeat ? new Date(lastBeat) : agent.liveness ? agent.liveness.lastHeartbeatAt : null,
+      expiresAt: lastBeat && agent.liveness && agent.liveness.state === 'alive'
+        ? new Date(lastBeat + this.timeoutMs)
+        : null,
+      heartbeatIntervalMs: this.config.heartbeatIntervalMs
+    };
+  }
+}
+
+module.exports = {
+  LivenessMonitor
+};
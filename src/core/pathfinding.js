@@ -0,0 +1,227 @@
+/**
+ * Path Finding - Routing between agents across neural pathways
+ *
+ * This module finds routes from one agent to another through the mesh:
+ *
+ *   shortest:  fewest hops
+ *   strongest: highest product of pathway strengths (Dijkstra on -log(strength))
+ *
+ * Alternative routes are ranked with Yen's k-shortest-paths algorithm.
+ */
+
+/**
+ * Binary min-heap keyed by `cost`
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    this.items.push(item);
+    let i = this.items.length - 1;
+
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.items[parent].cost <= this.items[i].cost) break;
+      [this.items[parent], this.items[i]] = [this.items[i], this.items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const top = this.items[0];
+    const last = this.items.pop();
+
+    if (this.items.length > 0) {
+      this.items[0] = last;
+      let i = 0;
+
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+
+        if (left < this.items.length && this.items[left].cost < this.items[smallest].cost) smallest = left;
+        if (right < this.items.length && this.items[right].cost < this.items[smallest].cost) smallest = right;
+        if (smallest === i) break;
+
+        [this.items[smallest], this.items[i]] = [this.items[i], this.items[smallest]];
+        i = smallest;
+      }
+    }
+
+    return top;
+  }
+}
+
+const METRICS = {
+  shortest: () => 1,
+  strongest: pathway => -Math.log(Math.max(pathway.strength, Number.MIN_VALUE))
+};
+
+/**
+ * Build the route object returned to callers
+ * @private
+ */
+function toRoute(agents, pathways, cost) {
+  return {
+    agents,
+    pathways,
+    hops: pathways.length,
+    strength: pathways.reduce((product, pathway) => product * pathway.strength, 1),
+    cost
+  };
+}
+
+/**
+ * Whether a pathway may be followed under the given filters
+ * @private
+ */
+function isTraversable(pathway, neighborId, targetId, graph, filters) {
+  if (!filters.includeInactive && pathway.status === 'inactive') return false;
+  if (pathway.strength < (filters.minStrength || 0)) return false;
+  if (pathway.strength <= 0) return false;
+
+  // Intermediate agents must be on one of the allowed chains
+  if (filters.chains && neighborId !== targetId) {
+    const agent = graph.getAgent(neighborId);
+    if (!agent || !filters.chains.includes(agent.chain)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Best single route under a metric, avoiding excluded agents and edges
+ * @param {Object} graph - { neighbors(agentId) => Map, getAgent(agentId) }
+ * @param {string} sourceId - Starting agent
+ * @param {string} targetId - Destination agent
+ * @param {Object} options - { metric, minStrength, chains, maxHops, includeInactive, excludedAgents, excludedEdges }
+ * @returns {Object|null} - Route or null when unreachable
+ */
+function findBestPath(graph, sourceId, targetId, options = {}) {
+  const weight = METRICS[options.metric || 'shortest'];
+  const maxHops = options.maxHops || Infinity;
+  const excludedAgents = options.excludedAgents || new Set();
+  const excludedEdges = options.excludedEdges || new Set();
+
+  // With a hop limit the search runs over (agent, hops) states so that a
+  // cheaper but longer route cannot hide a valid shorter one
+  const stateKey = (agentId, hops) => (Number.isFinite(maxHops) ? `${agentId}|${hops}` : agentId);
+
+  const settled = new Set();
+  const heap = new MinHeap();
+  heap.push({ cost: 0, agentId: sourceId, hops: 0, previous: null, pathway: null });
+
+  while (heap.size > 0) {
+    const state = heap.pop();
+    const key = stateKey(state.agentId, state.hops);
+
+    if (settled.has(key)) continue;
+    settled.add(key);
+
+    if (state.agentId === targetId) {
+      const agents = [];
+      const pathways = [];
+      for (let step = state; step; step = step.previous) {
+        agents.unshift(step.agentId);
+        if (step.pathway) pathways.unshift(step.pathway);
+      }
+      return toRoute(agents, pathways, state.cost);
+    }
+
+    if (state.hops >= maxHops) continue;
+
+    graph.neighbors(state.agentId).forEach((pathway, neighborId) => {
+      if (excludedAgents.has(neighborId) || neighborId === sourceId) return;
+      if (excludedEdges.has(`${state.agentId}->${neighborId}`)) return;
+      if (settled.has(stateKey(neighborId, state.hops + 1))) return;
+      if (!isTraversable(pathway, neighborId, targetId, graph, options)) return;
+
+      heap.push({
+        cost: state.cost + weight(pathway),
+        agentId: neighborId,
+        hops: state.hops + 1,
+        previous: state,
+        pathway
+      });
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Up to k best loop-free routes, best first (Yen's algorithm)
+ * @param {Object} graph - { neighbors(agentId) => Map, getAgent(agentId) }
+ * @param {string} sourceId - Starting agent
+ * @param {string} targetId - Destination agent
+ * @param {number} k - Number of routes
+ * @param {Object} options - Same options as findBestPath
+ * @returns {Array} - Routes
+ */
+function findKBestPaths(graph, sourceId, targetId, k = 1, options = {}) {
+  const weight = METRICS[options.metric || 'shortest'];
+  const first = findBestPath(graph, sourceId, targetId, options);
+
+  if (!first) return [];
+
+  const routes = [first];
+  const candidates = [];
+  const seen = new Set([first.agents.join('>')]);
+
+  while (routes.length < k) {
+    const previous = routes[routes.length - 1];
+
+    for (let i = 0; i < previous.agents.length - 1; i++) {
+      const spurId = previous.agents[i];
+      const rootAgents = previous.agents.slice(0, i + 1);
+      const rootPathways = previous.pathways.slice(0, i);
+
+      // Block the next edge of every accepted route sharing this root
+      const excludedEdges = new Set();
+      routes.forEach(route => {
+        if (route.agents.slice(0, i + 1).join('>') === rootAgents.join('>')) {
+          excludedEdges.add(`${route.agents[i]}->${route.agents[i + 1]}`);
+        }
+      });
+
+      const spur = findBestPath(graph, spurId, targetId, {
+        ...options,
+        maxHops: options.maxHops ? options.maxHops - i : undefined,
+        excludedAgents: new Set(rootAgents.slice(0, -1)),
+        excludedEdges
+      });
+
+      if (!spur) continue;
+
+      const agents = rootAgents.concat(spur.agents.slice(1));
+      const signature = agents.join('>');
+      if (seen.has(signature)) continue;
+      seen.add(signature);
+
+      const pathways = rootPathways.concat(spur.pathways);
+      const cost = pathways.reduce((sum, pathway) => sum + weight(pathway), 0);
+      candidates.push(toRoute(agents, pathways, cost));
+    }
+
+    if (candidates.length === 0) break;
+
+    candidates.sort((a, b) => a.cost - b.cost);
+    routes.push(candidates.shift());
+  }
+
+  return routes;
+}
+
+module.exports = {
+  findBestPath,
+  findKBestPaths,
+  MinHeap,
+  PATH_ALGORITHMS: Object.keys(METRICS)
+};
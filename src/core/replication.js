@@ -0,0 +1,667 @@
+/**
+ * Mesh Replication - One mesh across several API processes
+ *
+ * `cognitiveMesh` lives in process memory, so every API process has its own.
+ * With replication enabled, each node appends the changes it makes to its
+ * mesh to a shared log, a Redis stream, and applies the changes of the other
+ * nodes in log order:
+ *
+ *   node A: updateAgent -> agentUpdated -> XADD ---+
+ *                                                  v
+ *                                      <prefix>:log stream
+ *                                                  |
+ *   node B: XREAD <--------------------------------+ -> updateAgent
+ *
+ * Entries carry changes rather than whole objects (the fields an update
+ * set), so the last write to a field in log order wins. A node applies its
+ * own changes at once; if a change from another node to the same agent or
+ * pathway lands before one of them in the log, the node applies its own
+ * change again when the log reaches it, and ends up where the others do.
+ *
+ * Every API response carries the log position the node has reached in the
+ * `X-Mesh-Position` header. A request that sends a position back waits until
+ * the node has applied the log up to it, so a client reads its own writes
+ * from any node.
+ *
+ * One node at a time holds the leader lease. The leader runs the scheduled
+ * jobs (decay, centrality, trust and liveness checks), whose writes would
+ * otherwise be repeated by every node, and saves snapshots of the mesh with
+ * the log position they cover; the log is trimmed up to the snapshot before
+ * the latest. A node that starts, or falls behind the trimmed log, rejoins by
+ * restoring the latest snapshot and replaying the log from its position,
+ * its own earlier entries included.
+ *
+ * Agent and pathway IDs are allocated in Redis while replication is on, so
+ * nodes creating agents at the same time don't pick the same ID.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createClient } = require('redis');
+const logger = require('../utils/logger');
+const { NeuralPathway } = require('../models/neuralPathway');
+const { createSnapshot, restoreSnapshot } = require('./snapshot');
+const { ValidationError, UnavailableError } = require('../utils/errors');
+
+const DEFAULT_CONFIG = {
+  enabled: process.env.REPLICATION_ENABLED === 'true',
+  redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+  prefix: process.env.REPLICATION_PREFIX || 'aethermind:mesh',
+  nodeId: process.env.NODE_ID || `${os.hostname()}-${process.pid}`,
+  leaseMs: parseInt(process.env.REPLICATION_LEASE_MS) || 15 * 1000,
+  snapshotIntervalMs: parseInt(process.env.REPLICATION_SNAPSHOT_INTERVAL_MS) || 60 * 1000,
+  readTimeoutMs: parseInt(process.env.REPLICATION_READ_TIMEOUT_MS) || 5 * 1000,
+  blockMs: 1000,
+  batchSize: 100
+};
+
+const POSITION_HEADER = 'X-Mesh-Position';
+const POSITION_PATTERN = /^\d+-\d+$/;
+const LOG_START = '0-0';
+
+// Next ID of a kind, never below the given floor, so IDs of agents that
+// existed before replication was turned on aren't handed out again
+const NEXT_ID_SCRIPT = `
+local id = redis.call('INCR', KEYS[1])
+local floor = tonumber(ARGV[1])
+if id < floor then
+  redis.call('SET', KEYS[1], floor)
+  id = floor
+end
+return id`;
+
+// Extend the lease only while this node still holds it
+const RENEW_LEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0`;
+
+const RELEASE_LEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+/**
+ * Compare two log positions
+ * @param {string} a - Position such as `1700000000000-0`
+ * @param {string} b - Position
+ * @returns {number} - Negative, zero or positive
+ */
+function comparePositions(a, b) {
+  const [aTime, aSequence] = a.split('-').map(Number);
+  const [bTime, bSequence] = b.split('-').map(Number);
+  return aTime - bTime || aSequence - bSequence;
+}
+
+/**
+ * Key of the pathway between two agents
+ * @private
+ */
+function pathwayKey({ sourceAgentId, targetAgentId }) {
+  return `pathway:${sourceAgentId}>${targetAgentId}`;
+}
+
+// Mesh events that change replicated state, and the log entry each one
+// writes; `key` names what the entry changes
+const ENTRIES = {
+  agentRegistered: (mesh, agent) => ({ key: `agent:${agent.id}`, data: { agent } }),
+  agentUpdated: (mesh, agent, updates) => ({ key: `agent:${agent.id}`, data: { agentId: agent.id, updates } }),
+  agentRemoved: (mesh, agent) => ({ key: `agent:${agent.id}`, data: { agentId: agent.id } }),
+  agentHeartbeat: (mesh, { agentId }) => ({ data: { agentId } }),
+  pathwayEstablished: (mesh, pathway) => ({ key: pathwayKey(pathway), data: { pathway } }),
+  pathwayRegistered: (mesh, pathway) => ({ key: pathwayKey(pathway), data: { pathway } }),
+  pathwayUpdated: (mesh, pathway, updates) => ({
+    key: pathwayKey(pathway),
+    data: { sourceAgentId: pathway.sourceAgentId, targetAgentId: pathway.targetAgentId, updates }
+  }),
+  pathwayRemoved: (mesh, pathway) => ({
+    key: pathwayKey(pathway),
+    data: { sourceAgentId: pathway.sourceAgentId, targetAgentId: pathway.targetAgentId }
+  }),
+  taskOutcomeRecorded: (mesh, outcome) => ({ data: outcome }),
+  taxonomyChanged: (mesh, capabilities) => ({ key: 'taxonomy', data: { capabilities } }),
+  trustConfigured: (mesh, config) => ({ key: 'trust', data: { config } }),
+  // Centrality is stored without agent updates, so a run is one entry
+  // carrying every agent's measures
+  centralityComputed: (mesh, summary) => ({
+    key: 'centrality',
+    data: {
+      summary,
+      centrality: Array.from(mesh.agents.values())
+        .filter(agent => agent.centrality)
+        .map(agent => [agent.id, agent.centrality])
+    }
+  }),
+  meshCleared: () => ({ key: 'mesh', data: {} }),
+  meshRestored: (mesh, summary) => ({
+    data: { summary, learning: mesh.learning.config, decay: mesh.decay.config }
+  })
+};
+
+// How a node applies an entry written by another node. Entries may be
+// applied more than once, after a rejoin, so every one is idempotent.
+const APPLY = {
+  agentRegistered: async (mesh, { agent }) => {
+    if (mesh.agents.has(agent.id)) {
+      const { id, ...fields } = agent;
+      return mesh.updateAgent(id, fields);
+    }
+    return mesh.registerAgent(agent);
+  },
+  agentUpdated: async (mesh, { agentId, updates }) => {
+    if (mesh.agents.has(agentId)) return mesh.updateAgent(agentId, updates);
+  },
+  agentRemoved: async (mesh, { agentId }) => {
+    if (mesh.agents.has(agentId)) return mesh.removeAgent(agentId);
+  },
+  agentHeartbeat: async (mesh, { agentId }) => {
+    if (mesh.agents.has(agentId)) return mesh.liveness.heartbeat(agentId);
+  },
+  pathwayEstablished: async (mesh, { pathway }) => {
+    const { sourceAgentId, targetAgentId, ...fields } = pathway;
+    if (mesh.getPathway(sourceAgentId, targetAgentId)) {
+      return mesh.updatePathway(sourceAgentId, targetAgentId, fields);
+    }
+    return mesh.establishPathway(sourceAgentId, targetAgentId, fields);
+  },
+  pathwayRegistered: async (mesh, { pathway }) => {
+    const { sourceAgentId, targetAgentId, ...fields } = pathway;
+    if (mesh.getPathway(sourceAgentId, targetAgentId)) {
+      return mesh.updatePathway(sourceAgentId, targetAgentId, fields);
+    }
+    if (pathway.id) await NeuralPathway.restore([pathway]);
+    return mesh.registerPathway(pathway);
+  },
+  pathwayUpdated: async (mesh, { sourceAgentId, targetAgentId, updates }) => {
+    if (mesh.getPathway(sourceAgentId, targetAgentId)) {
+      return mesh.updatePathway(sourceAgentId, targetAgentId, updates);
+    }
+  },
+  pathwayRemoved: async (mesh, { sourceAgentId, targetAgentId }) => {
+    if (mesh.getPathway(sourceAgentId, targetAgentId)) {
+      return mesh.removePathway(sourceAgentId, targetAgentId);
+    }
+  },
+  // Outcomes are already counted in the agents' performance; this feeds the
+  // history and liveness of the other nodes
+  taskOutcomeRecorded: async (mesh, outcome) => mesh.emit('taskOutcomeRecorded', outcome),
+  taxonomyChanged: async (mesh, { capabilities }) => mesh.taxonomy.load(capabilities),
+  trustConfigured: async (mesh, { config }) => mesh.trust.configure(config),
+  centralityComputed: async (mesh, { summary, centrality }) => {
+    await mesh.centrality.store(centrality);
+    mesh.emit('centralityComputed', summary);
+  },
+  meshCleared: async mesh => mesh.clear(),
+  meshRestored: async (mesh, { summary, learning, decay }) => {
+    mesh.configureLearning(learning);
+    mesh.decay.configure(decay);
+    mesh.emit('meshRestored', summary);
+  }
+};
+
+class MeshReplicator {
+  /**
+   * @param {CognitiveMesh} mesh - Mesh to replicate
+   * @param {Object} config - Replication configuration
+   */
+  constructor(mesh, config = {}) {
+    this.mesh = mesh;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.keys = {
+      log: `${this.config.prefix}:log`,
+      snapshot: `${this.config.prefix}:snapshot`,
+      trimmed: `${this.config.prefix}:trimmed`,
+      leader: `${this.config.prefix}:leader`,
+      ids: `${this.config.prefix}:ids`
+    };
+    // Tells the log entries this node wrote since it last joined from all
+    // others, including its own from before a rejoin
+    this.session = null;
+    // Identifies this run of the node in the leader lease
+    this.instance = null;
+    this.active = false;
+    this.leader = false;
+    this.client = null;
+    this.reader = null;
+    this.timer = null;
+    this.following = null;
+    // Last position applied from the log, and last one this node wrote
+    this.applied = LOG_START;
+    this.written = LOG_START;
+    this.writing = Promise.resolve();
+    this.behind = false;
+    this.snapshotAt = 0;
+    this.snapshotPosition = null;
+    // key -> own entries written but not read back from the log yet
+    this.unconfirmed = new Map();
+    // Keys another node changed while own entries for them were unconfirmed
+    this.conflicts = new Set();
+    this.waiters = [];
+    // Set while applying entries of other nodes, so the mesh events they
+    // cause aren't written back to the log
+    this.context = new AsyncLocalStorage();
+
+    Object.keys(ENTRIES).forEach(event => {
+      mesh.on(event, (...args) => {
+        if (!this.active || this.context.getStore()) return;
+        this.write(event, ENTRIES[event](mesh, ...args));
+      });
+    });
+  }
+
+  /**
+   * Connect to Redis, join the shared log and start following it
+   * @param {Object} client - Connected Redis client to use; one is created
+   *   from `redisUrl` otherwise
+   */
+  async start(client = null) {
+    if (this.active) return;
+
+    if (client) {
+      this.client = client;
+    } else {
+      this.client = createClient({ url: this.config.redisUrl });
+      this.client.on('error', error => logger.error('Replication connection error:', error));
+      await this.client.connect();
+    }
+
+    // Blocking reads need a connection of their own
+    this.reader = this.client.duplicate();
+    this.reader.on('error', error => logger.error('Replication connection error:', error));
+    await this.reader.connect();
+
+    this.instance = crypto.randomUUID();
+    await this.rejoin();
+    await this.catchUp();
+    this.active = true;
+
+    await this.maintain();
+    this.timer = setInterval(() => {
+      this.maintain().catch(error => logger.error('Replication maintenance failed:', error));
+    }, Math.max(Math.floor(this.config.leaseMs / 3), 100));
+
+    // Don't keep the process alive just for the lease
+    if (this.timer.unref) this.timer.unref();
+
+    this.following = this.follow();
+
+    logger.info('Mesh replication started', {
+      nodeId: this.config.nodeId,
+      position: this.applied
+    });
+  }
+
+  /**
+   * Stop following the log and give up the leader lease
+   */
+  async stop() {
+    if (!this.active) return;
+
+    this.active = false;
+    clearInterval(this.timer);
+    this.timer = null;
+
+    await this.writing;
+
+    if (this.leader) {
+      await this.client.eval(RELEASE_LEASE_SCRIPT, {
+        keys: [this.keys.leader],
+        arguments: [this.holder()]
+      });
+      this.setLeader(false);
+    }
+
+    await this.reader.disconnect();
+    await this.following;
+    await this.client.quit();
+
+    this.waiters.forEach(waiter => waiter.resolve(false));
+    this.waiters = [];
+
+    logger.info('Mesh replication stopped', { nodeId: this.config.nodeId });
+  }
+
+  /**
+   * Log position the node has reached: the last entry it applied or wrote
+   * @returns {string}
+   */
+  position() {
+    return comparePositions(this.written, this.applied) > 0 ? this.written : this.applied;
+  }
+
+  /**
+   * Wait until the node has applied the log up to a position
+   * @param {string} position - Log position
+   * @param {number} timeoutMs - How long to wait
+   * @returns {Promise<boolean>} - Whether the position was reached
+   */
+  waitFor(position, timeoutMs = this.config.readTimeoutMs) {
+    if (comparePositions(this.applied, position) >= 0) return Promise.resolve(true);
+
+    return new Promise(resolve => {
+      const waiter = { position, resolve };
+      waiter.timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(other => other !== waiter);
+        resolve(false);
+      }, timeoutMs);
+
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Allocate an ID unique across nodes
+   * @param {string} kind - `agent` or `pathway`
+   * @param {number} floor - Lowest number to hand out
+   * @returns {string} - ID such as `agent-12`
+   */
+  async nextId(kind, floor = 1) {
+    const id = await this.client.eval(NEXT_ID_SCRIPT, {
+      keys: [`${this.keys.ids}:${kind}`],
+      arguments: [String(floor)]
+    });
+
+    return `${kind}-${id}`;
+  }
+
+  /**
+   * Express middleware for read-your-writes: waits for the position a
+   * request sends in `X-Mesh-Position`, and sends the node's position back
+   * @returns {Function}
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (!this.active) return next();
+
+      // Answer once the request's own changes are in the log, so the
+      // position covers them
+      const json = res.json.bind(res);
+      res.json = body => {
+        this.writing.then(() => {
+          if (res.headersSent) return;
+          res.set(POSITION_HEADER, this.position());
+          json(body);
+        });
+        return res;
+      };
+
+      const position = req.get(POSITION_HEADER);
+      if (!position) return next();
+
+      if (!POSITION_PATTERN.test(position)) {
+        return next(new ValidationError(`Invalid ${POSITION_HEADER} header: ${position}`, { position }));
+      }
+
+      this.waitFor(position).then(reached => {
+        if (reached) return next();
+
+        next(new UnavailableError('Mesh replication has not reached the requested position yet', {
+          position,
+          applied: this.applied,
+          nodeId: this.config.nodeId
+        }));
+      });
+    };
+  }
+
+  /**
+   * Replication state of this node
+   * @returns {Object} - { enabled, active, nodeId, leader, position, applied, written }
+   */
+  status() {
+    return {
+      enabled: this.config.enabled,
+      active: this.active,
+      nodeId: this.config.nodeId,
+      leader: this.leader,
+      position: this.position(),
+      applied: this.applied,
+      written: this.written
+    };
+  }
+
+  /**
+   * Append a change of this node to the log
+   * @private
+   */
+  write(type, { key = '', data }) {
+    if (key) this.unconfirmed.set(key, (this.unconfirmed.get(key) || 0) + 1);
+
+    // Commands on one connection run in order, so the log keeps the order
+    // in which the changes were made
+    const written = this.client.xAdd(this.keys.log, '*', {
+      node: this.config.nodeId,
+      session: this.session,
+      type,
+      key,
+      data: JSON.stringify(data)
+    }).then(id => {
+      if (comparePositions(id, this.written) > 0) this.written = id;
+    }).catch(error => {
+      logger.error('Failed to write a mesh change to the log:', { type, key, error: error.message });
+    });
+
+    this.writing = this.writing.then(() => written);
+  }
+
+  /**
+   * Apply log entries as they come in
+   * @private
+   */
+  async follow() {
+    while (this.active) {
+      try {
+        if (this.behind) await this.rejoin();
+
+        const reply = await this.reader.xRead(
+          { key: this.keys.log, id: this.applied },
+          { BLOCK: this.config.blockMs, COUNT: this.config.batchSize }
+        );
+
+        for (const { id, message } of reply ? reply[0].messages : []) {
+          await this.applyEntry(id, message);
+          if (!this.active) break;
+        }
+      } catch (error) {
+        if (!this.active) break;
+        logger.error('Failed to read the mesh log:', error);
+        await new Promise(resolve => setTimeout(resolve, this.config.blockMs));
+      }
+    }
+  }
+
+  /**
+   * Apply the entries already in the log, so the node doesn't serve a stale
+   * mesh once it starts
+   * @private
+   */
+  async catchUp() {
+    for (;;) {
+      const reply = await this.reader.xRead(
+        { key: this.keys.log, id: this.applied },
+        { COUNT: this.config.batchSize }
+      );
+
+      if (!reply) return;
+
+      for (const { id, message } of reply[0].messages) {
+        await this.applyEntry(id, message);
+      }
+    }
+  }
+
+  /**
+   * Apply one log entry and move the position past it
+   * @private
+   */
+  async applyEntry(id, message) {
+    const { key, type } = message;
+
+    if (message.session === this.session) {
+      // Already applied when it was made, unless another node's change to
+      // the same thing was applied after it
+      const pending = (this.unconfirmed.get(key) || 1) - 1;
+      if (this.conflicts.has(key)) await this.apply(type, message.data);
+
+      if (pending > 0) {
+        this.unconfirmed.set(key, pending);
+      } else {
+        this.unconfirmed.delete(key);
+        this.conflicts.delete(key);
+      }
+    } else {
+      if (key && this.unconfirmed.has(key)) this.conflicts.add(key);
+      await this.apply(type, message.data);
+    }
+
+    this.applied = id;
+    this.waiters = this.waiters.filter(waiter => {
+      if (comparePositions(id, waiter.position) < 0) return true;
+      clearTimeout(waiter.timer);
+      waiter.resolve(true);
+      return false;
+    });
+  }
+
+  /**
+   * Apply a change to the mesh without writing it back to the log
+   * @private
+   */
+  async apply(type, data) {
+    if (!APPLY[type]) {
+      logger.warn('Skipping unknown mesh log entry', { type });
+      return;
+    }
+
+    try {
+      await this.context.run({ type }, () => APPLY[type](this.mesh, JSON.parse(data)));
+    } catch (error) {
+      // One bad entry must not stop the node from following the log
+      logger.error('Failed to apply a mesh log entry:', { type, error: error.message });
+    }
+  }
+
+  /**
+   * Replace the mesh with the latest snapshot and continue the log from its
+   * position. The first node to join seeds the snapshot with its own mesh.
+   * @private
+   */
+  async rejoin() {
+    const saved = await this.client.get(this.keys.snapshot);
+
+    if (saved) {
+      const { position, snapshot } = JSON.parse(saved);
+      await this.context.run({ type: 'rejoin' }, () => restoreSnapshot(this.mesh, snapshot, { mode: 'replace' }));
+      this.applied = position;
+    } else {
+      const seeded = await this.client.set(this.keys.snapshot, JSON.stringify({
+        position: LOG_START,
+        nodeId: this.config.nodeId,
+        snapshot: createSnapshot(this.mesh)
+      }), { NX: true });
+
+      // Another node seeded it first
+      if (!seeded) return this.rejoin();
+
+      this.applied = LOG_START;
+    }
+
+    // The mesh no longer holds the changes this node wrote after the
+    // snapshot position, so from here on its earlier entries are replayed
+    // like those of any other node
+    this.session = crypto.randomUUID();
+    this.behind = false;
+    this.unconfirmed.clear();
+    this.conflicts.clear();
+
+    logger.info('Joined the mesh log', {
+      nodeId: this.config.nodeId,
+      position: this.applied,
+      agents: this.mesh.agents.size
+    });
+  }
+
+  /**
+   * Hold or take the leader lease, notice a trimmed log and, as the leader,
+   * save snapshots
+   * @private
+   */
+  async maintain() {
+    if (this.leader) {
+      const renewed = await this.client.eval(RENEW_LEASE_SCRIPT, {
+        keys: [this.keys.leader],
+        arguments: [this.holder(), String(this.config.leaseMs)]
+      });
+      if (!renewed) this.setLeader(false);
+    } else {
+      const acquired = await this.client.set(this.keys.leader, this.holder(), { NX: true, PX: this.config.leaseMs });
+      if (acquired) this.setLeader(true);
+    }
+
+    const trimmed = await this.client.get(this.keys.trimmed);
+    if (trimmed && comparePositions(this.applied, trimmed) < 0) {
+      logger.warn('Fell behind the trimmed mesh log, rejoining', { applied: this.applied, trimmed });
+      this.behind = true;
+    }
+
+    if (this.leader && !this.behind && Date.now() - this.snapshotAt >= this.config.snapshotIntervalMs) {
+      await this.saveSnapshot();
+    }
+  }
+
+  /**
+   * Save a snapshot of the mesh and trim the log up to the previous one
+   * @private
+   */
+  async saveSnapshot() {
+    // Entries after the position are replayed on top of the snapshot, so
+    // the snapshot may already hold some of them
+    const position = this.applied;
+
+    await this.client.set(this.keys.snapshot, JSON.stringify({
+      position,
+      nodeId: this.config.nodeId,
+      snapshot: createSnapshot(this.mesh)
+    }));
+    this.snapshotAt = Date.now();
+
+    // Keep one snapshot interval of log, so nodes a little behind don't
+    // have to rejoin
+    if (this.snapshotPosition && comparePositions(this.snapshotPosition, LOG_START) > 0) {
+      await this.client.set(this.keys.trimmed, this.snapshotPosition);
+      await this.client.xTrim(this.keys.log, 'MINID', this.snapshotPosition);
+    }
+
+    this.snapshotPosition = position;
+  }
+
+  /**
+   * Value of the leader lease while this node holds it
+   * @private
+   */
+  holder() {
+    return `${this.config.nodeId}/${this.instance}`;
+  }
+
+  /**
+   * @private
+   */
+  setLeader(leader) {
+    if (this.leader === leader) return;
+
+    this.leader = leader;
+    if (!leader) this.snapshotPosition = null;
+
+    logger.info(leader ? 'Became mesh leader' : 'Gave up mesh leadership', { nodeId: this.config.nodeId });
+    this.mesh.emit('leadershipChanged', { nodeId: this.config.nodeId, leader });
+  }
+}
+
+module.exports = {
+  MeshReplicator,
+  comparePositions,
+  POSITION_HEADER
+};
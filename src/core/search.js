@@ -0,0 +1,268 @@
+/**
+ * Agent Search - Free-text ranking of agents
+ *
+ * Each agent is indexed as a bag of terms drawn from its name, description,
+ * capabilities and specializations, and a query is ranked against them by
+ * TF-IDF cosine similarity. Fields count with different weights, so a
+ * query word that names a capability outweighs one found in a description.
+ *
+ * Terms are lowercased words with common suffixes stripped, so `analyze`,
+ * `analysis` and `analyzer` meet. Words may be in any script; accents on
+ * Latin letters are dropped, so `análisis` and `analisis` meet too. The index lives in process and follows
+ * agent registrations, updates and removals; no external service is used.
+ */
+
+const { ValidationError } = require('../utils/errors');
+
+const FIELD_WEIGHTS = {
+  name: 2,
+  description: 1,
+  capabilities: 3,
+  specializations: 2
+};
+
+// Agent fields that feed the index
+const INDEXED_FIELDS = Object.keys(FIELD_WEIGHTS);
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'for', 'from', 'has', 'have', 'i',
+  'in', 'is', 'it', 'its', 'me', 'my', 'need', 'of', 'on', 'or', 'our', 'should', 'some', 'that',
+  'the', 'their', 'this', 'to', 'us', 'we', 'who', 'will', 'with', 'you'
+]);
+
+// Suffix rewrites, tried in order; the first that applies wins
+const SUFFIXES = [
+  ['ational', 'ate'],
+  ['ization', 'iz'],
+  ['isation', 'iz'],
+  ['yzers', 'yz'],
+  ['yzer', 'yz'],
+  ['yses', 'yz'],
+  ['ysis', 'yz'],
+  ['yze', 'yz'],
+  ['ysts', 'yz'],
+  ['yst', 'yz'],
+  ['ize', 'iz'],
+  ['ies', 'y'],
+  ['sses', 'ss'],
+  ['ches', 'ch'],
+  ['shes', 'sh'],
+  ['xes', 'x'],
+  ['ing', ''],
+  ['ers', 'er'],
+  ['ed', ''],
+  ['s', '']
+];
+
+/**
+ * Reduce a word to a crude stem
+ * @private
+ */
+function stem(word) {
+  if (word.length <= 4) return word;
+
+  for (const [suffix, replacement] of SUFFIXES) {
+    if (word.endsWith(suffix) && !(suffix === 's' && word.endsWith('ss'))) {
+      const stemmed = word.slice(0, -suffix.length) + replacement;
+      if (stemmed.length >= 3) return stemmed;
+    }
+  }
+
+  return word;
+}
+
+/**
+ * Split text into index terms
+ * @param {string} text - Text to split
+ * @returns {Array} - Terms, in order
+ */
+function tokenize(text) {
+  return String(text || '')
+    // Drop accents from Latin letters only; й or ё are letters of their own
+    .normalize('NFKD')
+    .replace(/(\p{Script=Latin})[\u0300-\u036f]+/gu, '$1')
+    .normalize('NFC')
+    .toLowerCase()
+    // Other combining marks, such as Indic vowel signs, are part of the word
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    // A single Latin letter or digit is noise; a single ideograph is a word
+    .filter(word => (word.length > 1 || /[^a-z0-9]/.test(word)) && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+class AgentSearchIndex {
+  /**
+   * @param {CognitiveMesh} mesh - Mesh whose agents are indexed
+   */
+  constructor(mesh) {
+    this.mesh = mesh;
+    // agentId -> Map(term -> weighted frequency)
+    this.documents = new Map();
+    // term -> Set(agentId)
+    this.postings = new Map();
+    // agentId -> vector norm, recomputed when the index changes
+    this.norms = null;
+
+    mesh.on('agentRegistered', agent => this.index(agent));
+    mesh.on('agentUpdated', (agent, updates) => {
+      if (!updates || INDEXED_FIELDS.some(field => field in updates)) this.index(agent);
+    });
+    mesh.on('agentRemoved', agent => this.unindex(agent.id));
+    mesh.on('meshCleared', () => this.rebuild());
+    mesh.on('meshRestored', () => this.rebuild());
+  }
+
+  /**
+   * Index every agent of the mesh from scratch
+   */
+  rebuild() {
+    this.documents.clear();
+    this.postings.clear();
+    this.mesh.agents.forEach(agent => this.index(agent));
+    this.norms = null;
+  }
+
+  /**
+   * Add or refresh an agent in the index
+   * @param {Object} agent - Agent
+   */
+  index(agent) {
+    this.unindex(agent.id);
+
+    const terms = new Map();
+    INDEXED_FIELDS.forEach(field => {
+      const value = agent[field];
+      const text = Array.isArray(value) ? value.join(' ') : value;
+
+      tokenize(text).forEach(term => {
+        terms.set(term, (terms.get(term) || 0) + FIELD_WEIGHTS[field]);
+      });
+    });
+
+    this.documents.set(agent.id, terms);
+    terms.forEach((frequency, term) => {
+      if (!this.postings.has(term)) this.postings.set(term, new Set());
+      this.postings.get(term).add(agent.id);
+    });
+
+    this.norms = null;
+  }
+
+  /**
+   * Remove an agent from the index
+   * @param {string} agentId - Agent ID
+   */
+  unindex(agentId) {
+    const terms = this.documents.get(agentId);
+    if (!terms) return;
+
+    terms.forEach((frequency, term) => {
+      const postings = this.postings.get(term);
+      postings.delete(agentId);
+      if (postings.size === 0) this.postings.delete(term);
+    });
+
+    this.documents.delete(agentId);
+    this.norms = null;
+  }
+
+  /**
+   * Inverse document frequency of a term
+   * @private
+   */
+  idf(term) {
+    const frequency = this.postings.has(term) ? this.postings.get(term).size : 0;
+    return Math.log((this.documents.size + 1) / (frequency + 1)) + 1;
+  }
+
+  /**
+   * TF-IDF weight of a term
+   * @private
+   */
+  weight(term, frequency) {
+    return (1 + Math.log(frequency)) * this.idf(term);
+  }
+
+  /**
+   * Vector norms of every indexed agent
+   * @private
+   */
+  vectorNorms() {
+    if (!this.norms) {
+      this.norms = new Map();
+      this.documents.forEach((terms, agentId) => {
+        let sum = 0;
+        terms.forEach((frequency, term) => {
+          sum += Math.pow(this.weight(term, frequency), 2);
+        });
+        this.norms.set(agentId, Math.sqrt(sum));
+      });
+    }
+
+    return this.norms;
+  }
+
+  /**
+   * Rank agents by similarity to a free-text query
+   * @param {string} query - Query text
+   * @param {Object} options - { limit, minScore, chain, status }
+   * @returns {Object} - { query, terms, total, results: [{ agent, score, matchedTerms }] }
+   */
+  search(query, options = {}) {
+    const counts = new Map();
+    tokenize(query).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+    if (counts.size === 0) {
+      throw new ValidationError('Search query has no searchable words', { query });
+    }
+
+    const norms = this.vectorNorms();
+    const queryVector = new Map();
+    let queryNorm = 0;
+    counts.forEach((frequency, term) => {
+      const weight = this.weight(term, frequency);
+      queryVector.set(term, weight);
+      queryNorm += weight * weight;
+    });
+    queryNorm = Math.sqrt(queryNorm);
+
+    const dots = new Map();
+    const matched = new Map();
+    queryVector.forEach((queryWeight, term) => {
+      (this.postings.get(term) || new Set()).forEach(agentId => {
+        const weight = this.weight(term, this.documents.get(agentId).get(term));
+        dots.set(agentId, (dots.get(agentId) || 0) + queryWeight * weight);
+        if (!matched.has(agentId)) matched.set(agentId, []);
+        matched.get(agentId).push(term);
+      });
+    });
+
+    const minScore = options.minScore || 0;
+    const results = [];
+    dots.forEach((dot, agentId) => {
+      const agent = this.mesh.agents.get(agentId);
+      if (!agent) return;
+      if (options.chain && agent.chain !== options.chain) return;
+      if (options.status && agent.status !== options.status) return;
+
+      const score = dot / (queryNorm * norms.get(agentId));
+      if (score <= minScore) return;
+
+      results.push({ agent, score: Math.round(score * 10000) / 10000, matchedTerms: matched.get(agentId) });
+    });
+
+    results.sort((a, b) => b.score - a.score || (a.agent.id < b.agent.id ? -1 : 1));
+
+    return {
+      query,
+      terms: Array.from(counts.keys()),
+      total: results.length,
+      results: results.slice(0, options.limit || 10)
+    };
+  }
+}
+
+module.exports = {
+  AgentSearchIndex,
+  tokenize
+};
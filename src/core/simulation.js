@@ -0,0 +1,712 @@
+/**
+ * Mesh Simulation - Synthetic networks and tick-based runs of the mesh
+ *
+ * This module generates large synthetic meshes and runs them forward in
+ * simulated time, so learning, decay and trust parameters can be tuned
+ * before they meet real traffic. Networks follow one of three topologies:
+ *
+ *   scale-free:  preferential attachment (Barabasi-Albert), a few hubs
+ *   small-world: ring lattice with randomly rewired links (Watts-Strogatz)
+ *   random:      uniformly random pairs of agents (Erdos-Renyi)
+ *
+ * Agent capabilities come from a catalogue, drawn either uniformly or by a
+ * Zipf law so that a few capabilities are common and most are rare. Every
+ * agent also gets a hidden skill: the probability that it answers a task
+ * correctly. Routing, learning and trust never look at it; the metrics
+ * compare it with what the mesh learned.
+ *
+ * Each tick advances the mesh clock by `tickMs`, then:
+ *
+ *   1. churn: each agent leaves with probability `churnRate` and as many
+ *      newcomers join, attached by the topology's rule
+ *   2. tasks: `tasksPerTick` tasks are routed by capability and run, which
+ *      feeds pathway learning and trust
+ *   3. decay: pathway decay is applied, and centrality is recomputed every
+ *      `centralityEvery` ticks
+ *   4. metrics: a row of measurements is recorded
+ *
+ * The simulated mesh is a separate in-memory CognitiveMesh; nothing is
+ * persisted or replicated. Runs are deterministic for given seeds.
+ */
+
+const { CognitiveMesh } = require('./cognitiveMesh');
+const { CognitiveMeshError, ValidationError } = require('../utils/errors');
+
+const TOPOLOGIES = ['scale-free', 'small-world', 'random'];
+const CAPABILITY_DISTRIBUTIONS = ['uniform', 'zipf'];
+
+// Function executor handler the simulated agents answer through
+const HANDLER = 'simulation';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_NETWORK = {
+  agents: 100,
+  topology: 'scale-free',
+  averageDegree: 4,
+  rewiring: 0.1,
+  capabilities: 20,
+  capabilitiesPerAgent: 3,
+  capabilityDistribution: 'zipf',
+  zipfExponent: 1,
+  skillMean: 0.7,
+  skillSpread: 0.2,
+  initialStrength: 0.5,
+  strengthSpread: 0.2,
+  chains: ['ethereum', 'bnb', 'solana'],
+  seed: 42
+};
+
+const DEFAULT_SIMULATION = {
+  ticks: 100,
+  tickMs: HOUR_MS,
+  tasksPerTick: 10,
+  teamSize: 3,
+  capabilitiesPerTask: 1,
+  answers: 4,
+  failureRate: 0.02,
+  churnRate: 0.01,
+  centralityEvery: 10,
+  aggregation: 'trust-weighted',
+  learning: {},
+  decay: {},
+  trust: {},
+  seed: 7
+};
+
+/**
+ * Deterministic pseudo-random generator so runs are reproducible
+ * @private
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+/**
+ * Round a metric for output
+ * @private
+ */
+function round(value) {
+  return value === null ? null : Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Mean of a list of numbers, or null when it is empty
+ * @private
+ */
+function mean(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Pearson correlation of two paired lists, or null when either is constant
+ * @private
+ */
+function correlation(xs, ys) {
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    varianceX += Math.pow(x - meanX, 2);
+    varianceY += Math.pow(ys[i] - meanY, 2);
+  });
+
+  return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null;
+}
+
+/**
+ * Draw `count` distinct items, each with probability proportional to its weight
+ * @private
+ */
+function drawDistinct(random, items, weights, count) {
+  const remaining = weights.slice();
+  let total = remaining.reduce((sum, weight) => sum + weight, 0);
+  const picked = [];
+
+  while (picked.length < count && total > 0) {
+    let target = random() * total;
+    let index = 0;
+
+    while (index < remaining.length - 1 && (target >= remaining[index] || remaining[index] === 0)) {
+      target -= remaining[index];
+      index++;
+    }
+
+    // Rounding can leave the walk on an item already taken
+    while (remaining[index] === 0) index--;
+
+    picked.push(items[index]);
+    total -= remaining[index];
+    remaining[index] = 0;
+  }
+
+  return picked;
+}
+
+/**
+ * Validate network options against the defaults
+ * @param {Object} options - Network options
+ * @returns {Object} - The resolved options
+ */
+function resolveNetworkOptions(options = {}) {
+  const config = { ...DEFAULT_NETWORK, ...options };
+
+  if (!TOPOLOGIES.includes(config.topology)) {
+    throw new ValidationError(`Unknown topology: ${config.topology}`, {
+      topology: config.topology,
+      available: TOPOLOGIES
+    });
+  }
+
+  if (!CAPABILITY_DISTRIBUTIONS.includes(config.capabilityDistribution)) {
+    throw new ValidationError(`Unknown capability distribution: ${config.capabilityDistribution}`, {
+      capabilityDistribution: config.capabilityDistribution,
+      available: CAPABILITY_DISTRIBUTIONS
+    });
+  }
+
+  if (!Number.isInteger(config.agents) || config.agents < 2) {
+    throw new ValidationError('A network needs at least 2 agents', { agents: config.agents });
+  }
+
+  if (!(config.averageDegree >= 1 && config.averageDegree < config.agents)) {
+    throw new ValidationError(`averageDegree must be between 1 and ${config.agents - 1}`, {
+      averageDegree: config.averageDegree
+    });
+  }
+
+  if (config.capabilitiesPerAgent < 1 || config.capabilitiesPerAgent > config.capabilities) {
+    throw new ValidationError('capabilitiesPerAgent must be between 1 and the catalogue size', {
+      capabilitiesPerAgent: config.capabilitiesPerAgent,
+      capabilities: config.capabilities
+    });
+  }
+
+  return config;
+}
+
+/**
+ * Capability catalogue and the weight each capability is drawn with
+ * @param {Object} config - Resolved network options
+ * @returns {Object} - { names, weights }
+ */
+function capabilityCatalogue(config) {
+  const width = String(config.capabilities).length;
+  const names = Array.from({ length: config.capabilities }, (_, i) =>
+    `capability-${String(i + 1).padStart(width, '0')}`
+  );
+  const weights = names.map((_, i) =>
+    config.capabilityDistribution === 'zipf' ? 1 / Math.pow(i + 1, config.zipfExponent) : 1
+  );
+
+  return { names, weights };
+}
+
+/**
+ * Registration data for a synthetic agent
+ * @private
+ */
+function syntheticAgent(index, random, config, catalogue) {
+  const skill = config.skillMean + (random() * 2 - 1) * config.skillSpread;
+
+  return {
+    id: `sim-agent-${index}`,
+    name: `Simulated Agent ${index}`,
+    description: 'Synthetic agent generated for a mesh simulation',
+    capabilities: drawDistinct(random, catalogue.names, catalogue.weights, config.capabilitiesPerAgent),
+    specializations: [],
+    chain: config.chains[Math.floor(random() * config.chains.length)],
+    executor: { type: 'function', handler: HANDLER },
+    status: 'active',
+    metadata: {
+      simulated: true,
+      skill: round(Math.max(0, Math.min(1, skill)))
+    }
+  };
+}
+
+/**
+ * Initial strength of a synthetic pathway
+ * @private
+ */
+function syntheticStrength(random, config) {
+  const strength = config.initialStrength + (random() * 2 - 1) * config.strengthSpread;
+  return round(Math.max(0.01, Math.min(1, strength)));
+}
+
+/**
+ * Undirected edges between agent indexes, deduplicated
+ * @private
+ */
+class EdgeSet {
+  constructor() {
+    this.edges = new Map();
+  }
+
+  key(a, b) {
+    return a < b ? `${a}:${b}` : `${b}:${a}`;
+  }
+
+  has(a, b) {
+    return this.edges.has(this.key(a, b));
+  }
+
+  add(a, b) {
+    if (a === b || this.has(a, b)) return false;
+    this.edges.set(this.key(a, b), [a, b]);
+    return true;
+  }
+
+  delete(a, b) {
+    this.edges.delete(this.key(a, b));
+  }
+
+  values() {
+    return Array.from(this.edges.values());
+  }
+}
+
+/**
+ * Erdos-Renyi edges: uniformly random pairs until the average degree is reached
+ * @private
+ */
+function randomEdges(n, config, random) {
+  const edges = new EdgeSet();
+  const target = Math.min(Math.round(n * config.averageDegree / 2), n * (n - 1) / 2);
+
+  while (edges.edges.size < target) {
+    edges.add(Math.floor(random() * n), Math.floor(random() * n));
+  }
+
+  return edges;
+}
+
+/**
+ * Watts-Strogatz edges: each agent linked to its nearest neighbors on a
+ * ring, then each link rewired to a random agent with probability `rewiring`
+ * @private
+ */
+function smallWorldEdges(n, config, random) {
+  const edges = new EdgeSet();
+  const reach = Math.max(1, Math.min(Math.round(config.averageDegree / 2), Math.floor((n - 1) / 2)));
+
+  for (let i = 0; i < n; i++) {
+    for (let offset = 1; offset <= reach; offset++) {
+      edges.add(i, (i + offset) % n);
+    }
+  }
+
+  edges.values().forEach(([a, b]) => {
+    if (random() >= config.rewiring) return;
+
+    const target = Math.floor(random() * n);
+    if (target !== a && !edges.has(a, target)) {
+      edges.delete(a, b);
+      edges.add(a, target);
+    }
+  });
+
+  return edges;
+}
+
+/**
+ * Barabasi-Albert edges: every new agent links to `averageDegree / 2`
+ * existing agents picked with probability proportional to their degree
+ * @private
+ */
+function scaleFreeEdges(n, config, random) {
+  const edges = new EdgeSet();
+  const links = Math.max(1, Math.round(config.averageDegree / 2));
+  const core = Math.min(n, links + 1);
+  // Every agent appears once per link it has, so a uniform pick is by degree
+  const endpoints = [];
+
+  for (let a = 0; a < core; a++) {
+    for (let b = a + 1; b < core; b++) {
+      edges.add(a, b);
+      endpoints.push(a, b);
+    }
+  }
+
+  for (let agent = core; agent < n; agent++) {
+    const targets = new Set();
+    while (targets.size < links) {
+      targets.add(endpoints[Math.floor(random() * endpoints.length)]);
+    }
+
+    targets.forEach(target => {
+      edges.add(agent, target);
+      endpoints.push(agent, target);
+    });
+  }
+
+  return edges;
+}
+
+const EDGE_GENERATORS = {
+  'scale-free': scaleFreeEdges,
+  'small-world': smallWorldEdges,
+  random: randomEdges
+};
+
+/**
+ * Generate a synthetic network
+ * @param {Object} options - { agents, topology, averageDegree, rewiring, capabilities,
+ *   capabilitiesPerAgent, capabilityDistribution, zipfExponent, skillMean, skillSpread,
+ *   initialStrength, strengthSpread, chains, seed }
+ * @returns {Object} - { options, capabilities, agents, pathways }
+ */
+function generateNetwork(options = {}) {
+  const config = resolveNetworkOptions(options);
+  const random = createRandom(config.seed);
+  const catalogue = capabilityCatalogue(config);
+
+  const agents = Array.from({ length: config.agents }, (_, i) => syntheticAgent(i, random, config, catalogue));
+  const pathways = EDGE_GENERATORS[config.topology](config.agents, config, random)
+    .values()
+    .map(([a, b]) => ({
+      sourceAgentId: agents[a].id,
+      targetAgentId: agents[b].id,
+      strength: syntheticStrength(random, config),
+      bidirectional: true,
+      metadata: { simulated: true }
+    }));
+
+  return {
+    options: config,
+    capabilities: catalogue.names,
+    agents,
+    pathways
+  };
+}
+
+class MeshSimulation {
+  /**
+   * @param {Object} options - Simulation options ({ network, ticks, tickMs, tasksPerTick,
+   *   teamSize, capabilitiesPerTask, answers, failureRate, churnRate, centralityEvery,
+   *   aggregation, learning, decay, trust, seed, start })
+   */
+  constructor(options = {}) {
+    const { network = {}, ...simulation } = options;
+
+    this.network = resolveNetworkOptions(network);
+    this.config = { ...DEFAULT_SIMULATION, ...simulation };
+
+    if (!Number.isInteger(this.config.teamSize) || this.config.teamSize < 2) {
+      throw new ValidationError('teamSize must be at least 2', { teamSize: this.config.teamSize });
+    }
+
+    if (!Number.isInteger(this.config.answers) || this.config.answers < 2) {
+      throw new ValidationError('answers must be at least 2', { answers: this.config.answers });
+    }
+
+    this.random = createRandom(this.config.seed);
+    this.catalogue = capabilityCatalogue(this.network);
+    this.time = this.config.start || Date.now();
+    this.tickCount = 0;
+    this.taskCount = 0;
+    this.nextAgent = 0;
+    this.built = false;
+    // agentId -> hidden skill
+    this.skills = new Map();
+    this.metrics = [];
+
+    this.mesh = new CognitiveMesh({
+      learning: this.config.learning,
+      decay: this.config.decay,
+      trust: this.config.trust,
+      clock: () => this.time
+    });
+    this.mesh.executors.registerHandler(HANDLER, (task, { agent }) => this.answer(agent, task));
+  }
+
+  /**
+   * Generate the network and load it into the simulated mesh
+   * @returns {Object} - Description of the network
+   */
+  async build() {
+    if (this.built) return this.describe();
+
+    const network = generateNetwork(this.network);
+    const createdAt = new Date(this.time);
+
+    for (const agent of network.agents) {
+      await this.mesh.registerAgent({ ...agent, createdAt }, false);
+      this.skills.set(agent.id, agent.metadata.skill);
+    }
+
+    for (const pathway of network.pathways) {
+      await this.mesh.establishPathway(pathway.sourceAgentId, pathway.targetAgentId, { ...pathway, createdAt }, false);
+    }
+
+    this.nextAgent = network.agents.length;
+    this.built = true;
+    this.metrics.push(this.measure());
+
+    return this.describe();
+  }
+
+  /**
+   * Run the simulation for its configured number of ticks
+   * @param {Object} options - { onTick(row) }
+   * @returns {Object} - { network, config, metrics }
+   */
+  async run(options = {}) {
+    await this.build();
+
+    while (this.tickCount < this.config.ticks) {
+      const row = await this.step();
+      if (options.onTick) options.onTick(row);
+    }
+
+    return {
+      network: this.describe(),
+      config: { network: this.network, simulation: this.config },
+      metrics: this.metrics
+    };
+  }
+
+  /**
+   * Advance the simulation by one tick
+   * @returns {Object} - The tick's metrics
+   */
+  async step() {
+    await this.build();
+
+    this.tickCount++;
+    this.time += this.config.tickMs;
+
+    const churn = await this.churn();
+    const tasks = await this.runTasks();
+    const decay = await this.mesh.decay.tick(this.time);
+
+    if (this.config.centralityEvery && this.tickCount % this.config.centralityEvery === 0) {
+      await this.mesh.centrality.recompute();
+    }
+
+    const row = this.measure({ churn, tasks, decay });
+    this.metrics.push(row);
+    return row;
+  }
+
+  /**
+   * Size and degree distribution of the simulated mesh
+   * @returns {Object} - { topology, agents, pathways, capabilities, meanDegree, maxDegree }
+   */
+  describe() {
+    const degrees = Array.from(this.mesh.agents.keys()).map(agentId =>
+      new Set([
+        ...this.mesh.getOutgoingPathways(agentId).keys(),
+        ...this.mesh.getIncomingPathways(agentId).keys()
+      ]).size
+    );
+
+    return {
+      topology: this.network.topology,
+      agents: this.mesh.agents.size,
+      pathways: new Set(this.mesh.pathways.values()).size,
+      capabilities: this.catalogue.names.length,
+      meanDegree: round(mean(degrees)),
+      maxDegree: degrees.length ? Math.max(...degrees) : 0
+    };
+  }
+
+  /**
+   * Answer a task as a simulated agent: right with a probability given by
+   * its skill, lowered when it lacks some of the required capabilities
+   * @private
+   */
+  answer(agent, task) {
+    const { truth, capabilities } = task.simulation;
+
+    if (this.random() < this.config.failureRate) {
+      throw new CognitiveMeshError('Simulated agent failure', 'SIMULATED_FAILURE', { agentId: agent.id });
+    }
+
+    const skill = this.skills.get(agent.id) || 0;
+    const covered = capabilities.filter(capability => agent.capabilities.includes(capability)).length;
+    const correct = skill * (0.5 + 0.5 * covered / capabilities.length);
+
+    if (this.random() < correct) {
+      return { output: `answer-${truth}`, confidence: skill };
+    }
+
+    // Wrong answers are spread evenly over the other answers
+    const wrong = Math.floor(this.random() * (this.config.answers - 1));
+    return { output: `answer-${wrong >= truth ? wrong + 1 : wrong}`, confidence: skill };
+  }
+
+  /**
+   * Replace the agents that leave this tick with newcomers
+   * @private
+   */
+  async churn() {
+    const leaving = Array.from(this.mesh.agents.keys()).filter(() => this.random() < this.config.churnRate);
+
+    for (const agentId of leaving) {
+      await this.mesh.removeAgent(agentId, false);
+      this.skills.delete(agentId);
+    }
+
+    for (let i = 0; i < leaving.length; i++) {
+      await this.join();
+    }
+
+    return { left: leaving.length, joined: leaving.length };
+  }
+
+  /**
+   * Add a newcomer, linked to existing agents by degree on a scale-free
+   * network and uniformly otherwise
+   * @private
+   */
+  async join() {
+    const existing = Array.from(this.mesh.agents.keys());
+    const agent = syntheticAgent(this.nextAgent++, this.random, this.network, this.catalogue);
+    const createdAt = new Date(this.time);
+
+    await this.mesh.registerAgent({ ...agent, createdAt }, false);
+    this.skills.set(agent.id, agent.metadata.skill);
+
+    // As many links as a leaving agent takes on average, so the mean degree holds
+    const links = Math.min(existing.length, Math.max(1, Math.round(this.network.averageDegree)));
+    const weights = existing.map(agentId =>
+      this.network.topology === 'scale-free' ? this.mesh.getOutgoingPathways(agentId).size + 1 : 1
+    );
+
+    for (const targetId of drawDistinct(this.random, existing, weights, links)) {
+      await this.mesh.establishPathway(agent.id, targetId, {
+        strength: syntheticStrength(this.random, this.network),
+        bidirectional: true,
+        metadata: { simulated: true },
+        createdAt
+      }, false);
+    }
+  }
+
+  /**
+   * Route and run this tick's tasks
+   * @private
+   */
+  async runTasks() {
+    const summary = {
+      tasks: 0,
+      completed: 0,
+      unrouted: 0,
+      failed: 0,
+      correct: 0,
+      consensus: 0,
+      agreement: [],
+      teamSkill: [],
+      deltas: []
+    };
+
+    for (let i = 0; i < this.config.tasksPerTick; i++) {
+      const capabilities = drawDistinct(
+        this.random,
+        this.catalogue.names,
+        this.catalogue.weights,
+        this.config.capabilitiesPerTask
+      );
+      const truth = Math.floor(this.random() * this.config.answers);
+      const task = {
+        id: `sim-task-${++this.taskCount}`,
+        type: 'simulation',
+        requirements: { capabilities, teamSize: this.config.teamSize },
+        aggregation: this.config.aggregation,
+        execution: { retries: 0 },
+        simulation: { truth, capabilities }
+      };
+
+      summary.tasks++;
+
+      let routing;
+      try {
+        routing = this.mesh.routeTask(task);
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+
+        // Too few agents hold the required capabilities
+        summary.unrouted++;
+        continue;
+      }
+
+      try {
+        const report = await this.mesh.executeCollectiveCognition(routing.agentIds, task);
+        const { aggregatedResult } = report;
+
+        summary.completed++;
+        if (aggregatedResult.primaryResult === `answer-${truth}`) summary.correct++;
+        if (aggregatedResult.consensusReached) summary.consensus++;
+        summary.agreement.push(aggregatedResult.consensus.agreement);
+        summary.teamSkill.push(mean(report.participatingAgents.map(agentId => this.skills.get(agentId))));
+        (report.learning ? report.learning.updates : []).forEach(update => summary.deltas.push(update.delta));
+      } catch (error) {
+        if (error.code !== 'QUORUM_NOT_REACHED') throw error;
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Metrics of the mesh after a tick
+   * @private
+   */
+  measure({ churn = { left: 0, joined: 0 }, tasks = null, decay = { decayed: 0, deactivated: 0 } } = {}) {
+    const agents = Array.from(this.mesh.agents.values());
+    const pathways = Array.from(new Set(this.mesh.pathways.values()));
+    const active = pathways.filter(pathway => pathway.status !== 'inactive');
+    const skillOf = agentId => this.skills.get(agentId);
+    const completed = tasks ? tasks.completed : 0;
+
+    return {
+      tick: this.tickCount,
+      time: new Date(this.time).toISOString(),
+      agents: agents.length,
+      joined: churn.joined,
+      left: churn.left,
+      pathways: pathways.length,
+      activePathways: active.length,
+      meanStrength: round(mean(active.map(pathway => pathway.strength))),
+      tasks: tasks ? tasks.tasks : 0,
+      completed,
+      unrouted: tasks ? tasks.unrouted : 0,
+      failed: tasks ? tasks.failed : 0,
+      accuracy: completed ? round(tasks.correct / completed) : null,
+      consensusRate: completed ? round(tasks.consensus / completed) : null,
+      meanAgreement: tasks ? round(mean(tasks.agreement)) : null,
+      teamSkill: tasks ? round(mean(tasks.teamSkill)) : null,
+      learningUpdates: tasks ? tasks.deltas.length : 0,
+      meanDelta: tasks ? round(mean(tasks.deltas)) : null,
+      decayed: decay.decayed,
+      deactivated: decay.deactivated,
+      meanTrust: round(mean(agents.map(agent => agent.trustScore || 0))),
+      // Whether trust and pathway strength came to reflect the hidden skill
+      trustSkillCorrelation: round(correlation(
+        agents.map(agent => agent.trustScore || 0),
+        agents.map(agent => skillOf(agent.id))
+      )),
+      strengthSkillCorrelation: round(correlation(
+        active.map(pathway => pathway.strength),
+        active.map(pathway => (skillOf(pathway.sourceAgentId) + skillOf(pathway.targetAgentId)) / 2)
+      ))
+    };
+  }
+}
+
+module.exports = {
+  MeshSimulation,
+  generateNetwork,
+  TOPOLOGIES,
+  CAPABILITY_DISTRIBUTIONS
+};
@@ -0,0 +1,282 @@
+/**
+ * Mesh Snapshots - Point-in-time images of the cognitive mesh
+ *
+ * A snapshot holds every agent, every pathway and the mesh configuration
+ * (pathway learning and decay, the capability taxonomy), wrapped in a
+ * versioned envelope with a SHA-256 checksum of its data:
+ *
+ *   {
+ *     format: 'aethermind-mesh-snapshot',
+ *     version: 1,
+ *     createdAt: '2024-01-01T00:00:00.000Z',
+ *     checksum: 'sha256:...',
+ *     stats: { agents, pathways },
+ *     data: { agents, pathways, config }
+ *   }
+ *
+ * Snapshots restore in one of two modes:
+ *
+ *   replace: the mesh ends up holding exactly the snapshot
+ *   merge:   snapshot agents and pathways are added to the mesh, and win
+ *            over existing ones with the same ID or the same agent pair
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { Agent } = require('../models/agent');
+const { NeuralPathway } = require('../models/neuralPathway');
+const { canonicalize } = require('./consensus');
+const { CapabilityTaxonomy } = require('./taxonomy');
+const { PathwayLearningEngine } = require('./learning');
+const { PathwayDecayScheduler } = require('./decay');
+const { ValidationError } = require('../utils/errors');
+
+const SNAPSHOT_FORMAT = 'aethermind-mesh-snapshot';
+const SNAPSHOT_VERSION = 1;
+const RESTORE_MODES = ['replace', 'merge'];
+
+/**
+ * Checksum of snapshot data, independent of key order
+ * @param {Object} data - Snapshot data
+ * @returns {string}
+ */
+function computeChecksum(data) {
+  return `sha256:${crypto.createHash('sha256').update(canonicalize(data)).digest('hex')}`;
+}
+
+/**
+ * Capture the current state of a mesh
+ * @param {CognitiveMesh} mesh - Mesh to capture
+ * @returns {Object} - Snapshot
+ */
+function createSnapshot(mesh) {
+  // Everything is read synchronously, so no mesh operation can interleave
+  // and the image is consistent. The JSON round trip detaches it from the
+  // live objects and gives the form the checksum is computed on.
+  const data = JSON.parse(JSON.stringify({
+    agents: Array.from(mesh.agents.values()),
+    pathways: Array.from(new Set(mesh.pathways.values())),
+    config: {
+      learning: mesh.learning.config,
+      decay: mesh.decay.config,
+      taxonomy: mesh.taxonomy.list()
+    }
+  }));
+
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    createdAt: new Date().toISOString(),
+    checksum: computeChecksum(data),
+    stats: {
+      agents: data.agents.length,
+      pathways: data.pathways.length
+    },
+    data
+  };
+}
+
+/**
+ * Check a snapshot's envelope, checksum and internal consistency
+ * @param {Object} snapshot - Snapshot to check
+ * @returns {Object} - The snapshot
+ */
+function verifySnapshot(snapshot) {
+  if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+    throw new ValidationError('Not a mesh snapshot', { format: snapshot && snapshot.format });
+  }
+
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new ValidationError(`Unsupported snapshot version: ${snapshot.version}`, {
+      version: snapshot.version,
+      supported: [SNAPSHOT_VERSION]
+    });
+  }
+
+  const { data } = snapshot;
+
+  if (!data || !Array.isArray(data.agents) || !Array.isArray(data.pathways)) {
+    throw new ValidationError('Snapshot data must contain agents and pathways');
+  }
+
+  const checksum = computeChecksum(data);
+  if (checksum !== snapshot.checksum) {
+    throw new ValidationError('Snapshot checksum mismatch', {
+      expected: snapshot.checksum,
+      actual: checksum
+    });
+  }
+
+  const agentIds = new Set();
+  data.agents.forEach(agent => {
+    if (!agent || !agent.id || agentIds.has(agent.id)) {
+      throw new ValidationError('Snapshot agents must have unique IDs', { agentId: agent.id });
+    }
+    agentIds.add(agent.id);
+  });
+
+  data.pathways.forEach(pathway => {
+    if (!pathway || !pathway.sourceAgentId || !pathway.targetAgentId) {
+      throw new ValidationError('Snapshot pathways must name their source and target agents', {
+        pathwayId: pathway && pathway.id
+      });
+    }
+  });
+
+  return snapshot;
+}
+
+/**
+ * Restore a snapshot into a mesh
+ * @param {CognitiveMesh} mesh - Mesh to restore into
+ * @param {Object} snapshot - Snapshot to restore
+ * @param {Object} options - { mode: 'replace' | 'merge' }
+ * @returns {Object} - Summary of the changes
+ */
+async function restoreSnapshot(mesh, snapshot, options = {}) {
+  const mode = options.mode || 'replace';
+
+  if (!RESTORE_MODES.includes(mode)) {
+    throw new ValidationError(`Unknown restore mode: ${mode}`, { mode, available: RESTORE_MODES });
+  }
+
+  verifySnapshot(snapshot);
+
+  // Restored agents and pathways become live mesh objects, so work on a copy
+  // and leave the caller's snapshot untouched
+  const data = JSON.parse(JSON.stringify(snapshot.data));
+  const { agents, pathways } = data;
+  const config = data.config || {};
+  const snapshotAgentIds = new Set(agents.map(agent => agent.id));
+
+  // Everything that can reject the snapshot is checked before the mesh is
+  // touched, so a replace never leaves it half cleared
+
+  // Every pathway must connect agents that exist once the restore is done
+  pathways.forEach(pathway => {
+    [pathway.sourceAgentId, pathway.targetAgentId].forEach(agentId => {
+      if (!snapshotAgentIds.has(agentId) && (mode === 'replace' || !mesh.agents.has(agentId))) {
+        throw new ValidationError(`Snapshot pathway ${pathway.id} references unknown agent ${agentId}`, {
+          pathwayId: pathway.id,
+          agentId
+        });
+      }
+    });
+  });
+
+  // Configuration is applied on the side first
+  if (config.learning) {
+    new PathwayLearningEngine(mesh.learning.config).configure(config.learning);
+  }
+
+  if (config.decay) {
+    new PathwayDecayScheduler(mesh, mesh.decay.config).configure(config.decay);
+  }
+
+  if (config.taxonomy) {
+    new CapabilityTaxonomy().load(config.taxonomy);
+  }
+
+  const summary = {
+    mode,
+    checksum: snapshot.checksum,
+    agents: { added: 0, replaced: 0, removed: 0 },
+    pathways: { added: 0, replaced: 0, removed: 0 }
+  };
+
+  if (mode === 'replace') {
+    const cleared = await mesh.clear();
+    summary.agents.removed = cleared.agents;
+    summary.pathways.removed = cleared.pathways;
+  }
+
+  // Agents
+  await Agent.restore(agents);
+
+  for (const agent of agents) {
+    if (mesh.agents.has(agent.id)) {
+      // As an update, so versions, trust and listeners follow the change.
+      // A version number the mesh already used for its own definition is
+      // not reused: the change gets the next one instead.
+      const { id, ...fields } = agent;
+      if (mesh.versions.list(id).some(entry => entry.version === fields.version)) {
+        delete fields.version;
+      }
+      await mesh.updateAgent(id, fields, false);
+      summary.agents.replaced++;
+    } else {
+      await mesh.registerAgent(agent, false);
+      summary.agents.added++;
+    }
+  }
+
+  // Pathways: a snapshot pathway displaces the pathways it would overlap,
+  // and the one with its ID, which may connect another pair of agents
+  for (const pathway of pathways) {
+    const sameId = pathway.id
+      ? Array.from(mesh.pathways.values()).find(candidate => candidate.id === pathway.id)
+      : null;
+    const existing = new Set([
+      mesh.getPathway(pathway.sourceAgentId, pathway.targetAgentId),
+      pathway.bidirectional ? mesh.getPathway(pathway.targetAgentId, pathway.sourceAgentId) : null,
+      sameId
+    ].filter(Boolean));
+
+    for (const displaced of existing) {
+      await mesh.removePathway(displaced.sourceAgentId, displaced.targetAgentId);
+    }
+
+    if (existing.size > 0) {
+      summary.pathways.replaced++;
+    } else {
+      summary.pathways.added++;
+    }
+
+    await NeuralPathway.restore([pathway]);
+    await mesh.registerPathway(pathway, false);
+  }
+
+  // Configuration
+  if (config.learning) {
+    mesh.configureLearning(config.learning);
+  }
+
+  if (config.decay) {
+    mesh.decay.configure(config.decay);
+  }
+
+  if (config.taxonomy) {
+    mesh.taxonomy.load(config.taxonomy);
+  }
+
+  mesh.emit('meshRestored', summary);
+  return summary;
+}
+
+/**
+ * Read and verify a snapshot file
+ * @param {string} filePath - Snapshot file
+ * @returns {Object} - The snapshot
+ */
+async function readSnapshotFile(filePath) {
+  let snapshot;
+
+  try {
+    snapshot = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new ValidationError(`Cannot read snapshot file ${filePath}: ${error.message}`);
+  }
+
+  return verifySnapshot(snapshot);
+}
+
+module.exports = {
+  createSnapshot,
+  verifySnapshot,
+  restoreSnapshot,
+  readSnapshotFile,
+  computeChecksum,
+  SNAPSHOT_FORMAT,
+  SNAPSHOT_VERSION,
+  RESTORE_MODES
+};
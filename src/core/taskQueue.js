@@ -0,0 +1,372 @@
+/**
+ * Task Queue - Durable execution of collective cognition jobs
+ *
+ * Jobs are kept in the TaskJob model and written to a JSON file on every
+ * state change, so queued and in-flight work survives a restart. A job that
+ * fails is retried with exponential backoff; once it runs out of attempts,
+ * or fails with an error another attempt cannot fix, it is moved to the
+ * dead-letter list where it can be inspected and requeued. Completed and
+ * cancelled jobs are kept for `retentionMs`, and only the latest
+ * `maxFinishedJobs` of them.
+ *
+ *   queued -> running -> completed
+ *                     -> queued (retry after backoff)
+ *                     -> dead-lettered
+ *   queued | running  -> cancelled
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { TaskJob } = require('../models/taskJob');
+const { isRetryable } = require('./execution');
+
+const FINISHED_STATUSES = ['completed', 'cancelled', 'dead-lettered'];
+
+/**
+ * Convert a date-like value to epoch milliseconds
+ * @private
+ */
+function toTime(value) {
+  return value ? new Date(value).getTime() : 0;
+}
+
+class TaskQueue {
+  /**
+   * @param {Function} processor - async (job, signal) => result
+   * @param {Object} options - { path, concurrency, maxAttempts, backoffMs, maxBackoffMs,
+   *   retentionMs, maxFinishedJobs }
+   */
+  constructor(processor, options = {}) {
+    this.processor = processor;
+    this.options = {
+      path: process.env.TASK_QUEUE_PATH || path.join(process.cwd(), 'data', 'task-queue.json'),
+      concurrency: parseInt(process.env.TASK_QUEUE_CONCURRENCY) || 2,
+      maxAttempts: parseInt(process.env.TASK_QUEUE_MAX_ATTEMPTS) || 3,
+      backoffMs: parseInt(process.env.TASK_QUEUE_BACKOFF_MS) || 5000,
+      maxBackoffMs: 5 * 60 * 1000,
+      retentionMs: parseInt(process.env.TASK_QUEUE_RETENTION_MS) || 7 * 24 * 60 * 60 * 1000,
+      maxFinishedJobs: parseInt(process.env.TASK_QUEUE_MAX_FINISHED_JOBS) || 1000,
+      ...options
+    };
+    this.controllers = new Map();
+    this.timer = null;
+    this.started = false;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Load persisted jobs and start processing. Jobs that were running when the
+   * process stopped count that run as a failed attempt and are requeued.
+   */
+  async start() {
+    if (this.started) return;
+
+    const recovered = await this.load();
+    let requeued = 0;
+
+    for (const job of recovered) {
+      if (job.status !== 'running') continue;
+
+      const error = {
+        code: 'PROCESS_RESTARTED',
+        message: 'The process stopped while the job was running'
+      };
+
+      if (job.attempts >= job.maxAttempts) {
+        await this.deadLetter(job.id, error);
+      } else {
+        await TaskJob.update(job.id, { status: 'queued', error, nextAttemptAt: null });
+        requeued++;
+      }
+    }
+
+    await this.persist();
+    this.started = true;
+
+    logger.info('Task queue started', {
+      path: this.options.path,
+      jobs: recovered.length,
+      requeued
+    });
+
+    this.drain();
+  }
+
+  /**
+   * Stop picking up new jobs. Running jobs keep their `running` status and
+   * are recovered on the next start.
+   */
+  stop() {
+    this.started = false;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Object} data - { task, agentIds, maxAttempts }
+   * @returns {Object} - The queued job
+   */
+  async enqueue(data) {
+    let job = await TaskJob.create({
+      ...data,
+      attempts: 0,
+      maxAttempts: data.maxAttempts || this.options.maxAttempts,
+      nextAttemptAt: null
+    });
+
+    // Default the task ID to the job ID so results can be correlated
+    if (!job.task.id) {
+      job = await TaskJob.update(job.id, { task: { ...job.task, id: job.id } });
+    }
+
+    await this.persist();
+    this.drain();
+
+    return job;
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} jobId - Job ID
+   * @returns {Object} - The cancelled job
+   */
+  async cancel(jobId) {
+    const controller = this.controllers.get(jobId);
+
+    if (controller) {
+      controller.abort();
+      this.controllers.delete(jobId);
+    }
+
+    const job = await TaskJob.update(jobId, {
+      status: 'cancelled',
+      nextAttemptAt: null,
+      completedAt: new Date()
+    });
+
+    await this.persist();
+    return job;
+  }
+
+  /**
+   * Requeue a dead-lettered job with a fresh set of attempts
+   * @param {string} jobId - Job ID
+   * @returns {Object} - The requeued job
+   */
+  async requeue(jobId) {
+    const job = await TaskJob.update(jobId, {
+      status: 'queued',
+      attempts: 0,
+      nextAttemptAt: null,
+      completedAt: null
+    });
+
+    await this.persist();
+    this.drain();
+
+    return job;
+  }
+
+  /**
+   * Jobs that exhausted their attempts or failed permanently
+   * @returns {Array}
+   */
+  async deadLetters() {
+    return TaskJob.findAll({ status: 'dead-lettered' });
+  }
+
+  /**
+   * Start as many due jobs as the concurrency allows, and schedule a wake-up
+   * for the next job that is waiting out its backoff
+   * @private
+   */
+  async drain() {
+    if (!this.started) return;
+
+    const queued = (await TaskJob.findAll({ status: 'queued' }))
+      .sort((a, b) => toTime(a.createdAt) - toTime(b.createdAt));
+    const now = Date.now();
+
+    for (const job of queued) {
+      if (this.controllers.size >= this.options.concurrency) break;
+      if (this.controllers.has(job.id)) continue;
+      if (toTime(job.nextAttemptAt) > now) continue;
+
+      this.controllers.set(job.id, new AbortController());
+      this.process(job.id).catch(error => logger.error('Task queue processing failed:', error));
+    }
+
+    const waiting = queued.filter(job => toTime(job.nextAttemptAt) > now);
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (waiting.length > 0) {
+      const next = Math.min(...waiting.map(job => toTime(job.nextAttemptAt)));
+      this.timer = setTimeout(() => this.drain(), Math.max(0, next - now));
+
+      // Don't keep the process alive just for retries
+      if (this.timer.unref) this.timer.unref();
+    }
+  }
+
+  /**
+   * Run one attempt of a job
+   * @private
+   */
+  async process(jobId) {
+    const controller = this.controllers.get(jobId);
+    const current = await TaskJob.findById(jobId);
+
+    // Cancelled between being picked up and starting
+    if (!current || current.status !== 'queued' || controller.signal.aborted) {
+      this.controllers.delete(jobId);
+      return;
+    }
+
+    const job = await TaskJob.update(jobId, {
+      status: 'running',
+      attempts: current.attempts + 1,
+      nextAttemptAt: null,
+      startedAt: new Date()
+    });
+    await this.persist();
+
+    try {
+      const result = await this.processor(job, controller.signal);
+
+      // A cancellation that raced the final result still wins
+      if (controller.signal.aborted) return;
+
+      await TaskJob.update(jobId, {
+        status: 'completed',
+        participatingAgents: result.participatingAgents,
+        result: result.result,
+        error: null,
+        completedAt: new Date()
+      });
+
+      logger.info('Task completed', { jobId, attempts: job.attempts });
+    } catch (error) {
+      if (controller.signal.aborted) return;
+
+      const failure = {
+        code: error.code || 'TASK_FAILED',
+        message: error.message,
+        details: error.details || null
+      };
+      const retryable = isRetryable(error) && !(error.status && error.status < 500);
+
+      if (retryable && job.attempts < job.maxAttempts) {
+        const delay = Math.min(
+          this.options.maxBackoffMs,
+          this.options.backoffMs * Math.pow(2, job.attempts - 1)
+        );
+
+        await TaskJob.update(jobId, {
+          status: 'queued',
+          error: failure,
+          nextAttemptAt: new Date(Date.now() + delay)
+        });
+
+        logger.warn('Task attempt failed, retrying', { jobId, attempt: job.attempts, delay, error: error.message });
+      } else {
+        await this.deadLetter(jobId, failure);
+      }
+    } finally {
+      if (this.controllers.get(jobId) === controller) {
+        this.controllers.delete(jobId);
+      }
+      await this.persist();
+      this.drain();
+    }
+  }
+
+  /**
+   * Move a job to the dead-letter list
+   * @private
+   */
+  async deadLetter(jobId, error) {
+    const job = await TaskJob.update(jobId, {
+      status: 'dead-lettered',
+      error,
+      nextAttemptAt: null,
+      completedAt: new Date()
+    });
+
+    logger.error('Task moved to dead letters', { jobId, attempts: job.attempts, error: error.message });
+    return job;
+  }
+
+  /**
+   * Drop completed and cancelled jobs that are past their retention or
+   * beyond the number kept. Dead-lettered jobs stay until they are requeued.
+   * @private
+   * @returns {number} - Number of jobs dropped
+   */
+  async prune() {
+    const cutoff = Date.now() - this.options.retentionMs;
+    const finished = (await TaskJob.findAll())
+      .filter(job => job.status === 'completed' || job.status === 'cancelled')
+      .sort((a, b) => toTime(b.completedAt) - toTime(a.completedAt));
+    const expired = finished.filter((job, index) =>
+      index >= this.options.maxFinishedJobs || toTime(job.completedAt) < cutoff
+    );
+
+    for (const job of expired) {
+      await TaskJob.delete(job.id);
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Restore the jobs saved in the queue file
+   * @private
+   */
+  async load() {
+    let records = [];
+
+    try {
+      records = JSON.parse(await fs.promises.readFile(this.options.path, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to read task queue file:', error);
+      }
+    }
+
+    return TaskJob.restore(records);
+  }
+
+  /**
+   * Write every job still kept to the queue file. Writes are serialized and
+   * go through a temporary file so a crash mid-write cannot corrupt the queue.
+   * @private
+   */
+  persist() {
+    this.writing = this.writing.then(async () => {
+      await this.prune();
+
+      const jobs = await TaskJob.findAll();
+      const temporary = `${this.options.path}.tmp`;
+
+      await fs.promises.mkdir(path.dirname(this.options.path), { recursive: true });
+      await fs.promises.writeFile(temporary, JSON.stringify(jobs));
+      await fs.promises.rename(temporary, this.options.path);
+    }).catch(error => logger.error('Failed to persist task queue:', error));
+
+    return this.writing;
+  }
+}
+
+module.exports = {
+  TaskQueue,
+  FINISHED_STATUSES
+};
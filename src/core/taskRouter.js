@@ -0,0 +1,191 @@
+/**
+ * Task Router - Capability-aware agent selection
+ *
+ * This module picks the team of agents for a collective task so callers
+ * don't need to know the mesh topology. A task describes what it needs in
+ * its `requirements` field:
+ *
+ *   requirements: {
+ *     capabilities: ['financial-analysis', 'risk-assessment'],
+ *     minTrustScore: 0.7,
+ *     chains: ['ethereum', 'bnb'],      // allowed chains
+ *     preferredChains: ['ethereum'],    // bonus, not a filter
+ *     teamSize: 3
+ *   }
+ *
+ * Required capabilities are matched through the capability taxonomy, so an
+ * agent with `financial-analysis` covers a requirement for `analysis`.
+ *
+ * Agents are picked greedily. Each pick maximizes a weighted score of trust,
+ * new capability coverage, pathway cohesion with the agents already chosen
+ * and chain preference, and the router records why each agent was chosen.
+ */
+
+const { ValidationError } = require('../utils/errors');
+
+const DEFAULT_TEAM_SIZE = 3;
+
+const DEFAULT_WEIGHTS = {
+  trust: 0.4,
+  coverage: 0.3,
+  cohesion: 0.2,
+  chain: 0.1
+};
+
+class TaskRouter {
+  /**
+   * @param {CognitiveMesh} mesh - Mesh to route across
+   */
+  constructor(mesh) {
+    this.mesh = mesh;
+  }
+
+  /**
+   * Select a team of agents for a task
+   * @param {Object} task - Task definition with a `requirements` field
+   * @returns {Object} - { agentIds, selection, unmetCapabilities, candidateCount }
+   */
+  route(task) {
+    const requirements = task.requirements || {};
+    const required = requirements.capabilities || [];
+    const teamSize = requirements.teamSize || DEFAULT_TEAM_SIZE;
+    const weights = { ...DEFAULT_WEIGHTS, ...(requirements.weights || {}) };
+
+    const candidates = this.candidates(requirements);
+
+    if (candidates.length < 2) {
+      throw new ValidationError('Not enough agents match the task requirements', {
+        requirements,
+        candidateCount: candidates.length
+      });
+    }
+
+    const team = [];
+    const selection = [];
+    const covered = new Set();
+    const remaining = new Set(candidates);
+
+    while (team.length < teamSize && remaining.size > 0) {
+      let best = null;
+
+      remaining.forEach(agent => {
+        const evaluation = this.evaluate(agent, team, covered, required, requirements, weights, candidates);
+        if (!best || evaluation.score > best.score) {
+          best = { agent, ...evaluation };
+        }
+      });
+
+      remaining.delete(best.agent);
+      team.push(best.agent);
+      best.newCapabilities.forEach(cap => covered.add(cap));
+
+      selection.push({
+        agentId: best.agent.id,
+        rank: team.length,
+        score: best.score,
+        factors: best.factors,
+        reasons: best.reasons
+      });
+    }
+
+    return {
+      agentIds: team.map(agent => agent.id),
+      selection,
+      unmetCapabilities: required.filter(cap => !covered.has(cap)),
+      candidateCount: candidates.length
+    };
+  }
+
+  /**
+   * Agents eligible for a task: trusted enough, on an allowed chain, able to
+   * execute and holding at least one of the required capabilities
+   * @param {Object} requirements - Task requirements
+   * @returns {Array} - Eligible agents
+   */
+  candidates(requirements) {
+    const required = requirements.capabilities || [];
+
+    return this.mesh
+      .queryAgents({ minTrustScore: requirements.minTrustScore })
+      .filter(agent => {
+        if (!agent.executor) return false;
+        if (requirements.chains && !requirements.chains.includes(agent.chain)) return false;
+        if (required.length > 0 && !required.some(cap => this.mesh.taxonomy.bestMatch(cap, agent.capabilities))) return false;
+        return true;
+      });
+  }
+
+  /**
+   * Score an agent given the team selected so far
+   * @private
+   */
+  evaluate(agent, team, covered, required, requirements, weights, candidates) {
+    const capabilities = agent.capabilities || [];
+    const trust = typeof agent.trustScore === 'number' ? agent.trustScore : 0;
+    const newMatches = required
+      .filter(cap => !covered.has(cap))
+      .map(cap => this.mesh.taxonomy.bestMatch(cap, capabilities))
+      .filter(Boolean);
+    const newCapabilities = newMatches.map(match => match.required);
+
+    // Capabilities matched through the taxonomy count for less the further they are
+    const coverage = required.length
+      ? newMatches.reduce((sum, match) => sum + match.score, 0) / required.length
+      : 0;
+
+    // Cohesion with the team, or with the other candidates for the first pick
+    const peers = team.length ? team : candidates.filter(other => other !== agent);
+    const links = peers
+      .map(peer => ({ peer, strength: this.connectionStrength(agent.id, peer.id) }))
+      .filter(link => link.strength > 0);
+    const cohesion = peers.length
+      ? links.reduce((sum, link) => sum + link.strength, 0) / peers.length
+      : 0;
+
+    const preferred = (requirements.preferredChains || []).includes(agent.chain);
+
+    const score = weights.trust * trust +
+      weights.coverage * coverage +
+      weights.cohesion * cohesion +
+      weights.chain * (preferred ? 1 : 0);
+
+    const reasons = [`trust score ${trust.toFixed(2)}`];
+
+    if (newMatches.length) {
+      const covers = newMatches.map(match =>
+        match.distance === 0 ? match.required : `${match.required} (as ${match.capability})`
+      );
+      reasons.push(`covers ${covers.join(', ')}`);
+    }
+
+    if (team.length && links.length) {
+      const strongest = links.sort((a, b) => b.strength - a.strength)[0];
+      reasons.push(`pathway strength ${strongest.strength.toFixed(2)} with ${strongest.peer.id}`);
+    }
+
+    if (preferred) {
+      reasons.push(`on preferred chain ${agent.chain}`);
+    }
+
+    return {
+      score,
+      newCapabilities,
+      factors: { trust, coverage, cohesion, preferredChain: preferred },
+      reasons
+    };
+  }
+
+  /**
+   * Strength of the strongest pathway between two agents in either direction
+   * @private
+   */
+  connectionStrength(agentId, otherId) {
+    const forward = this.mesh.getPathway(agentId, otherId);
+    const reverse = this.mesh.getPathway(otherId, agentId);
+    const usable = pathway => (pathway && pathway.status !== 'inactive' ? pathway.strength : 0);
+
+    return Math.max(usable(forward), usable(reverse));
+  }
+}
+
+module.exports = { TaskRouter };
@@ -0,0 +1,418 @@
+/**
+ * Capability Taxonomy - Hierarchy of capability names
+ *
+ * Agent authors name capabilities inconsistently, so matching capabilities
+ * by string equality misses agents that could do the work. The taxonomy
+ * relates capability names to each other:
+ *
+ *   parents:  broader capabilities; `financial-analysis` and `data-analysis`
+ *             both have the parent `analysis`
+ *   aliases:  other names of the same capability (`fin-analysis`)
+ *   synonyms: distinct capabilities close enough to stand in for each
+ *             other; the relation is symmetric
+ *
+ * A required capability is matched by an agent capability at a distance:
+ * 0 for the same capability or one of its aliases, and one step for every
+ * child or synonym link followed from the required capability. So a search
+ * for `analysis` finds `financial-analysis` at distance 1. Matches score
+ * 1 / (1 + distance).
+ *
+ * Names are compared case-insensitively, with spaces and underscores read
+ * as hyphens. Names the taxonomy doesn't know only match themselves.
+ */
+
+const { ValidationError, ConflictError, NotFoundError } = require('../utils/errors');
+
+const MATCH_MODES = ['exact', 'descendants'];
+
+/**
+ * Canonical spelling of a capability name
+ * @param {string} name - Capability name
+ * @returns {string}
+ */
+function normalizeCapability(name) {
+  return String(name).trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+class CapabilityTaxonomy {
+  /**
+   * @param {Function} onChange - Called with the whole taxonomy after each change
+   */
+  constructor(onChange = null) {
+    this.onChange = onChange;
+    this.loading = false;
+    // name -> { name, description, parents, aliases, synonyms }
+    this.nodes = new Map();
+    this.children = new Map();
+    this.aliases = new Map();
+    // Expansions of required capabilities, cleared on every change
+    this.cache = new Map();
+  }
+
+  /**
+   * Name a capability or alias resolves to
+   * @param {string} name - Capability name or alias
+   * @returns {string}
+   */
+  resolve(name) {
+    const normalized = normalizeCapability(name);
+    return this.aliases.get(normalized) || normalized;
+  }
+
+  /**
+   * A capability with its relations
+   * @param {string} name - Capability name or alias
+   * @returns {Object} - { name, description, parents, children, aliases,
+   *   synonyms, ancestors, descendants }
+   */
+  get(name) {
+    const node = this.nodes.get(this.resolve(name));
+
+    if (!node) {
+      throw new NotFoundError('Capability', name);
+    }
+
+    return {
+      ...this.describe(node),
+      ancestors: Array.from(this.walk(node.name, other => this.nodes.get(other).parents).keys()),
+      descendants: Array.from(this.walk(node.name, other => this.children.get(other)).keys())
+    };
+  }
+
+  /**
+   * Every capability in the taxonomy, sorted by name
+   * @returns {Array}
+   */
+  list() {
+    return Array.from(this.nodes.values())
+      .sort((a, b) => (a.name < b.name ? -1 : 1))
+      .map(node => this.describe(node));
+  }
+
+  /**
+   * Add a capability
+   * @param {Object} definition - { name, description, parents, aliases, synonyms }
+   * @returns {Object} - The capability
+   */
+  add(definition) {
+    const name = normalizeCapability(definition.name);
+
+    if (this.nodes.has(name) || this.aliases.has(name)) {
+      throw new ConflictError(`Capability ${name} already exists`, { name });
+    }
+
+    const capability = this.save(name, {
+      description: '',
+      parents: [],
+      aliases: [],
+      synonyms: [],
+      ...definition
+    });
+
+    this.changed();
+    return capability;
+  }
+
+  /**
+   * Change a capability's description or relations; given lists replace the
+   * current ones
+   * @param {string} name - Capability name or alias
+   * @param {Object} changes - { description, parents, aliases, synonyms }
+   * @returns {Object} - The capability
+   */
+  update(name, changes) {
+    const node = this.nodes.get(this.resolve(name));
+
+    if (!node) {
+      throw new NotFoundError('Capability', name);
+    }
+
+    const capability = this.save(node.name, { ...node, ...changes });
+
+    this.changed();
+    return capability;
+  }
+
+  /**
+   * Remove a capability; its children move up to its parents
+   * @param {string} name - Capability name or alias
+   * @returns {Object} - The removed capability
+   */
+  remove(name) {
+    const node = this.nodes.get(this.resolve(name));
+
+    if (!node) {
+      throw new NotFoundError('Capability', name);
+    }
+
+    const removed = this.describe(node);
+
+    removed.children.forEach(child => {
+      const other = this.nodes.get(child);
+      other.parents = Array.from(new Set([
+        ...other.parents.filter(parent => parent !== node.name),
+        ...node.parents
+      ]));
+    });
+
+    removed.synonyms.forEach(synonym => {
+      const other = this.nodes.get(synonym);
+      other.synonyms = other.synonyms.filter(item => item !== node.name);
+    });
+
+    this.nodes.delete(node.name);
+    this.reindex();
+
+    this.changed();
+    return removed;
+  }
+
+  /**
+   * Replace the whole taxonomy
+   * @param {Array} definitions - Capability definitions, as returned by `list`
+   * @returns {number} - Number of capabilities loaded
+   */
+  load(definitions) {
+    const previous = this.nodes;
+    this.nodes = new Map();
+    this.reindex();
+    this.loading = true;
+
+    try {
+      // Parents and synonyms may come later in the list, so link them once
+      // every capability exists
+      definitions.forEach(definition => this.add({ ...definition, parents: [], synonyms: [] }));
+      definitions.forEach(definition => {
+        this.update(definition.name, {
+          parents: definition.parents || [],
+          synonyms: definition.synonyms || []
+        });
+      });
+    } catch (error) {
+      this.nodes = previous;
+      this.reindex();
+      throw error;
+    } finally {
+      this.loading = false;
+    }
+
+    this.changed();
+    return this.nodes.size;
+  }
+
+  /**
+   * Capabilities that satisfy a required one, with their distance
+   * @param {string} required - Required capability
+   * @param {Object} options - { match: 'exact' | 'descendants', maxDistance }
+   * @returns {Map} - capability -> distance
+   */
+  expand(required, options = {}) {
+    const name = this.resolve(required);
+    const mode = options.match || 'descendants';
+
+    if (!MATCH_MODES.includes(mode)) {
+      throw new ValidationError(`Unknown capability match mode: ${mode}`, {
+        match: mode,
+        available: MATCH_MODES
+      });
+    }
+
+    if (mode === 'exact' || !this.nodes.has(name)) {
+      return new Map([[name, 0]]);
+    }
+
+    const maxDistance = options.maxDistance === undefined ? Infinity : options.maxDistance;
+    const key = `${name}|${maxDistance}`;
+
+    if (!this.cache.has(key)) {
+      const neighbors = other => [
+        ...(this.children.get(other) || []),
+        ...this.nodes.get(other).synonyms
+      ];
+      this.cache.set(key, this.walk(name, neighbors, maxDistance, true));
+    }
+
+    return this.cache.get(key);
+  }
+
+  /**
+   * Closest match of a required capability among an agent's capabilities
+   * @param {string} required - Required capability
+   * @param {Array} capabilities - Agent capabilities
+   * @param {Object} options - { match, maxDistance }
+   * @returns {Object|null} - { required, capability, distance, score }, or
+   *   null without a match
+   */
+  bestMatch(required, capabilities, options = {}) {
+    const expanded = this.expand(required, options);
+    let best = null;
+
+    (capabilities || []).forEach(capability => {
+      const distance = expanded.get(this.resolve(capability));
+      if (distance !== undefined && (!best || distance < best.distance)) {
+        best = { required, capability, distance, score: 1 / (1 + distance) };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Match every required capability against an agent's capabilities
+   * @param {Array} required - Required capabilities
+   * @param {Array} capabilities - Agent capabilities
+   * @param {Object} options - { match, maxDistance }
+   * @returns {Object|null} - { score, matches }, where score is the mean
+   *   match score, or null when a capability is missing
+   */
+  matchAll(required, capabilities, options = {}) {
+    const matches = [];
+
+    for (const capability of required) {
+      const match = this.bestMatch(capability, capabilities, options);
+      if (!match) return null;
+      matches.push(match);
+    }
+
+    return {
+      score: matches.length > 0
+        ? matches.reduce((sum, match) => sum + match.score, 0) / matches.length
+        : 1,
+      matches
+    };
+  }
+
+  /**
+   * Validate and store a capability
+   * @private
+   */
+  save(name, definition) {
+    const parents = Array.from(new Set((definition.parents || []).map(parent => this.resolve(parent))));
+    const synonyms = Array.from(new Set((definition.synonyms || []).map(synonym => this.resolve(synonym))));
+    const aliases = Array.from(new Set((definition.aliases || []).map(normalizeCapability)));
+
+    [...parents, ...synonyms].forEach(other => {
+      if (other === name) {
+        throw new ValidationError(`Capability ${name} cannot be related to itself`, { name });
+      }
+      if (!this.nodes.has(other)) {
+        throw new ValidationError(`Unknown capability: ${other}`, { name, capability: other });
+      }
+    });
+
+    // A parent must not already be one of the capability's descendants
+    if (this.nodes.has(name)) {
+      const descendants = this.walk(name, other => this.children.get(other));
+      const cyclic = parents.filter(parent => descendants.has(parent));
+      if (cyclic.length > 0) {
+        throw new ValidationError(`Capability ${name} cannot have its own descendants as parents`, {
+          name,
+          parents: cyclic
+        });
+      }
+    }
+
+    aliases.forEach(alias => {
+      const owner = this.aliases.get(alias);
+      if (alias === name || (owner && owner !== name) || this.nodes.has(alias)) {
+        throw new ConflictError(`Capability name ${alias} is already taken`, { name, alias });
+      }
+    });
+
+    // Synonyms are symmetric
+    const previous = this.nodes.get(name);
+    ((previous && previous.synonyms) || [])
+      .filter(synonym => !synonyms.includes(synonym))
+      .forEach(synonym => {
+        const other = this.nodes.get(synonym);
+        other.synonyms = other.synonyms.filter(item => item !== name);
+      });
+    synonyms.forEach(synonym => {
+      const other = this.nodes.get(synonym);
+      if (!other.synonyms.includes(name)) other.synonyms = [...other.synonyms, name];
+    });
+
+    this.nodes.set(name, {
+      name,
+      description: definition.description || '',
+      parents,
+      aliases,
+      synonyms
+    });
+    this.reindex();
+
+    return this.get(name);
+  }
+
+  /**
+   * Report a change, once a whole load is done
+   * @private
+   */
+  changed() {
+    if (this.onChange && !this.loading) this.onChange(this.list());
+  }
+
+  /**
+   * Rebuild the child and alias indexes
+   * @private
+   */
+  reindex() {
+    this.children = new Map();
+    this.aliases = new Map();
+    this.cache.clear();
+
+    this.nodes.forEach(node => {
+      node.parents.forEach(parent => {
+        if (!this.children.has(parent)) this.children.set(parent, []);
+        this.children.get(parent).push(node.name);
+      });
+      node.aliases.forEach(alias => this.aliases.set(alias, node.name));
+    });
+  }
+
+  /**
+   * Breadth-first distances from a capability along a relation
+   * @private
+   */
+  walk(start, neighbors, maxDistance = Infinity, includeStart = false) {
+    const distances = new Map([[start, 0]]);
+    const queue = [start];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      const distance = distances.get(current);
+      if (distance >= maxDistance) continue;
+
+      (neighbors(current) || []).forEach(next => {
+        if (!distances.has(next)) {
+          distances.set(next, distance + 1);
+          queue.push(next);
+        }
+      });
+    }
+
+    if (!includeStart) distances.delete(start);
+    return distances;
+  }
+
+  /**
+   * Public form of a capability
+   * @private
+   */
+  describe(node) {
+    return {
+      name: node.name,
+      description: node.description,
+      parents: [...node.parents],
+      children: [...(this.children.get(node.name) || [])].sort(),
+      aliases: [...node.aliases],
+      synonyms: [...node.synonyms]
+    };
+  }
+}
+
+module.exports = {
+  CapabilityTaxonomy,
+  normalizeCapability,
+  MATCH_MODES
+};
@@ -0,0 +1,480 @@
+/**
+ * Trust Engine - Derives each agent's trust score from evidence
+ *
+ * Trust drives routing and result aggregation, so agents cannot assert it.
+ * The score is a weighted mean of five factors, each in the 0-1 range:
+ *
+ *   capabilities: share of the declared capabilities the agent has proven,
+ *                 by succeeding `verificationThreshold` times on tasks that
+ *                 required them
+ *   performance:  success rate on tasks, pulled towards 0.5 while the agent
+ *                 has little history (`performancePrior` virtual tasks)
+ *   network:      percentile of the agent's PageRank in the mesh
+ *   endorsements: 1 - e^(-w / endorsementScale), where w is the summed trust
+ *                 of the peers that endorse the agent
+ *   tenure:       mean of age (reaching 1 after `maturityDays`) and activity
+ *                 (halving every `activityHalfLifeDays` without a task)
+ *
+ * A task succeeds for an agent when it completes and, if its answer was
+ * compared with others, belongs to the largest group of matching answers.
+ * The computed score and its breakdown are stored on the agent as `trust`;
+ * `trustScore` holds the computed score unless an admin override is in place.
+ */
+
+const logger = require('../utils/logger');
+const { ValidationError, ConflictError, NotFoundError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRUST_FACTORS = ['capabilities', 'performance', 'network', 'endorsements', 'tenure'];
+
+// Agent fields the factors are computed from
+const TRUST_INPUTS = ['capabilities', 'performance', 'endorsements', 'trustOverride', 'createdAt'];
+
+const DEFAULT_CONFIG = {
+  weights: {
+    capabilities: 0.2,
+    performance: 0.35,
+    network: 0.15,
+    endorsements: 0.15,
+    tenure: 0.15
+  },
+  verificationThreshold: 3,
+  performancePrior: 5,
+  endorsementScale: 3,
+  maturityDays: 90,
+  activityHalfLifeDays: 14,
+  intervalMs: parseInt(process.env.TRUST_INTERVAL_MS) || 60 * 60 * 1000,
+  minChange: 0.0001
+};
+
+/**
+ * Convert a date-like value to epoch milliseconds
+ * @private
+ */
+function toTime(value) {
+  if (!value) return 0;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Number of sorted values below `value` (or at most `value` when `inclusive`)
+ * @private
+ */
+function countBelow(sorted, value, inclusive = false) {
+  let low = 0;
+  let high = sorted.length;
+
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid] < value || (inclusive && sorted[mid] === value)) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  return low;
+}
+
+/**
+ * Round a factor score for storage and display
+ * @private
+ */
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+class TrustEngine {
+  /**
+   * @param {CognitiveMesh} mesh - Mesh whose agents are scored
+   * @param {Object} config - Trust configuration
+   */
+  constructor(mesh, config = {}) {
+    this.mesh = mesh;
+    this.config = { ...DEFAULT_CONFIG, weights: { ...DEFAULT_CONFIG.weights } };
+    this.timer = null;
+    this.ranks = { computedAt: undefined, values: [] };
+    this.configure(config);
+
+    // A new network position changes every agent's network factor
+    mesh.on('centralityComputed', () => {
+      this.refreshAll().catch(error => logger.error('Trust refresh failed:', error));
+    });
+  }
+
+  /**
+   * Update the trust configuration
+   * @param {Object} config - { weights, verificationThreshold, performancePrior,
+   *   endorsementScale, maturityDays, activityHalfLifeDays, intervalMs }
+   * @returns {Object} - The resulting configuration
+   */
+  configure(config = {}) {
+    const next = {
+      ...this.config,
+      ...config,
+      weights: { ...this.config.weights, ...(config.weights || {}) }
+    };
+
+    const unknown = Object.keys(next.weights).filter(factor => !TRUST_FACTORS.includes(factor));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown trust factors: ${unknown.join(', ')}`, {
+        factors: unknown,
+        available: TRUST_FACTORS
+      });
+    }
+
+    const weights = Object.values(next.weights);
+    if (weights.some(weight => typeof weight !== 'number' || weight < 0) ||
+        weights.reduce((sum, weight) => sum + weight, 0) <= 0) {
+      throw new ValidationError('Trust weights must be non-negative and not all zero', {
+        weights: next.weights
+      });
+    }
+
+    this.config = next;
+    this.mesh.emit('trustConfigured', this.config);
+
+    // Restart the timer so a new interval takes effect
+    if (this.timer) {
+      this.stop();
+      this.start();
+    }
+
+    return this.config;
+  }
+
+  /**
+   * Start the periodic refresh that keeps the time-based tenure factor current
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.refreshAll().catch(error => logger.error('Trust refresh failed:', error));
+    }, this.config.intervalMs);
+
+    // Don't keep the process alive just for trust
+    if (this.timer.unref) this.timer.unref();
+
+    logger.info('Trust engine started', { intervalMs: this.config.intervalMs });
+  }
+
+  /**
+   * Stop the periodic refresh
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Whether an agent update changes the inputs of its trust score
+   * @param {Object} updates - Updated agent fields
+   * @returns {boolean}
+   */
+  dependsOn(updates) {
+    return !!updates && TRUST_INPUTS.some(field => field in updates);
+  }
+
+  /**
+   * PageRank values of the mesh, sorted, for the network percentile
+   * @private
+   */
+  pageRanks() {
+    const computedAt = this.mesh.centrality ? this.mesh.centrality.computedAt : null;
+
+    if (this.ranks.computedAt !== computedAt) {
+      this.ranks = {
+        computedAt,
+        values: Array.from(this.mesh.agents.values())
+          .filter(agent => agent.centrality)
+          .map(agent => agent.centrality.pageRank)
+          .sort((a, b) => a - b)
+      };
+    }
+
+    return this.ranks.values;
+  }
+
+  /**
+   * Compute an agent's trust score and its breakdown
+   * @param {Object} agent - Agent
+   * @param {number} now - Current time in epoch milliseconds
+   * @returns {Object} - { score, factors, computedAt }
+   */
+  evaluate(agent, now = this.mesh.clock()) {
+    const config = this.config;
+    const performance = agent.performance || {};
+    const factors = {};
+
+    // Capabilities proven on tasks that required them
+    const declared = agent.capabilities || [];
+    const verified = declared.filter(capability => {
+      const record = (performance.capabilities || {})[capability];
+      return record && record.succeeded >= config.verificationThreshold;
+    });
+    factors.capabilities = {
+      score: declared.length > 0 ? verified.length / declared.length : 0,
+      verified,
+      unverified: declared.filter(capability => !verified.includes(capability))
+    };
+
+    // Task success rate, starting from a neutral prior
+    const tasks = performance.tasks || 0;
+    const succeeded = performance.succeeded || 0;
+    factors.performance = {
+      score: (succeeded + 0.5 * config.performancePrior) / (tasks + config.performancePrior),
+      tasks,
+      succeeded,
+      dissented: performance.dissented || 0,
+      failed: performance.failed || 0
+    };
+
+    // Position in the mesh
+    const ranks = this.pageRanks();
+    const pageRank = agent.centrality ? agent.centrality.pageRank : null;
+    let percentile = 0;
+    if (pageRank !== null && ranks.length > 0) {
+      const below = countBelow(ranks, pageRank);
+      const equal = countBelow(ranks, pageRank, true) - below;
+      percentile = (below + 0.5 * equal) / ranks.length;
+    }
+    factors.network = {
+      score: percentile,
+      pageRank
+    };
+
+    // Endorsements, weighted by the endorser's own trust
+    const endorsers = (agent.endorsements || [])
+      .map(endorsement => this.mesh.agents.get(endorsement.agentId))
+      .filter(Boolean);
+    const endorsementWeight = endorsers.reduce((sum, endorser) => sum + (endorser.trustScore || 0), 0);
+    factors.endorsements = {
+      score: 1 - Math.exp(-endorsementWeight / config.endorsementScale),
+      count: endorsers.length,
+      // Not `weight`, which every factor gets below
+      endorserTrust: round(endorsementWeight)
+    };
+
+    // Age and recent activity
+    const ageDays = Math.max(0, now - toTime(agent.createdAt)) / DAY_MS;
+    const lastTaskAt = toTime(performance.lastTaskAt);
+    const idleDays = lastTaskAt ? Math.max(0, now - lastTaskAt) / DAY_MS : null;
+    const age = Math.min(1, ageDays / config.maturityDays);
+    const activity = idleDays === null ? 0 : Math.pow(0.5, idleDays / config.activityHalfLifeDays);
+    factors.tenure = {
+      score: (age + activity) / 2,
+      ageDays: round(ageDays),
+      idleDays: idleDays === null ? null : round(idleDays)
+    };
+
+    const totalWeight = TRUST_FACTORS.reduce((sum, factor) => sum + (config.weights[factor] || 0), 0);
+    let score = 0;
+
+    TRUST_FACTORS.forEach(factor => {
+      const weight = (config.weights[factor] || 0) / totalWeight;
+      factors[factor].score = round(factors[factor].score);
+      factors[factor].weight = round(weight);
+      factors[factor].contribution = round(weight * factors[factor].score);
+      score += weight * factors[factor].score;
+    });
+
+    return {
+      score: round(Math.max(0, Math.min(1, score))),
+      factors,
+      computedAt: new Date(now)
+    };
+  }
+
+  /**
+   * Recompute an agent's trust and store it when it changed
+   * @param {string} agentId - Agent ID
+   * @returns {Object} - The agent
+   */
+  async refresh(agentId) {
+    const agent = this.mesh.agents.get(agentId);
+
+    if (!agent) {
+      throw new NotFoundError('Agent', agentId);
+    }
+
+    const trust = this.evaluate(agent);
+    const trustScore = agent.trustOverride ? agent.trustOverride.score : trust.score;
+    const previous = agent.trust;
+
+    const changed = !previous ||
+      agent.trustScore !== trustScore ||
+      TRUST_FACTORS.some(factor =>
+        !previous.factors[factor] ||
+        Math.abs(previous.factors[factor].score - trust.factors[factor].score) >= this.config.minChange ||
+        previous.factors[factor].weight !== trust.factors[factor].weight
+      );
+
+    if (!changed) return agent;
+
+    return this.mesh.updateAgent(agentId, { trust, trustScore });
+  }
+
+  /**
+   * Recompute the trust of every agent
+   * @returns {Object} - { agents, updated }
+   */
+  async refreshAll() {
+    let updated = 0;
+
+    for (const agentId of Array.from(this.mesh.agents.keys())) {
+      // Removed while refreshing
+      if (!this.mesh.agents.has(agentId)) continue;
+
+      const before = this.mesh.agents.get(agentId);
+      const after = await this.refresh(agentId);
+      if (after !== before) updated++;
+    }
+
+    return { agents: this.mesh.agents.size, updated };
+  }
+
+  /**
+   * Record the outcome of a task for each agent that ran it
+   * @param {Object} task - Task definition
+   * @param {Array} results - Individual agent results
+   * @param {Object|null} consensus - Consensus report, if the answers were compared
+   */
+  async recordTaskOutcome(task, results, consensus = null) {
+    const required = (task.requirements && task.requirements.capabilities) || [];
+    // Dissent only means something when at least two answers matched
+    const agreeing = consensus && (consensus.agreeingAgents || []).length > 1
+      ? consensus.agreeingAgents
+      : null;
+    const now = new Date(this.mesh.clock());
+    const outcomes = [];
+
+    for (const result of results) {
+      const agent = this.mesh.agents.get(result.agentId);
+      if (!agent) continue;
+
+      const completed = result.status === 'completed';
+      const dissented = completed && agreeing !== null && !agreeing.includes(agent.id);
+      const succeeded = completed && !dissented;
+      const previous = agent.performance || {};
+
+      const exercised = required.filter(capability => (agent.capabilities || []).includes(capability));
+      const capabilities = { ...(previous.capabilities || {}) };
+      exercised.forEach(capability => {
+        const record = capabilities[capability] || { tasks: 0, succeeded: 0 };
+        capabilities[capability] = {
+          tasks: record.tasks + 1,
+          succeeded: record.succeeded + (succeeded ? 1 : 0)
+        };
+      });
+
+      await this.mesh.updateAgent(agent.id, {
+        performance: {
+          tasks: (previous.tasks || 0) + 1,
+          succeeded: (previous.succeeded || 0) + (succeeded ? 1 : 0),
+          dissented: (previous.dissented || 0) + (dissented ? 1 : 0),
+          failed: (previous.failed || 0) + (completed ? 0 : 1),
+          lastTaskAt: now,
+          capabilities
+        }
+      });
+
+      outcomes.push({
+        agentId: agent.id,
+        outcome: succeeded ? 'succeeded' : dissented ? 'dissented' : 'failed',
+        capabilities: exercised,
+        error: completed ? null : result.error || null
+      });
+    }
+
+    this.mesh.emit('taskOutcomeRecorded', {
+      taskId: task.id,
+      agentIds: outcomes.map(outcome => outcome.agentId),
+      outcomes,
+      recordedAt: now
+    });
+  }
+
+  /**
+   * Endorse an agent on behalf of a peer it shares a pathway with
+   * @param {string} agentId - Endorsed agent
+   * @param {string} endorserId - Endorsing agent
+   * @param {string} note - Optional reason
+   * @returns {Object} - The endorsed agent
+   */
+  async endorse(agentId, endorserId, note = null) {
+    const agent = this.mesh.agents.get(agentId);
+
+    if (!agent) throw new NotFoundError('Agent', agentId);
+    if (!this.mesh.agents.has(endorserId)) throw new NotFoundError('Agent', endorserId);
+
+    if (agentId === endorserId) {
+      throw new ValidationError('Agents cannot endorse themselves', { agentId });
+    }
+
+    if (!this.mesh.getPathway(agentId, endorserId) && !this.mesh.getPathway(endorserId, agentId)) {
+      throw new ValidationError('Only agents connected by a neural pathway can endorse each other', {
+        agentId,
+        endorserId
+      });
+    }
+
+    const endorsements = agent.endorsements || [];
+
+    if (endorsements.some(endorsement => endorsement.agentId === endorserId)) {
+      throw new ConflictError(`Agent ${endorserId} already endorses agent ${agentId}`, {
+        agentId,
+        endorserId
+      });
+    }
+
+    return this.mesh.updateAgent(agentId, {
+      endorsements: [...endorsements, { agentId: endorserId, note, createdAt: new Date() }]
+    });
+  }
+
+  /**
+   * Withdraw a peer's endorsement
+   * @param {string} agentId - Endorsed agent
+   * @param {string} endorserId - Endorsing agent
+   * @returns {Object} - The agent
+   */
+  async withdrawEndorsement(agentId, endorserId) {
+    const agent = this.mesh.agents.get(agentId);
+
+    if (!agent) throw new NotFoundError('Agent', agentId);
+
+    const endorsements = agent.endorsements || [];
+
+    if (!endorsements.some(endorsement => endorsement.agentId === endorserId)) {
+      throw new NotFoundError('Endorsement', endorserId);
+    }
+
+    return this.mesh.updateAgent(agentId, {
+      endorsements: endorsements.filter(endorsement => endorsement.agentId !== endorserId)
+    });
+  }
+
+  /**
+   * Pin an agent's trust score, or clear the pin with `null`
+   * @param {string} agentId - Agent ID
+   * @param {number|null} score - Override score in the 0-1 range
+   * @param {string} reason - Why the score is overridden
+   * @returns {Object} - The agent
+   */
+  async override(agentId, score, reason = null) {
+    if (!this.mesh.agents.has(agentId)) throw new NotFoundError('Agent', agentId);
+
+    return this.mesh.updateAgent(agentId, {
+      trustOverride: score === null ? null : { score, reason, setAt: new Date() }
+    });
+  }
+}
+
+module.exports = {
+  TrustEngine,
+  TRUST_FACTORS
+};
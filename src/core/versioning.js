@@ -0,0 +1,453 @@
+/**
+ * Agent Versioning - Immutable, semantically numbered agent definitions
+ *
+ * An agent's definition is the part its author controls: name, description,
+ * capabilities, specializations, executor, chain, owner and metadata. Every
+ * change to it through the mesh records a new immutable version, numbered
+ * by what changed:
+ *
+ *   major: capabilities removed, or a new executor or chain
+ *   minor: capabilities added, or specializations changed
+ *   patch: anything else
+ *
+ * Rolling back applies an old definition again, as a new version that
+ * records which one it restored, so the history is never rewritten.
+ *
+ * Pathways can pin the versions of their agents with `sourceVersion` and
+ * `targetVersion`: an exact version (`1.2.0`), a caret range (`^1.2.0`,
+ * same major version) or a tilde range (`~1.2.0`, same minor version). A
+ * pathway whose agent moves outside its pin is deactivated, and comes back
+ * once the agent is inside it again.
+ */
+
+const { canonicalize } = require('./consensus');
+const { redactExecutor } = require('./credentials');
+const { ValidationError, ConflictError, NotFoundError } = require('../utils/errors');
+
+const VERSIONED_FIELDS = [
+  'name',
+  'description',
+  'capabilities',
+  'specializations',
+  'executor',
+  'chain',
+  'owner',
+  'metadata'
+];
+const BUMPS = ['major', 'minor', 'patch'];
+const INITIAL_VERSION = '1.0.0';
+const SEMVER = /^(\d+)\.(\d+)\.(\d+)$/;
+const RANGE = /^([\^~]?)(\d+\.\d+\.\d+)$/;
+
+/**
+ * Parse a semantic version
+ * @param {string} version - Version such as `1.2.3`
+ * @returns {Array|null} - [major, minor, patch], or null if invalid
+ */
+function parseVersion(version) {
+  const match = SEMVER.exec(String(version));
+  return match ? match.slice(1).map(Number) : null;
+}
+
+/**
+ * Compare two semantic versions
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} - Negative, zero or positive
+ */
+function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+
+  return 0;
+}
+
+/**
+ * Increment a semantic version
+ * @param {string} version - Current version
+ * @param {string} bump - 'major', 'minor' or 'patch'
+ * @returns {string}
+ */
+function bumpVersion(version, bump) {
+  const [major, minor, patch] = parseVersion(version);
+
+  if (bump === 'major') return `${major + 1}.0.0`;
+  if (bump === 'minor') return `${major}.${minor + 1}.0`;
+  return `${major}.${minor}.${patch + 1}`;
+}
+
+/**
+ * Whether a version satisfies a pin
+ * @param {string} version - Version
+ * @param {string} pin - Exact version, `^x.y.z` or `~x.y.z`
+ * @returns {boolean}
+ */
+function satisfies(version, pin) {
+  const match = RANGE.exec(String(pin));
+  const current = parseVersion(version);
+
+  if (!match || !current) return false;
+
+  const [operator, base] = match.slice(1);
+  const [major, minor] = parseVersion(base);
+
+  if (operator === '') return compareVersions(version, base) === 0;
+  if (current[0] !== major || compareVersions(version, base) < 0) return false;
+  return operator === '^' || current[1] === minor;
+}
+
+/**
+ * Whether two field values are the same
+ * @private
+ */
+function sameValue(a, b) {
+  return canonicalize(a === undefined ? null : a) === canonicalize(b === undefined ? null : b);
+}
+
+/**
+ * Copy of an agent's definition fields
+ * @private
+ */
+function definitionOf(agent) {
+  const definition = {};
+  VERSIONED_FIELDS.forEach(field => {
+    definition[field] = agent[field] === undefined ? null : JSON.parse(JSON.stringify(agent[field]));
+  });
+  return definition;
+}
+
+/**
+ * Change to a single definition field
+ * @private
+ */
+function fieldChange(field, before, after) {
+  if (Array.isArray(before) || Array.isArray(after)) {
+    const previous = before || [];
+    const next = after || [];
+    return {
+      field,
+      added: next.filter(item => !previous.some(other => sameValue(item, other))),
+      removed: previous.filter(item => !next.some(other => sameValue(item, other)))
+    };
+  }
+
+  // Changes are shown to clients, so executor secrets stay masked
+  if (field === 'executor') {
+    return { field, before: redactExecutor(before), after: redactExecutor(after) };
+  }
+
+  return { field, before, after };
+}
+
+/**
+ * Semantic version bump implied by a set of changes
+ * @private
+ */
+function impliedBump(changes) {
+  const removesCapabilities = changes.some(change => change.field === 'capabilities' && change.removed.length > 0);
+
+  if (removesCapabilities || changes.some(change => ['executor', 'chain'].includes(change.field))) {
+    return 'major';
+  }
+
+  if (changes.some(change => ['capabilities', 'specializations'].includes(change.field))) {
+    return 'minor';
+  }
+
+  return 'patch';
+}
+
+class AgentVersionStore {
+  /**
+   * @param {CognitiveMesh} mesh - Mesh whose agents are versioned
+   */
+  constructor(mesh) {
+    this.mesh = mesh;
+    // agentId -> versions, oldest first
+    this.versions = new Map();
+
+    mesh.on('agentRemoved', agent => this.versions.delete(agent.id));
+    mesh.on('meshCleared', () => this.versions.clear());
+  }
+
+  /**
+   * Version a new agent starts at: its own, the one in its metadata, or 1.0.0
+   * @param {Object} agentData - Agent data
+   * @returns {string}
+   */
+  initialVersion(agentData) {
+    if (parseVersion(agentData.version)) return agentData.version;
+
+    const declared = agentData.metadata && agentData.metadata.version;
+    return parseVersion(declared) ? declared : INITIAL_VERSION;
+  }
+
+  /**
+   * The next version an update makes, if it changes the definition. An
+   * update that names its version, as replicated ones do, keeps it.
+   * @param {Object} agent - Current agent
+   * @param {Object} updates - Fields to update
+   * @param {Object} options - { bump, rollbackOf }
+   * @returns {Object|null} - { version, bump, changes, rollbackOf }, or null
+   */
+  next(agent, updates, options = {}) {
+    if (options.bump && !BUMPS.includes(options.bump)) {
+      throw new ValidationError(`Unknown version bump: ${options.bump}`, { bump: options.bump, available: BUMPS });
+    }
+
+    const changes = VERSIONED_FIELDS
+      .filter(field => field in updates && !sameValue(agent[field], updates[field]))
+      .map(field => fieldChange(field, agent[field], updates[field]));
+
+    if (changes.length === 0) return null;
+
+    const bump = options.bump || impliedBump(changes);
+
+    return {
+      version: parseVersion(updates.version)
+        ? updates.version
+        : bumpVersion(agent.version || this.initialVersion(agent), bump),
+      bump,
+      changes,
+      rollbackOf: options.rollbackOf || null
+    };
+  }
+
+  /**
+   * Record an agent's current definition as a version
+   * @param {Object} agent - Agent, already carrying the new `version`
+   * @param {Object} release - { bump, changes, rollbackOf }, or nothing for
+   *   the first known version
+   * @returns {Object} - The recorded version
+   */
+  record(agent, release = {}) {
+    if (!this.versions.has(agent.id)) this.versions.set(agent.id, []);
+
+    const versions = this.versions.get(agent.id);
+    const previous = versions[versions.length - 1];
+
+    const entry = Object.freeze({
+      agentId: agent.id,
+      version: agent.version,
+      previousVersion: previous ? previous.version : null,
+      bump: release.bump || null,
+      changes: release.changes || [],
+      rollbackOf: release.rollbackOf || null,
+      createdAt: new Date(),
+      definition: Object.freeze(definitionOf(agent))
+    });
+
+    versions.push(entry);
+    return entry;
+  }
+
+  /**
+   * Every version of an agent, oldest first
+   * @param {string} agentId - Agent ID
+   * @returns {Array}
+   */
+  list(agentId) {
+    return this.versions.get(agentId) || [];
+  }
+
+  /**
+   * One version of an agent
+   * @param {string} agentId - Agent ID
+   * @param {string} version - Version number
+   * @returns {Object}
+   */
+  get(agentId, version) {
+    const entry = this.list(agentId).find(item => item.version === version);
+
+    if (!entry) {
+      throw new NotFoundError('Agent version', `${agentId}@${version}`);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Differences between two versions of an agent
+   * @param {string} agentId - Agent ID
+   * @param {string} from - Older version
+   * @param {string} to - Newer version
+   * @returns {Object} - { agentId, from, to, bump, changes }
+   */
+  diff(agentId, from, to) {
+    const before = this.get(agentId, from).definition;
+    const after = this.get(agentId, to).definition;
+
+    const changes = VERSIONED_FIELDS
+      .filter(field => !sameValue(before[field], after[field]))
+      .map(field => fieldChange(field, before[field], after[field]));
+
+    return {
+      agentId,
+      from,
+      to,
+      bump: changes.length > 0 ? impliedBump(changes) : null,
+      changes
+    };
+  }
+
+  /**
+   * Updates that bring an agent back to an earlier definition
+   * @param {Object} agent - Current agent
+   * @param {string} version - Version to restore
+   * @returns {Object} - Fields to update
+   */
+  rollbackUpdates(agent, version) {
+    const { definition } = this.get(agent.id, version);
+    const updates = {};
+
+    VERSIONED_FIELDS
+      .filter(field => !sameValue(agent[field], definition[field]))
+      .forEach(field => {
+        updates[field] = JSON.parse(JSON.stringify(definition[field]));
+      });
+
+    if (Object.keys(updates).length === 0) {
+      throw new ConflictError(`Agent ${agent.id} already matches version ${version}`, {
+        agentId: agent.id,
+        version,
+        currentVersion: agent.version
+      });
+    }
+
+    return updates;
+  }
+
+  /**
+   * Check that a pathway's version pins are valid and hold
+   * @param {Object} pathway - Pathway data
+   */
+  assertPins(pathway) {
+    [['sourceVersion', pathway.sourceAgentId], ['targetVersion', pathway.targetAgentId]].forEach(([field, agentId]) => {
+      const pin = pathway[field];
+      if (pin === undefined || pin === null) return;
+
+      if (!RANGE.test(String(pin))) {
+        throw new ValidationError(`Invalid version pin ${field}: ${pin}`, { [field]: pin });
+      }
+
+      const agent = this.mesh.agents.get(agentId);
+      if (agent && !satisfies(agent.version, pin)) {
+        throw new ValidationError(`Agent ${agentId} is at version ${agent.version}, outside the pin ${pin}`, {
+          agentId,
+          version: agent.version,
+          [field]: pin
+        });
+      }
+    });
+  }
+
+  /**
+   * Deactivate the pinned pathways an agent's version no longer satisfies,
+   * and reactivate the ones it satisfies again
+   * @param {Object} agent - Agent whose version changed
+   * @returns {Array} - Updated pathways
+   */
+  async enforcePins(agent) {
+    const pinned = new Set();
+    (this.mesh.outgoing.get(agent.id) || new Map()).forEach(pathway => {
+      if (pathway.sourceVersion) pinned.add(pathway);
+    });
+    (this.mesh.incoming.get(agent.id) || new Map()).forEach(pathway => {
+      if (pathway.targetVersion) pinned.add(pathway);
+    });
+
+    const updated = [];
+
+    for (const pathway of pinned) {
+      const result = await this.enforcePin(pathway);
+      if (result) updated.push(result);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Deactivate a pathway whose pins no longer hold, or reactivate one whose
+   * pins hold again
+   * @param {Object} pathway - Pathway
+   * @returns {Object|null} - The updated pathway, or null if unchanged
+   */
+  async enforcePin(pathway) {
+    const holds = (!pathway.sourceVersion || satisfies(this.versionOf(pathway.sourceAgentId), pathway.sourceVersion)) &&
+      (!pathway.targetVersion || satisfies(this.versionOf(pathway.targetAgentId), pathway.targetVersion));
+
+    let updates = null;
+    if (!holds && pathway.status !== 'inactive') {
+      updates = { status: 'inactive', pinBroken: true };
+    } else if (holds && pathway.pinBroken) {
+      updates = { status: 'active', pinBroken: false };
+    }
+
+    return updates ? this.mesh.updatePathway(pathway.sourceAgentId, pathway.targetAgentId, updates) : null;
+  }
+
+  /**
+   * Where an agent comes from and where it was replicated to
+   * @param {string} agentId - Agent ID
+   * @returns {Object} - { agentId, version, source, replicas }
+   */
+  lineage(agentId) {
+    const agent = this.mesh.agents.get(agentId);
+
+    if (!agent) {
+      throw new NotFoundError('Agent', agentId);
+    }
+
+    // A replica is outdated once its source has moved past the cloned version
+    const outdated = (replica, source) =>
+      !!source && !!replica.sourceVersion && compareVersions(replica.sourceVersion, source.version) < 0;
+    const source = agent.sourceAgentId ? this.mesh.agents.get(agent.sourceAgentId) : null;
+
+    return {
+      agentId,
+      version: agent.version,
+      versions: this.list(agentId).length,
+      source: agent.sourceAgentId
+        ? {
+          agentId: agent.sourceAgentId,
+          chain: agent.sourceChain || null,
+          exists: !!source,
+          clonedVersion: agent.sourceVersion || null,
+          currentVersion: source ? source.version : null,
+          outdated: outdated(agent, source)
+        }
+        : null,
+      replicas: Array.from(this.mesh.agents.values())
+        .filter(other => other.sourceAgentId === agentId)
+        .map(replica => ({
+          agentId: replica.id,
+          chain: replica.chain,
+          version: replica.version,
+          clonedVersion: replica.sourceVersion || null,
+          outdated: outdated(replica, agent)
+        }))
+    };
+  }
+
+  /**
+   * Current version of an agent
+   * @private
+   */
+  versionOf(agentId) {
+    const agent = this.mesh.agents.get(agentId);
+    return agent ? agent.version : null;
+  }
+}
+
+module.exports = {
+  AgentVersionStore,
+  VERSIONED_FIELDS,
+  parseVersion,
+  compareVersions,
+  bumpVersion,
+  satisfies
+};
@@ -0,0 +1,459 @@
+/**
+ * Workflows - Multi-stage collective cognition
+ *
+ * A workflow is a DAG of stages. Each stage runs a task on one agent, or as
+ * collective cognition on several, and receives the outputs of the stages it
+ * depends on:
+ *
+ *   {
+ *     id: 'risk-review',
+ *     input: { protocol: 'example-dex' },
+ *     stages: [
+ *       { id: 'analysis', agentIds: ['agent-1', 'agent-3'] },
+ *       { id: 'review', agentId: 'agent-4', dependsOn: ['analysis'] },
+ *       { id: 'summary', agentId: 'agent-2', dependsOn: ['analysis'],
+ *         when: { stage: 'analysis', path: 'output.risk', in: ['high', 'critical'] } }
+ *     ]
+ *   }
+ *
+ * Every dependency edge must follow an active neural pathway from an agent of
+ * the upstream stage to each agent of the downstream stage (an agent handing
+ * work to itself needs none). Once a stage completes, the edges into it are
+ * recorded as usage of their pathways.
+ */
+
+const { resolveExecutionPolicy } = require('./execution');
+const { ValidationError, CognitiveMeshError } = require('../utils/errors');
+
+const JOIN_MODES = ['all', 'any'];
+
+const OPERATORS = {
+  equals: (value, expected) => value === expected,
+  notEquals: (value, expected) => value !== expected,
+  in: (value, expected) => Array.isArray(expected) && expected.includes(value),
+  gt: (value, expected) => typeof value === 'number' && value > expected,
+  gte: (value, expected) => typeof value === 'number' && value >= expected,
+  lt: (value, expected) => typeof value === 'number' && value < expected,
+  lte: (value, expected) => typeof value === 'number' && value <= expected,
+  exists: (value, expected) => (value !== undefined && value !== null) === (expected !== false)
+};
+
+/**
+ * Read a dotted path ('output.risk.level') from an object
+ * @private
+ */
+function resolvePath(object, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+/**
+ * Agent IDs of a stage, from `agentId` or `agentIds`
+ * @private
+ */
+function stageAgents(stage) {
+  if (stage.agentIds) return stage.agentIds;
+  return stage.agentId ? [stage.agentId] : [];
+}
+
+/**
+ * Conditions of a stage as an array
+ * @private
+ */
+function stageConditions(stage) {
+  if (!stage.when) return [];
+  return Array.isArray(stage.when) ? stage.when : [stage.when];
+}
+
+class WorkflowEngine {
+  /**
+   * @param {CognitiveMesh} mesh - Mesh the workflow runs on
+   */
+  constructor(mesh) {
+    this.mesh = mesh;
+  }
+
+  /**
+   * Check a workflow definition and plan its execution
+   * @param {Object} definition - Workflow definition
+   * @returns {Object} - { order, edges } with stages in topological order and
+   *   the pathways each dependency edge follows
+   */
+  plan(definition) {
+    const stages = (definition && definition.stages) || [];
+
+    if (stages.length === 0) {
+      throw new ValidationError('A workflow requires at least one stage');
+    }
+
+    const byId = new Map();
+
+    stages.forEach(stage => {
+      if (!stage.id) {
+        throw new ValidationError('Every workflow stage requires an id');
+      }
+      if (byId.has(stage.id)) {
+        throw new ValidationError(`Duplicate workflow stage: ${stage.id}`, { stage: stage.id });
+      }
+      byId.set(stage.id, stage);
+    });
+
+    stages.forEach(stage => this.checkStage(stage, byId));
+
+    const order = this.topologicalOrder(stages);
+    const edges = [];
+
+    stages.forEach(stage => {
+      (stage.dependsOn || []).forEach(dependencyId => {
+        edges.push(...this.resolveEdges(byId.get(dependencyId), stage));
+      });
+    });
+
+    return { order, edges };
+  }
+
+  /**
+   * Validate a single stage against the mesh and the other stages
+   * @private
+   */
+  checkStage(stage, byId) {
+    const agentIds = stageAgents(stage);
+    const dependsOn = stage.dependsOn || [];
+
+    if (agentIds.length === 0) {
+      throw new ValidationError(`Workflow stage ${stage.id} has no agents`, { stage: stage.id });
+    }
+
+    agentIds.forEach(agentId => {
+      if (!this.mesh.agents.has(agentId)) {
+        throw new ValidationError(`Workflow stage ${stage.id} uses unknown agent ${agentId}`, {
+          stage: stage.id,
+          agentId
+        });
+      }
+    });
+
+    dependsOn.forEach(dependencyId => {
+      if (!byId.has(dependencyId)) {
+        throw new ValidationError(`Workflow stage ${stage.id} depends on unknown stage ${dependencyId}`, {
+          stage: stage.id,
+          dependsOn: dependencyId
+        });
+      }
+    });
+
+    if (stage.join && !JOIN_MODES.includes(stage.join)) {
+      throw new ValidationError(`Unknown join mode for workflow stage ${stage.id}: ${stage.join}`, {
+        stage: stage.id,
+        available: JOIN_MODES
+      });
+    }
+
+    stageConditions(stage).forEach(condition => {
+      if (!dependsOn.includes(condition.stage)) {
+        throw new ValidationError(`Condition of workflow stage ${stage.id} must reference one of its dependencies`, {
+          stage: stage.id,
+          condition
+        });
+      }
+
+      const operators = Object.keys(OPERATORS).filter(operator => operator in condition);
+      if (operators.length !== 1) {
+        throw new ValidationError(`Condition of workflow stage ${stage.id} needs exactly one operator`, {
+          stage: stage.id,
+          condition,
+          available: Object.keys(OPERATORS)
+        });
+      }
+    });
+  }
+
+  /**
+   * Order stages so that every stage follows its dependencies (Kahn's algorithm)
+   * @private
+   */
+  topologicalOrder(stages) {
+    const pending = new Map(stages.map(stage => [stage.id, (stage.dependsOn || []).length]));
+    const ready = stages.filter(stage => pending.get(stage.id) === 0).map(stage => stage.id);
+    const order = [];
+
+    while (ready.length > 0) {
+      const stageId = ready.shift();
+      order.push(stageId);
+
+      stages
+        .filter(stage => (stage.dependsOn || []).includes(stageId))
+        .forEach(stage => {
+          pending.set(stage.id, pending.get(stage.id) - 1);
+          if (pending.get(stage.id) === 0) ready.push(stage.id);
+        });
+    }
+
+    if (order.length < stages.length) {
+      throw new ValidationError('Workflow stages contain a dependency cycle', {
+        stages: stages.map(stage => stage.id).filter(stageId => !order.includes(stageId))
+      });
+    }
+
+    return order;
+  }
+
+  /**
+   * Pathways a dependency edge follows: for each downstream agent, the
+   * strongest active pathway from any upstream agent
+   * @private
+   */
+  resolveEdges(upstream, downstream) {
+    const sources = stageAgents(upstream);
+
+    return stageAgents(downstream).map(targetId => {
+      if (sources.includes(targetId)) {
+        return { from: upstream.id, to: downstream.id, sourceAgentId: targetId, targetAgentId: targetId, pathway: null };
+      }
+
+      const candidates = sources
+        .map(sourceId => ({ sourceId, pathway: this.mesh.getPathway(sourceId, targetId) }))
+        .filter(candidate => candidate.pathway && candidate.pathway.status !== 'inactive')
+        .sort((a, b) => b.pathway.strength - a.pathway.strength);
+
+      if (candidates.length === 0) {
+        throw new ValidationError(`No active neural pathway leads from stage ${upstream.id} to agent ${targetId} of stage ${downstream.id}`, {
+          from: upstream.id,
+          to: downstream.id,
+          sourceAgentIds: sources,
+          targetAgentId: targetId
+        });
+      }
+
+      return {
+        from: upstream.id,
+        to: downstream.id,
+        sourceAgentId: candidates[0].sourceId,
+        targetAgentId: targetId,
+        pathway: candidates[0].pathway
+      };
+    });
+  }
+
+  /**
+   * Run a workflow. Stages start as soon as their dependencies settle, so
+   * independent branches run in parallel.
+   * @param {Object} definition - Workflow definition
+   * @param {Object} options - Execution options ({ signal })
+   * @returns {Object} - Workflow report
+   */
+  async run(definition, options = {}) {
+    const { order, edges } = this.plan(definition);
+    const workflowId = definition.id || `workflow-${Date.now()}`;
+    const byId = new Map(definition.stages.map(stage => [stage.id, stage]));
+    const records = new Map();
+    const executions = new Map();
+    const traversed = [];
+    const startedAt = Date.now();
+
+    const execute = stageId => {
+      if (!executions.has(stageId)) {
+        const stage = byId.get(stageId);
+        const dependencies = stage.dependsOn || [];
+
+        executions.set(stageId, Promise.all(dependencies.map(execute)).then(async () => {
+          const record = await this.runStage(workflowId, definition, stage, records, edges, traversed, options);
+          records.set(stageId, record);
+          this.mesh.emit('workflowStageSettled', { workflowId, ...record });
+        }));
+      }
+
+      return executions.get(stageId);
+    };
+
+    await Promise.all(order.map(execute));
+
+    const stages = order.map(stageId => records.get(stageId));
+    const failed = stages.filter(record => record.status === 'failed');
+
+    // Outputs of the completed stages nothing else consumes
+    const outputs = {};
+    order
+      .filter(stageId => !definition.stages.some(stage => (stage.dependsOn || []).includes(stageId)))
+      .filter(stageId => records.get(stageId).status === 'completed')
+      .forEach(stageId => {
+        outputs[stageId] = records.get(stageId).output;
+      });
+
+    const report = {
+      workflowId,
+      status: failed.length > 0 ? 'failed' : 'completed',
+      stages,
+      outputs,
+      edges: traversed,
+      durationMs: Date.now() - startedAt
+    };
+
+    this.mesh.emit('workflowCompleted', report);
+    return report;
+  }
+
+  /**
+   * Run one stage once its dependencies have settled
+   * @private
+   */
+  async runStage(workflowId, definition, stage, records, edges, traversed, options) {
+    const agentIds = stageAgents(stage);
+    const dependencies = (stage.dependsOn || []).map(dependencyId => records.get(dependencyId));
+    const completed = dependencies.filter(record => record.status === 'completed');
+    const base = { stageId: stage.id, agentIds };
+
+    const joined = (stage.join || 'all') === 'all'
+      ? completed.length === dependencies.length
+      : dependencies.length === 0 || completed.length > 0;
+
+    if (!joined) {
+      return { ...base, status: 'skipped', reason: 'dependencies did not complete' };
+    }
+
+    const unmet = stageConditions(stage).find(condition => !this.evaluateCondition(condition, records));
+    if (unmet) {
+      return { ...base, status: 'skipped', reason: 'condition not met', condition: unmet };
+    }
+
+    if (options.signal && options.signal.aborted) {
+      return { ...base, status: 'skipped', reason: 'workflow aborted' };
+    }
+
+    const upstream = {};
+    completed.forEach(record => {
+      upstream[record.stageId] = {
+        output: record.output,
+        confidence: record.confidence,
+        agentIds: record.agentIds
+      };
+    });
+
+    const task = {
+      ...(stage.task || {}),
+      id: `${workflowId}/${stage.id}`,
+      input: stage.input !== undefined ? stage.input : definition.input,
+      upstream
+    };
+
+    const startedAt = Date.now();
+    const incoming = edges.filter(edge =>
+      edge.to === stage.id && completed.some(record => record.stageId === edge.from)
+    );
+
+    incoming.forEach(edge => traversed.push({
+      from: edge.from,
+      to: edge.to,
+      sourceAgentId: edge.sourceAgentId,
+      targetAgentId: edge.targetAgentId,
+      pathwayId: edge.pathway ? edge.pathway.id || null : null
+    }));
+
+    try {
+      if (agentIds.length === 1) {
+        // Collective cognition leaves out unresponsive agents; so does a stage of one
+        const agent = this.mesh.agents.get(agentIds[0]);
+        if (!agent || !this.mesh.liveness.isResponsive(agent)) {
+          throw new CognitiveMeshError(`Agent ${agentIds[0]} is not responding`, 'AGENT_UNRESPONSIVE', {
+            agentId: agentIds[0]
+          });
+        }
+
+        const policy = resolveExecutionPolicy(task.execution, 1);
+        const result = await this.mesh._runAgentTask(agent, task, policy, options);
+
+        if (!(options.signal && options.signal.aborted)) {
+          await this.mesh.trust.recordTaskOutcome(task, [result]);
+        }
+
+        if (result.status === 'failed') {
+          return {
+            ...base,
+            status: 'failed',
+            error: result.error,
+            individualResults: [result],
+            durationMs: Date.now() - startedAt
+          };
+        }
+
+        await this.recordUsage(incoming);
+
+        return {
+          ...base,
+          status: 'completed',
+          output: result.result,
+          confidence: result.confidence,
+          individualResults: [result],
+          aggregatedResult: null,
+          durationMs: Date.now() - startedAt
+        };
+      }
+
+      const result = await this.mesh.executeCollectiveCognition(agentIds, task, options);
+      await this.recordUsage(incoming);
+
+      return {
+        ...base,
+        status: 'completed',
+        output: result.aggregatedResult.primaryResult,
+        confidence: result.aggregatedResult.confidence,
+        individualResults: result.individualResults,
+        aggregatedResult: result.aggregatedResult,
+        durationMs: Date.now() - startedAt
+      };
+    } catch (error) {
+      return {
+        ...base,
+        status: 'failed',
+        error: {
+          code: error.code || 'STAGE_FAILED',
+          message: error.message
+        },
+        durationMs: Date.now() - startedAt
+      };
+    }
+  }
+
+  /**
+   * Whether a stage condition holds for the settled stages
+   * @private
+   */
+  evaluateCondition(condition, records) {
+    const record = records.get(condition.stage);
+
+    if (!record || record.status !== 'completed') {
+      return false;
+    }
+
+    const operator = Object.keys(OPERATORS).find(name => name in condition);
+    const value = resolvePath(record, condition.path || 'output');
+
+    return OPERATORS[operator](value, condition[operator]);
+  }
+
+  /**
+   * Record usage of the pathways a completed stage's incoming edges follow,
+   * as `NeuralPathway.recordUsage` does, but through the mesh so that its
+   * indexes and listeners see the change
+   * @private
+   */
+  async recordUsage(edges) {
+    for (const edge of edges) {
+      if (!edge.pathway) continue;
+
+      const current = this.mesh.getPathway(edge.sourceAgentId, edge.targetAgentId);
+
+      // Removed while the stage ran
+      if (!current) continue;
+
+      await this.mesh.updatePathway(current.sourceAgentId, current.targetAgentId, {
+        lastUsed: new Date(this.mesh.clock()),
+        usageCount: (current.usageCount || 0) + 1
+      });
+    }
+  }
+}
+
+module.exports = {
+  WorkflowEngine,
+  WORKFLOW_OPERATORS: Object.keys(OPERATORS)
+};
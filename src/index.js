@@ -9,17 +9,26 @@ const rateLimit = require('express-rate-limit');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 
-const { initializeCognitiveMesh } = require('./core/cognitiveMesh');
+const { cognitiveMesh, initializeCognitiveMesh } = require('./core/cognitiveMesh');
 const agentRoutes = require('./api/routes/agentRoutes');
 const pathwayRoutes = require('./api/routes/pathwayRoutes');
 const crossChainRoutes = require('./api/routes/crossChainRoutes');
 const tokenRoutes = require('./api/routes/tokenRoutes');
+const taskRoutes = require('./api/routes/taskRoutes');
+const eventRoutes = require('./api/routes/eventRoutes');
+const adminRoutes = require('./api/routes/adminRoutes');
+const meshRoutes = require('./api/routes/meshRoutes');
+const capabilityRoutes = require('./api/routes/capabilityRoutes');
+const { attachEventSocket } = require('./api/eventSocket');
+const { startTaskQueue } = require('./services/taskService');
+const { redactSecrets } = require('./core/credentials');
 const { errorHandler } = require('./utils/errors');
 const logger = require('./utils/logger');
 const { connectDatabase } = require('./utils/database');
 const { 
   requestLogger, 
   apiKeyAuth, 
+  adminAuth,
   corsConfig, 
   timeout, 
   responseTime 
@@ -29,6 +38,9 @@ const {
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Agent credentials stay on the server, whichever route returns the agent
+app.set('json replacer', redactSecrets);
+
 // Security middleware
 app.use(helmet());
 app.use(corsConfig);
@@ -52,6 +64,8 @@ const apiLimiter = rateLimit({
 app.use('/api', apiLimiter);
 
 // Request parsing
+// Snapshots are far larger than regular payloads; authenticate before parsing them
+app.use('/api/admin/snapshot', adminAuth, bodyParser.json({ limit: process.env.SNAPSHOT_MAX_SIZE || '50mb' }));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
@@ -69,6 +83,9 @@ app.use(timeout(30)); // 30 seconds timeout
 // API Key authentication
 app.use('/api', apiKeyAuth);
 
+// Read-your-writes across nodes when the mesh is replicated
+app.use('/api', cognitiveMesh.replication.middleware());
+
 // Swagger documentation
 const swaggerOptions = {
   definition: {
@@ -113,6 +130,11 @@ app.use('/api/agents', agentRoutes);
 app.use('/api/pathways', pathwayRoutes);
 app.use('/api/cross-chain', crossChainRoutes);
 app.use('/api/tokens', tokenRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/mesh', meshRoutes);
+app.use('/api/capabilities', capabilityRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -163,13 +185,19 @@ async function startServer() {
     // Initialize the cognitive mesh
     await initializeCognitiveMesh();
     logger.info('Cognitive Mesh initialized successfully');
+
+    // Resume task jobs saved by a previous run
+    await startTaskQueue();
     
     // Start the server
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       logger.info(`AETHERMIND server running on port ${PORT}`);
       logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
       logger.info(`API documentation available at http://localhost:${PORT}/api-docs`);
     });
+
+    // Live mesh events over WebSocket
+    attachEventSocket(server);
   } catch (error) {
     logger.error('Failed to start the server:', error);
     process.exit(1);
@@ -199,12 +227,14 @@ process.on('uncaughtException', (error) => {
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
   // Close any resources here (database, etc.)
+  await cognitiveMesh.replication.stop().catch(error => logger.error('Failed to stop mesh replication:', error));
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
   // Close any resources here (database, etc.)
+  await cognitiveMesh.replication.stop().catch(error => logger.error('Failed to stop mesh replication:', error));
   process.exit(0);
 });
 
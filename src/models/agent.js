@@ -33,6 +33,7 @@ class Agent {
       metadata: data.metadata || {},
       chain: data.chain || 'ethereum',
       owner: data.owner || null,
+      executor: data.executor || null,
       status: 'active',
       ...data
     };
@@ -43,6 +44,26 @@ class Agent {
     return agent;
   }
 
+  /**
+   * Restore previously saved agents, replacing any agent with the same ID
+   * @param {Array} records - Saved agents
+   * @returns {Array} - The restored agents
+   */
+  static async restore(records) {
+    records.forEach(record => {
+      Agent.agents = Agent.agents.filter(item => item.id !== record.id);
+      Agent.agents.push(record);
+
+      // Keep generated IDs from colliding with restored ones
+      const match = /^agent-(\d+)$/.exec(record.id);
+      if (match) {
+        Agent.idCounter = Math.max(Agent.idCounter, parseInt(match[1]) + 1);
+      }
+    });
+
+    return records;
+  }
+
   /**
    * Find an agent by ID
    * @param {string} id - Agent ID
@@ -54,7 +75,8 @@ class Agent {
 
   /**
    * Find all agents matching a filter
-   * @param {Object} filter - Filter criteria
+   * @param {Object} filter - Filter criteria; a `capabilityMatcher(capability,
+   *   agentCapabilities)` function replaces exact capability matching
    * @returns {Array} - Array of matching agents
    */
   static async findAll(filter = {}) {
@@ -62,8 +84,9 @@ class Agent {
     
     // Apply filters if provided
     if (filter.capabilities) {
+      const matches = filter.capabilityMatcher || ((cap, capabilities) => capabilities.includes(cap));
       filteredAgents = filteredAgents.filter(agent => 
-        filter.capabilities.every(cap => agent.capabilities.includes(cap))
+        filter.capabilities.every(cap => matches(cap, agent.capabilities))
       );
     }
     
@@ -128,27 +151,6 @@ class Agent {
     return Agent.agents.length < initialLength;
   }
 
-  /**
-   * Update an agent's trust score
-   * @param {string} id - Agent ID
-   * @param {number} adjustment - Amount to adjust trust (positive or negative)
-   * @returns {Object|null} - Updated agent or null if not found
-   */
-  static async updateTrustScore(id, adjustment) {
-    const agent = await Agent.findById(id);
-    
-    if (!agent) {
-      return null;
-    }
-    
-    let newScore = agent.trustScore + adjustment;
-    
-    // Clamp to 0-1 range
-    newScore = Math.max(0, Math.min(1, newScore));
-    
-    return Agent.update(id, { trustScore: newScore });
-  }
-
   /**
    * Add a capability to an agent
    * @param {string} id - Agent ID
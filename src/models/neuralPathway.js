@@ -45,6 +45,26 @@ class NeuralPathway {
     return pathway;
   }
 
+  /**
+   * Restore previously saved neural pathways, replacing any neural pathway with the same ID
+   * @param {Array} records - Saved neural pathways
+   * @returns {Array} - The restored neural pathways
+   */
+  static async restore(records) {
+    records.forEach(record => {
+      NeuralPathway.pathways = NeuralPathway.pathways.filter(item => item.id !== record.id);
+      NeuralPathway.pathways.push(record);
+
+      // Keep generated IDs from colliding with restored ones
+      const match = /^pathway-(\d+)$/.exec(record.id);
+      if (match) {
+        NeuralPathway.idCounter = Math.max(NeuralPathway.idCounter, parseInt(match[1]) + 1);
+      }
+    });
+
+    return records;
+  }
+
   /**
    * Find a neural pathway by ID
    * @param {string} id - Neural pathway ID
@@ -55,6 +55,10 @@ const AgentSchema = new Schema({
     },
     default: 'active'
   },
+  executor: {
+    type: Schema.Types.Mixed,
+    default: null
+  },
   metadata: {
     type: Map,
     of: Schema.Types.Mixed,
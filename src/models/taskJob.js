@@ -0,0 +1,131 @@
+/**
+ * Task Job Model
+ *
+ * Represents a collective cognition task submitted for asynchronous execution
+ * in the AETHERMIND cognitive network. A job tracks the task's lifecycle from
+ * submission to completion, failure or cancellation, along with its results.
+ */
+
+// This is a simplified in-memory implementation
+// In a production environment, this would use a database like MongoDB
+
+class TaskJob {
+  static jobs = [];
+  static idCounter = 1;
+
+  /**
+   * Create a new task job
+   * @param {Object} data - Job data ({ task, agentIds })
+   * @returns {Object} - The created job
+   */
+  static async create(data) {
+    const id = data.id || `job-${TaskJob.idCounter++}`;
+
+    const job = {
+      id,
+      task: data.task,
+      agentIds: data.agentIds || null,
+      status: 'queued',
+      participatingAgents: [],
+      result: null,
+      error: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      startedAt: null,
+      completedAt: null,
+      ...data
+    };
+
+    // Store in memory
+    TaskJob.jobs.push(job);
+
+    return job;
+  }
+
+  /**
+   * Restore previously saved jobs, replacing any job with the same ID
+   * @param {Array} records - Saved jobs
+   * @returns {Array} - The restored jobs
+   */
+  static async restore(records) {
+    records.forEach(record => {
+      TaskJob.jobs = TaskJob.jobs.filter(job => job.id !== record.id);
+      TaskJob.jobs.push(record);
+
+      // Keep generated IDs from colliding with restored ones
+      const match = /^job-(\d+)$/.exec(record.id);
+      if (match) {
+        TaskJob.idCounter = Math.max(TaskJob.idCounter, parseInt(match[1]) + 1);
+      }
+    });
+
+    return records;
+  }
+
+  /**
+   * Find a job by ID
+   * @param {string} id - Job ID
+   * @returns {Object|null} - The job or null if not found
+   */
+  static async findById(id) {
+    return TaskJob.jobs.find(job => job.id === id) || null;
+  }
+
+  /**
+   * Find all jobs matching a filter
+   * @param {Object} filter - Filter criteria
+   * @returns {Array} - Array of matching jobs
+   */
+  static async findAll(filter = {}) {
+    let filteredJobs = [...TaskJob.jobs];
+
+    if (filter.status) {
+      filteredJobs = filteredJobs.filter(job => job.status === filter.status);
+    }
+
+    if (filter.agentId) {
+      filteredJobs = filteredJobs.filter(job =>
+        (job.agentIds || []).includes(filter.agentId) ||
+        job.participatingAgents.includes(filter.agentId)
+      );
+    }
+
+    return filteredJobs;
+  }
+
+  /**
+   * Update a job
+   * @param {string} id - Job ID
+   * @param {Object} updateData - Data to update
+   * @returns {Object|null} - Updated job or null if not found
+   */
+  static async update(id, updateData) {
+    const index = TaskJob.jobs.findIndex(job => job.id === id);
+
+    if (index === -1) {
+      return null;
+    }
+
+    const updatedJob = {
+      ...TaskJob.jobs[index],
+      ...updateData,
+      updatedAt: new Date()
+    };
+
+    TaskJob.jobs[index] = updatedJob;
+    return updatedJob;
+  }
+
+  /**
+   * Delete a job
+   * @param {string} id - Job ID
+   * @returns {boolean} - Whether deletion was successful
+   */
+  static async delete(id) {
+    const initialLength = TaskJob.jobs.length;
+    TaskJob.jobs = TaskJob.jobs.filter(job => job.id !== id);
+    return TaskJob.jobs.length < initialLength;
+  }
+}
+
+module.exports = { TaskJob };
@@ -0,0 +1,171 @@
+/**
+ * Task Service for AETHERMIND
+ *
+ * Runs collective cognition tasks asynchronously on the cognitive mesh through
+ * a durable task queue, and tracks them as jobs that can be polled, cancelled
+ * and retried.
+ */
+
+const logger = require('../utils/logger');
+const { TaskJob } = require('../models/taskJob');
+const { cognitiveMesh } = require('../core/cognitiveMesh');
+const { TaskQueue, FINISHED_STATUSES } = require('../core/taskQueue');
+const { assertConsensusConfig } = require('../core/consensus');
+const { assertAggregationConfig } = require('../core/aggregation');
+const { resolveExecutionPolicy } = require('../core/execution');
+const { NotFoundError, ConflictError, ValidationError } = require('../utils/errors');
+
+/**
+ * Run one attempt of a job on the cognitive mesh
+ * @private
+ */
+async function runJob(job, signal) {
+  const result = await cognitiveMesh.executeCollectiveCognition(job.agentIds, job.task, { signal });
+
+  return {
+    participatingAgents: result.participatingAgents,
+    result: {
+      individualResults: result.individualResults,
+      aggregatedResult: result.aggregatedResult,
+      quorum: result.quorum,
+      routing: result.routing,
+      learning: result.learning
+    }
+  };
+}
+
+const queue = new TaskQueue(runJob);
+
+/**
+ * Check a task submission before a job is created for it
+ * @param {Object} task - Task definition
+ * @param {Array|null} agentIds - Agents to run the task on
+ */
+function validateSubmission(task, agentIds) {
+  if ((!agentIds || agentIds.length === 0) && !task.requirements) {
+    throw new ValidationError('Either agentIds or task.requirements must be provided');
+  }
+
+  (agentIds || []).forEach(agentId => {
+    if (!cognitiveMesh.agents.has(agentId)) {
+      throw new NotFoundError('Agent', agentId);
+    }
+  });
+
+  assertConsensusConfig(task.consensus);
+  assertAggregationConfig(task.aggregation);
+
+  // Routed teams are only known at run time, so check the quorum against
+  // the largest team the task can get
+  const teamSize = agentIds && agentIds.length
+    ? agentIds.length
+    : (task.requirements.teamSize || 3);
+  resolveExecutionPolicy(task.execution, teamSize);
+}
+
+/**
+ * Start processing the task queue, recovering jobs saved by a previous run
+ */
+async function startTaskQueue() {
+  await queue.start();
+}
+
+/**
+ * Submit a collective cognition task for asynchronous execution
+ * @param {Object} task - Task definition
+ * @param {Array|null} agentIds - Agents to run the task on, or null to route by requirements
+ * @param {Object} options - { maxAttempts }
+ * @returns {Object} - The queued job
+ */
+async function submitTask(task, agentIds = null, options = {}) {
+  validateSubmission(task, agentIds);
+
+  const job = await queue.enqueue({
+    task,
+    agentIds,
+    maxAttempts: options.maxAttempts
+  });
+
+  logger.info('Task submitted', { jobId: job.id, taskId: job.task.id });
+  return job;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Object} - The job
+ */
+async function getJob(jobId) {
+  const job = await TaskJob.findById(jobId);
+
+  if (!job) {
+    throw new NotFoundError('Task job', jobId);
+  }
+
+  return job;
+}
+
+/**
+ * List jobs
+ * @param {Object} filter - { status, agentId }
+ * @returns {Array} - Jobs
+ */
+async function listJobs(filter = {}) {
+  return TaskJob.findAll(filter);
+}
+
+/**
+ * List jobs that ran out of attempts or failed permanently
+ * @returns {Array} - Dead-lettered jobs
+ */
+async function listDeadLetters() {
+  return queue.deadLetters();
+}
+
+/**
+ * Cancel a queued or running job
+ * @param {string} jobId - Job ID
+ * @returns {Object} - The cancelled job
+ */
+async function cancelJob(jobId) {
+  const job = await getJob(jobId);
+
+  if (FINISHED_STATUSES.includes(job.status)) {
+    throw new ConflictError(`Task job ${jobId} is already ${job.status}`, {
+      jobId,
+      status: job.status
+    });
+  }
+
+  logger.info('Task cancelled', { jobId });
+  return queue.cancel(jobId);
+}
+
+/**
+ * Requeue a dead-lettered job
+ * @param {string} jobId - Job ID
+ * @returns {Object} - The requeued job
+ */
+async function retryJob(jobId) {
+  const job = await getJob(jobId);
+
+  if (job.status !== 'dead-lettered') {
+    throw new ConflictError(`Only dead-lettered jobs can be retried, task job ${jobId} is ${job.status}`, {
+      jobId,
+      status: job.status
+    });
+  }
+
+  logger.info('Task requeued', { jobId });
+  return queue.requeue(jobId);
+}
+
+module.exports = {
+  startTaskQueue,
+  submitTask,
+  getJob,
+  listJobs,
+  listDeadLetters,
+  cancelJob,
+  retryJob
+};
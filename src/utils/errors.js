@@ -85,6 +85,20 @@ class AuthorizationError extends AethermindError {
   }
 }
 
+/**
+ * Error representing a service that cannot handle the request yet
+ */
+class UnavailableError extends AethermindError {
+  constructor(message, details = null) {
+    super(
+      message,
+      503,
+      'SERVICE_UNAVAILABLE',
+      details
+    );
+  }
+}
+
 /**
  * Error for cross-chain operations
  */
@@ -152,6 +166,7 @@ module.exports = {
   ValidationError,
   ConflictError,
   AuthorizationError,
+  UnavailableError,
   ChainError,
   CognitiveMeshError,
   errorHandler
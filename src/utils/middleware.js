@@ -6,6 +6,7 @@
 
 const logger = require('./logger');
 const { AuthorizationError } = require('./errors');
+const { verifyAgentKey } = require('../core/credentials');
 
 /**
  * Request logger middleware
@@ -21,25 +22,34 @@ function requestLogger(req, res, next) {
 }
 
 /**
- * API key authentication middleware
- * This is a simple API key authentication for the MVP
- * In a production app, this would be replaced with JWT or OAuth
+ * Check an API key against the configured one
+ * Also used for connections that don't go through Express, like WebSockets.
+ * @param {string} apiKey - Key presented by the client
+ * @returns {boolean} - Whether the client is allowed in
  */
-function apiKeyAuth(req, res, next) {
+function isValidApiKey(apiKey) {
   // Skip auth in development unless explicitly enabled
   if (process.env.NODE_ENV !== 'production' && process.env.ENABLE_AUTH !== 'true') {
-    return next();
+    return true;
   }
 
-  const apiKey = req.header('X-API-Key');
   const configuredApiKey = process.env.API_KEY;
 
   if (!configuredApiKey) {
     logger.warn('API_KEY environment variable not set');
-    return next();
+    return true;
   }
 
-  if (!apiKey || apiKey !== configuredApiKey) {
+  return Boolean(apiKey) && apiKey === configuredApiKey;
+}
+
+/**
+ * API key authentication middleware
+ * This is a simple API key authentication for the MVP
+ * In a production app, this would be replaced with JWT or OAuth
+ */
+function apiKeyAuth(req, res, next) {
+  if (!isValidApiKey(req.header('X-API-Key'))) {
     logger.warn('Invalid API key attempt', {
       ip: req.ip,
       path: req.path
@@ -50,13 +60,84 @@ function apiKeyAuth(req, res, next) {
   next();
 }
 
+/**
+ * Admin authentication middleware
+ * Admin endpoints can rewrite the whole mesh, so unlike the API key they are
+ * never open: they stay disabled until ADMIN_API_KEY is set.
+ */
+function adminAuth(req, res, next) {
+  const configuredAdminKey = process.env.ADMIN_API_KEY;
+
+  if (!configuredAdminKey) {
+    return next(new AuthorizationError('Admin endpoints are disabled: ADMIN_API_KEY is not set'));
+  }
+
+  if (req.header('X-Admin-Key') !== configuredAdminKey) {
+    logger.warn('Invalid admin key attempt', {
+      ip: req.ip,
+      path: req.path
+    });
+    return next(new AuthorizationError('Invalid admin key'));
+  }
+
+  next();
+}
+
+/**
+ * Agent authentication middleware
+ * For requests made on behalf of an agent: they must carry that agent's own
+ * key in X-Agent-Key, or the admin key. Like admin endpoints these are never
+ * open, not even in development.
+ * @param {CognitiveMesh} mesh - Mesh holding the agents
+ * @param {Function} agentIdOf - Picks the ID of the acting agent from the request
+ * @returns {Function} Express middleware function
+ */
+function agentAuth(mesh, agentIdOf) {
+  return (req, res, next) => {
+    const configuredAdminKey = process.env.ADMIN_API_KEY;
+
+    if (configuredAdminKey && req.header('X-Admin-Key') === configuredAdminKey) {
+      return next();
+    }
+
+    const agentId = agentIdOf(req);
+
+    if (!verifyAgentKey(mesh.agents.get(agentId), req.header('X-Agent-Key'))) {
+      logger.warn('Invalid agent key attempt', {
+        ip: req.ip,
+        path: req.path,
+        agentId
+      });
+      return next(new AuthorizationError(`Requires the key of agent ${agentId} or the admin key`));
+    }
+
+    next();
+  };
+}
+
+/**
+ * Subprocess executor authentication middleware
+ * A subprocess executor runs a command on the server, so only an admin can
+ * give one to an agent. Requests that set no such executor pass through.
+ */
+function subprocessExecutorAuth(req, res, next) {
+  const executor = req.body && req.body.executor;
+
+  if (executor && executor.type === 'subprocess') {
+    return adminAuth(req, res, next);
+  }
+
+  next();
+}
+
 /**
  * CORS configuration middleware
  */
 function corsConfig(req, res, next) {
   res.header('Access-Control-Allow-Origin', process.env.CORS_ORIGIN || '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, X-Admin-Key, X-Agent-Key, X-Mesh-Position');
+  res.header('Access-Control-Expose-Headers', 'X-Mesh-Position');
   
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -119,7 +200,11 @@ function responseTime(req, res, next) {
 
 module.exports = {
   requestLogger,
+  isValidApiKey,
   apiKeyAuth,
+  adminAuth,
+  agentAuth,
+  subprocessExecutorAuth,
   corsConfig,
   timeout,
   responseTime
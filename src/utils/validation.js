@@ -7,6 +7,7 @@
 
 const Joi = require('joi');
 const { ValidationError } = require('./errors');
+const { EXECUTOR_TYPES, checkExecutorUrl, checkExecutorCommand } = require('../core/executors');
 
 /**
  * Creates middleware for validating request data against a Joi schema
@@ -49,6 +50,45 @@ function validate(schema) {
   };
 }
 
+// HTTP executor URLs must be allowed by HTTP_EXECUTOR_ALLOWED_HOSTS
+const executorUrl = Joi.string().uri({ scheme: ['http', 'https'] }).custom((url, helpers) => {
+  const refused = checkExecutorUrl(url);
+  return refused ? helpers.message(refused) : url;
+});
+
+// Subprocess executor commands must be allowed by SUBPROCESS_EXECUTOR_ALLOWED_COMMANDS
+const executorCommand = Joi.string().custom((command, helpers) => {
+  const refused = checkExecutorCommand(command);
+  return refused ? helpers.message(refused) : command;
+});
+
+// Executor descriptor shared by agent create/update; each type takes only
+// its own settings
+const executorSchema = Joi.object({
+  type: Joi.string().valid(...EXECUTOR_TYPES).required(),
+  handler: Joi.when('type', { is: 'function', then: Joi.string().required(), otherwise: Joi.forbidden() }),
+  url: Joi.when('type', { is: 'http', then: executorUrl.required(), otherwise: Joi.forbidden() }),
+  method: Joi.when('type', { is: 'http', then: Joi.string().valid('GET', 'POST', 'PUT'), otherwise: Joi.forbidden() }),
+  headers: Joi.when('type', { is: 'http', then: Joi.object().pattern(Joi.string(), Joi.string()), otherwise: Joi.forbidden() }),
+  command: Joi.when('type', { is: 'subprocess', then: executorCommand.required(), otherwise: Joi.forbidden() }),
+  args: Joi.when('type', { is: 'subprocess', then: Joi.array().items(Joi.string()), otherwise: Joi.forbidden() }),
+  cwd: Joi.when('type', { is: 'subprocess', then: Joi.string(), otherwise: Joi.forbidden() }),
+  env: Joi.when('type', { is: 'subprocess', then: Joi.object().pattern(Joi.string(), Joi.string()), otherwise: Joi.forbidden() }),
+  timeout: Joi.number().integer().min(1),
+  defaultConfidence: Joi.number().min(0).max(1)
+});
+
+// Trust scores are computed by the trust engine; only admins can override them
+const computedTrustScore = Joi.any().forbidden().messages({
+  'any.unknown': 'trustScore is computed by the trust engine and can only be overridden by an admin'
+});
+
+// Agent versions are plain semantic versions, such as 1.2.0
+const semanticVersion = Joi.string().pattern(/^\d+\.\d+\.\d+$/, 'semantic version');
+
+// Pathway version pins: an exact version or a caret or tilde range
+const versionPin = Joi.string().pattern(/^[\^~]?\d+\.\d+\.\d+$/, 'version pin');
+
 // Common validation schemas
 const schemas = {
   // Agent validation schemas
@@ -59,8 +99,9 @@ const schemas = {
         description: Joi.string().max(500),
         capabilities: Joi.array().items(Joi.string()),
         specializations: Joi.array().items(Joi.string()),
-        trustScore: Joi.number().min(0).max(1).default(0.5),
+        trustScore: computedTrustScore,
         chain: Joi.string().valid('ethereum', 'bnb', 'solana').default('ethereum'),
+        executor: executorSchema,
         metadata: Joi.object().unknown(true)
       })
     },
@@ -73,9 +114,13 @@ const schemas = {
         description: Joi.string().max(500),
         capabilities: Joi.array().items(Joi.string()),
         specializations: Joi.array().items(Joi.string()),
-        trustScore: Joi.number().min(0).max(1),
+        trustScore: computedTrustScore,
         status: Joi.string().valid('active', 'inactive', 'learning'),
+        executor: executorSchema,
         metadata: Joi.object().unknown(true)
+      }),
+      query: Joi.object({
+        bump: Joi.string().valid('major', 'minor', 'patch')
       })
     },
     getOne: {
@@ -86,12 +131,100 @@ const schemas = {
     getAll: {
       query: Joi.object({
         capabilities: Joi.string(),
+        match: Joi.string().valid('exact', 'descendants').default('descendants'),
+        maxDistance: Joi.number().integer().min(0).max(20),
         minTrustScore: Joi.number().min(0).max(1),
         chain: Joi.string().valid('ethereum', 'bnb', 'solana'),
         owner: Joi.string(),
         status: Joi.string().valid('active', 'inactive', 'learning')
       })
     },
+    search: {
+      query: Joi.object({
+        q: Joi.string().min(1).max(500).required(),
+        limit: Joi.number().integer().min(1).max(100).default(10),
+        minScore: Joi.number().min(0).max(1).default(0),
+        chain: Joi.string().valid('ethereum', 'bnb', 'solana'),
+        status: Joi.string().valid('active', 'inactive', 'learning')
+      })
+    },
+    history: {
+      params: Joi.object({
+        id: Joi.string().required()
+      }),
+      query: Joi.object({
+        // Ranges end at the present at the latest, so only `to` may be ahead of it
+        from: Joi.date().iso().max('now'),
+        to: Joi.date().iso(),
+        types: Joi.string(),
+        limit: Joi.number().integer().min(1).max(1000).default(100),
+        window: Joi.number().integer().min(1).max(1000).default(20)
+      })
+    },
+    version: {
+      params: Joi.object({
+        id: Joi.string().required(),
+        version: semanticVersion.required()
+      })
+    },
+    diff: {
+      params: Joi.object({
+        id: Joi.string().required()
+      }),
+      query: Joi.object({
+        from: semanticVersion.required(),
+        to: semanticVersion
+      })
+    },
+    rollback: {
+      params: Joi.object({
+        id: Joi.string().required()
+      }),
+      body: Joi.object({
+        version: semanticVersion.required()
+      })
+    },
+    endorse: {
+      params: Joi.object({
+        id: Joi.string().required()
+      }),
+      body: Joi.object({
+        endorserAgentId: Joi.string().required(),
+        note: Joi.string().max(500)
+      })
+    },
+    withdrawEndorsement: {
+      params: Joi.object({
+        id: Joi.string().required(),
+        endorserAgentId: Joi.string().required()
+      })
+    },
+    getConnections: {
+      params: Joi.object({
+        id: Joi.string().required()
+      }),
+      query: Joi.object({
+        maxDepth: Joi.number().integer().min(1).max(10).default(1),
+        minStrength: Joi.number().min(0).max(1).default(0),
+        direction: Joi.string().valid('in', 'out', 'both').default('out'),
+        mode: Joi.string().valid('bfs', 'dfs').default('dfs'),
+        limit: Joi.number().integer().min(1).max(1000).default(100),
+        maxPerNode: Joi.number().integer().min(1).max(1000)
+      })
+    },
+    findPaths: {
+      params: Joi.object({
+        id: Joi.string().required(),
+        targetId: Joi.string().required()
+      }),
+      query: Joi.object({
+        algorithm: Joi.string().valid('shortest', 'strongest').default('shortest'),
+        k: Joi.number().integer().min(1).max(20).default(1),
+        minStrength: Joi.number().min(0).max(1).default(0),
+        chain: Joi.string().valid('ethereum', 'bnb', 'solana'),
+        maxHops: Joi.number().integer().min(1).max(20)
+      })
+    },
     addCapability: {
       params: Joi.object({
         id: Joi.string().required()
@@ -110,6 +243,8 @@ const schemas = {
         targetAgentId: Joi.string().required(),
         strength: Joi.number().min(0).max(1).default(1.0),
         bidirectional: Joi.boolean().default(false),
+        sourceVersion: versionPin,
+        targetVersion: versionPin,
         metadata: Joi.object().unknown(true)
       })
     },
@@ -118,9 +253,14 @@ const schemas = {
         id: Joi.string().required()
       }),
       body: Joi.object({
+        // Accepted only so the route can reject an attempt to change them
+        sourceAgentId: Joi.string(),
+        targetAgentId: Joi.string(),
         strength: Joi.number().min(0).max(1),
         bidirectional: Joi.boolean(),
         status: Joi.string().valid('active', 'inactive'),
+        sourceVersion: versionPin.allow(null),
+        targetVersion: versionPin.allow(null),
         metadata: Joi.object().unknown(true)
       })
     },
@@ -148,6 +288,186 @@ const schemas = {
     }
   },
 
+  // Collective cognition task validation schemas
+  task: {
+    submit: {
+      body: Joi.object({
+        agentIds: Joi.array().items(Joi.string()).min(2).unique(),
+        task: Joi.object({
+          id: Joi.string(),
+          type: Joi.string(),
+          input: Joi.any(),
+          consensus: Joi.alternatives().try(
+            Joi.string(),
+            Joi.object({
+              strategy: Joi.string(),
+              threshold: Joi.number().min(0).max(1)
+            }).unknown(true)
+          ),
+          aggregation: Joi.alternatives().try(
+            Joi.string(),
+            Joi.object({
+              strategy: Joi.string()
+            }).unknown(true)
+          ),
+          requirements: Joi.object({
+            capabilities: Joi.array().items(Joi.string()),
+            minTrustScore: Joi.number().min(0).max(1),
+            chains: Joi.array().items(Joi.string().valid('ethereum', 'bnb', 'solana')),
+            preferredChains: Joi.array().items(Joi.string().valid('ethereum', 'bnb', 'solana')),
+            teamSize: Joi.number().integer().min(2).max(50),
+            weights: Joi.object().pattern(Joi.string(), Joi.number().min(0))
+          }),
+          execution: Joi.object({
+            timeoutMs: Joi.number().integer().min(1),
+            retries: Joi.number().integer().min(0).max(10),
+            backoffMs: Joi.number().integer().min(0),
+            maxBackoffMs: Joi.number().integer().min(0),
+            quorum: Joi.alternatives().try(
+              Joi.number().integer().min(1),
+              Joi.string().valid('majority', 'all')
+            )
+          }),
+          reward: Joi.number().min(0).max(1),
+          learning: Joi.boolean()
+        }).unknown(true).required(),
+        maxAttempts: Joi.number().integer().min(1).max(20)
+      })
+    },
+    getOne: {
+      params: Joi.object({
+        id: Joi.string().required()
+      })
+    },
+    getAll: {
+      query: Joi.object({
+        status: Joi.string().valid('queued', 'running', 'completed', 'cancelled', 'dead-lettered'),
+        agentId: Joi.string()
+      })
+    }
+  },
+
+  // Admin validation schemas
+  admin: {
+    restoreSnapshot: {
+      query: Joi.object({
+        mode: Joi.string().valid('replace', 'merge').default('replace')
+      }),
+      body: Joi.object({
+        format: Joi.string().required(),
+        version: Joi.number().integer().required(),
+        checksum: Joi.string().required(),
+        data: Joi.object().required()
+      }).unknown(true)
+    },
+    overrideTrust: {
+      params: Joi.object({
+        id: Joi.string().required()
+      }),
+      body: Joi.object({
+        trustScore: Joi.number().min(0).max(1).allow(null).required(),
+        reason: Joi.string().max(500)
+      })
+    },
+    configureTrust: {
+      body: Joi.object({
+        weights: Joi.object({
+          capabilities: Joi.number().min(0),
+          performance: Joi.number().min(0),
+          network: Joi.number().min(0),
+          endorsements: Joi.number().min(0),
+          tenure: Joi.number().min(0)
+        }),
+        verificationThreshold: Joi.number().integer().min(1),
+        performancePrior: Joi.number().min(0),
+        endorsementScale: Joi.number().greater(0),
+        maturityDays: Joi.number().greater(0),
+        activityHalfLifeDays: Joi.number().greater(0)
+      }).min(1)
+    }
+  },
+
+  // Mesh event stream validation schemas
+  events: {
+    stream: {
+      query: Joi.object({
+        types: Joi.string(),
+        agentId: Joi.string(),
+        chain: Joi.string(),
+        lastEventId: Joi.number().integer().min(0)
+      })
+    },
+    recent: {
+      query: Joi.object({
+        types: Joi.string(),
+        agentId: Joi.string(),
+        chain: Joi.string(),
+        after: Joi.number().integer().min(0),
+        limit: Joi.number().integer().min(1).max(1000).default(100)
+      })
+    }
+  },
+
+  // Mesh analysis validation schemas
+  mesh: {
+    communities: {
+      query: Joi.object({
+        algorithm: Joi.string().valid('louvain', 'label-propagation').default('louvain'),
+        resolution: Joi.number().min(0.1).max(10).default(1),
+        minStrength: Joi.number().min(0).max(1).default(0),
+        chain: Joi.string().valid('ethereum', 'bnb', 'solana'),
+        includeInactive: Joi.boolean().default(false),
+        topCapabilities: Joi.number().integer().min(1).max(20).default(3)
+      })
+    },
+    centrality: {
+      query: Joi.object({
+        metric: Joi.string().valid('pageRank', 'betweenness', 'closeness', 'degree', 'weightedDegree').default('pageRank'),
+        limit: Joi.number().integer().min(1).max(1000).default(20),
+        chain: Joi.string().valid('ethereum', 'bnb', 'solana')
+      })
+    }
+  },
+
+  // Capability taxonomy validation schemas
+  capability: {
+    create: {
+      body: Joi.object({
+        name: Joi.string().min(1).max(100).required(),
+        description: Joi.string().allow('').max(500),
+        parents: Joi.array().items(Joi.string()),
+        aliases: Joi.array().items(Joi.string()),
+        synonyms: Joi.array().items(Joi.string())
+      })
+    },
+    update: {
+      params: Joi.object({
+        name: Joi.string().required()
+      }),
+      body: Joi.object({
+        description: Joi.string().allow('').max(500),
+        parents: Joi.array().items(Joi.string()),
+        aliases: Joi.array().items(Joi.string()),
+        synonyms: Joi.array().items(Joi.string())
+      }).min(1)
+    },
+    getOne: {
+      params: Joi.object({
+        name: Joi.string().required()
+      })
+    },
+    agents: {
+      params: Joi.object({
+        name: Joi.string().required()
+      }),
+      query: Joi.object({
+        match: Joi.string().valid('exact', 'descendants').default('descendants'),
+        maxDistance: Joi.number().integer().min(0).max(20),
+        includeUnresponsive: Joi.boolean().default(false)
+      })
+    }
+  },
+
   // Cross-Chain validation schemas
   crossChain: {
     deploy: {
@@ -0,0 +1,37 @@
+const { aggregateResults } = require('../../src/core/aggregation');
+
+const result = (agentId, value, confidence = 1) => ({ agentId, status: 'completed', result: value, confidence });
+
+describe('aggregateResults', () => {
+  describe('mean', () => {
+    test('gives a zero-confidence answer no weight', () => {
+      const aggregated = aggregateResults([result('a', 10, 1), result('b', 100, 0)], 'mean', new Map());
+      expect(aggregated.primaryResult).toBe(10);
+    });
+
+    test('stays within the range of the answers', () => {
+      const aggregated = aggregateResults([result('a', 10, 0.2), result('b', 20, 0.6)], 'mean', new Map());
+      expect(aggregated.primaryResult).toBeCloseTo(17.5);
+    });
+
+    test('falls back to an unweighted mean when no answer has confidence', () => {
+      const aggregated = aggregateResults([result('a', 10, 0), result('b', 20, 0)], 'mean', new Map());
+      expect(aggregated.primaryResult).toBe(15);
+    });
+  });
+
+  test.each(['median', 'mean', 'borda'])('%s falls back to the default strategy for unsuitable answers', strategy => {
+    const aggregated = aggregateResults([result('a', 'yes', 0.9), result('b', 'no', 0.4)], strategy, new Map());
+
+    expect(aggregated).toMatchObject({
+      strategy: 'highest-confidence',
+      primaryResult: 'yes',
+      requestedStrategy: strategy
+    });
+    expect(aggregated.fallbackReason).toMatch(/requires/);
+  });
+
+  test('still rejects an unknown strategy', () => {
+    expect(() => aggregateResults([result('a', 1)], 'nope', new Map())).toThrow('Unknown aggregation strategy');
+  });
+});
@@ -0,0 +1,100 @@
+process.env.LOG_LEVEL = 'error';
+
+const { CognitiveMesh } = require('../../src/core/cognitiveMesh');
+const { computeCentrality } = require('../../src/core/centrality');
+const { Agent } = require('../../src/models/agent');
+const { NeuralPathway } = require('../../src/models/neuralPathway');
+
+const agents = ids => ids.map(id => ({ id }));
+const link = (sourceAgentId, targetAgentId, strength = 1, bidirectional = true) => ({
+  sourceAgentId,
+  targetAgentId,
+  strength,
+  bidirectional,
+  status: 'active'
+});
+
+describe('computeCentrality', () => {
+  test('measures a path of three agents', async () => {
+    const measures = await computeCentrality(agents(['a', 'b', 'c']), [link('a', 'b'), link('b', 'c')]);
+    const a = measures.get('a');
+    const b = measures.get('b');
+
+    // a = 0.05 + 0.85 * b / 2 and b = 1 - 2a
+    expect(a.pageRank).toBeCloseTo(0.475 / 1.85, 6);
+    expect(b.pageRank).toBeCloseTo(1 - 0.95 / 1.85, 6);
+    expect(measures.get('c').pageRank).toBeCloseTo(a.pageRank, 6);
+
+    expect(b.betweenness).toBe(1);
+    expect(a.betweenness).toBe(0);
+
+    expect(b.closeness).toBe(1);
+    expect(a.closeness).toBeCloseTo(0.75, 10);
+
+    expect(b.degree).toBe(1);
+    expect(a.degree).toBe(0.5);
+    expect(b.weightedDegree).toBe(2);
+  });
+
+  test('routes over strong pathways rather than weak direct ones', async () => {
+    const measures = await computeCentrality(agents(['a', 'b', 'c']), [
+      link('a', 'b'),
+      link('b', 'c'),
+      link('a', 'c', 0.25)
+    ]);
+
+    // a -> c costs 4 directly and 2 through b
+    expect(measures.get('b').betweenness).toBe(1);
+    expect(measures.get('a').closeness).toBeCloseTo((1 + 1 / 2) / 2, 10);
+    expect(measures.get('a').degree).toBe(1);
+    expect(measures.get('a').weightedDegree).toBe(1.25);
+  });
+
+  test('follows one-way pathways in their direction only', async () => {
+    const measures = await computeCentrality(agents(['a', 'b', 'c']), [
+      link('a', 'b', 1, false),
+      link('b', 'c', 1, false)
+    ]);
+
+    expect(measures.get('c').pageRank).toBeGreaterThan(measures.get('b').pageRank);
+    expect(measures.get('b').pageRank).toBeGreaterThan(measures.get('a').pageRank);
+    expect(measures.get('c').closeness).toBe(0);
+    // Only a -> c passes through b, out of two ordered pairs
+    expect(measures.get('b').betweenness).toBe(0.5);
+  });
+});
+
+describe('CentralityScheduler', () => {
+  let mesh;
+
+  beforeEach(async () => {
+    Agent.agents = [];
+    NeuralPathway.pathways = [];
+    mesh = new CognitiveMesh();
+
+    for (const id of ['a', 'b', 'c']) {
+      await mesh.registerAgent({ id, name: `Agent ${id}`, capabilities: [] });
+    }
+    await mesh.establishPathway('a', 'b', { strength: 1, bidirectional: true });
+    await mesh.establishPathway('b', 'c', { strength: 1, bidirectional: true });
+  });
+
+  test('stores the measures with one event for the whole run', async () => {
+    const updated = jest.fn();
+    const computed = jest.fn();
+    mesh.on('agentUpdated', updated);
+    mesh.on('centralityComputed', computed);
+
+    const summary = await mesh.centrality.recompute();
+
+    expect(summary).toMatchObject({ agents: 3, updated: 3 });
+    expect(computed).toHaveBeenCalledTimes(1);
+    expect(updated.mock.calls.filter(([, updates]) => 'centrality' in updates)).toEqual([]);
+    expect(mesh.agents.get('b').centrality.betweenness).toBe(1);
+    expect((await Agent.findById('b')).centrality.betweenness).toBe(1);
+    expect(mesh.centrality.ranking('betweenness')[0].agentId).toBe('b');
+
+    // Nothing moved, so nothing is stored again
+    expect((await mesh.centrality.recompute()).updated).toBe(0);
+  });
+});
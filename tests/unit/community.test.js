@@ -0,0 +1,88 @@
+process.env.LOG_LEVEL = 'error';
+
+const { detectCommunities } = require('../../src/core/community');
+const { ValidationError } = require('../../src/utils/errors');
+
+/**
+ * Two cliques of four agents, joined by a single pathway from a4 to b1
+ */
+function twoCliques() {
+  const left = ['a1', 'a2', 'a3', 'a4'];
+  const right = ['b1', 'b2', 'b3', 'b4'];
+  const pathways = [];
+
+  [left, right].forEach(clique => {
+    clique.forEach((source, i) => {
+      clique.slice(i + 1).forEach(target => {
+        pathways.push({ sourceAgentId: source, targetAgentId: target, strength: 1, status: 'active' });
+      });
+    });
+  });
+  pathways.push({ sourceAgentId: 'a4', targetAgentId: 'b1', strength: 1, status: 'active' });
+
+  const agents = [
+    ...left.map(id => ({ id, capabilities: ['analysis'] })),
+    ...right.map(id => ({ id, capabilities: ['writing'] }))
+  ];
+
+  return { agents, pathways };
+}
+
+describe('detectCommunities', () => {
+  // 13 edges; each clique has 6 inside and a degree total of 13:
+  // 2 * (12 / 26 - (13 / 26)^2)
+  const EXPECTED_MODULARITY = 11 / 26;
+
+  test.each(['louvain', 'label-propagation'])('%s separates two cliques joined by a bridge', algorithm => {
+    const { agents, pathways } = twoCliques();
+
+    const result = detectCommunities(agents, pathways, { algorithm });
+
+    expect(result.communities.map(community => community.members)).toEqual([
+      ['a1', 'a2', 'a3', 'a4'],
+      ['b1', 'b2', 'b3', 'b4']
+    ]);
+    expect(result.modularity).toBeCloseTo(EXPECTED_MODULARITY, 10);
+    expect(result.communities[0]).toMatchObject({
+      internalStrength: 6,
+      externalStrength: 1,
+      dominantCapabilities: [{ capability: 'analysis', count: 4, share: 1 }]
+    });
+
+    expect(result.bridges).toEqual([
+      {
+        agentId: 'a4',
+        community: 'community-1',
+        connects: [{ community: 'community-2', strength: 1 }],
+        externalStrength: 1,
+        bridgeScore: 0.25
+      },
+      {
+        agentId: 'b1',
+        community: 'community-2',
+        connects: [{ community: 'community-1', strength: 1 }],
+        externalStrength: 1,
+        bridgeScore: 0.25
+      }
+    ]);
+  });
+
+  test('gives the same communities on every run', () => {
+    const { agents, pathways } = twoCliques();
+
+    expect(detectCommunities(agents, [...pathways].reverse())).toEqual(detectCommunities(agents, pathways));
+  });
+
+  test('leaves out inactive and weak pathways', () => {
+    const { agents, pathways } = twoCliques();
+    pathways[pathways.length - 1].status = 'inactive';
+
+    expect(detectCommunities(agents, pathways).bridges).toEqual([]);
+    expect(detectCommunities(agents, pathways, { includeInactive: true, minStrength: 2 }).communities)
+      .toHaveLength(8);
+  });
+
+  test('rejects unknown algorithms', () => {
+    expect(() => detectCommunities([], [], { algorithm: 'spectral' })).toThrow(ValidationError);
+  });
+});
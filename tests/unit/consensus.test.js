@@ -0,0 +1,43 @@
+const { normalizeText, textSimilarity, evaluateConsensus } = require('../../src/core/consensus');
+
+const result = (agentId, answer) => ({ agentId, status: 'completed', result: answer });
+
+describe('normalizeText', () => {
+  test('keeps letters and digits of every script', () => {
+    expect(normalizeText('是')).toBe('是');
+    expect(normalizeText('Не знаю!')).toBe('не знаю');
+    expect(normalizeText('Ja, 42 Äpfel.')).toBe('ja 42 apfel');
+  });
+});
+
+describe('textSimilarity', () => {
+  test('tells non-Latin answers apart', () => {
+    expect(textSimilarity(normalizeText('是'), normalizeText('否'))).toBe(0);
+    expect(textSimilarity(normalizeText('не знаю'), normalizeText('знаю'))).toBe(0.5);
+  });
+
+  test('matches nothing when both texts have no words', () => {
+    expect(textSimilarity('', '')).toBe(0);
+    expect(textSimilarity(normalizeText('?!'), normalizeText('...'))).toBe(0);
+  });
+
+  test('matches identical texts', () => {
+    expect(textSimilarity('bullish trend', 'bullish trend')).toBe(1);
+  });
+});
+
+describe('text consensus', () => {
+  test('is not reached between different non-Latin answers', () => {
+    const consensus = evaluateConsensus([result('a', '是'), result('b', '否'), result('c', 'не знаю')], 'text');
+
+    expect(consensus.reached).toBe(false);
+    expect(consensus.agreement).toBeCloseTo(1 / 3);
+  });
+
+  test('is reached between matching non-Latin answers', () => {
+    const consensus = evaluateConsensus([result('a', 'Да.'), result('b', 'да'), result('c', 'ДА!')], 'text');
+
+    expect(consensus.reached).toBe(true);
+    expect(consensus.agreement).toBe(1);
+  });
+});
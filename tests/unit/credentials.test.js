@@ -0,0 +1,82 @@
+process.env.LOG_LEVEL = 'error';
+
+const { issueAgentKey, verifyAgentKey, redactExecutor, redactSecrets } = require('../../src/core/credentials');
+const { agentAuth } = require('../../src/utils/middleware');
+const { AuthorizationError } = require('../../src/utils/errors');
+
+describe('agent keys', () => {
+  test('verify only the key that was issued', () => {
+    const { key, credentials } = issueAgentKey();
+    const agent = { id: 'agent-1', credentials };
+
+    expect(credentials.keyHash).not.toContain(key);
+    expect(verifyAgentKey(agent, key)).toBe(true);
+    expect(verifyAgentKey(agent, issueAgentKey().key)).toBe(false);
+    expect(verifyAgentKey(agent, undefined)).toBe(false);
+    expect(verifyAgentKey({ id: 'agent-2' }, key)).toBe(false);
+  });
+
+  test('credentials are left out when serialized for clients', () => {
+    const { credentials } = issueAgentKey();
+    const payload = { agent: { id: 'agent-1', name: 'Analyst', credentials }, updates: { credentials } };
+
+    expect(JSON.parse(JSON.stringify(payload, redactSecrets))).toEqual({
+      agent: { id: 'agent-1', name: 'Analyst' },
+      updates: {}
+    });
+  });
+});
+
+describe('redactSecrets', () => {
+  test('masks executor headers and environment values', () => {
+    const agent = {
+      id: 'agent-1',
+      executor: { type: 'http', url: 'https://agents.example.com', headers: { Authorization: 'Bearer secret' } }
+    };
+
+    const serialized = JSON.stringify({ data: [agent], event: { agent } }, redactSecrets);
+
+    expect(serialized).not.toContain('secret');
+    expect(JSON.parse(serialized).data[0].executor).toEqual({
+      type: 'http',
+      url: 'https://agents.example.com',
+      headers: { Authorization: '[redacted]' }
+    });
+    expect(agent.executor.headers.Authorization).toBe('Bearer secret');
+    expect(JSON.stringify(redactExecutor(agent.executor))).not.toContain('secret');
+  });
+});
+
+describe('agentAuth', () => {
+  const { key, credentials } = issueAgentKey();
+  const mesh = { agents: new Map([['agent-1', { id: 'agent-1', credentials }]]) };
+  const middleware = agentAuth(mesh, req => req.body.endorserAgentId);
+
+  const run = (agentId, headers = {}) => {
+    const req = { body: { endorserAgentId: agentId }, header: name => headers[name], path: '/', ip: '::1' };
+    const next = jest.fn();
+    middleware(req, {}, next);
+    return next.mock.calls[0][0];
+  };
+
+  afterEach(() => {
+    delete process.env.ADMIN_API_KEY;
+  });
+
+  test('lets the agent act with its own key', () => {
+    expect(run('agent-1', { 'X-Agent-Key': key })).toBeUndefined();
+  });
+
+  test('rejects a missing key, another agent\'s key and unknown agents', () => {
+    expect(run('agent-1')).toBeInstanceOf(AuthorizationError);
+    expect(run('agent-1', { 'X-Agent-Key': issueAgentKey().key })).toBeInstanceOf(AuthorizationError);
+    expect(run('agent-2', { 'X-Agent-Key': key })).toBeInstanceOf(AuthorizationError);
+  });
+
+  test('lets an admin act for any agent', () => {
+    process.env.ADMIN_API_KEY = 'admin-key';
+
+    expect(run('agent-2', { 'X-Admin-Key': 'admin-key' })).toBeUndefined();
+    expect(run('agent-2', { 'X-Admin-Key': 'wrong' })).toBeInstanceOf(AuthorizationError);
+  });
+});
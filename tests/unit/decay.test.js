@@ -0,0 +1,69 @@
+process.env.LOG_LEVEL = 'error';
+
+const { CognitiveMesh } = require('../../src/core/cognitiveMesh');
+const { Agent } = require('../../src/models/agent');
+const { NeuralPathway } = require('../../src/models/neuralPathway');
+const { ValidationError } = require('../../src/utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-06-01T00:00:00Z');
+
+describe('PathwayDecayScheduler', () => {
+  let mesh;
+
+  beforeEach(async () => {
+    Agent.agents = [];
+    NeuralPathway.pathways = [];
+    mesh = new CognitiveMesh({ clock: () => NOW });
+
+    await mesh.registerAgent({ id: 'agent-1', name: 'Analyst', capabilities: [] }, false);
+    await mesh.registerAgent({ id: 'agent-2', name: 'Writer', capabilities: [] }, false);
+    await mesh.establishPathway('agent-1', 'agent-2', { strength: 0.8, createdAt: new Date(NOW) }, false);
+  });
+
+  test('halves strength every half-life, or takes 0.5 off on the linear curve', async () => {
+    expect(await mesh.decay.tick(NOW + 7 * DAY_MS)).toEqual({ decayed: 1, deactivated: 0 });
+    expect(mesh.getPathway('agent-1', 'agent-2').strength).toBeCloseTo(0.4, 10);
+
+    mesh.decay.configure({ curve: 'linear' });
+    await mesh.decay.tick(NOW + 10.5 * DAY_MS);
+    expect(mesh.getPathway('agent-1', 'agent-2').strength).toBeCloseTo(0.15, 10);
+  });
+
+  test('deactivates pathways below the floor', async () => {
+    await mesh.decay.tick(NOW + 28 * DAY_MS);
+
+    expect(mesh.getPathway('agent-1', 'agent-2')).toMatchObject({ status: 'inactive', strength: 0.05 });
+  });
+
+  test('a floor of 0 never deactivates', async () => {
+    mesh.decay.configure({ floor: 0 });
+    expect(await mesh.decay.tick(NOW + 70 * DAY_MS)).toEqual({ decayed: 1, deactivated: 0 });
+    expect(mesh.getPathway('agent-1', 'agent-2').status).not.toBe('inactive');
+  });
+
+  test.each([0, -DAY_MS, NaN, '7d'])('rejects a half-life of %p', halfLife => {
+    expect(() => mesh.decay.configure({ halfLives: { 'cross-chain': halfLife } })).toThrow(ValidationError);
+    expect(mesh.decay.config.halfLives['cross-chain']).toBe(30 * DAY_MS);
+  });
+});
+
+describe('PATHWAY_DECAY_FLOOR', () => {
+  const floorFrom = value => {
+    let floor;
+    process.env.PATHWAY_DECAY_FLOOR = value;
+    jest.isolateModules(() => {
+      const { PathwayDecayScheduler } = require('../../src/core/decay');
+      floor = new PathwayDecayScheduler({}).config.floor;
+    });
+    delete process.env.PATHWAY_DECAY_FLOOR;
+    return floor;
+  };
+
+  test('keeps an explicit 0 and falls back on values that are not numbers', () => {
+    expect(floorFrom('0')).toBe(0);
+    expect(floorFrom('0.2')).toBe(0.2);
+    expect(floorFrom('')).toBe(0.1);
+    expect(floorFrom('none')).toBe(0.1);
+  });
+});
@@ -0,0 +1,40 @@
+process.env.LOG_LEVEL = 'error';
+
+const { EventEmitter } = require('events');
+const { MeshEventStream } = require('../../src/core/eventStream');
+
+describe('MeshEventStream', () => {
+  let stream;
+
+  beforeEach(() => {
+    const mesh = new EventEmitter();
+    mesh.agents = new Map();
+    stream = new MeshEventStream(mesh, { bufferSize: 2 });
+    ['taskCompleted', 'taskCompleted', 'taskCompleted'].forEach(type => stream.publish(type, {}));
+  });
+
+  test('reports a gap before replaying the events after it', () => {
+    const received = [];
+
+    const subscription = stream.subscribe(
+      {},
+      event => received.push(`event ${event.id}`),
+      0,
+      gap => received.push(`gap ${gap.lastEventId}-${gap.oldestEventId}`)
+    );
+
+    expect(subscription.missed).toBe(true);
+    expect(received).toEqual(['gap 0-2', 'event 2', 'event 3']);
+  });
+
+  test('replays without a gap when the buffer still holds the next event', () => {
+    const onGap = jest.fn();
+    const received = [];
+
+    const subscription = stream.subscribe({}, event => received.push(event.id), 1, onGap);
+
+    expect(subscription.missed).toBe(false);
+    expect(onGap).not.toHaveBeenCalled();
+    expect(received).toEqual([2, 3]);
+  });
+});
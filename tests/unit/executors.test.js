@@ -0,0 +1,103 @@
+process.env.LOG_LEVEL = 'error';
+
+const { checkExecutorUrl, checkExecutorCommand, ExecutorRegistry } = require('../../src/core/executors');
+const { validate, schemas } = require('../../src/utils/validation');
+const { subprocessExecutorAuth } = require('../../src/utils/middleware');
+const { AuthorizationError, ValidationError } = require('../../src/utils/errors');
+
+describe('checkExecutorUrl', () => {
+  afterEach(() => {
+    delete process.env.HTTP_EXECUTOR_ALLOWED_HOSTS;
+  });
+
+  test('refuses every URL while no host is allowed', () => {
+    expect(checkExecutorUrl('https://agents.example.com/analyst')).toMatch(/disabled/);
+  });
+
+  test('allows listed hosts, subdomains of wildcard entries and listed ports only', () => {
+    process.env.HTTP_EXECUTOR_ALLOWED_HOSTS = 'agents.example.com, *.corp.example:8443';
+
+    expect(checkExecutorUrl('https://agents.example.com/analyst')).toBeNull();
+    expect(checkExecutorUrl('https://a.corp.example:8443/run')).toBeNull();
+    expect(checkExecutorUrl('https://a.corp.example/run')).toMatch(/not in/);
+    expect(checkExecutorUrl('https://evilcorp.example:8443/run')).toMatch(/not in/);
+    expect(checkExecutorUrl('http://169.254.169.254/latest/meta-data')).toMatch(/not in/);
+    expect(checkExecutorUrl('http://localhost:3000/api/admin/snapshot')).toMatch(/not in/);
+  });
+
+  test('refuses other schemes', () => {
+    process.env.HTTP_EXECUTOR_ALLOWED_HOSTS = 'agents.example.com';
+
+    expect(checkExecutorUrl('file://agents.example.com/etc/passwd')).toMatch(/only call http/);
+  });
+});
+
+describe('HttpExecutor', () => {
+  test('does not call hosts outside the allowlist', async () => {
+    process.env.HTTP_EXECUTOR_ALLOWED_HOSTS = 'agents.example.com';
+    const agent = { id: 'agent-1', executor: { type: 'http', url: 'http://127.0.0.1:9/' } };
+
+    await expect(new ExecutorRegistry().execute(agent, { query: 'q' })).rejects.toMatchObject({
+      code: 'EXECUTOR_DISABLED'
+    });
+
+    delete process.env.HTTP_EXECUTOR_ALLOWED_HOSTS;
+  });
+});
+
+describe('subprocess executors', () => {
+  const registry = new ExecutorRegistry();
+  const agentRunning = (command, args = []) => ({ id: 'agent-1', executor: { type: 'subprocess', command, args } });
+
+  beforeEach(() => {
+    process.env.ENABLE_SUBPROCESS_EXECUTORS = 'true';
+    process.env.SUBPROCESS_EXECUTOR_ALLOWED_COMMANDS = process.execPath;
+  });
+
+  afterEach(() => {
+    delete process.env.ENABLE_SUBPROCESS_EXECUTORS;
+    delete process.env.SUBPROCESS_EXECUTOR_ALLOWED_COMMANDS;
+    delete process.env.SERVER_SECRET;
+    delete process.env.ADMIN_API_KEY;
+  });
+
+  test('refuses commands outside the allowlist when validating and when running', async () => {
+    expect(checkExecutorCommand(process.execPath)).toBeNull();
+    expect(checkExecutorCommand('sh')).toMatch(/not in/);
+
+    const next = jest.fn();
+    validate(schemas.agent.create)({ body: { name: 'Shell', executor: { type: 'subprocess', command: 'sh' } } }, {}, next);
+    expect(next.mock.calls[0][0]).toBeInstanceOf(ValidationError);
+
+    await expect(registry.execute(agentRunning('sh', ['-c', 'env']), {})).rejects.toMatchObject({
+      code: 'EXECUTOR_DISABLED'
+    });
+
+    delete process.env.SUBPROCESS_EXECUTOR_ALLOWED_COMMANDS;
+    expect(checkExecutorCommand(process.execPath)).toMatch(/disabled/);
+  });
+
+  test('the process sees only its own variables and a minimal PATH', async () => {
+    process.env.SERVER_SECRET = 'deployer-key';
+    const agent = agentRunning(process.execPath, ['-e', 'process.stdout.write(JSON.stringify(process.env))']);
+    agent.executor.env = { AGENT_MODE: 'test' };
+
+    const { output } = await registry.execute(agent, {});
+
+    expect(output).toEqual({ AGENT_MODE: 'test', PATH: '/usr/local/bin:/usr/bin:/bin' });
+  });
+
+  test('only an admin can set one', () => {
+    process.env.ADMIN_API_KEY = 'admin-key';
+    const run = (executor, headers = {}) => {
+      const next = jest.fn();
+      subprocessExecutorAuth({ body: { executor }, header: name => headers[name], path: '/', ip: '::1' }, {}, next);
+      return next.mock.calls[0][0];
+    };
+    const subprocess = { type: 'subprocess', command: process.execPath };
+
+    expect(run(subprocess)).toBeInstanceOf(AuthorizationError);
+    expect(run(subprocess, { 'X-Admin-Key': 'admin-key' })).toBeUndefined();
+    expect(run({ type: 'function', handler: 'summarize' })).toBeUndefined();
+  });
+});
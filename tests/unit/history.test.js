@@ -0,0 +1,38 @@
+process.env.LOG_LEVEL = 'error';
+
+const { CognitiveMesh } = require('../../src/core/cognitiveMesh');
+const { ValidationError } = require('../../src/utils/errors');
+
+const NOW = Date.parse('2025-01-15T12:00:00Z');
+
+describe('AgentHistory.query', () => {
+  let mesh;
+
+  beforeEach(async () => {
+    mesh = new CognitiveMesh({ clock: () => NOW, history: { retentionDays: 3650, maxWindows: 366 } });
+    await mesh.registerAgent({ id: 'agent-1', name: 'Analyst', capabilities: [] }, false);
+  });
+
+  test('records entries at the mesh clock', () => {
+    const [entry] = mesh.history.series.get('agent-1');
+
+    expect(entry.timestamp.getTime()).toBe(NOW);
+  });
+
+  test('ends the range at the present', () => {
+    const history = mesh.history.query('agent-1', { to: '+275760-01-01T00:00:00Z' });
+
+    expect(history.to.getTime()).toBe(NOW);
+    expect(history.aggregates.daily).toHaveLength(31);
+  });
+
+  test('rejects ranges spanning more days than allowed', () => {
+    expect(() => mesh.history.query('agent-1', { from: '2020-01-01T00:00:00Z' })).toThrow(ValidationError);
+    expect(() => mesh.history.query('agent-1', { from: '2024-02-01T00:00:00Z' })).not.toThrow();
+  });
+
+  test('rejects ranges starting in the future', () => {
+    expect(() => mesh.history.query('agent-1', { from: '2025-02-01T00:00:00Z', to: '2025-03-01T00:00:00Z' }))
+      .toThrow('History range cannot start in the future');
+  });
+});
@@ -0,0 +1,59 @@
+const { PathwayLearningEngine } = require('../../src/core/learning');
+
+const pathway = (strength = 0.5) => ({ sourceAgentId: 'a', targetAgentId: 'b', strength });
+
+const completed = (agentId, confidence = 1) => ({ agentId, status: 'completed', confidence });
+const failed = agentId => ({ agentId, status: 'failed' });
+
+function strengthAfter(rule, results, agreeingAgents, reward) {
+  const engine = new PathwayLearningEngine({ rule, learningRate: 0.1, enabled: true });
+  const [update] = engine.computeUpdates([pathway()], {
+    results,
+    consensus: { agreeingAgents, agreement: agreeingAgents.length / results.length },
+    reward
+  });
+  return update.strength;
+}
+
+describe('PathwayLearningEngine', () => {
+  describe.each(['hebbian', 'oja', 'reward'])('%s rule', rule => {
+    test('does not strengthen a pathway between two failed agents', () => {
+      expect(strengthAfter(rule, [failed('a'), failed('b')], [], 0)).toBeLessThanOrEqual(0.5);
+    });
+
+    test('does not strengthen a pathway between two dissenters', () => {
+      const results = [completed('a', 0.9), completed('b', 0.8), completed('c'), completed('d'), completed('e')];
+      expect(strengthAfter(rule, results, ['c', 'd', 'e'], 0.2)).toBeLessThanOrEqual(0.5);
+    });
+
+    test('does not strengthen a pathway between a dissenter and an agreeing agent', () => {
+      const results = [completed('a'), completed('b'), completed('c')];
+      expect(strengthAfter(rule, results, ['a', 'c'], 0.2)).toBeLessThanOrEqual(0.5);
+    });
+  });
+
+  test('weakens a pathway between two failed agents under the hebbian rule', () => {
+    expect(strengthAfter('hebbian', [failed('a'), failed('b')], [])).toBeCloseTo(0.4);
+  });
+
+  test('strengthens a pathway between two agreeing agents', () => {
+    expect(strengthAfter('hebbian', [completed('a'), completed('b')], ['a', 'b'])).toBeCloseTo(0.6);
+    expect(strengthAfter('reward', [completed('a'), completed('b')], ['a', 'b'], 1)).toBeCloseTo(0.55);
+  });
+
+  test('accepts a learning rate of 0', () => {
+    const engine = new PathwayLearningEngine({ learningRate: 0 });
+    const [update] = engine.computeUpdates([pathway()], {
+      results: [completed('a'), completed('b')],
+      consensus: { agreeingAgents: ['a', 'b'], agreement: 1 }
+    });
+
+    expect(engine.config.learningRate).toBe(0);
+    expect(update.strength).toBe(0.5);
+  });
+
+  test('rejects a negative or missing learning rate', () => {
+    expect(() => new PathwayLearningEngine({ learningRate: -0.1 })).toThrow('learningRate');
+    expect(() => new PathwayLearningEngine({ learningRate: NaN })).toThrow('learningRate');
+  });
+});
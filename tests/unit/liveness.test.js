@@ -0,0 +1,39 @@
+process.env.LOG_LEVEL = 'error';
+
+const { CognitiveMesh } = require('../../src/core/cognitiveMesh');
+const { Agent } = require('../../src/models/agent');
+const { NeuralPathway } = require('../../src/models/neuralPathway');
+
+describe('LivenessMonitor', () => {
+  let now;
+  let mesh;
+
+  beforeEach(async () => {
+    Agent.agents = [];
+    NeuralPathway.pathways = [];
+    now = Date.parse('2026-01-01T00:00:00Z');
+    mesh = new CognitiveMesh({
+      clock: () => now,
+      liveness: { heartbeatIntervalMs: 1000, missedBeats: 3 }
+    });
+    await mesh.registerAgent({ id: 'agent-1', name: 'Analyst', capabilities: [], status: 'active' }, false);
+  });
+
+  test('times heartbeats and missed beats on the mesh clock', async () => {
+    const status = await mesh.liveness.heartbeat('agent-1');
+
+    expect(status.lastHeartbeatAt).toEqual(new Date(now));
+    expect(status.expiresAt).toEqual(new Date(now + 3000));
+
+    now += 3000;
+    expect((await mesh.liveness.check()).unresponsive).toEqual([]);
+
+    now += 1;
+    expect((await mesh.liveness.check()).unresponsive).toEqual(['agent-1']);
+    expect(mesh.agents.get('agent-1').status).toBe('inactive');
+    expect(mesh.agents.get('agent-1').liveness.since).toEqual(new Date(now));
+
+    await mesh.liveness.heartbeat('agent-1');
+    expect(mesh.agents.get('agent-1').status).toBe('active');
+  });
+});
@@ -0,0 +1,69 @@
+process.env.LOG_LEVEL = 'error';
+
+const { CognitiveMesh } = require('../../src/core/cognitiveMesh');
+const { Agent } = require('../../src/models/agent');
+const { NeuralPathway } = require('../../src/models/neuralPathway');
+const { validate, schemas } = require('../../src/utils/validation');
+const { NotFoundError, ValidationError } = require('../../src/utils/errors');
+
+describe('path query validation', () => {
+  const run = query => {
+    const req = { params: { id: 'agent-1', targetId: 'agent-2' }, query, body: {} };
+    const next = jest.fn();
+    validate(schemas.agent.findPaths)(req, {}, next);
+    return { req, error: next.mock.calls[0][0] };
+  };
+
+  test('accepts supported chains only', () => {
+    expect(run({ chain: 'solana' }).error).toBeUndefined();
+
+    const { error } = run({ chain: 'dogecoin' });
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(Object.keys(error.details)).toEqual(['chain']);
+  });
+});
+
+describe('CognitiveMesh.findPaths', () => {
+  let mesh;
+  const routes = options => mesh.findPaths('a', 'd', options).map(route => route.agents.join('>'));
+
+  /**
+   * a -> b -> d at 0.9, a -> c -> d at 0.5 and a -> d at 0.1
+   */
+  beforeEach(async () => {
+    Agent.agents = [];
+    NeuralPathway.pathways = [];
+    mesh = new CognitiveMesh();
+
+    await mesh.registerAgent({ id: 'a', name: 'A', capabilities: [], chain: 'ethereum' }, false);
+    await mesh.registerAgent({ id: 'b', name: 'B', capabilities: [], chain: 'bnb' }, false);
+    await mesh.registerAgent({ id: 'c', name: 'C', capabilities: [], chain: 'ethereum' }, false);
+    await mesh.registerAgent({ id: 'd', name: 'D', capabilities: [], chain: 'solana' }, false);
+
+    await mesh.establishPathway('a', 'b', { strength: 0.9 }, false);
+    await mesh.establishPathway('b', 'd', { strength: 0.9 }, false);
+    await mesh.establishPathway('a', 'c', { strength: 0.5 }, false);
+    await mesh.establishPathway('c', 'd', { strength: 0.5 }, false);
+    await mesh.establishPathway('a', 'd', { strength: 0.1 }, false);
+  });
+
+  test('finds the route with the fewest hops or the strongest route', () => {
+    expect(routes()).toEqual(['a>d']);
+    expect(routes({ algorithm: 'strongest' })).toEqual(['a>b>d']);
+    expect(mesh.findPaths('a', 'd', { algorithm: 'strongest' })[0].strength).toBeCloseTo(0.81, 10);
+  });
+
+  test('ranks alternative routes', () => {
+    expect(routes({ algorithm: 'strongest', k: 5 })).toEqual(['a>b>d', 'a>c>d', 'a>d']);
+    expect(routes({ algorithm: 'strongest', k: 5, minStrength: 0.5 })).toEqual(['a>b>d', 'a>c>d']);
+  });
+
+  test('only routes through intermediaries on the requested chain', () => {
+    expect(routes({ algorithm: 'strongest', chain: 'ethereum' })).toEqual(['a>c>d']);
+    expect(routes({ algorithm: 'strongest', chain: 'solana' })).toEqual(['a>d']);
+  });
+
+  test('rejects unknown agents', () => {
+    expect(() => mesh.findPaths('a', 'z')).toThrow(NotFoundError);
+  });
+});
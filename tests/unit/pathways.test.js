@@ -0,0 +1,53 @@
+process.env.LOG_LEVEL = 'error';
+
+const { CognitiveMesh } = require('../../src/core/cognitiveMesh');
+const { Agent } = require('../../src/models/agent');
+const { NeuralPathway } = require('../../src/models/neuralPathway');
+const { validate, schemas } = require('../../src/utils/validation');
+const { ConflictError, NotFoundError, ValidationError } = require('../../src/utils/errors');
+
+describe('pathway update validation', () => {
+  const run = body => {
+    const req = { body, params: { id: 'pathway-1' }, query: {} };
+    const next = jest.fn();
+    validate(schemas.pathway.update)(req, {}, next);
+    return { req, error: next.mock.calls[0][0] };
+  };
+
+  test('rejects a strength outside 0-1 and an unknown status', () => {
+    const { error } = run({ strength: 50, status: 'deleted' });
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(Object.keys(error.details)).toEqual(['strength', 'status']);
+  });
+
+  test('drops the pathway ID from the body', () => {
+    const { req, error } = run({ id: 'pathway-2', strength: 0.4 });
+
+    expect(error).toBeUndefined();
+    expect(req.body).toEqual({ strength: 0.4 });
+  });
+});
+
+describe('mesh conflicts', () => {
+  let mesh;
+
+  beforeEach(async () => {
+    Agent.agents = [];
+    NeuralPathway.pathways = [];
+    mesh = new CognitiveMesh();
+    await mesh.registerAgent({ id: 'agent-1', name: 'Analyst', capabilities: [] }, false);
+    await mesh.registerAgent({ id: 'agent-2', name: 'Writer', capabilities: [] }, false);
+  });
+
+  test('are client errors', async () => {
+    await mesh.establishPathway('agent-1', 'agent-2', {}, false);
+
+    await expect(mesh.registerAgent({ id: 'agent-1', name: 'Copy', capabilities: [] }, false))
+      .rejects.toBeInstanceOf(ConflictError);
+    await expect(mesh.establishPathway('agent-1', 'agent-2', {}, false)).rejects.toBeInstanceOf(ConflictError);
+    await expect(mesh.establishPathway('agent-1', 'agent-3', {}, false)).rejects.toMatchObject({ status: 404 });
+    await expect(mesh.updatePathway('agent-2', 'agent-1', { strength: 0.5 }, false))
+      .rejects.toBeInstanceOf(NotFoundError);
+  });
+});
@@ -0,0 +1,252 @@
+process.env.LOG_LEVEL = 'error';
+
+const { CognitiveMesh } = require('../../src/core/cognitiveMesh');
+const { comparePositions } = require('../../src/core/replication');
+
+/**
+ * In-memory stand-in for the node-redis client commands replication uses.
+ * Clients duplicated from one another share the same data.
+ */
+class FakeRedis {
+  constructor(store = { values: new Map(), log: [], sequence: 0, listeners: new Set() }) {
+    this.store = store;
+    this.pending = new Set();
+  }
+
+  on() {}
+
+  async connect() {}
+
+  duplicate() {
+    return new FakeRedis(this.store);
+  }
+
+  async disconnect() {
+    this.pending.forEach(read => read.finish(null));
+  }
+
+  async quit() {
+    return this.disconnect();
+  }
+
+  async get(key) {
+    return this.store.values.has(key) ? this.store.values.get(key) : null;
+  }
+
+  async set(key, value, options = {}) {
+    if (options.NX && this.store.values.has(key)) return null;
+    this.store.values.set(key, value);
+    return 'OK';
+  }
+
+  async eval(script, { keys, arguments: args }) {
+    const [key] = keys;
+    const current = this.store.values.get(key);
+
+    if (script.includes('INCR')) {
+      const id = Math.max(Number(current || 0) + 1, Number(args[0]));
+      this.store.values.set(key, String(id));
+      return id;
+    }
+
+    if (current !== args[0]) return 0;
+    if (script.includes('DEL')) this.store.values.delete(key);
+    return 1;
+  }
+
+  async xAdd(key, id, message) {
+    const entry = { id: `${++this.store.sequence}-0`, message };
+    this.store.log.push(entry);
+    this.store.listeners.forEach(listener => listener());
+    return entry.id;
+  }
+
+  async xTrim(key, strategy, minId) {
+    const before = this.store.log.length;
+    this.store.log = this.store.log.filter(entry => comparePositions(entry.id, minId) >= 0);
+    return before - this.store.log.length;
+  }
+
+  xRead({ id }, options = {}) {
+    const read = () => {
+      const messages = this.store.log
+        .filter(entry => comparePositions(entry.id, id) > 0)
+        .slice(0, options.COUNT || Infinity);
+      return messages.length ? [{ name: 'log', messages }] : null;
+    };
+
+    const reply = read();
+    if (reply || options.BLOCK === undefined) return Promise.resolve(reply);
+
+    return new Promise(resolve => {
+      const pending = {
+        finish: value => {
+          clearTimeout(pending.timer);
+          this.store.listeners.delete(listener);
+          this.pending.delete(pending);
+          resolve(value);
+        }
+      };
+      const listener = () => pending.finish(read());
+      pending.timer = setTimeout(() => pending.finish(null), options.BLOCK);
+      this.store.listeners.add(listener);
+      this.pending.add(pending);
+    });
+  }
+}
+
+const REPLICATION = {
+  enabled: true,
+  blockMs: 20,
+  leaseMs: 60 * 1000,
+  snapshotIntervalMs: 60 * 60 * 1000
+};
+
+async function startNode(client, nodeId) {
+  const mesh = new CognitiveMesh({ replication: { ...REPLICATION, nodeId } });
+  await mesh.replication.start(client.duplicate());
+  return mesh;
+}
+
+/**
+ * Wait until a condition holds
+ */
+async function until(condition) {
+  for (let i = 0; i < 200 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  expect(condition()).toBe(true);
+}
+
+/**
+ * Wait until every node has applied everything any of them wrote
+ */
+async function settle(...meshes) {
+  await Promise.all(meshes.map(mesh => mesh.replication.writing));
+  const last = meshes
+    .map(mesh => mesh.replication.written)
+    .sort(comparePositions)
+    .pop();
+
+  const reached = await Promise.all(meshes.map(mesh => mesh.replication.waitFor(last, 2000)));
+  expect(reached).toEqual(meshes.map(() => true));
+}
+
+describe('MeshReplicator', () => {
+  let client;
+  let nodes;
+
+  beforeEach(() => {
+    client = new FakeRedis();
+    nodes = [];
+  });
+
+  afterEach(async () => {
+    for (const mesh of nodes) {
+      await mesh.replication.stop();
+    }
+  });
+
+  async function cluster(count) {
+    for (let i = 0; i < count; i++) {
+      nodes.push(await startNode(client, `node-${i}`));
+    }
+    return nodes;
+  }
+
+  test('replicates changes between nodes', async () => {
+    const [a, b] = await cluster(2);
+
+    await a.registerAgent({ id: 'agent-1', name: 'Analyst', capabilities: [] }, false);
+    await settle(a, b);
+
+    expect(b.agents.get('agent-1').name).toBe('Analyst');
+  });
+
+  test('converges on the change written last when two nodes change the same agent', async () => {
+    const [a, b] = await cluster(2);
+    await a.registerAgent({ id: 'agent-1', name: 'Analyst', capabilities: [] }, false);
+    await settle(a, b);
+
+    // B's change reaches the log first, so A's own change comes after it
+    // and wins; A has to apply its change again once the log gets to it
+    await b.updateAgent('agent-1', { name: 'From B' }, false);
+    await a.updateAgent('agent-1', { name: 'From A' }, false);
+    await settle(a, b);
+
+    expect(a.agents.get('agent-1').name).toBe('From A');
+    expect(b.agents.get('agent-1').name).toBe('From A');
+    expect(a.replication.conflicts.size).toBe(0);
+    expect(a.replication.unconfirmed.size).toBe(0);
+  });
+
+  test('keeps its own changes made after the snapshot when it rejoins', async () => {
+    const [a, b] = await cluster(2);
+    await a.registerAgent({ id: 'agent-1', name: 'Analyst', capabilities: [] }, false);
+    await settle(a, b);
+
+    const leader = a.replication.leader ? a : b;
+    await leader.replication.saveSnapshot();
+
+    await a.updateAgent('agent-1', { name: 'Renamed on A' }, false);
+    await b.registerAgent({ id: 'agent-2', name: 'Writer', capabilities: [] }, false);
+    await settle(a, b);
+
+    // Fall behind: A restores the snapshot, which predates its own change
+    const session = a.replication.session;
+    a.replication.behind = true;
+    await until(() => a.replication.session !== session);
+    await b.updateAgent('agent-2', { name: 'Writer 2' }, false);
+    await settle(a, b);
+
+    expect(a.replication.session).not.toBe(session);
+    expect(a.agents.get('agent-1').name).toBe('Renamed on A');
+    expect(a.agents.get('agent-2').name).toBe('Writer 2');
+    expect(b.agents.get('agent-1').name).toBe('Renamed on A');
+  });
+
+  test('a node that starts later catches up from the snapshot and the log', async () => {
+    const [a] = await cluster(1);
+    await a.registerAgent({ id: 'agent-1', name: 'Analyst', capabilities: [] }, false);
+    await a.replication.saveSnapshot();
+    await a.updateAgent('agent-1', { name: 'Renamed' }, false);
+    await settle(a);
+
+    await cluster(1);
+    const late = nodes[1];
+
+    expect(late.agents.get('agent-1').name).toBe('Renamed');
+  });
+
+  test('replicates a centrality run as a single entry', async () => {
+    const [a, b] = await cluster(2);
+    await a.registerAgent({ id: 'agent-1', name: 'Analyst', capabilities: [] }, false);
+    await a.registerAgent({ id: 'agent-2', name: 'Writer', capabilities: [] }, false);
+    await a.establishPathway('agent-1', 'agent-2', { strength: 1 }, false);
+    await settle(a, b);
+
+    const logged = client.store.log.length;
+    await a.centrality.recompute();
+    await settle(a, b);
+
+    // Trust scores that moved with the new network positions are their own
+    // updates; none of them carries centrality
+    const entries = client.store.log.slice(logged).map(entry => entry.message);
+    expect(entries.filter(entry => entry.type === 'centralityComputed')).toHaveLength(1);
+    expect(entries.filter(entry => entry.data.includes('"centrality"')).map(entry => entry.type))
+      .toEqual(['centralityComputed']);
+    expect(b.agents.get('agent-2').centrality.pageRank).toBe(a.agents.get('agent-2').centrality.pageRank);
+  });
+
+  test('keeps the leader lease across a rejoin', async () => {
+    const [a] = await cluster(1);
+    expect(a.replication.leader).toBe(true);
+
+    const session = a.replication.session;
+    a.replication.behind = true;
+    await until(() => a.replication.session !== session);
+    await a.replication.maintain();
+
+    expect(a.replication.leader).toBe(true);
+  });
+});
@@ -0,0 +1,78 @@
+process.env.LOG_LEVEL = 'error';
+
+const { CognitiveMesh } = require('../../src/core/cognitiveMesh');
+const { tokenize } = require('../../src/core/search');
+const { Agent } = require('../../src/models/agent');
+const { NeuralPathway } = require('../../src/models/neuralPathway');
+const { ValidationError } = require('../../src/utils/errors');
+
+describe('tokenize', () => {
+  test('stems English words to a shared term', () => {
+    expect(tokenize('Analyze the analysis of analyzers')).toEqual(['analyz', 'analyz', 'analyz']);
+  });
+
+  test('keeps words of every script and drops Latin accents', () => {
+    expect(tokenize('Análisis financiero')).toEqual(tokenize('analisis financiero'));
+    expect(tokenize('数据 分析')).toEqual(['数据', '分析']);
+    expect(tokenize('Финансовый анализ')).toEqual(['финансовый', 'анализ']);
+    expect(tokenize('विश्लेषण')).toEqual(['विश्लेषण']);
+  });
+});
+
+describe('AgentSearchIndex', () => {
+  let mesh;
+  const ids = result => result.results.map(({ agent }) => agent.id);
+
+  beforeEach(async () => {
+    Agent.agents = [];
+    NeuralPathway.pathways = [];
+    mesh = new CognitiveMesh();
+
+    await mesh.registerAgent({
+      id: 'analyst',
+      name: 'Analyst',
+      capabilities: ['financial-analysis'],
+      description: 'Reads balance sheets'
+    }, false);
+    await mesh.registerAgent({
+      id: 'writer',
+      name: 'Writer',
+      capabilities: ['copywriting'],
+      description: 'Writes summaries of financial news'
+    }, false);
+    await mesh.registerAgent({
+      id: 'analista',
+      name: 'Analista',
+      capabilities: ['análisis-de-datos'],
+      description: '数据分析'
+    }, false);
+  });
+
+  test('ranks capability matches above description matches', () => {
+    const result = mesh.searchIndex.search('financial analysis');
+
+    expect(ids(result)).toEqual(['analyst', 'writer']);
+    expect(result.results[0].matchedTerms).toEqual(['financial', 'analyz']);
+  });
+
+  test('finds agents from queries in other languages', () => {
+    expect(ids(mesh.searchIndex.search('análisis'))).toEqual(['analista']);
+    expect(ids(mesh.searchIndex.search('数据分析'))).toEqual(['analista']);
+  });
+
+  test('rejects queries without words', () => {
+    expect(() => mesh.searchIndex.search('?! -')).toThrow(ValidationError);
+  });
+
+  test('follows agent updates and removals', async () => {
+    await mesh.updateAgent('writer', { capabilities: ['financial-analysis'], description: 'Drafts reports' }, false);
+    const updated = mesh.searchIndex.search('financial analysis');
+    expect(ids(updated)).toEqual(['analyst', 'writer']);
+    expect(updated.results[1].matchedTerms).toEqual(['financial', 'analyz']);
+    expect(ids(mesh.searchIndex.search('news'))).toEqual([]);
+
+    await mesh.removeAgent('analyst', false);
+    expect(ids(mesh.searchIndex.search('financial analysis'))).toEqual(['writer']);
+    expect(mesh.searchIndex.documents.has('analyst')).toBe(false);
+  });
+});
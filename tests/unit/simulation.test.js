@@ -0,0 +1,102 @@
+process.env.LOG_LEVEL = 'error';
+
+const { MeshSimulation, generateNetwork } = require('../../src/core/simulation');
+const { parseArgs } = require('../../scripts/simulate');
+const { Agent } = require('../../src/models/agent');
+const { NeuralPathway } = require('../../src/models/neuralPathway');
+const { ValidationError } = require('../../src/utils/errors');
+
+const START = Date.parse('2026-06-01T00:00:00Z');
+
+describe('generateNetwork', () => {
+  // 30 agents with an average degree of 4
+  test.each([
+    // Every link survives rewiring
+    ['random', 60],
+    ['small-world', 60],
+    // A triangle to start from, then 2 links per agent
+    ['scale-free', 3 + 27 * 2]
+  ])('%s networks have the requested agents and pathways', (topology, pathways) => {
+    const network = generateNetwork({ agents: 30, topology, averageDegree: 4 });
+    const pairs = network.pathways.map(({ sourceAgentId, targetAgentId }) =>
+      [sourceAgentId, targetAgentId].sort().join(':')
+    );
+
+    expect(network.agents).toHaveLength(30);
+    expect(new Set(network.agents.map(agent => agent.id)).size).toBe(30);
+    expect(network.pathways).toHaveLength(pathways);
+    expect(new Set(pairs).size).toBe(pathways);
+    expect(network.pathways.every(pathway => pathway.sourceAgentId !== pathway.targetAgentId)).toBe(true);
+  });
+
+  test('generates the same network for the same seed', () => {
+    const options = { agents: 40, topology: 'small-world', rewiring: 0.3 };
+
+    expect(generateNetwork({ ...options, seed: 5 })).toEqual(generateNetwork({ ...options, seed: 5 }));
+    expect(generateNetwork({ ...options, seed: 6 }).pathways).not.toEqual(generateNetwork({ ...options, seed: 5 }).pathways);
+  });
+
+  test('rejects impossible networks', () => {
+    expect(() => generateNetwork({ topology: 'lattice' })).toThrow(ValidationError);
+    expect(() => generateNetwork({ agents: 5, averageDegree: 5 })).toThrow(ValidationError);
+  });
+});
+
+describe('MeshSimulation', () => {
+  const options = {
+    network: { agents: 20, topology: 'scale-free', seed: 3 },
+    ticks: 4,
+    tasksPerTick: 5,
+    centralityEvery: 2,
+    churnRate: 0.05,
+    seed: 11,
+    start: START
+  };
+
+  async function run(overrides = {}) {
+    Agent.agents = [];
+    NeuralPathway.pathways = [];
+    return new MeshSimulation({ ...options, ...overrides }).run();
+  }
+
+  test('loads the generated network into the mesh', async () => {
+    Agent.agents = [];
+    NeuralPathway.pathways = [];
+    const simulation = new MeshSimulation(options);
+    const network = generateNetwork(options.network);
+
+    expect(await simulation.build()).toMatchObject({
+      topology: 'scale-free',
+      agents: 20,
+      pathways: network.pathways.length
+    });
+  });
+
+  test('gives the same metrics for the same seeds', async () => {
+    const first = await run();
+    const second = await run();
+
+    expect(first.metrics).toHaveLength(options.ticks + 1);
+    expect(first.metrics.slice(1).every(row => row.tasks === options.tasksPerTick)).toBe(true);
+    expect(second.metrics).toEqual(first.metrics);
+
+    const reseeded = await run({ seed: 12 });
+    expect(reseeded.metrics).not.toEqual(first.metrics);
+  });
+});
+
+describe('simulate.js arguments', () => {
+  test('--seed seeds both the network and the run', () => {
+    const { simulation, output } = parseArgs(['--agents', '50', '--seed', '9', '--format', 'csv']);
+
+    expect(simulation.network).toEqual({ agents: 50, seed: 9 });
+    expect(simulation.seed).toBe(9);
+    expect(output.format).toBe('csv');
+  });
+
+  test('rejects unknown options and values', () => {
+    expect(() => parseArgs(['--agents'])).toThrow('Unknown option');
+    expect(() => parseArgs(['--ticks', 'many'])).toThrow('Invalid value for --ticks');
+    expect(() => parseArgs(['--format', 'xml'])).toThrow('Unknown format');
+  });
+});
@@ -0,0 +1,93 @@
+process.env.LOG_LEVEL = 'error';
+
+const { CognitiveMesh } = require('../../src/core/cognitiveMesh');
+const { Agent } = require('../../src/models/agent');
+const { NeuralPathway } = require('../../src/models/neuralPathway');
+const { computeChecksum } = require('../../src/core/snapshot');
+const { ValidationError } = require('../../src/utils/errors');
+
+/**
+ * Mesh holding the given agents and pathways
+ */
+async function meshOf(agents, pathways) {
+  const mesh = new CognitiveMesh();
+  for (const agent of agents) {
+    await mesh.registerAgent({ capabilities: [], ...agent }, false);
+  }
+  for (const { sourceAgentId, targetAgentId, ...fields } of pathways) {
+    await mesh.establishPathway(sourceAgentId, targetAgentId, fields, false);
+  }
+  return mesh;
+}
+
+describe('snapshot merge', () => {
+  beforeEach(() => {
+    Agent.agents = [];
+    NeuralPathway.pathways = [];
+  });
+
+  test('updates existing agents through the mesh', async () => {
+    const mesh = await meshOf([{ id: 'agent-1', name: 'Analyst' }], []);
+    const source = await meshOf([{ id: 'agent-1', name: 'Analyst', capabilities: ['math'] }], []);
+    const updated = jest.fn();
+    mesh.on('agentUpdated', updated);
+
+    const summary = await mesh.restore(source.snapshot(), { mode: 'merge' });
+
+    expect(summary.agents.replaced).toBe(1);
+    expect(mesh.agents.get('agent-1').capabilities).toEqual(['math']);
+    expect(updated).toHaveBeenCalled();
+    expect(mesh.versions.list('agent-1').map(version => version.version)).toEqual(['1.0.0', '1.1.0']);
+  });
+
+  test('replaces a pathway whose ID now connects other agents', async () => {
+    const agents = ['agent-1', 'agent-2', 'agent-3'].map(id => ({ id, name: id }));
+    const mesh = await meshOf(agents, [{ id: 'pathway-1', sourceAgentId: 'agent-1', targetAgentId: 'agent-2' }]);
+    const source = await meshOf(agents, [{ id: 'pathway-1', sourceAgentId: 'agent-2', targetAgentId: 'agent-3' }]);
+
+    const summary = await mesh.restore(source.snapshot(), { mode: 'merge' });
+
+    expect(summary.pathways.replaced).toBe(1);
+    expect(mesh.getPathway('agent-1', 'agent-2')).toBeNull();
+    expect(mesh.getPathway('agent-2', 'agent-3').id).toBe('pathway-1');
+    expect(Array.from(mesh.pathways.values()).filter(pathway => pathway.id === 'pathway-1')).toHaveLength(1);
+  });
+});
+
+describe('snapshot replace', () => {
+  const agents = [{ id: 'agent-1', name: 'Analyst' }, { id: 'agent-2', name: 'Writer' }];
+
+  beforeEach(() => {
+    Agent.agents = [];
+    NeuralPathway.pathways = [];
+  });
+
+  test('rejects a snapshot before clearing the mesh', async () => {
+    const mesh = await meshOf(agents, [{ sourceAgentId: 'agent-1', targetAgentId: 'agent-2' }]);
+    const snapshot = (await meshOf([{ id: 'agent-3', name: 'Reviewer' }], [])).snapshot();
+    snapshot.data.config.decay.halfLives.default = 0;
+    snapshot.checksum = computeChecksum(snapshot.data);
+
+    await expect(mesh.restore(snapshot)).rejects.toBeInstanceOf(ValidationError);
+
+    expect(Array.from(mesh.agents.keys())).toEqual(['agent-1', 'agent-2']);
+    expect(mesh.getPathway('agent-1', 'agent-2')).not.toBeNull();
+    expect(mesh.decay.config.halfLives.default).toBeGreaterThan(0);
+  });
+
+  test('leaves the restored snapshot untouched', async () => {
+    const snapshot = (await meshOf(agents, [{ sourceAgentId: 'agent-1', targetAgentId: 'agent-2' }])).snapshot();
+    // Agents from older snapshots carry no version
+    snapshot.data.agents.forEach(agent => delete agent.version);
+    snapshot.checksum = computeChecksum(snapshot.data);
+    const original = JSON.parse(JSON.stringify(snapshot));
+    const mesh = new CognitiveMesh();
+
+    await mesh.restore(snapshot);
+
+    expect(snapshot).toEqual(original);
+    expect(mesh.agents.get('agent-1').version).toBe('1.0.0');
+    expect(mesh.agents.get('agent-1')).not.toBe(snapshot.data.agents[0]);
+    expect(mesh.getPathway('agent-1', 'agent-2')).not.toBe(snapshot.data.pathways[0]);
+  });
+});
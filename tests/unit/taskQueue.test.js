@@ -0,0 +1,88 @@
+process.env.LOG_LEVEL = 'error';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TaskQueue } = require('../../src/core/taskQueue');
+const { TaskJob } = require('../../src/models/taskJob');
+const { CognitiveMeshError } = require('../../src/utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Wait until a job has settled
+ */
+async function settled(jobId) {
+  for (let i = 0; i < 200; i++) {
+    const job = await TaskJob.findById(jobId);
+    if (job && !['queued', 'running'].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error(`Job ${jobId} did not settle`);
+}
+
+describe('TaskQueue', () => {
+  let directory;
+  let queue;
+
+  beforeEach(() => {
+    TaskJob.jobs = [];
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'task-queue-'));
+  });
+
+  afterEach(async () => {
+    queue.stop();
+    await queue.writing;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  function createQueue(processor, options = {}) {
+    queue = new TaskQueue(processor, { path: path.join(directory, 'queue.json'), backoffMs: 1, ...options });
+    return queue;
+  }
+
+  test('does not retry a task that missed its quorum', async () => {
+    const processor = jest.fn(async () => {
+      throw new CognitiveMeshError('Quorum not reached', 'QUORUM_NOT_REACHED');
+    });
+    await createQueue(processor).start();
+
+    const { id } = await queue.enqueue({ task: { query: 'q' }, maxAttempts: 3 });
+    const job = await settled(id);
+
+    expect(job.status).toBe('dead-lettered');
+    expect(job.attempts).toBe(1);
+    expect(processor).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries other failures', async () => {
+    const processor = jest.fn(async () => {
+      throw new Error('Connection reset');
+    });
+    await createQueue(processor).start();
+
+    const { id } = await queue.enqueue({ task: { query: 'q' }, maxAttempts: 2 });
+    const job = await settled(id);
+
+    expect(job.status).toBe('dead-lettered');
+    expect(processor).toHaveBeenCalledTimes(2);
+  });
+
+  test('drops completed and cancelled jobs past their retention or the number kept', async () => {
+    const now = Date.now();
+    await TaskJob.restore([
+      { id: 'old', status: 'completed', completedAt: new Date(now - 8 * DAY_MS) },
+      { id: 'cancelled', status: 'cancelled', completedAt: new Date(now - 8 * DAY_MS) },
+      { id: 'dead', status: 'dead-lettered', completedAt: new Date(now - 8 * DAY_MS) },
+      { id: 'recent-1', status: 'completed', completedAt: new Date(now - 3000) },
+      { id: 'recent-2', status: 'completed', completedAt: new Date(now - 2000) },
+      { id: 'recent-3', status: 'completed', completedAt: new Date(now - 1000) },
+      { id: 'waiting', status: 'queued', completedAt: null, nextAttemptAt: new Date(now + DAY_MS) }
+    ]);
+
+    await createQueue(jest.fn(), { retentionMs: 7 * DAY_MS, maxFinishedJobs: 2 }).persist();
+
+    const kept = JSON.parse(fs.readFileSync(queue.options.path, 'utf8')).map(job => job.id);
+    expect(kept.sort()).toEqual(['dead', 'recent-2', 'recent-3', 'waiting']);
+  });
+});
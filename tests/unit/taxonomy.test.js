@@ -0,0 +1,120 @@
+process.env.LOG_LEVEL = 'error';
+
+const { CapabilityTaxonomy } = require('../../src/core/taxonomy');
+const { CognitiveMesh } = require('../../src/core/cognitiveMesh');
+const { Agent } = require('../../src/models/agent');
+const { NeuralPathway } = require('../../src/models/neuralPathway');
+const { ValidationError } = require('../../src/utils/errors');
+
+/**
+ * analysis
+ *   financial-analysis (alias fin-analysis) ~ market-research
+ *   data-analysis
+ *     time-series
+ */
+const CAPABILITIES = [
+  { name: 'analysis' },
+  { name: 'financial-analysis', parents: ['analysis'], aliases: ['fin-analysis'] },
+  { name: 'data-analysis', parents: ['analysis'] },
+  { name: 'time-series', parents: ['data-analysis'] },
+  { name: 'market-research', synonyms: ['financial-analysis'] }
+];
+
+describe('CapabilityTaxonomy', () => {
+  let taxonomy;
+
+  beforeEach(() => {
+    taxonomy = new CapabilityTaxonomy();
+    taxonomy.load(CAPABILITIES);
+  });
+
+  test('matches aliases and other spellings at distance 0', () => {
+    expect(taxonomy.resolve('Fin Analysis')).toBe('financial-analysis');
+    expect(taxonomy.bestMatch('financial-analysis', ['FIN_ANALYSIS'])).toEqual({
+      required: 'financial-analysis',
+      capability: 'FIN_ANALYSIS',
+      distance: 0,
+      score: 1
+    });
+  });
+
+  test('matches descendants one step per level', () => {
+    expect(Object.fromEntries(taxonomy.expand('analysis'))).toEqual({
+      analysis: 0,
+      'financial-analysis': 1,
+      'data-analysis': 1,
+      'time-series': 2,
+      'market-research': 2
+    });
+    expect(taxonomy.bestMatch('analysis', ['time-series'])).toMatchObject({ distance: 2, score: 1 / 3 });
+
+    // Broader capabilities don't satisfy narrower ones
+    expect(taxonomy.bestMatch('data-analysis', ['analysis'])).toBeNull();
+  });
+
+  test('matches synonyms both ways', () => {
+    expect(taxonomy.get('financial-analysis').synonyms).toEqual(['market-research']);
+    expect(taxonomy.bestMatch('market-research', ['financial-analysis'])).toMatchObject({ distance: 1, score: 0.5 });
+    expect(taxonomy.bestMatch('financial-analysis', ['market-research'])).toMatchObject({ distance: 1, score: 0.5 });
+  });
+
+  test('limits matches by mode and distance', () => {
+    expect(taxonomy.bestMatch('analysis', ['time-series'], { maxDistance: 1 })).toBeNull();
+    expect(taxonomy.bestMatch('analysis', ['data-analysis'], { match: 'exact' })).toBeNull();
+    expect(() => taxonomy.expand('analysis', { match: 'fuzzy' })).toThrow(ValidationError);
+  });
+
+  test('unknown capabilities only match themselves', () => {
+    expect(taxonomy.bestMatch('translation', ['Translation'])).toMatchObject({ distance: 0 });
+    expect(taxonomy.bestMatch('translation', ['analysis'])).toBeNull();
+  });
+
+  test('scores the closest match of every required capability', () => {
+    const match = taxonomy.matchAll(['analysis', 'fin-analysis'], ['time-series', 'data-analysis', 'financial-analysis']);
+
+    expect(match.matches.map(({ capability, distance }) => [capability, distance])).toEqual([
+      ['data-analysis', 1],
+      ['financial-analysis', 0]
+    ]);
+    expect(match.score).toBe(0.75);
+    expect(taxonomy.matchAll(['analysis', 'translation'], ['analysis'])).toBeNull();
+  });
+
+  test('keeps the hierarchy acyclic and reattaches children of removed capabilities', () => {
+    expect(() => taxonomy.update('analysis', { parents: ['time-series'] })).toThrow(ValidationError);
+
+    taxonomy.remove('data-analysis');
+
+    expect(taxonomy.get('time-series').parents).toEqual(['analysis']);
+    expect(taxonomy.bestMatch('analysis', ['time-series'])).toMatchObject({ distance: 1 });
+  });
+});
+
+describe('capability matching in the mesh', () => {
+  let mesh;
+
+  beforeEach(async () => {
+    Agent.agents = [];
+    NeuralPathway.pathways = [];
+    mesh = new CognitiveMesh();
+    mesh.taxonomy.load(CAPABILITIES);
+
+    await mesh.registerAgent({ id: 'generalist', name: 'Generalist', capabilities: ['analysis'] });
+    await mesh.registerAgent({ id: 'quant', name: 'Quant', capabilities: ['time-series'] });
+    await mesh.registerAgent({ id: 'writer', name: 'Writer', capabilities: ['writing'] });
+  });
+
+  test('queryAgents finds descendants and ranks closer matches first', () => {
+    expect(mesh.queryAgents({ capabilities: ['analysis'] }).map(agent => agent.id)).toEqual(['generalist', 'quant']);
+    expect(mesh.queryAgents({ capabilities: ['analysis'], capabilityMatch: 'exact' }).map(agent => agent.id))
+      .toEqual(['generalist']);
+  });
+
+  test('Agent.findAll matches through the taxonomy when given a matcher', async () => {
+    const capabilityMatcher = (capability, capabilities) => !!mesh.taxonomy.bestMatch(capability, capabilities);
+
+    expect((await Agent.findAll({ capabilities: ['data-analysis'] })).map(agent => agent.id)).toEqual([]);
+    expect((await Agent.findAll({ capabilities: ['data-analysis'], capabilityMatcher })).map(agent => agent.id))
+      .toEqual(['quant']);
+  });
+});
@@ -0,0 +1,141 @@
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const request = require('supertest');
+const { CognitiveMesh, cognitiveMesh } = require('../../src/core/cognitiveMesh');
+const { TrustEngine } = require('../../src/core/trust');
+const { issueAgentKey } = require('../../src/core/credentials');
+const { errorHandler } = require('../../src/utils/errors');
+const agentRoutes = require('../../src/api/routes/agentRoutes');
+const { Agent } = require('../../src/models/agent');
+const { NeuralPathway } = require('../../src/models/neuralPathway');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-06-01T00:00:00Z');
+
+/**
+ * Trust engine over a bare mesh holding the given agents
+ */
+function engineFor(agents) {
+  const mesh = {
+    agents: new Map(agents.map(agent => [agent.id, agent])),
+    centrality: { computedAt: new Date(NOW) },
+    clock: () => NOW,
+    on() {},
+    emit() {}
+  };
+  return new TrustEngine(mesh);
+}
+
+describe('TrustEngine.evaluate', () => {
+  test('pulls the performance of agents with little history towards 0.5', () => {
+    const newcomer = { id: 'newcomer' };
+    const proven = { id: 'proven', performance: { tasks: 5, succeeded: 5 } };
+    const engine = engineFor([newcomer, proven]);
+
+    expect(engine.evaluate(newcomer).factors.performance.score).toBe(0.5);
+    // 5 successes and 5 prior tasks at 0.5
+    expect(engine.evaluate(proven).factors.performance.score).toBe(0.75);
+  });
+
+  test('gives agents with the same PageRank the same network percentile', () => {
+    const agents = [0.1, 0.2, 0.2, 0.5].map((pageRank, i) => ({ id: `agent-${i}`, centrality: { pageRank } }));
+    const engine = engineFor([...agents, { id: 'unmeasured' }]);
+
+    expect(agents.map(agent => engine.evaluate(agent).factors.network.score)).toEqual([0.125, 0.5, 0.5, 0.875]);
+    expect(engine.evaluate({ id: 'unmeasured' }).factors.network.score).toBe(0);
+  });
+
+  test('weighs endorsements by the endorser\'s trust', () => {
+    const trusted = { id: 'trusted', trustScore: 0.9 };
+    const doubtful = { id: 'doubtful', trustScore: 0.3 };
+    const engine = engineFor([trusted, doubtful]);
+
+    const byTrusted = engine.evaluate({ id: 'a', endorsements: [{ agentId: 'trusted' }] }).factors.endorsements;
+    const byDoubtful = engine.evaluate({ id: 'b', endorsements: [{ agentId: 'doubtful' }] }).factors.endorsements;
+    const byBoth = engine.evaluate({
+      id: 'c',
+      endorsements: [{ agentId: 'trusted' }, { agentId: 'doubtful' }, { agentId: 'removed' }]
+    }).factors.endorsements;
+
+    expect(byTrusted.score).toBeCloseTo(1 - Math.exp(-0.9 / 3), 4);
+    expect(byDoubtful.score).toBeLessThan(byTrusted.score);
+    expect(byBoth).toMatchObject({ count: 2, endorserTrust: 1.2 });
+    expect(byBoth.score).toBeCloseTo(1 - Math.exp(-0.4), 4);
+  });
+
+  test('grows tenure with age and decays it with idleness', () => {
+    const engine = engineFor([]);
+    const tenure = (ageDays, idleDays) => engine.evaluate({
+      id: 'agent',
+      createdAt: new Date(NOW - ageDays * DAY_MS),
+      performance: idleDays === null ? {} : { lastTaskAt: new Date(NOW - idleDays * DAY_MS) }
+    }).factors.tenure.score;
+
+    // Half mature and one half-life idle
+    expect(tenure(45, 14)).toBe(0.5);
+    expect(tenure(45, 28)).toBe(0.375);
+    expect(tenure(180, 0)).toBe(1);
+    expect(tenure(180, null)).toBe(0.5);
+  });
+});
+
+describe('TrustEngine overrides', () => {
+  beforeEach(() => {
+    Agent.agents = [];
+    NeuralPathway.pathways = [];
+  });
+
+  test('an override takes precedence over the computed score until cleared', async () => {
+    const mesh = new CognitiveMesh({ clock: () => NOW });
+    const agent = await mesh.registerAgent({ id: 'agent-1', name: 'Analyst', capabilities: [] }, false);
+    const computed = agent.trust.score;
+
+    const overridden = await mesh.trust.override('agent-1', 0.95, 'Audited');
+    expect(overridden.trustScore).toBe(0.95);
+    expect(overridden.trust.score).toBe(computed);
+
+    // Still pinned after its inputs change
+    const updated = await mesh.updateAgent('agent-1', { performance: { tasks: 10, succeeded: 0 } }, false);
+    expect(updated.trustScore).toBe(0.95);
+    expect(updated.trust.score).toBeLessThan(computed);
+
+    const cleared = await mesh.trust.override('agent-1', null);
+    expect(cleared.trustScore).toBe(cleared.trust.score);
+  });
+});
+
+describe('POST /agents/:id/endorsements', () => {
+  const app = express().use(express.json()).use('/agents', agentRoutes).use(errorHandler);
+  let endorserKey;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    Agent.agents = [];
+    NeuralPathway.pathways = [];
+    await cognitiveMesh.clear();
+
+    const issued = issueAgentKey();
+    endorserKey = issued.key;
+    await cognitiveMesh.registerAgent({ id: 'agent-1', name: 'Analyst', capabilities: [], credentials: issued.credentials });
+    await cognitiveMesh.registerAgent({ id: 'agent-2', name: 'Writer', capabilities: [], credentials: issueAgentKey().credentials });
+    await cognitiveMesh.establishPathway('agent-1', 'agent-2', { strength: 1 });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('requires the endorser\'s own key', async () => {
+    const endorse = () => request(app).post('/agents/agent-2/endorsements').send({ endorserAgentId: 'agent-1' });
+
+    expect((await endorse()).status).toBe(401);
+    expect((await endorse().set('X-Agent-Key', issueAgentKey().key)).status).toBe(401);
+    expect(cognitiveMesh.agents.get('agent-2').endorsements || []).toEqual([]);
+
+    const response = await endorse().set('X-Agent-Key', endorserKey);
+    expect(response.status).toBe(201);
+    expect(cognitiveMesh.agents.get('agent-2').endorsements.map(endorsement => endorsement.agentId))
+      .toEqual(['agent-1']);
+  });
+});
@@ -0,0 +1,111 @@
+process.env.LOG_LEVEL = 'error';
+
+const { CognitiveMesh } = require('../../src/core/cognitiveMesh');
+const { satisfies, bumpVersion } = require('../../src/core/versioning');
+const { Agent } = require('../../src/models/agent');
+const { NeuralPathway } = require('../../src/models/neuralPathway');
+const { ConflictError, ValidationError } = require('../../src/utils/errors');
+
+describe('satisfies', () => {
+  test('exact pins match one version only', () => {
+    expect(satisfies('1.2.0', '1.2.0')).toBe(true);
+    expect(satisfies('1.2.1', '1.2.0')).toBe(false);
+  });
+
+  test('caret pins allow later versions of the same major', () => {
+    expect(satisfies('1.2.0', '^1.2.0')).toBe(true);
+    expect(satisfies('1.9.3', '^1.2.0')).toBe(true);
+    expect(satisfies('1.1.9', '^1.2.0')).toBe(false);
+    expect(satisfies('2.0.0', '^1.2.0')).toBe(false);
+  });
+
+  test('tilde pins allow later patches of the same minor', () => {
+    expect(satisfies('1.2.7', '~1.2.0')).toBe(true);
+    expect(satisfies('1.3.0', '~1.2.0')).toBe(false);
+    expect(satisfies('1.2.3', '~1.2.4')).toBe(false);
+  });
+
+  test('invalid versions and pins match nothing', () => {
+    expect(satisfies('1.2', '^1.0.0')).toBe(false);
+    expect(satisfies('1.2.0', '>=1.0.0')).toBe(false);
+  });
+});
+
+describe('AgentVersionStore', () => {
+  let mesh;
+
+  beforeEach(async () => {
+    Agent.agents = [];
+    NeuralPathway.pathways = [];
+    mesh = new CognitiveMesh();
+
+    await mesh.registerAgent({
+      id: 'agent-1',
+      name: 'Analyst',
+      capabilities: ['analysis', 'forecasting'],
+      specializations: ['equities'],
+      executor: { type: 'function', handler: 'analyze' }
+    });
+    await mesh.registerAgent({ id: 'agent-2', name: 'Writer', capabilities: ['writing'] });
+  });
+
+  test('numbers versions by what changed', () => {
+    const agent = mesh.agents.get('agent-1');
+    const bump = updates => mesh.versions.next(agent, updates).bump;
+
+    expect(bump({ capabilities: ['analysis'] })).toBe('major');
+    expect(bump({ executor: { type: 'function', handler: 'summarize' } })).toBe('major');
+    expect(bump({ chain: 'solana' })).toBe('major');
+    expect(bump({ capabilities: ['analysis', 'forecasting', 'research'] })).toBe('minor');
+    expect(bump({ specializations: ['bonds'] })).toBe('minor');
+    expect(bump({ description: 'Reads balance sheets' })).toBe('patch');
+    expect(mesh.versions.next(agent, { name: 'Analyst', trustScore: 0.9 })).toBeNull();
+
+    expect(bumpVersion('1.4.2', 'major')).toBe('2.0.0');
+    expect(bumpVersion('1.4.2', 'minor')).toBe('1.5.0');
+    expect(bumpVersion('1.4.2', 'patch')).toBe('1.4.3');
+  });
+
+  test('rolls back to an earlier definition as a new version', async () => {
+    await mesh.updateAgent('agent-1', { capabilities: ['analysis'], description: 'Narrowed' });
+    expect(mesh.agents.get('agent-1').version).toBe('2.0.0');
+
+    const updates = mesh.versions.rollbackUpdates(mesh.agents.get('agent-1'), '1.0.0');
+    expect(updates).toEqual({ capabilities: ['analysis', 'forecasting'], description: '' });
+
+    const restored = await mesh.rollbackAgent('agent-1', '1.0.0');
+    const latest = mesh.versions.list('agent-1').slice(-1)[0];
+
+    expect(restored.capabilities).toEqual(['analysis', 'forecasting']);
+    expect(restored.version).toBe('2.1.0');
+    expect(latest).toMatchObject({ version: '2.1.0', previousVersion: '2.0.0', rollbackOf: '1.0.0' });
+    expect(() => mesh.versions.rollbackUpdates(restored, '1.0.0')).toThrow(ConflictError);
+  });
+
+  test('deactivates a pathway whose pin breaks and reactivates it once the pin holds', async () => {
+    await mesh.establishPathway('agent-1', 'agent-2', { sourceVersion: '^1.0.0' });
+
+    await mesh.updateAgent('agent-1', { capabilities: ['analysis'] });
+    expect(mesh.getPathway('agent-1', 'agent-2')).toMatchObject({ status: 'inactive', pinBroken: true });
+
+    await mesh.rollbackAgent('agent-1', '1.0.0');
+    // 2.1.0 is still outside ^1.0.0
+    expect(mesh.getPathway('agent-1', 'agent-2').status).toBe('inactive');
+
+    await mesh.updatePathway('agent-1', 'agent-2', { sourceVersion: '^2.0.0' });
+    expect(mesh.getPathway('agent-1', 'agent-2')).toMatchObject({ status: 'active', pinBroken: false });
+  });
+
+  test('leaves pathways deactivated for other reasons alone', async () => {
+    await mesh.establishPathway('agent-1', 'agent-2', { sourceVersion: '^1.0.0' });
+    await mesh.updatePathway('agent-1', 'agent-2', { status: 'inactive' });
+
+    expect(await mesh.versions.enforcePin(mesh.getPathway('agent-1', 'agent-2'))).toBeNull();
+    expect(mesh.getPathway('agent-1', 'agent-2').status).toBe('inactive');
+  });
+
+  test('refuses pins the agent is already outside', async () => {
+    await expect(mesh.establishPathway('agent-1', 'agent-2', { sourceVersion: '~1.1.0' }))
+      .rejects.toBeInstanceOf(ValidationError);
+  });
+});
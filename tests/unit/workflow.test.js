@@ -0,0 +1,79 @@
+process.env.LOG_LEVEL = 'error';
+
+const { CognitiveMesh } = require('../../src/core/cognitiveMesh');
+
+const NOW = Date.parse('2025-01-15T12:00:00Z');
+
+describe('WorkflowEngine', () => {
+  let mesh;
+  let now;
+  let answered;
+
+  beforeEach(async () => {
+    now = NOW;
+    answered = [];
+    mesh = new CognitiveMesh({ clock: () => now });
+    mesh.executors.registerHandler('answer', async (task, { agent }) => {
+      answered.push(agent.id);
+      return { output: `done ${task.id}`, confidence: 0.9 };
+    });
+    mesh.executors.registerHandler('fail', async () => {
+      throw new Error('Agent crashed');
+    });
+
+    const agents = [['planner', 'answer'], ['writer', 'fail'], ['reviewer', 'answer']];
+    for (const [id, handler] of agents) {
+      await mesh.registerAgent({ id, name: id, capabilities: [], executor: { type: 'function', handler } }, false);
+    }
+    await mesh.establishPathway('planner', 'writer', {}, false);
+    await mesh.establishPathway('planner', 'reviewer', {}, false);
+  });
+
+  test('records pathway usage only for edges into stages that completed', async () => {
+    const execution = { retries: 0, timeoutMs: 1000 };
+    const report = await mesh.executeWorkflow({
+      id: 'review',
+      stages: [
+        { id: 'plan', agentId: 'planner', task: { execution } },
+        { id: 'write', agentId: 'writer', dependsOn: ['plan'], task: { execution } },
+        { id: 'review', agentId: 'reviewer', dependsOn: ['plan'], task: { execution } }
+      ]
+    });
+
+    expect(report.stages.map(stage => [stage.stageId, stage.status])).toEqual([
+      ['plan', 'completed'],
+      ['write', 'failed'],
+      ['review', 'completed']
+    ]);
+    expect(report.edges).toHaveLength(2);
+
+    const failed = mesh.getPathway('planner', 'writer');
+    const completed = mesh.getPathway('planner', 'reviewer');
+    expect(failed.usageCount || 0).toBe(0);
+    expect(failed.lastUsed).toBeUndefined();
+    expect(completed.usageCount).toBe(1);
+    expect(completed.lastUsed.getTime()).toBe(NOW);
+  });
+
+  test('fails a single-agent stage whose agent stopped responding', async () => {
+    await mesh.liveness.heartbeat('reviewer');
+    now += 2 * mesh.liveness.timeoutMs;
+    expect((await mesh.liveness.check()).unresponsive).toEqual(['reviewer']);
+
+    const report = await mesh.executeWorkflow({
+      id: 'review',
+      stages: [
+        { id: 'plan', agentId: 'planner' },
+        { id: 'review', agentId: 'reviewer', dependsOn: ['plan'] }
+      ]
+    });
+
+    expect(report.stages[1]).toMatchObject({
+      stageId: 'review',
+      status: 'failed',
+      error: { code: 'AGENT_UNRESPONSIVE' }
+    });
+    expect(answered).toEqual(['planner']);
+    expect(mesh.getPathway('planner', 'reviewer').usageCount || 0).toBe(0);
+  });
+});